@@ -0,0 +1,229 @@
+// Parses addresses from the application register into their components (unit, street number,
+// lot, section, plan, hundred, street name, street type, suburb, state and post code).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.formatAddressComponents = exports.parseAddress = exports.loadGazetteer = exports.expandStreetType = void 0;
+const didyoumean = require("didyoumean2");
+// Street type abbreviations and the corresponding full street types.
+const StreetTypes = {
+    "AV": "Avenue", "AVE": "Avenue", "AVENUE": "Avenue",
+    "BVD": "Boulevard", "BLVD": "Boulevard", "BOULEVARD": "Boulevard",
+    "CCT": "Circuit", "CIRCUIT": "Circuit",
+    "CL": "Close", "CLOSE": "Close",
+    "CR": "Crescent", "CRES": "Crescent", "CRESCENT": "Crescent",
+    "CT": "Court", "COURT": "Court",
+    "DR": "Drive", "DRV": "Drive", "DRIVE": "Drive",
+    "ESP": "Esplanade", "ESPLANADE": "Esplanade",
+    "GR": "Grove", "GROVE": "Grove",
+    "HWY": "Highway", "HIGHWAY": "Highway",
+    "LN": "Lane", "LANE": "Lane",
+    "PDE": "Parade", "PARADE": "Parade",
+    "PL": "Place", "PLACE": "Place",
+    "RD": "Road", "ROAD": "Road",
+    "SQ": "Square", "SQUARE": "Square",
+    "ST": "Street", "STREET": "Street",
+    "TCE": "Terrace", "TERRACE": "Terrace",
+    "TRK": "Track", "TRACK": "Track",
+    "WAY": "Way"
+};
+// Gets the full street type for a street type word or abbreviation (returning undefined if the
+// word is not a street type).
+function expandStreetType(word) {
+    return StreetTypes[word.replace(/\.$/, "").toUpperCase()];
+}
+exports.expandStreetType = expandStreetType;
+// Street suffixes that may follow the street type.
+const StreetSuffixes = {
+    "N": "North", "NORTH": "North",
+    "S": "South", "SOUTH": "South",
+    "E": "East", "EAST": "East",
+    "W": "West", "WEST": "West"
+};
+// Reads the gazetteer from the text of the suburb names file (lines such as "KAPUNDA,KAPUNDA SA
+// 5373", optionally followed by the latitude and longitude of the centre of the suburb) and the
+// text of the suburb aliases file (lines such as "SHEOAK LOG,SHEA-OAK LOG", where the second name
+// must appear in the suburb names file).
+function loadGazetteer(suburbNamesText, suburbAliasesText) {
+    let gazetteer = {};
+    for (let line of suburbNamesText.replace(/\r/g, "").trim().split("\n")) {
+        let [name, formattedName, latitude, longitude] = line.split(",").map(value => value.trim());
+        let match = /^(.*) ([A-Z]{2,3}) ([0-9]{4})$/.exec(formattedName);
+        gazetteer[name] = {
+            name: (match === null) ? formattedName : match[1],
+            state: (match === null) ? "" : match[2],
+            postCode: (match === null) ? "" : match[3],
+            latitude: (latitude === undefined || latitude === "") ? undefined : Number(latitude),
+            longitude: (longitude === undefined || longitude === "") ? undefined : Number(longitude)
+        };
+    }
+    for (let line of suburbAliasesText.replace(/\r/g, "").trim().split("\n").filter(line => line.trim() !== "")) {
+        let [alias, name] = line.split(",").map(name => name.trim());
+        if (gazetteer[name] === undefined)
+            throw new Error(`The suburb alias "${alias}" refers to the unknown suburb "${name}".`);
+        gazetteer[alias] = gazetteer[name];
+    }
+    return gazetteer;
+}
+exports.loadGazetteer = loadGazetteer;
+// Corrects common artefacts of joining together the text elements of a PDF (such as missing
+// spaces between a street number and the street name) and removes punctuation.
+function cleanAddress(address) {
+    return address
+        .replace(/,/g, " ")
+        .replace(/([0-9])([A-Za-z]{2,})/g, "$1 $2") // "12Main" (but not "12A")
+        .replace(/\b(LOT|Lot|SEC|Sec|SECTION|Section|HD|Hd|HUNDRED|Hundred|DP|FP|CP)([0-9])/g, "$1 $2") // "Lot12" or "DP12345"
+        .replace(/\s*\/\s*/g, "/") // "2 / 12"
+        .replace(/\s+/g, " ")
+        .trim();
+}
+// Removes any state and post code from the end of the tokens of an address.
+function removeStateAndPostCode(tokens) {
+    while (tokens.length > 0 && (/^[0-9]{4}$/.test(tokens[tokens.length - 1]) || /^SA$/i.test(tokens[tokens.length - 1])))
+        tokens.pop();
+}
+// Finds the suburb at the end of the tokens of an address (allowing for a few spelling errors),
+// removing the tokens of the suburb name and any trailing state and post code.
+function extractLocality(tokens, gazetteer) {
+    removeStateAndPostCode(tokens);
+    for (let index = 1; index <= Math.min(4, tokens.length); index++) {
+        let lastToken = tokens[tokens.length - 1].replace(/\.$/, "").toUpperCase();
+        if (index === 1 && StreetTypes[lastToken] !== undefined && gazetteer[lastToken] === undefined)
+            continue; // avoid treating a street type as a misspelt suburb (for example, "Rd" as "REID")
+        let suburbNameMatch = didyoumean(tokens.slice(-index).join(" "), Object.keys(gazetteer), { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true });
+        if (suburbNameMatch !== null) {
+            tokens.splice(-index, index); // remove elements from the end of the array
+            return gazetteer[suburbNameMatch];
+        }
+    }
+    return undefined;
+}
+// Removes a keyword (such as "Lot" in "Lot 12") and the value following it from the tokens and
+// returns the value (or an empty string if none of the keywords are present).  If allowPart is
+// true then a preceding "Pt" or "Part" (as in "Pt Sec 12") is also removed and the value is
+// returned prefixed by "Pt ".
+function extractNumberedComponent(tokens, keywords, allowPart = false) {
+    for (let index = 0; index < tokens.length - 1; index++) {
+        if (keywords.includes(tokens[index].replace(/\.$/, "").toUpperCase()) && /^[0-9]+[A-Za-z]?$/.test(tokens[index + 1])) {
+            let value = tokens[index + 1];
+            if (allowPart && index > 0 && /^(PT|PART)$/.test(tokens[index - 1].replace(/\.$/, "").toUpperCase())) {
+                tokens.splice(index - 1, 3);
+                return `Pt ${value}`;
+            }
+            tokens.splice(index, 2);
+            return value;
+        }
+    }
+    return "";
+}
+// Removes a deposited, filed or community plan (for example, "DP 12345") from the tokens and
+// returns it (or an empty string if there is no plan).
+function extractPlan(tokens) {
+    for (let planType of ["DP", "FP", "CP"]) {
+        let planNumber = extractNumberedComponent(tokens, [planType]);
+        if (planNumber !== "")
+            return `${planType} ${planNumber}`;
+    }
+    return "";
+}
+// Formats a lot or section (for example, "Lot 12" or "Pt Section 12").
+function formatNumberedComponent(keyword, value) {
+    return value.startsWith("Pt ") ? `Pt ${keyword} ${value.substring(3)}` : `${keyword} ${value}`;
+}
+// Parses an address into its components.
+function parseAddress(address, gazetteer) {
+    let components = { unit: "", streetNumber: "", lot: "", section: "", plan: "", hundred: "", streetName: "", streetType: "", streetSuffix: "", suburb: "", state: "", postCode: "" };
+    let tokens = cleanAddress(address).split(" ").filter(token => token !== "");
+    if (tokens.length === 0)
+        return components;
+    // The hundred (for example, "Hundred of Kapunda" or "Hd Kapunda") is usually at the end of a
+    // rural address, followed only by the suburb (if any).  The hundred is removed before the
+    // suburb is matched because the name of a hundred is often also the name of a suburb (so
+    // "Section 345 Hundred of Kapunda" has a hundred but no suburb, whereas "Section 345 Hundred
+    // of Kapunda SA 5373" is also in the suburb of that name).
+    let locality = undefined;
+    let hundredIndex = tokens.findIndex(token => /^(HUNDRED|HD\.?)$/i.test(token));
+    if (hundredIndex >= 0) {
+        let hundredTokens = tokens.splice(hundredIndex).slice(1);
+        if (hundredTokens.length > 0 && hundredTokens[0].toUpperCase() === "OF")
+            hundredTokens.shift();
+        let nameTokens = hundredTokens.slice();
+        locality = extractLocality(nameTokens, gazetteer);
+        if (nameTokens.length === 0) { // the only name is that of the hundred
+            let tokenCount = hundredTokens.length;
+            removeStateAndPostCode(hundredTokens);
+            if (hundredTokens.length === tokenCount)
+                locality = undefined;
+            nameTokens = hundredTokens;
+        }
+        components.hundred = nameTokens.join(" ");
+    }
+    if (locality === undefined)
+        locality = extractLocality(tokens, gazetteer);
+    if (locality !== undefined) {
+        components.suburb = locality.name;
+        components.state = locality.state;
+        components.postCode = locality.postCode;
+    }
+    // The plan number (as in "Lot 101 DP 12345") is removed before looking for the street number
+    // so that it is not mistaken for the street number.
+    components.plan = extractPlan(tokens);
+    components.lot = extractNumberedComponent(tokens, ["LOT", "LT", "ALLOTMENT", "ALLOT"], true);
+    components.section = extractNumberedComponent(tokens, ["SECTION", "SEC", "SECT", "S"], true);
+    components.unit = extractNumberedComponent(tokens, ["UNIT", "U", "APARTMENT", "FLAT"]);
+    // The street number (for example, "12", "12A", "12-14" or "2/12", where 2 is the unit).
+    let numberIndex = tokens.findIndex(token => /^([0-9]+[A-Za-z]?\/)?[0-9]+[A-Za-z]?(-[0-9]+[A-Za-z]?)?$/.test(token));
+    if (numberIndex >= 0) {
+        let [unit, streetNumber] = tokens[numberIndex].includes("/") ? tokens[numberIndex].split("/") : [components.unit, tokens[numberIndex]];
+        components.unit = unit;
+        components.streetNumber = streetNumber;
+        tokens.splice(numberIndex, 1);
+    }
+    // The street type is the last street type word (other than the first word of the street
+    // name, so that "St" in "St Kitts Road" is not treated as a street type).  Any words after
+    // the street type are either a street suffix or (if no suburb was recognised) the suburb.
+    let streetTypeIndex = -1;
+    for (let index = 1; index < tokens.length; index++)
+        if (expandStreetType(tokens[index]) !== undefined)
+            streetTypeIndex = index;
+    if (streetTypeIndex >= 0) {
+        components.streetType = expandStreetType(tokens[streetTypeIndex]);
+        let remainingTokens = tokens.splice(streetTypeIndex).slice(1);
+        if (remainingTokens.length === 1 && StreetSuffixes[remainingTokens[0].toUpperCase()] !== undefined)
+            components.streetSuffix = StreetSuffixes[remainingTokens[0].toUpperCase()];
+        else if (components.suburb === "")
+            components.suburb = remainingTokens.join(" ");
+        else
+            components.streetSuffix = remainingTokens.join(" ");
+    }
+    components.streetName = tokens.join(" ");
+    return components;
+}
+exports.parseAddress = parseAddress;
+// Formats the components of an address (for example, "2/12 Main Street, KAPUNDA SA 5373" or
+// "Lot 5 Section 345 Hundred of Kapunda, FREELING SA 5372" or "Lot 101 DP 12345 Main Street,
+// KAPUNDA SA 5373").
+function formatAddressComponents(components) {
+    let parts = [];
+    if (components.lot !== "")
+        parts.push(formatNumberedComponent("Lot", components.lot));
+    if (components.section !== "")
+        parts.push(formatNumberedComponent("Section", components.section));
+    if (components.plan !== "")
+        parts.push(components.plan);
+    if (components.streetNumber !== "")
+        parts.push((components.unit === "") ? components.streetNumber : `${components.unit}/${components.streetNumber}`);
+    else if (components.unit !== "")
+        parts.push(`Unit ${components.unit}`);
+    for (let part of [components.streetName, components.streetType, components.streetSuffix])
+        if (part !== "")
+            parts.push(part);
+    if (components.hundred !== "")
+        parts.push(`Hundred of ${components.hundred}`);
+    let street = parts.join(" ");
+    if (components.postCode === "") // the suburb was not recognised
+        return [street, components.suburb].filter(part => part !== "").join(" ");
+    let locality = `${components.suburb} ${components.state} ${components.postCode}`;
+    return (street === "") ? locality : `${street}, ${locality}`;
+}
+exports.formatAddressComponents = formatAddressComponents;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYWRkcmVzcy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImFkZHJlc3MudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsNkZBQTZGO0FBQzdGLHVGQUF1RjtBQUV2RixZQUFZLENBQUM7OztBQUViLDBDQUEwQztBQW9DMUMscUVBQXFFO0FBRXJFLE1BQU0sV0FBVyxHQUF1QztJQUNwRCxJQUFJLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLFFBQVE7SUFDbkQsS0FBSyxFQUFFLFdBQVcsRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFFLFdBQVcsRUFBRSxXQUFXO0lBQ2pFLEtBQUssRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLFNBQVM7SUFDdEMsSUFBSSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTztJQUMvQixJQUFJLEVBQUUsVUFBVSxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLFVBQVU7SUFDNUQsSUFBSSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTztJQUMvQixJQUFJLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLE9BQU87SUFDL0MsS0FBSyxFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsV0FBVztJQUM1QyxJQUFJLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxPQUFPO0lBQy9CLEtBQUssRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLFNBQVM7SUFDdEMsSUFBSSxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsTUFBTTtJQUM1QixLQUFLLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxRQUFRO0lBQ25DLElBQUksRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLE9BQU87SUFDL0IsSUFBSSxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsTUFBTTtJQUM1QixJQUFJLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxRQUFRO0lBQ2xDLElBQUksRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLFFBQVE7SUFDbEMsS0FBSyxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsU0FBUztJQUN0QyxLQUFLLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxPQUFPO0lBQ2hDLEtBQUssRUFBRSxLQUFLO0NBQ2YsQ0FBQztBQUVGLCtGQUErRjtBQUMvRiw4QkFBOEI7QUFFOUIsU0FBZ0IsZ0JBQWdCLENBQUMsSUFBWTtJQUN6QyxPQUFPLFdBQVcsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO0FBQzlELENBQUM7QUFGRCw0Q0FFQztBQUVELG1EQUFtRDtBQUVuRCxNQUFNLGNBQWMsR0FBdUM7SUFDdkQsR0FBRyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTztJQUM5QixHQUFHLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxPQUFPO0lBQzlCLEdBQUcsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLE1BQU07SUFDM0IsR0FBRyxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsTUFBTTtDQUM5QixDQUFDO0FBRUYsZ0dBQWdHO0FBQ2hHLGdHQUFnRztBQUNoRyxrR0FBa0c7QUFDbEcseUNBQXlDO0FBRXpDLFNBQWdCLGFBQWEsQ0FBQyxlQUF1QixFQUFFLGlCQUF5QjtJQUM1RSxJQUFJLFNBQVMsR0FBYyxFQUFFLENBQUM7SUFDOUIsS0FBSyxJQUFJLElBQUksSUFBSSxlQUFlLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUU7UUFDcEUsSUFBSSxDQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsUUFBUSxFQUFFLFNBQVMsQ0FBRSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7UUFDOUYsSUFBSSxLQUFLLEdBQUcsZ0NBQWdDLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxDQUFDO1FBQ2pFLFNBQVMsQ0FBQyxJQUFJLENBQUMsR0FBRztZQUNkLElBQUksRUFBRSxDQUFDLEtBQUssS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1lBQ2pELEtBQUssRUFBRSxDQUFDLEtBQUssS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1lBQ3ZDLFFBQVEsRUFBRSxDQUFDLEtBQUssS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1lBQzFDLFFBQVEsRUFBRSxDQUFDLFFBQVEsS0FBSyxTQUFTLElBQUksUUFBUSxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUM7WUFDcEYsU0FBUyxFQUFFLENBQUMsU0FBUyxLQUFLLFNBQVMsSUFBSSxTQUFTLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQztTQUMzRixDQUFDO0tBQ0w7SUFFRCxLQUFLLElBQUksSUFBSSxJQUFJLGlCQUFpQixDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRTtRQUN6RyxJQUFJLENBQUUsS0FBSyxFQUFFLElBQUksQ0FBRSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7UUFDL0QsSUFBSSxTQUFTLENBQUMsSUFBSSxDQUFDLEtBQUssU0FBUztZQUM3QixNQUFNLElBQUksS0FBSyxDQUFDLHFCQUFxQixLQUFLLG1DQUFtQyxJQUFJLElBQUksQ0FBQyxDQUFDO1FBQzNGLFNBQVMsQ0FBQyxLQUFLLENBQUMsR0FBRyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUM7S0FDdEM7SUFFRCxPQUFPLFNBQVMsQ0FBQztBQUNyQixDQUFDO0FBdEJELHNDQXNCQztBQUVELDRGQUE0RjtBQUM1RiwrRUFBK0U7QUFFL0UsU0FBUyxZQUFZLENBQUMsT0FBZTtJQUNqQyxPQUFPLE9BQU87U0FDVCxPQUFPLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQztTQUNsQixPQUFPLENBQUMsd0JBQXdCLEVBQUUsT0FBTyxDQUFDLENBQUUsMkJBQTJCO1NBQ3ZFLE9BQU8sQ0FBQyw0RUFBNEUsRUFBRSxPQUFPLENBQUMsQ0FBRSx1QkFBdUI7U0FDdkgsT0FBTyxDQUFDLFdBQVcsRUFBRSxHQUFHLENBQUMsQ0FBRSxXQUFXO1NBQ3RDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDO1NBQ3BCLElBQUksRUFBRSxDQUFDO0FBQ2hCLENBQUM7QUFFRCw0RUFBNEU7QUFFNUUsU0FBUyxzQkFBc0IsQ0FBQyxNQUFnQjtJQUM1QyxPQUFPLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNqSCxNQUFNLENBQUMsR0FBRyxFQUFFLENBQUM7QUFDckIsQ0FBQztBQUVELGdHQUFnRztBQUNoRywrRUFBK0U7QUFFL0UsU0FBUyxlQUFlLENBQUMsTUFBZ0IsRUFBRSxTQUFvQjtJQUMzRCxzQkFBc0IsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUUvQixLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLElBQUksSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQzlELElBQUksU0FBUyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7UUFDM0UsSUFBSSxLQUFLLEtBQUssQ0FBQyxJQUFJLFdBQVcsQ0FBQyxTQUFTLENBQUMsS0FBSyxTQUFTLElBQUksU0FBUyxDQUFDLFNBQVMsQ0FBQyxLQUFLLFNBQVM7WUFDekYsU0FBUyxDQUFFLGtGQUFrRjtRQUNqRyxJQUFJLGVBQWUsR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUscUJBQXFCLEVBQUUsYUFBYSxFQUFFLGVBQWUsRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO1FBQ3JOLElBQUksZUFBZSxLQUFLLElBQUksRUFBRTtZQUMxQixNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUUsNENBQTRDO1lBQzNFLE9BQU8sU0FBUyxDQUFDLGVBQWUsQ0FBQyxDQUFDO1NBQ3JDO0tBQ0o7SUFDRCxPQUFPLFNBQVMsQ0FBQztBQUNyQixDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLCtGQUErRjtBQUMvRiw0RkFBNEY7QUFDNUYsOEJBQThCO0FBRTlCLFNBQVMsd0JBQXdCLENBQUMsTUFBZ0IsRUFBRSxRQUFrQixFQUFFLFlBQXFCLEtBQUs7SUFDOUYsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxHQUFHLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ3BELElBQUksUUFBUSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxJQUFJLG1CQUFtQixDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUU7WUFDbEgsSUFBSSxLQUFLLEdBQUcsTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQztZQUM5QixJQUFJLFNBQVMsSUFBSSxLQUFLLEdBQUcsQ0FBQyxJQUFJLGFBQWEsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDLEVBQUU7Z0JBQ2xHLE1BQU0sQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztnQkFDNUIsT0FBTyxNQUFNLEtBQUssRUFBRSxDQUFDO2FBQ3hCO1lBQ0QsTUFBTSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUM7WUFDeEIsT0FBTyxLQUFLLENBQUM7U0FDaEI7S0FDSjtJQUNELE9BQU8sRUFBRSxDQUFDO0FBQ2QsQ0FBQztBQUVELDZGQUE2RjtBQUM3Rix1REFBdUQ7QUFFdkQsU0FBUyxXQUFXLENBQUMsTUFBZ0I7SUFDakMsS0FBSyxJQUFJLFFBQVEsSUFBSSxDQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxDQUFFLEVBQUU7UUFDdkMsSUFBSSxVQUFVLEdBQUcsd0JBQXdCLENBQUMsTUFBTSxFQUFFLENBQUUsUUFBUSxDQUFFLENBQUMsQ0FBQztRQUNoRSxJQUFJLFVBQVUsS0FBSyxFQUFFO1lBQ2pCLE9BQU8sR0FBRyxRQUFRLElBQUksVUFBVSxFQUFFLENBQUM7S0FDMUM7SUFDRCxPQUFPLEVBQUUsQ0FBQztBQUNkLENBQUM7QUFFRCx1RUFBdUU7QUFFdkUsU0FBUyx1QkFBdUIsQ0FBQyxPQUFlLEVBQUUsS0FBYTtJQUMzRCxPQUFPLEtBQUssQ0FBQyxVQUFVLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sT0FBTyxJQUFJLEtBQUssQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxPQUFPLElBQUksS0FBSyxFQUFFLENBQUM7QUFDbkcsQ0FBQztBQUVELHlDQUF5QztBQUV6QyxTQUFnQixZQUFZLENBQUMsT0FBZSxFQUFFLFNBQW9CO0lBQzlELElBQUksVUFBVSxHQUFzQixFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsWUFBWSxFQUFFLEVBQUUsRUFBRSxHQUFHLEVBQUUsRUFBRSxFQUFFLE9BQU8sRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxPQUFPLEVBQUUsRUFBRSxFQUFFLFVBQVUsRUFBRSxFQUFFLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFBRSxZQUFZLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsRUFBRSxFQUFFLENBQUM7SUFDdk0sSUFBSSxNQUFNLEdBQUcsWUFBWSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLEtBQUssRUFBRSxDQUFDLENBQUM7SUFDNUUsSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLENBQUM7UUFDbkIsT0FBTyxVQUFVLENBQUM7SUFFdEIsNkZBQTZGO0lBQzdGLDBGQUEwRjtJQUMxRix5RkFBeUY7SUFDekYsNkZBQTZGO0lBQzdGLDJEQUEyRDtJQUUzRCxJQUFJLFFBQVEsR0FBYSxTQUFTLENBQUM7SUFDbkMsSUFBSSxZQUFZLEdBQUcsTUFBTSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLG9CQUFvQixDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO0lBQy9FLElBQUksWUFBWSxJQUFJLENBQUMsRUFBRTtRQUNuQixJQUFJLGFBQWEsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN6RCxJQUFJLGFBQWEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxJQUFJLGFBQWEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsS0FBSyxJQUFJO1lBQ25FLGFBQWEsQ0FBQyxLQUFLLEVBQUUsQ0FBQztRQUMxQixJQUFJLFVBQVUsR0FBRyxhQUFhLENBQUMsS0FBSyxFQUFFLENBQUM7UUFDdkMsUUFBUSxHQUFHLGVBQWUsQ0FBQyxVQUFVLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDbEQsSUFBSSxVQUFVLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxFQUFHLHVDQUF1QztZQUNuRSxJQUFJLFVBQVUsR0FBRyxhQUFhLENBQUMsTUFBTSxDQUFDO1lBQ3RDLHNCQUFzQixDQUFDLGFBQWEsQ0FBQyxDQUFDO1lBQ3RDLElBQUksYUFBYSxDQUFDLE1BQU0sS0FBSyxVQUFVO2dCQUNuQyxRQUFRLEdBQUcsU0FBUyxDQUFDO1lBQ3pCLFVBQVUsR0FBRyxhQUFhLENBQUM7U0FDOUI7UUFDRCxVQUFVLENBQUMsT0FBTyxHQUFHLFVBQVUsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7S0FDN0M7SUFFRCxJQUFJLFFBQVEsS0FBSyxTQUFTO1FBQ3RCLFFBQVEsR0FBRyxlQUFlLENBQUMsTUFBTSxFQUFFLFNBQVMsQ0FBQyxDQUFDO0lBQ2xELElBQUksUUFBUSxLQUFLLFNBQVMsRUFBRTtRQUN4QixVQUFVLENBQUMsTUFBTSxHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUM7UUFDbEMsVUFBVSxDQUFDLEtBQUssR0FBRyxRQUFRLENBQUMsS0FBSyxDQUFDO1FBQ2xDLFVBQVUsQ0FBQyxRQUFRLEdBQUcsUUFBUSxDQUFDLFFBQVEsQ0FBQztLQUMzQztJQUVELDZGQUE2RjtJQUM3RixvREFBb0Q7SUFFcEQsVUFBVSxDQUFDLElBQUksR0FBRyxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDdEMsVUFBVSxDQUFDLEdBQUcsR0FBRyx3QkFBd0IsQ0FBQyxNQUFNLEVBQUUsQ0FBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFdBQVcsRUFBRSxPQUFPLENBQUUsRUFBRSxJQUFJLENBQUMsQ0FBQztJQUMvRixVQUFVLENBQUMsT0FBTyxHQUFHLHdCQUF3QixDQUFDLE1BQU0sRUFBRSxDQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLEdBQUcsQ0FBRSxFQUFFLElBQUksQ0FBQyxDQUFDO0lBQy9GLFVBQVUsQ0FBQyxJQUFJLEdBQUcsd0JBQXdCLENBQUMsTUFBTSxFQUFFLENBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxXQUFXLEVBQUUsTUFBTSxDQUFFLENBQUMsQ0FBQztJQUV6Rix3RkFBd0Y7SUFFeEYsSUFBSSxXQUFXLEdBQUcsTUFBTSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLDBEQUEwRCxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO0lBQ3BILElBQUksV0FBVyxJQUFJLENBQUMsRUFBRTtRQUNsQixJQUFJLENBQUUsSUFBSSxFQUFFLFlBQVksQ0FBRSxHQUFHLE1BQU0sQ0FBQyxXQUFXLENBQUMsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxXQUFXLENBQUMsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUUsVUFBVSxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsV0FBVyxDQUFDLENBQUUsQ0FBQztRQUMzSSxVQUFVLENBQUMsSUFBSSxHQUFHLElBQUksQ0FBQztRQUN2QixVQUFVLENBQUMsWUFBWSxHQUFHLFlBQVksQ0FBQztRQUN2QyxNQUFNLENBQUMsTUFBTSxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUMsQ0FBQztLQUNqQztJQUVELHdGQUF3RjtJQUN4RiwyRkFBMkY7SUFDM0YsMEZBQTBGO0lBRTFGLElBQUksZUFBZSxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ3pCLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxNQUFNLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRTtRQUM5QyxJQUFJLGdCQUFnQixDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxLQUFLLFNBQVM7WUFDN0MsZUFBZSxHQUFHLEtBQUssQ0FBQztJQUVoQyxJQUFJLGVBQWUsSUFBSSxDQUFDLEVBQUU7UUFDdEIsVUFBVSxDQUFDLFVBQVUsR0FBRyxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsZUFBZSxDQUFDLENBQUMsQ0FBQztRQUNsRSxJQUFJLGVBQWUsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLGVBQWUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUM5RCxJQUFJLGVBQWUsQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLGNBQWMsQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsS0FBSyxTQUFTO1lBQzlGLFVBQVUsQ0FBQyxZQUFZLEdBQUcsY0FBYyxDQUFDLGVBQWUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO2FBQzFFLElBQUksVUFBVSxDQUFDLE1BQU0sS0FBSyxFQUFFO1lBQzdCLFVBQVUsQ0FBQyxNQUFNLEdBQUcsZUFBZSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQzs7WUFFOUMsVUFBVSxDQUFDLFlBQVksR0FBRyxlQUFlLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0tBQzNEO0lBRUQsVUFBVSxDQUFDLFVBQVUsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3pDLE9BQU8sVUFBVSxDQUFDO0FBQ3RCLENBQUM7QUE5RUQsb0NBOEVDO0FBRUQsNEZBQTRGO0FBQzVGLDZGQUE2RjtBQUM3RixxQkFBcUI7QUFFckIsU0FBZ0IsdUJBQXVCLENBQUMsVUFBNkI7SUFDakUsSUFBSSxLQUFLLEdBQWEsRUFBRSxDQUFDO0lBQ3pCLElBQUksVUFBVSxDQUFDLEdBQUcsS0FBSyxFQUFFO1FBQ3JCLEtBQUssQ0FBQyxJQUFJLENBQUMsdUJBQXVCLENBQUMsS0FBSyxFQUFFLFVBQVUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQy9ELElBQUksVUFBVSxDQUFDLE9BQU8sS0FBSyxFQUFFO1FBQ3pCLEtBQUssQ0FBQyxJQUFJLENBQUMsdUJBQXVCLENBQUMsU0FBUyxFQUFFLFVBQVUsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO0lBQ3ZFLElBQUksVUFBVSxDQUFDLElBQUksS0FBSyxFQUFFO1FBQ3RCLEtBQUssQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ2hDLElBQUksVUFBVSxDQUFDLFlBQVksS0FBSyxFQUFFO1FBQzlCLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxVQUFVLENBQUMsSUFBSSxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxJQUFJLElBQUksVUFBVSxDQUFDLFlBQVksRUFBRSxDQUFDLENBQUM7U0FDaEgsSUFBSSxVQUFVLENBQUMsSUFBSSxLQUFLLEVBQUU7UUFDM0IsS0FBSyxDQUFDLElBQUksQ0FBQyxRQUFRLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQzFDLEtBQUssSUFBSSxJQUFJLElBQUksQ0FBRSxVQUFVLENBQUMsVUFBVSxFQUFFLFVBQVUsQ0FBQyxVQUFVLEVBQUUsVUFBVSxDQUFDLFlBQVksQ0FBRTtRQUN0RixJQUFJLElBQUksS0FBSyxFQUFFO1lBQ1gsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUN6QixJQUFJLFVBQVUsQ0FBQyxPQUFPLEtBQUssRUFBRTtRQUN6QixLQUFLLENBQUMsSUFBSSxDQUFDLGNBQWMsVUFBVSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7SUFFbkQsSUFBSSxNQUFNLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUM3QixJQUFJLFVBQVUsQ0FBQyxRQUFRLEtBQUssRUFBRSxFQUFHLGdDQUFnQztRQUM3RCxPQUFPLENBQUUsTUFBTSxFQUFFLFVBQVUsQ0FBQyxNQUFNLENBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLEtBQUssRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQy9FLElBQUksUUFBUSxHQUFHLEdBQUcsVUFBVSxDQUFDLE1BQU0sSUFBSSxVQUFVLENBQUMsS0FBSyxJQUFJLFVBQVUsQ0FBQyxRQUFRLEVBQUUsQ0FBQztJQUNqRixPQUFPLENBQUMsTUFBTSxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLEdBQUcsTUFBTSxLQUFLLFFBQVEsRUFBRSxDQUFDO0FBQ2pFLENBQUM7QUF2QkQsMERBdUJDIn0=
\ No newline at end of file
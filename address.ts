@@ -0,0 +1,297 @@
+// Parses addresses from the application register into their components (unit, street number,
+// lot, section, plan, hundred, street name, street type, suburb, state and post code).
+
+"use strict";
+
+import * as didyoumean from "didyoumean2";
+
+// A suburb (or locality) with its state, post code and (if known) the co-ordinates of its centre.
+
+export interface Locality {
+    name: string,
+    state: string,
+    postCode: string,
+    latitude: number,  // undefined if not known
+    longitude: number  // undefined if not known
+}
+
+// All known suburb names (and aliases of suburb names, such as alternative spellings and historic
+// locality names), each mapped to a locality.
+
+export interface Gazetteer {
+    [name: string]: Locality
+}
+
+// The components of an address.  Any component that is not present is an empty string.
+
+export interface AddressComponents {
+    unit: string,
+    streetNumber: string,
+    lot: string,  // prefixed by "Pt " for part of a lot (for example, "Pt 12")
+    section: string,  // prefixed by "Pt " for part of a section
+    plan: string,  // a deposited, filed or community plan (for example, "DP 12345")
+    hundred: string,
+    streetName: string,
+    streetType: string,
+    streetSuffix: string,  // for example, "North" in "Main Road North"
+    suburb: string,
+    state: string,  // empty if the suburb was not recognised
+    postCode: string  // empty if the suburb was not recognised
+}
+
+// Street type abbreviations and the corresponding full street types.
+
+const StreetTypes: { [abbreviation: string]: string } = {
+    "AV": "Avenue", "AVE": "Avenue", "AVENUE": "Avenue",
+    "BVD": "Boulevard", "BLVD": "Boulevard", "BOULEVARD": "Boulevard",
+    "CCT": "Circuit", "CIRCUIT": "Circuit",
+    "CL": "Close", "CLOSE": "Close",
+    "CR": "Crescent", "CRES": "Crescent", "CRESCENT": "Crescent",
+    "CT": "Court", "COURT": "Court",
+    "DR": "Drive", "DRV": "Drive", "DRIVE": "Drive",
+    "ESP": "Esplanade", "ESPLANADE": "Esplanade",
+    "GR": "Grove", "GROVE": "Grove",
+    "HWY": "Highway", "HIGHWAY": "Highway",
+    "LN": "Lane", "LANE": "Lane",
+    "PDE": "Parade", "PARADE": "Parade",
+    "PL": "Place", "PLACE": "Place",
+    "RD": "Road", "ROAD": "Road",
+    "SQ": "Square", "SQUARE": "Square",
+    "ST": "Street", "STREET": "Street",
+    "TCE": "Terrace", "TERRACE": "Terrace",
+    "TRK": "Track", "TRACK": "Track",
+    "WAY": "Way"
+};
+
+// Gets the full street type for a street type word or abbreviation (returning undefined if the
+// word is not a street type).
+
+export function expandStreetType(word: string) {
+    return StreetTypes[word.replace(/\.$/, "").toUpperCase()];
+}
+
+// Street suffixes that may follow the street type.
+
+const StreetSuffixes: { [abbreviation: string]: string } = {
+    "N": "North", "NORTH": "North",
+    "S": "South", "SOUTH": "South",
+    "E": "East", "EAST": "East",
+    "W": "West", "WEST": "West"
+};
+
+// Reads the gazetteer from the text of the suburb names file (lines such as "KAPUNDA,KAPUNDA SA
+// 5373", optionally followed by the latitude and longitude of the centre of the suburb) and the
+// text of the suburb aliases file (lines such as "SHEOAK LOG,SHEA-OAK LOG", where the second name
+// must appear in the suburb names file).
+
+export function loadGazetteer(suburbNamesText: string, suburbAliasesText: string) {
+    let gazetteer: Gazetteer = {};
+    for (let line of suburbNamesText.replace(/\r/g, "").trim().split("\n")) {
+        let [ name, formattedName, latitude, longitude ] = line.split(",").map(value => value.trim());
+        let match = /^(.*) ([A-Z]{2,3}) ([0-9]{4})$/.exec(formattedName);
+        gazetteer[name] = {
+            name: (match === null) ? formattedName : match[1],
+            state: (match === null) ? "" : match[2],
+            postCode: (match === null) ? "" : match[3],
+            latitude: (latitude === undefined || latitude === "") ? undefined : Number(latitude),
+            longitude: (longitude === undefined || longitude === "") ? undefined : Number(longitude)
+        };
+    }
+
+    for (let line of suburbAliasesText.replace(/\r/g, "").trim().split("\n").filter(line => line.trim() !== "")) {
+        let [ alias, name ] = line.split(",").map(name => name.trim());
+        if (gazetteer[name] === undefined)
+            throw new Error(`The suburb alias "${alias}" refers to the unknown suburb "${name}".`);
+        gazetteer[alias] = gazetteer[name];
+    }
+
+    return gazetteer;
+}
+
+// Corrects common artefacts of joining together the text elements of a PDF (such as missing
+// spaces between a street number and the street name) and removes punctuation.
+
+function cleanAddress(address: string) {
+    return address
+        .replace(/,/g, " ")
+        .replace(/([0-9])([A-Za-z]{2,})/g, "$1 $2")  // "12Main" (but not "12A")
+        .replace(/\b(LOT|Lot|SEC|Sec|SECTION|Section|HD|Hd|HUNDRED|Hundred|DP|FP|CP)([0-9])/g, "$1 $2")  // "Lot12" or "DP12345"
+        .replace(/\s*\/\s*/g, "/")  // "2 / 12"
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+// Removes any state and post code from the end of the tokens of an address.
+
+function removeStateAndPostCode(tokens: string[]) {
+    while (tokens.length > 0 && (/^[0-9]{4}$/.test(tokens[tokens.length - 1]) || /^SA$/i.test(tokens[tokens.length - 1])))
+        tokens.pop();
+}
+
+// Finds the suburb at the end of the tokens of an address (allowing for a few spelling errors),
+// removing the tokens of the suburb name and any trailing state and post code.
+
+function extractLocality(tokens: string[], gazetteer: Gazetteer) {
+    removeStateAndPostCode(tokens);
+
+    for (let index = 1; index <= Math.min(4, tokens.length); index++) {
+        let lastToken = tokens[tokens.length - 1].replace(/\.$/, "").toUpperCase();
+        if (index === 1 && StreetTypes[lastToken] !== undefined && gazetteer[lastToken] === undefined)
+            continue;  // avoid treating a street type as a misspelt suburb (for example, "Rd" as "REID")
+        let suburbNameMatch = didyoumean(tokens.slice(-index).join(" "), Object.keys(gazetteer), { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true });
+        if (suburbNameMatch !== null) {
+            tokens.splice(-index, index);  // remove elements from the end of the array
+            return gazetteer[suburbNameMatch];
+        }
+    }
+    return undefined;
+}
+
+// Removes a keyword (such as "Lot" in "Lot 12") and the value following it from the tokens and
+// returns the value (or an empty string if none of the keywords are present).  If allowPart is
+// true then a preceding "Pt" or "Part" (as in "Pt Sec 12") is also removed and the value is
+// returned prefixed by "Pt ".
+
+function extractNumberedComponent(tokens: string[], keywords: string[], allowPart: boolean = false) {
+    for (let index = 0; index < tokens.length - 1; index++) {
+        if (keywords.includes(tokens[index].replace(/\.$/, "").toUpperCase()) && /^[0-9]+[A-Za-z]?$/.test(tokens[index + 1])) {
+            let value = tokens[index + 1];
+            if (allowPart && index > 0 && /^(PT|PART)$/.test(tokens[index - 1].replace(/\.$/, "").toUpperCase())) {
+                tokens.splice(index - 1, 3);
+                return `Pt ${value}`;
+            }
+            tokens.splice(index, 2);
+            return value;
+        }
+    }
+    return "";
+}
+
+// Removes a deposited, filed or community plan (for example, "DP 12345") from the tokens and
+// returns it (or an empty string if there is no plan).
+
+function extractPlan(tokens: string[]) {
+    for (let planType of [ "DP", "FP", "CP" ]) {
+        let planNumber = extractNumberedComponent(tokens, [ planType ]);
+        if (planNumber !== "")
+            return `${planType} ${planNumber}`;
+    }
+    return "";
+}
+
+// Formats a lot or section (for example, "Lot 12" or "Pt Section 12").
+
+function formatNumberedComponent(keyword: string, value: string) {
+    return value.startsWith("Pt ") ? `Pt ${keyword} ${value.substring(3)}` : `${keyword} ${value}`;
+}
+
+// Parses an address into its components.
+
+export function parseAddress(address: string, gazetteer: Gazetteer): AddressComponents {
+    let components: AddressComponents = { unit: "", streetNumber: "", lot: "", section: "", plan: "", hundred: "", streetName: "", streetType: "", streetSuffix: "", suburb: "", state: "", postCode: "" };
+    let tokens = cleanAddress(address).split(" ").filter(token => token !== "");
+    if (tokens.length === 0)
+        return components;
+
+    // The hundred (for example, "Hundred of Kapunda" or "Hd Kapunda") is usually at the end of a
+    // rural address, followed only by the suburb (if any).  The hundred is removed before the
+    // suburb is matched because the name of a hundred is often also the name of a suburb (so
+    // "Section 345 Hundred of Kapunda" has a hundred but no suburb, whereas "Section 345 Hundred
+    // of Kapunda SA 5373" is also in the suburb of that name).
+
+    let locality: Locality = undefined;
+    let hundredIndex = tokens.findIndex(token => /^(HUNDRED|HD\.?)$/i.test(token));
+    if (hundredIndex >= 0) {
+        let hundredTokens = tokens.splice(hundredIndex).slice(1);
+        if (hundredTokens.length > 0 && hundredTokens[0].toUpperCase() === "OF")
+            hundredTokens.shift();
+        let nameTokens = hundredTokens.slice();
+        locality = extractLocality(nameTokens, gazetteer);
+        if (nameTokens.length === 0) {  // the only name is that of the hundred
+            let tokenCount = hundredTokens.length;
+            removeStateAndPostCode(hundredTokens);
+            if (hundredTokens.length === tokenCount)
+                locality = undefined;
+            nameTokens = hundredTokens;
+        }
+        components.hundred = nameTokens.join(" ");
+    }
+
+    if (locality === undefined)
+        locality = extractLocality(tokens, gazetteer);
+    if (locality !== undefined) {
+        components.suburb = locality.name;
+        components.state = locality.state;
+        components.postCode = locality.postCode;
+    }
+
+    // The plan number (as in "Lot 101 DP 12345") is removed before looking for the street number
+    // so that it is not mistaken for the street number.
+
+    components.plan = extractPlan(tokens);
+    components.lot = extractNumberedComponent(tokens, [ "LOT", "LT", "ALLOTMENT", "ALLOT" ], true);
+    components.section = extractNumberedComponent(tokens, [ "SECTION", "SEC", "SECT", "S" ], true);
+    components.unit = extractNumberedComponent(tokens, [ "UNIT", "U", "APARTMENT", "FLAT" ]);
+
+    // The street number (for example, "12", "12A", "12-14" or "2/12", where 2 is the unit).
+
+    let numberIndex = tokens.findIndex(token => /^([0-9]+[A-Za-z]?\/)?[0-9]+[A-Za-z]?(-[0-9]+[A-Za-z]?)?$/.test(token));
+    if (numberIndex >= 0) {
+        let [ unit, streetNumber ] = tokens[numberIndex].includes("/") ? tokens[numberIndex].split("/") : [ components.unit, tokens[numberIndex] ];
+        components.unit = unit;
+        components.streetNumber = streetNumber;
+        tokens.splice(numberIndex, 1);
+    }
+
+    // The street type is the last street type word (other than the first word of the street
+    // name, so that "St" in "St Kitts Road" is not treated as a street type).  Any words after
+    // the street type are either a street suffix or (if no suburb was recognised) the suburb.
+
+    let streetTypeIndex = -1;
+    for (let index = 1; index < tokens.length; index++)
+        if (expandStreetType(tokens[index]) !== undefined)
+            streetTypeIndex = index;
+
+    if (streetTypeIndex >= 0) {
+        components.streetType = expandStreetType(tokens[streetTypeIndex]);
+        let remainingTokens = tokens.splice(streetTypeIndex).slice(1);
+        if (remainingTokens.length === 1 && StreetSuffixes[remainingTokens[0].toUpperCase()] !== undefined)
+            components.streetSuffix = StreetSuffixes[remainingTokens[0].toUpperCase()];
+        else if (components.suburb === "")
+            components.suburb = remainingTokens.join(" ");
+        else
+            components.streetSuffix = remainingTokens.join(" ");
+    }
+
+    components.streetName = tokens.join(" ");
+    return components;
+}
+
+// Formats the components of an address (for example, "2/12 Main Street, KAPUNDA SA 5373" or
+// "Lot 5 Section 345 Hundred of Kapunda, FREELING SA 5372" or "Lot 101 DP 12345 Main Street,
+// KAPUNDA SA 5373").
+
+export function formatAddressComponents(components: AddressComponents) {
+    let parts: string[] = [];
+    if (components.lot !== "")
+        parts.push(formatNumberedComponent("Lot", components.lot));
+    if (components.section !== "")
+        parts.push(formatNumberedComponent("Section", components.section));
+    if (components.plan !== "")
+        parts.push(components.plan);
+    if (components.streetNumber !== "")
+        parts.push((components.unit === "") ? components.streetNumber : `${components.unit}/${components.streetNumber}`);
+    else if (components.unit !== "")
+        parts.push(`Unit ${components.unit}`);
+    for (let part of [ components.streetName, components.streetType, components.streetSuffix ])
+        if (part !== "")
+            parts.push(part);
+    if (components.hundred !== "")
+        parts.push(`Hundred of ${components.hundred}`);
+
+    let street = parts.join(" ");
+    if (components.postCode === "")  // the suburb was not recognised
+        return [ street, components.suburb ].filter(part => part !== "").join(" ");
+    let locality = `${components.suburb} ${components.state} ${components.postCode}`;
+    return (street === "") ? locality : `${street}, ${locality}`;
+}
@@ -0,0 +1,65 @@
+// Classifies the description of a development application into categories (such as "dwelling" or
+// "land division") using the rules in a local rules file, and finds the number of lots created by
+// a land division.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.classifyDescription = exports.loadClassificationRules = void 0;
+// Numbers that may be written as words in a description.
+const NumberWords = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten", "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen", "twenty"];
+// Reads the classification rules from the text of a rules file (checking that every pattern is a
+// valid regular expression).
+function loadClassificationRules(rulesText) {
+    let rules = JSON.parse(rulesText);
+    if (!Array.isArray(rules.categories))
+        throw new Error("The classification rules must contain an array of categories.");
+    rules.lotCountPatterns = rules.lotCountPatterns || [];
+    for (let category of rules.categories) {
+        if (typeof category.name !== "string" || !Array.isArray(category.patterns) || category.patterns.length === 0)
+            throw new Error(`Each category must have a name and at least one pattern: ${JSON.stringify(category)}`);
+        category.excludePatterns = category.excludePatterns || [];
+    }
+    for (let pattern of [...rules.lotCountPatterns, ...[].concat(...rules.categories.map(category => [...category.patterns, ...category.excludePatterns]))]) {
+        try {
+            new RegExp(pattern, "i");
+        }
+        catch (error) {
+            throw new Error(`The classification rules contain an invalid pattern "${pattern}": ${error.message}`);
+        }
+    }
+    return rules;
+}
+exports.loadClassificationRules = loadClassificationRules;
+// Parses a number written as digits or as a word (returning undefined if the text is not a
+// number).
+function parseNumber(text) {
+    if (/^[0-9]+$/.test(text))
+        return Number(text);
+    let index = NumberWords.indexOf(text.toLowerCase());
+    return (index < 0) ? undefined : index;
+}
+// Classifies a description, returning every matching category (in the order of the rules) and the
+// number of lots (if the description is in the lot count category and mentions the number of
+// lots).
+function classifyDescription(description, rules) {
+    let categories = [];
+    for (let category of rules.categories) {
+        let text = description;
+        for (let excludePattern of category.excludePatterns)
+            text = text.replace(new RegExp(excludePattern, "gi"), " ");
+        if (category.patterns.some(pattern => new RegExp(pattern, "i").test(text)) && !categories.includes(category.name))
+            categories.push(category.name);
+    }
+    let lotCount = null;
+    if (categories.includes(rules.lotCountCategory)) {
+        for (let pattern of rules.lotCountPatterns) {
+            let match = new RegExp(pattern, "i").exec(description);
+            if (match !== null && match[1] !== undefined && parseNumber(match[1]) !== undefined) {
+                lotCount = parseNumber(match[1]);
+                break;
+            }
+        }
+    }
+    return { categories: categories, lotCount: lotCount };
+}
+exports.classifyDescription = classifyDescription;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY2xhc3NpZnkuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJjbGFzc2lmeS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxpR0FBaUc7QUFDakcsa0dBQWtHO0FBQ2xHLG1CQUFtQjtBQUVuQixZQUFZLENBQUM7OztBQTJCYix5REFBeUQ7QUFFekQsTUFBTSxXQUFXLEdBQUcsQ0FBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLFdBQVcsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLFFBQVEsQ0FBRSxDQUFDO0FBRS9OLGlHQUFpRztBQUNqRyw2QkFBNkI7QUFFN0IsU0FBZ0IsdUJBQXVCLENBQUMsU0FBaUI7SUFDckQsSUFBSSxLQUFLLEdBQXdCLElBQUksQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDdkQsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLFVBQVUsQ0FBQztRQUNoQyxNQUFNLElBQUksS0FBSyxDQUFDLCtEQUErRCxDQUFDLENBQUM7SUFDckYsS0FBSyxDQUFDLGdCQUFnQixHQUFHLEtBQUssQ0FBQyxnQkFBZ0IsSUFBSSxFQUFFLENBQUM7SUFDdEQsS0FBSyxJQUFJLFFBQVEsSUFBSSxLQUFLLENBQUMsVUFBVSxFQUFFO1FBQ25DLElBQUksT0FBTyxRQUFRLENBQUMsSUFBSSxLQUFLLFFBQVEsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxJQUFJLFFBQVEsQ0FBQyxRQUFRLENBQUMsTUFBTSxLQUFLLENBQUM7WUFDeEcsTUFBTSxJQUFJLEtBQUssQ0FBQyw0REFBNEQsSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDNUcsUUFBUSxDQUFDLGVBQWUsR0FBRyxRQUFRLENBQUMsZUFBZSxJQUFJLEVBQUUsQ0FBQztLQUM3RDtJQUNELEtBQUssSUFBSSxPQUFPLElBQUksQ0FBRSxHQUFHLEtBQUssQ0FBQyxnQkFBZ0IsRUFBRSxHQUFHLEVBQUUsQ0FBQyxNQUFNLENBQUMsR0FBRyxLQUFLLENBQUMsVUFBVSxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUUsR0FBRyxRQUFRLENBQUMsUUFBUSxFQUFFLEdBQUcsUUFBUSxDQUFDLGVBQWUsQ0FBRSxDQUFDLENBQUMsQ0FBRSxFQUFFO1FBQ3pKLElBQUk7WUFDQSxJQUFJLE1BQU0sQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLENBQUM7U0FDNUI7UUFBQyxPQUFPLEtBQUssRUFBRTtZQUNaLE1BQU0sSUFBSSxLQUFLLENBQUMsd0RBQXdELE9BQU8sTUFBTSxLQUFLLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztTQUN6RztLQUNKO0lBQ0QsT0FBTyxLQUFLLENBQUM7QUFDakIsQ0FBQztBQWxCRCwwREFrQkM7QUFFRCwyRkFBMkY7QUFDM0YsV0FBVztBQUVYLFNBQVMsV0FBVyxDQUFDLElBQVk7SUFDN0IsSUFBSSxVQUFVLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztRQUNyQixPQUFPLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUN4QixJQUFJLEtBQUssR0FBRyxXQUFXLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO0lBQ3BELE9BQU8sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDO0FBQzNDLENBQUM7QUFFRCxrR0FBa0c7QUFDbEcsNkZBQTZGO0FBQzdGLFNBQVM7QUFFVCxTQUFnQixtQkFBbUIsQ0FBQyxXQUFtQixFQUFFLEtBQTBCO0lBQy9FLElBQUksVUFBVSxHQUFhLEVBQUUsQ0FBQztJQUM5QixLQUFLLElBQUksUUFBUSxJQUFJLEtBQUssQ0FBQyxVQUFVLEVBQUU7UUFDbkMsSUFBSSxJQUFJLEdBQUcsV0FBVyxDQUFDO1FBQ3ZCLEtBQUssSUFBSSxjQUFjLElBQUksUUFBUSxDQUFDLGVBQWU7WUFDL0MsSUFBSSxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxNQUFNLENBQUMsY0FBYyxFQUFFLElBQUksQ0FBQyxFQUFFLEdBQUcsQ0FBQyxDQUFDO1FBQy9ELElBQUksUUFBUSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxJQUFJLE1BQU0sQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUM7WUFDN0csVUFBVSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUM7S0FDdEM7SUFFRCxJQUFJLFFBQVEsR0FBVyxJQUFJLENBQUM7SUFDNUIsSUFBSSxVQUFVLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxnQkFBZ0IsQ0FBQyxFQUFFO1FBQzdDLEtBQUssSUFBSSxPQUFPLElBQUksS0FBSyxDQUFDLGdCQUFnQixFQUFFO1lBQ3hDLElBQUksS0FBSyxHQUFHLElBQUksTUFBTSxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLENBQUM7WUFDdkQsSUFBSSxLQUFLLEtBQUssSUFBSSxJQUFJLEtBQUssQ0FBQyxDQUFDLENBQUMsS0FBSyxTQUFTLElBQUksV0FBVyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLFNBQVMsRUFBRTtnQkFDakYsUUFBUSxHQUFHLFdBQVcsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDakMsTUFBTTthQUNUO1NBQ0o7S0FDSjtJQUVELE9BQU8sRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsQ0FBQztBQUMxRCxDQUFDO0FBdEJELGtEQXNCQyJ9
\ No newline at end of file
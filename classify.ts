@@ -0,0 +1,95 @@
+// Classifies the description of a development application into categories (such as "dwelling" or
+// "land division") using the rules in a local rules file, and finds the number of lots created by
+// a land division.
+
+"use strict";
+
+// A category and the patterns (regular expressions, ignoring case) that identify it.  Text that
+// matches an exclude pattern is ignored when matching the patterns of that category (so that, for
+// example, "Demolition of existing dwelling" is not classified as a dwelling).
+
+export interface CategoryRule {
+    name: string,
+    patterns: string[],
+    excludePatterns: string[]
+}
+
+// The classification rules (as read from the rules file).
+
+export interface ClassificationRules {
+    categories: CategoryRule[],
+    lotCountCategory: string,  // the category for which the number of lots is found (for example, "land division")
+    lotCountPatterns: string[]  // patterns with a single group that captures the number of lots (as digits or words)
+}
+
+// The result of classifying a description.
+
+export interface Classification {
+    categories: string[],
+    lotCount: number  // null if the description does not mention the number of lots
+}
+
+// Numbers that may be written as words in a description.
+
+const NumberWords = [ "zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten", "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen", "twenty" ];
+
+// Reads the classification rules from the text of a rules file (checking that every pattern is a
+// valid regular expression).
+
+export function loadClassificationRules(rulesText: string) {
+    let rules: ClassificationRules = JSON.parse(rulesText);
+    if (!Array.isArray(rules.categories))
+        throw new Error("The classification rules must contain an array of categories.");
+    rules.lotCountPatterns = rules.lotCountPatterns || [];
+    for (let category of rules.categories) {
+        if (typeof category.name !== "string" || !Array.isArray(category.patterns) || category.patterns.length === 0)
+            throw new Error(`Each category must have a name and at least one pattern: ${JSON.stringify(category)}`);
+        category.excludePatterns = category.excludePatterns || [];
+    }
+    for (let pattern of [ ...rules.lotCountPatterns, ...[].concat(...rules.categories.map(category => [ ...category.patterns, ...category.excludePatterns ])) ]) {
+        try {
+            new RegExp(pattern, "i");
+        } catch (error) {
+            throw new Error(`The classification rules contain an invalid pattern "${pattern}": ${error.message}`);
+        }
+    }
+    return rules;
+}
+
+// Parses a number written as digits or as a word (returning undefined if the text is not a
+// number).
+
+function parseNumber(text: string) {
+    if (/^[0-9]+$/.test(text))
+        return Number(text);
+    let index = NumberWords.indexOf(text.toLowerCase());
+    return (index < 0) ? undefined : index;
+}
+
+// Classifies a description, returning every matching category (in the order of the rules) and the
+// number of lots (if the description is in the lot count category and mentions the number of
+// lots).
+
+export function classifyDescription(description: string, rules: ClassificationRules): Classification {
+    let categories: string[] = [];
+    for (let category of rules.categories) {
+        let text = description;
+        for (let excludePattern of category.excludePatterns)
+            text = text.replace(new RegExp(excludePattern, "gi"), " ");
+        if (category.patterns.some(pattern => new RegExp(pattern, "i").test(text)) && !categories.includes(category.name))
+            categories.push(category.name);
+    }
+
+    let lotCount: number = null;
+    if (categories.includes(rules.lotCountCategory)) {
+        for (let pattern of rules.lotCountPatterns) {
+            let match = new RegExp(pattern, "i").exec(description);
+            if (match !== null && match[1] !== undefined && parseNumber(match[1]) !== undefined) {
+                lotCount = parseNumber(match[1]);
+                break;
+            }
+        }
+    }
+
+    return { categories: categories, lotCount: lotCount };
+}
@@ -0,0 +1,99 @@
+// The schema of the [data] table (which holds the development applications) and helpers for running
+// SQL, shared by the scraper and the commands that read the database (such as export.ts).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.createDataTable = exports.addMissingColumns = exports.readRows = exports.runSql = exports.DataColumns = exports.AddedDataColumns = exports.AddressComponentColumns = void 0;
+// The columns of the [data] table that hold the components of the address (see address.ts), each
+// mapped to the name of the component.
+exports.AddressComponentColumns = {
+    address_unit: "unit",
+    address_street_number: "streetNumber",
+    address_lot: "lot",
+    address_section: "section",
+    address_plan: "plan",
+    address_hundred: "hundred",
+    address_street_name: "streetName",
+    address_street_type: "streetType",
+    address_street_suffix: "streetSuffix",
+    address_suburb: "suburb",
+    address_state: "state",
+    address_post_code: "postCode"
+};
+// The columns of the [data] table when it was first created (the columns expected by
+// PlanningAlerts).
+const OriginalDataColumns = [
+    { name: "council_reference", type: "text primary key" },
+    { name: "address", type: "text" },
+    { name: "description", type: "text" },
+    { name: "info_url", type: "text" },
+    { name: "comment_url", type: "text" },
+    { name: "date_scraped", type: "text" },
+    { name: "date_received", type: "text" }
+];
+// Columns that have been added to the [data] table since it was first created (these are added to
+// any existing database that does not yet have them).
+exports.AddedDataColumns = [
+    { name: "applicant", type: "text" },
+    { name: "referrals", type: "text" },
+    { name: "date_application", type: "text" },
+    { name: "date_decision", type: "text" },
+    { name: "decision", type: "text" },
+    { name: "warnings", type: "text" },
+    ...Object.keys(exports.AddressComponentColumns).map(column => ({ name: column, type: "text" })),
+    { name: "latitude", type: "real" },
+    { name: "longitude", type: "real" },
+    { name: "geocode_precision", type: "text" },
+    { name: "categories", type: "text" },
+    { name: "lot_count", type: "integer" } // the number of lots created by a land division (null if not mentioned)
+];
+// All columns of the [data] table.
+exports.DataColumns = [...OriginalDataColumns, ...exports.AddedDataColumns];
+// Runs an SQL statement.
+async function runSql(database, sql, parameters = []) {
+    return new Promise((resolve, reject) => {
+        database.run(sql, parameters, function (error) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else
+                resolve();
+        });
+    });
+}
+exports.runSql = runSql;
+// Runs an SQL query and gets all of the resulting rows.
+async function readRows(database, sql, parameters = []) {
+    return new Promise((resolve, reject) => {
+        database.all(sql, parameters, function (error, rows) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else
+                resolve(rows);
+        });
+    });
+}
+exports.readRows = readRows;
+// Adds any columns that are missing from the tables of an existing database.
+async function addMissingColumns(database, addedColumns) {
+    for (let table of Object.keys(addedColumns)) {
+        let existingColumns = await readRows(database, `pragma table_info([${table}])`);
+        for (let column of addedColumns[table]) {
+            if (!existingColumns.some(existingColumn => existingColumn.name === column.name)) {
+                console.log(`Adding the [${column.name}] column to the [${table}] table.`);
+                await runSql(database, `alter table [${table}] add column [${column.name}] ${column.type}`);
+            }
+        }
+    }
+}
+exports.addMissingColumns = addMissingColumns;
+// Creates the [data] table (with all of its columns) if it does not exist, or otherwise adds any
+// columns that an existing [data] table does not yet have.
+async function createDataTable(database) {
+    await runSql(database, `create table if not exists [data] (${exports.DataColumns.map(column => `[${column.name}] ${column.type}`).join(", ")})`);
+    await addMissingColumns(database, { data: exports.AddedDataColumns });
+}
+exports.createDataTable = createDataTable;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZGF0YWJhc2UuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJkYXRhYmFzZS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxvR0FBb0c7QUFDcEcsMEZBQTBGO0FBRTFGLFlBQVksQ0FBQzs7O0FBU2IsaUdBQWlHO0FBQ2pHLHVDQUF1QztBQUUxQixRQUFBLHVCQUF1QixHQUFpQztJQUNqRSxZQUFZLEVBQUUsTUFBTTtJQUNwQixxQkFBcUIsRUFBRSxjQUFjO0lBQ3JDLFdBQVcsRUFBRSxLQUFLO0lBQ2xCLGVBQWUsRUFBRSxTQUFTO0lBQzFCLFlBQVksRUFBRSxNQUFNO0lBQ3BCLGVBQWUsRUFBRSxTQUFTO0lBQzFCLG1CQUFtQixFQUFFLFlBQVk7SUFDakMsbUJBQW1CLEVBQUUsWUFBWTtJQUNqQyxxQkFBcUIsRUFBRSxjQUFjO0lBQ3JDLGNBQWMsRUFBRSxRQUFRO0lBQ3hCLGFBQWEsRUFBRSxPQUFPO0lBQ3RCLGlCQUFpQixFQUFFLFVBQVU7Q0FDaEMsQ0FBQztBQUVGLHFGQUFxRjtBQUNyRixtQkFBbUI7QUFFbkIsTUFBTSxtQkFBbUIsR0FBYTtJQUNsQyxFQUFFLElBQUksRUFBRSxtQkFBbUIsRUFBRSxJQUFJLEVBQUUsa0JBQWtCLEVBQUU7SUFDdkQsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDakMsRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDckMsRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDbEMsRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDckMsRUFBRSxJQUFJLEVBQUUsY0FBYyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDdEMsRUFBRSxJQUFJLEVBQUUsZUFBZSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7Q0FDMUMsQ0FBQztBQUVGLGtHQUFrRztBQUNsRyxzREFBc0Q7QUFFekMsUUFBQSxnQkFBZ0IsR0FBYTtJQUN0QyxFQUFFLElBQUksRUFBRSxXQUFXLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUNuQyxFQUFFLElBQUksRUFBRSxXQUFXLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUNuQyxFQUFFLElBQUksRUFBRSxrQkFBa0IsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQzFDLEVBQUUsSUFBSSxFQUFFLGVBQWUsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQ3ZDLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQ2xDLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQ2xDLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQywrQkFBdUIsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO0lBQ3ZGLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQ2xDLEVBQUUsSUFBSSxFQUFFLFdBQVcsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQ25DLEVBQUUsSUFBSSxFQUFFLG1CQUFtQixFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDM0MsRUFBRSxJQUFJLEVBQUUsWUFBWSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDcEMsRUFBRSxJQUFJLEVBQUUsV0FBVyxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsQ0FBRSx3RUFBd0U7Q0FDbkgsQ0FBQztBQUVGLG1DQUFtQztBQUV0QixRQUFBLFdBQVcsR0FBYSxDQUFFLEdBQUcsbUJBQW1CLEVBQUUsR0FBRyx3QkFBZ0IsQ0FBRSxDQUFDO0FBRXJGLHlCQUF5QjtBQUVsQixLQUFLLFVBQVUsTUFBTSxDQUFDLFFBQVEsRUFBRSxHQUFXLEVBQUUsYUFBb0IsRUFBRTtJQUN0RSxPQUFPLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ25DLFFBQVEsQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLFVBQVUsRUFBRSxVQUFTLEtBQUs7WUFDeEMsSUFBSSxLQUFLLEVBQUU7Z0JBQ1AsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ2pCOztnQkFDRyxPQUFPLEVBQUUsQ0FBQztRQUNsQixDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQVZELHdCQVVDO0FBRUQsd0RBQXdEO0FBRWpELEtBQUssVUFBVSxRQUFRLENBQUMsUUFBUSxFQUFFLEdBQVcsRUFBRSxhQUFvQixFQUFFO0lBQ3hFLE9BQU8sSUFBSSxPQUFPLENBQVEsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDMUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsVUFBVSxFQUFFLFVBQVMsS0FBSyxFQUFFLElBQUk7WUFDOUMsSUFBSSxLQUFLLEVBQUU7Z0JBQ1AsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ2pCOztnQkFDRyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDdEIsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFWRCw0QkFVQztBQUVELDZFQUE2RTtBQUV0RSxLQUFLLFVBQVUsaUJBQWlCLENBQUMsUUFBUSxFQUFFLFlBQTJDO0lBQ3pGLEtBQUssSUFBSSxLQUFLLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsRUFBRTtRQUN6QyxJQUFJLGVBQWUsR0FBRyxNQUFNLFFBQVEsQ0FBQyxRQUFRLEVBQUUsc0JBQXNCLEtBQUssSUFBSSxDQUFDLENBQUM7UUFDaEYsS0FBSyxJQUFJLE1BQU0sSUFBSSxZQUFZLENBQUMsS0FBSyxDQUFDLEVBQUU7WUFDcEMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxjQUFjLENBQUMsSUFBSSxLQUFLLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRTtnQkFDOUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxlQUFlLE1BQU0sQ0FBQyxJQUFJLG9CQUFvQixLQUFLLFVBQVUsQ0FBQyxDQUFDO2dCQUMzRSxNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsZ0JBQWdCLEtBQUssaUJBQWlCLE1BQU0sQ0FBQyxJQUFJLEtBQUssTUFBTSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7YUFDL0Y7U0FDSjtLQUNKO0FBQ0wsQ0FBQztBQVZELDhDQVVDO0FBRUQsaUdBQWlHO0FBQ2pHLDJEQUEyRDtBQUVwRCxLQUFLLFVBQVUsZUFBZSxDQUFDLFFBQVE7SUFDMUMsTUFBTSxNQUFNLENBQUMsUUFBUSxFQUFFLHNDQUFzQyxtQkFBVyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLElBQUksTUFBTSxDQUFDLElBQUksS0FBSyxNQUFNLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3pJLE1BQU0saUJBQWlCLENBQUMsUUFBUSxFQUFFLEVBQUUsSUFBSSxFQUFFLHdCQUFnQixFQUFFLENBQUMsQ0FBQztBQUNsRSxDQUFDO0FBSEQsMENBR0MifQ==
\ No newline at end of file
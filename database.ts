@@ -0,0 +1,114 @@
+// The schema of the [data] table (which holds the development applications) and helpers for running
+// SQL, shared by the scraper and the commands that read the database (such as export.ts).
+
+"use strict";
+
+// A column of a table.
+
+export interface Column {
+    name: string,
+    type: string
+}
+
+// The columns of the [data] table that hold the components of the address (see address.ts), each
+// mapped to the name of the component.
+
+export const AddressComponentColumns: { [column: string]: string } = {
+    address_unit: "unit",
+    address_street_number: "streetNumber",
+    address_lot: "lot",
+    address_section: "section",
+    address_plan: "plan",
+    address_hundred: "hundred",
+    address_street_name: "streetName",
+    address_street_type: "streetType",
+    address_street_suffix: "streetSuffix",
+    address_suburb: "suburb",
+    address_state: "state",
+    address_post_code: "postCode"
+};
+
+// The columns of the [data] table when it was first created (the columns expected by
+// PlanningAlerts).
+
+const OriginalDataColumns: Column[] = [
+    { name: "council_reference", type: "text primary key" },
+    { name: "address", type: "text" },
+    { name: "description", type: "text" },
+    { name: "info_url", type: "text" },
+    { name: "comment_url", type: "text" },
+    { name: "date_scraped", type: "text" },
+    { name: "date_received", type: "text" }
+];
+
+// Columns that have been added to the [data] table since it was first created (these are added to
+// any existing database that does not yet have them).
+
+export const AddedDataColumns: Column[] = [
+    { name: "applicant", type: "text" },
+    { name: "referrals", type: "text" },  // a JSON array of the names of the referral agencies
+    { name: "date_application", type: "text" },
+    { name: "date_decision", type: "text" },
+    { name: "decision", type: "text" },  // the decision or status text (for example, "Approved")
+    { name: "warnings", type: "text" },  // a JSON array of problems encountered when parsing the development application
+    ...Object.keys(AddressComponentColumns).map(column => ({ name: column, type: "text" })),
+    { name: "latitude", type: "real" },
+    { name: "longitude", type: "real" },
+    { name: "geocode_precision", type: "text" },  // "address", "street", "suburb" or "none" (see geocode.ts)
+    { name: "categories", type: "text" },  // a JSON array of the categories of the description (see classify.ts)
+    { name: "lot_count", type: "integer" }  // the number of lots created by a land division (null if not mentioned)
+];
+
+// All columns of the [data] table.
+
+export const DataColumns: Column[] = [ ...OriginalDataColumns, ...AddedDataColumns ];
+
+// Runs an SQL statement.
+
+export async function runSql(database, sql: string, parameters: any[] = []) {
+    return new Promise((resolve, reject) => {
+        database.run(sql, parameters, function(error) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve();
+        });
+    });
+}
+
+// Runs an SQL query and gets all of the resulting rows.
+
+export async function readRows(database, sql: string, parameters: any[] = []): Promise<any[]> {
+    return new Promise<any[]>((resolve, reject) => {
+        database.all(sql, parameters, function(error, rows) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
+
+// Adds any columns that are missing from the tables of an existing database.
+
+export async function addMissingColumns(database, addedColumns: { [table: string]: Column[] }) {
+    for (let table of Object.keys(addedColumns)) {
+        let existingColumns = await readRows(database, `pragma table_info([${table}])`);
+        for (let column of addedColumns[table]) {
+            if (!existingColumns.some(existingColumn => existingColumn.name === column.name)) {
+                console.log(`Adding the [${column.name}] column to the [${table}] table.`);
+                await runSql(database, `alter table [${table}] add column [${column.name}] ${column.type}`);
+            }
+        }
+    }
+}
+
+// Creates the [data] table (with all of its columns) if it does not exist, or otherwise adds any
+// columns that an existing [data] table does not yet have.
+
+export async function createDataTable(database) {
+    await runSql(database, `create table if not exists [data] (${DataColumns.map(column => `[${column.name}] ${column.type}`).join(", ")})`);
+    await addMissingColumns(database, { data: AddedDataColumns });
+}
@@ -0,0 +1,195 @@
+// Exports the development applications in the database as JSON, CSV, GeoJSON or the records
+// expected by PlanningAlerts (so that the output can be used without knowing the database schema).
+// For example, "node export.js --format csv --received-from 2019-01-01 --output applications.csv".
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.formatApplications = exports.toPlanningAlertsRecords = exports.formatGeoJson = exports.formatCsv = exports.readApplications = void 0;
+const fs = require("fs");
+const sqlite3 = require("sqlite3");
+const moment = require("moment");
+const database_1 = require("./database");
+const Formats = ["json", "csv", "geojson", "planningalerts"];
+// Parses a JSON array stored in a column (returning an empty array if the column is empty).
+function parseJsonArray(text) {
+    return (text === null || text === undefined || text === "") ? [] : JSON.parse(text);
+}
+// Reads the development applications from the database (in order of received date and then
+// application number), converting each row to the same shape as the development applications
+// produced by the parser.
+async function readApplications(database, filter) {
+    let conditions = [];
+    let parameters = [];
+    if (filter.receivedFrom !== undefined) {
+        conditions.push("[date_received] >= ?");
+        parameters.push(filter.receivedFrom);
+    }
+    if (filter.receivedTo !== undefined) {
+        conditions.push("[date_received] <= ?");
+        parameters.push(filter.receivedTo);
+    }
+    if (filter.suburb !== undefined) {
+        conditions.push("upper([address_suburb]) = upper(?)");
+        parameters.push(filter.suburb.trim());
+    }
+    if (filter.referencePrefix !== undefined) {
+        conditions.push("substr([council_reference], 1, ?) = ?");
+        parameters.push(filter.referencePrefix.length, filter.referencePrefix);
+    }
+    let rows = await database_1.readRows(database, `select * from [data]${(conditions.length === 0) ? "" : ` where ${conditions.join(" and ")}`} order by [date_received], [council_reference]`, parameters);
+    return rows.map(row => {
+        let addressComponents = {};
+        for (let column of Object.keys(database_1.AddressComponentColumns))
+            addressComponents[database_1.AddressComponentColumns[column]] = (row[column] === null || row[column] === undefined) ? "" : row[column];
+        return {
+            applicationNumber: row.council_reference,
+            applicant: row.applicant,
+            address: row.address,
+            addressComponents: addressComponents,
+            latitude: row.latitude,
+            longitude: row.longitude,
+            geocodePrecision: row.geocode_precision,
+            description: row.description,
+            categories: parseJsonArray(row.categories),
+            lotCount: (row.lot_count === undefined) ? null : row.lot_count,
+            informationUrl: row.info_url,
+            commentUrl: row.comment_url,
+            scrapeDate: row.date_scraped,
+            receivedDate: row.date_received,
+            applicationDate: row.date_application,
+            referrals: parseJsonArray(row.referrals),
+            decisionDate: row.date_decision,
+            decision: row.decision,
+            warnings: parseJsonArray(row.warnings)
+        };
+    });
+}
+exports.readApplications = readApplications;
+// Formats a value as a CSV field (quoting it if necessary).
+function formatCsvField(value) {
+    let text = (value === null || value === undefined) ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+// Formats development applications as CSV (the address components are separate columns and the
+// categories, referrals and warnings are each joined into a single column).
+function formatCsv(applications) {
+    let componentNames = Object.keys(database_1.AddressComponentColumns).map(column => database_1.AddressComponentColumns[column]);
+    let headings = ["applicationNumber", "applicant", "address", ...componentNames, "latitude", "longitude", "geocodePrecision", "description", "categories", "lotCount", "informationUrl", "commentUrl", "scrapeDate", "receivedDate", "applicationDate", "referrals", "decisionDate", "decision", "warnings"];
+    let lines = [headings.join(",")];
+    for (let application of applications) {
+        let record = { ...application, ...application.addressComponents, categories: application.categories.join("; "), referrals: application.referrals.join("; "), warnings: application.warnings.join(" ") };
+        lines.push(headings.map(heading => formatCsvField(record[heading])).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+}
+exports.formatCsv = formatCsv;
+// Formats development applications as a GeoJSON feature collection (development applications
+// without co-ordinates are omitted).
+function formatGeoJson(applications) {
+    let features = applications
+        .filter(application => typeof application.latitude === "number" && typeof application.longitude === "number")
+        .map(application => {
+        let properties = { ...application };
+        delete properties.latitude;
+        delete properties.longitude;
+        return { type: "Feature", geometry: { type: "Point", coordinates: [application.longitude, application.latitude] }, properties: properties };
+    });
+    return JSON.stringify({ type: "FeatureCollection", features: features }, null, 4) + "\n";
+}
+exports.formatGeoJson = formatGeoJson;
+// Converts development applications to the records expected by PlanningAlerts.  Optional fields
+// without a value are omitted.  Co-ordinates are only included if the street was matched (the
+// centre of a suburb is too imprecise to show the location of a development application).
+function toPlanningAlertsRecords(applications) {
+    return applications.map(application => {
+        let record = {
+            council_reference: application.applicationNumber,
+            address: application.address,
+            description: application.description,
+            info_url: application.informationUrl,
+            comment_url: application.commentUrl,
+            date_scraped: application.scrapeDate,
+            date_received: application.receivedDate,
+            on_notice_from: undefined,
+            on_notice_to: undefined,
+            lat: ["address", "street"].includes(application.geocodePrecision) ? application.latitude : undefined,
+            lng: ["address", "street"].includes(application.geocodePrecision) ? application.longitude : undefined
+        };
+        for (let name of Object.keys(record))
+            if (record[name] === undefined || record[name] === null || record[name] === "")
+                delete record[name];
+        return record;
+    });
+}
+exports.toPlanningAlertsRecords = toPlanningAlertsRecords;
+// Formats development applications in the specified format.
+function formatApplications(applications, format) {
+    if (format === "csv")
+        return formatCsv(applications);
+    else if (format === "geojson")
+        return formatGeoJson(applications);
+    else if (format === "planningalerts")
+        return JSON.stringify(toPlanningAlertsRecords(applications), null, 4) + "\n";
+    else
+        return JSON.stringify(applications, null, 4) + "\n";
+}
+exports.formatApplications = formatApplications;
+// Parses the command line arguments.
+function parseCommandLine(args) {
+    let options = { databaseFile: "data.sqlite", outputFile: undefined, format: "json", filter: { receivedFrom: undefined, receivedTo: undefined, suburb: undefined, referencePrefix: undefined } };
+    for (let index = 0; index < args.length; index++) {
+        let name = args[index];
+        let value = args[++index];
+        if (value === undefined)
+            throw new Error(`No value was provided for the command line argument: ${name}`);
+        if (name === "--database")
+            options.databaseFile = value;
+        else if (name === "--output")
+            options.outputFile = value;
+        else if (name === "--format") {
+            if (!Formats.includes(value.toLowerCase()))
+                throw new Error(`The format must be one of ${Formats.join(", ")}: ${value}`);
+            options.format = value.toLowerCase();
+        }
+        else if (name === "--received-from" || name === "--received-to") {
+            if (!moment(value, "YYYY-MM-DD", true).isValid())
+                throw new Error(`The date must be in the format YYYY-MM-DD: ${value}`);
+            if (name === "--received-from")
+                options.filter.receivedFrom = value;
+            else
+                options.filter.receivedTo = value;
+        }
+        else if (name === "--suburb")
+            options.filter.suburb = value;
+        else if (name === "--reference-prefix")
+            options.filter.referencePrefix = value;
+        else
+            throw new Error(`Unrecognised command line argument: ${name}`);
+    }
+    return options;
+}
+// Exports the development applications.
+async function main() {
+    let options = parseCommandLine(process.argv.slice(2));
+    if (!fs.existsSync(options.databaseFile))
+        throw new Error(`The database does not exist: ${options.databaseFile}`);
+    let database = new sqlite3.Database(options.databaseFile, sqlite3.OPEN_READONLY);
+    try {
+        let applications = await readApplications(database, options.filter);
+        let output = formatApplications(applications, options.format);
+        if (options.outputFile === undefined)
+            process.stdout.write(output);
+        else {
+            fs.writeFileSync(options.outputFile, output);
+            console.log(`Exported ${applications.length} development application(s) to: ${options.outputFile}`);
+        }
+    }
+    finally {
+        database.close();
+    }
+}
+if (require.main === module)
+    main().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZXhwb3J0LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiZXhwb3J0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLDRGQUE0RjtBQUM1RixtR0FBbUc7QUFDbkcsbUdBQW1HO0FBRW5HLFlBQVksQ0FBQzs7O0FBRWIseUJBQXlCO0FBQ3pCLG1DQUFtQztBQUNuQyxpQ0FBaUM7QUFDakMseUNBQStEO0FBSS9ELE1BQU0sT0FBTyxHQUFHLENBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxTQUFTLEVBQUUsZ0JBQWdCLENBQUUsQ0FBQztBQXFCL0QsNEZBQTRGO0FBRTVGLFNBQVMsY0FBYyxDQUFDLElBQVk7SUFDaEMsT0FBTyxDQUFDLElBQUksS0FBSyxJQUFJLElBQUksSUFBSSxLQUFLLFNBQVMsSUFBSSxJQUFJLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztBQUN4RixDQUFDO0FBRUQsMkZBQTJGO0FBQzNGLDZGQUE2RjtBQUM3RiwwQkFBMEI7QUFFbkIsS0FBSyxVQUFVLGdCQUFnQixDQUFDLFFBQVEsRUFBRSxNQUFvQjtJQUNqRSxJQUFJLFVBQVUsR0FBYSxFQUFFLENBQUM7SUFDOUIsSUFBSSxVQUFVLEdBQVUsRUFBRSxDQUFDO0lBQzNCLElBQUksTUFBTSxDQUFDLFlBQVksS0FBSyxTQUFTLEVBQUU7UUFDbkMsVUFBVSxDQUFDLElBQUksQ0FBQyxzQkFBc0IsQ0FBQyxDQUFDO1FBQ3hDLFVBQVUsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxDQUFDO0tBQ3hDO0lBQ0QsSUFBSSxNQUFNLENBQUMsVUFBVSxLQUFLLFNBQVMsRUFBRTtRQUNqQyxVQUFVLENBQUMsSUFBSSxDQUFDLHNCQUFzQixDQUFDLENBQUM7UUFDeEMsVUFBVSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLENBQUM7S0FDdEM7SUFDRCxJQUFJLE1BQU0sQ0FBQyxNQUFNLEtBQUssU0FBUyxFQUFFO1FBQzdCLFVBQVUsQ0FBQyxJQUFJLENBQUMsb0NBQW9DLENBQUMsQ0FBQztRQUN0RCxVQUFVLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztLQUN6QztJQUNELElBQUksTUFBTSxDQUFDLGVBQWUsS0FBSyxTQUFTLEVBQUU7UUFDdEMsVUFBVSxDQUFDLElBQUksQ0FBQyx1Q0FBdUMsQ0FBQyxDQUFDO1FBQ3pELFVBQVUsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLGVBQWUsQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLGVBQWUsQ0FBQyxDQUFDO0tBQzFFO0lBRUQsSUFBSSxJQUFJLEdBQUcsTUFBTSxtQkFBUSxDQUFDLFFBQVEsRUFBRSx1QkFBdUIsQ0FBQyxVQUFVLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLFVBQVUsVUFBVSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRSxnREFBZ0QsRUFBRSxVQUFVLENBQUMsQ0FBQztJQUM5TCxPQUFPLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUU7UUFDbEIsSUFBSSxpQkFBaUIsR0FBRyxFQUFFLENBQUM7UUFDM0IsS0FBSyxJQUFJLE1BQU0sSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLGtDQUF1QixDQUFDO1lBQ25ELGlCQUFpQixDQUFDLGtDQUF1QixDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEtBQUssSUFBSSxJQUFJLEdBQUcsQ0FBQyxNQUFNLENBQUMsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDaEksT0FBTztZQUNILGlCQUFpQixFQUFFLEdBQUcsQ0FBQyxpQkFBaUI7WUFDeEMsU0FBUyxFQUFFLEdBQUcsQ0FBQyxTQUFTO1lBQ3hCLE9BQU8sRUFBRSxHQUFHLENBQUMsT0FBTztZQUNwQixpQkFBaUIsRUFBRSxpQkFBaUI7WUFDcEMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxRQUFRO1lBQ3RCLFNBQVMsRUFBRSxHQUFHLENBQUMsU0FBUztZQUN4QixnQkFBZ0IsRUFBRSxHQUFHLENBQUMsaUJBQWlCO1lBQ3ZDLFdBQVcsRUFBRSxHQUFHLENBQUMsV0FBVztZQUM1QixVQUFVLEVBQUUsY0FBYyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUM7WUFDMUMsUUFBUSxFQUFFLENBQUMsR0FBRyxDQUFDLFNBQVMsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsU0FBUztZQUM5RCxjQUFjLEVBQUUsR0FBRyxDQUFDLFFBQVE7WUFDNUIsVUFBVSxFQUFFLEdBQUcsQ0FBQyxXQUFXO1lBQzNCLFVBQVUsRUFBRSxHQUFHLENBQUMsWUFBWTtZQUM1QixZQUFZLEVBQUUsR0FBRyxDQUFDLGFBQWE7WUFDL0IsZUFBZSxFQUFFLEdBQUcsQ0FBQyxnQkFBZ0I7WUFDckMsU0FBUyxFQUFFLGNBQWMsQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDO1lBQ3hDLFlBQVksRUFBRSxHQUFHLENBQUMsYUFBYTtZQUMvQixRQUFRLEVBQUUsR0FBRyxDQUFDLFFBQVE7WUFDdEIsUUFBUSxFQUFFLGNBQWMsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDO1NBQ3pDLENBQUM7SUFDTixDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUEvQ0QsNENBK0NDO0FBRUQsNERBQTREO0FBRTVELFNBQVMsY0FBYyxDQUFDLEtBQVU7SUFDOUIsSUFBSSxJQUFJLEdBQUcsQ0FBQyxLQUFLLEtBQUssSUFBSSxJQUFJLEtBQUssS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDeEUsT0FBTyxVQUFVLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztBQUM1RSxDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLDRFQUE0RTtBQUU1RSxTQUFnQixTQUFTLENBQUMsWUFBbUI7SUFDekMsSUFBSSxjQUFjLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxrQ0FBdUIsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLGtDQUF1QixDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7SUFDekcsSUFBSSxRQUFRLEdBQUcsQ0FBRSxtQkFBbUIsRUFBRSxXQUFXLEVBQUUsU0FBUyxFQUFFLEdBQUcsY0FBYyxFQUFFLFVBQVUsRUFBRSxXQUFXLEVBQUUsa0JBQWtCLEVBQUUsYUFBYSxFQUFFLFlBQVksRUFBRSxVQUFVLEVBQUUsZ0JBQWdCLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxjQUFjLEVBQUUsaUJBQWlCLEVBQUUsV0FBVyxFQUFFLGNBQWMsRUFBRSxVQUFVLEVBQUUsVUFBVSxDQUFFLENBQUM7SUFDOVMsSUFBSSxLQUFLLEdBQUcsQ0FBRSxRQUFRLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFFLENBQUM7SUFDbkMsS0FBSyxJQUFJLFdBQVcsSUFBSSxZQUFZLEVBQUU7UUFDbEMsSUFBSSxNQUFNLEdBQUcsRUFBRSxHQUFHLFdBQVcsRUFBRSxHQUFHLFdBQVcsQ0FBQyxpQkFBaUIsRUFBRSxVQUFVLEVBQUUsV0FBVyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsU0FBUyxFQUFFLFdBQVcsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLFFBQVEsRUFBRSxXQUFXLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDO1FBQ3hNLEtBQUssQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO0tBQ2xGO0lBQ0QsT0FBTyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLE1BQU0sQ0FBQztBQUN2QyxDQUFDO0FBVEQsOEJBU0M7QUFFRCw2RkFBNkY7QUFDN0YscUNBQXFDO0FBRXJDLFNBQWdCLGFBQWEsQ0FBQyxZQUFtQjtJQUM3QyxJQUFJLFFBQVEsR0FBRyxZQUFZO1NBQ3RCLE1BQU0sQ0FBQyxXQUFXLENBQUMsRUFBRSxDQUFDLE9BQU8sV0FBVyxDQUFDLFFBQVEsS0FBSyxRQUFRLElBQUksT0FBTyxXQUFXLENBQUMsU0FBUyxLQUFLLFFBQVEsQ0FBQztTQUM1RyxHQUFHLENBQUMsV0FBVyxDQUFDLEVBQUU7UUFDZixJQUFJLFVBQVUsR0FBRyxFQUFFLEdBQUcsV0FBVyxFQUFFLENBQUM7UUFDcEMsT0FBTyxVQUFVLENBQUMsUUFBUSxDQUFDO1FBQzNCLE9BQU8sVUFBVSxDQUFDLFNBQVMsQ0FBQztRQUM1QixPQUFPLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxRQUFRLEVBQUUsRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLFdBQVcsRUFBRSxDQUFFLFdBQVcsQ0FBQyxTQUFTLEVBQUUsV0FBVyxDQUFDLFFBQVEsQ0FBRSxFQUFFLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxDQUFDO0lBQ2xKLENBQUMsQ0FBQyxDQUFDO0lBQ1AsT0FBTyxJQUFJLENBQUMsU0FBUyxDQUFDLEVBQUUsSUFBSSxFQUFFLG1CQUFtQixFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDO0FBQzdGLENBQUM7QUFWRCxzQ0FVQztBQUVELGdHQUFnRztBQUNoRyw4RkFBOEY7QUFDOUYsMEZBQTBGO0FBRTFGLFNBQWdCLHVCQUF1QixDQUFDLFlBQW1CO0lBQ3ZELE9BQU8sWUFBWSxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsRUFBRTtRQUNsQyxJQUFJLE1BQU0sR0FBRztZQUNULGlCQUFpQixFQUFFLFdBQVcsQ0FBQyxpQkFBaUI7WUFDaEQsT0FBTyxFQUFFLFdBQVcsQ0FBQyxPQUFPO1lBQzVCLFdBQVcsRUFBRSxXQUFXLENBQUMsV0FBVztZQUNwQyxRQUFRLEVBQUUsV0FBVyxDQUFDLGNBQWM7WUFDcEMsV0FBVyxFQUFFLFdBQVcsQ0FBQyxVQUFVO1lBQ25DLFlBQVksRUFBRSxXQUFXLENBQUMsVUFBVTtZQUNwQyxhQUFhLEVBQUUsV0FBVyxDQUFDLFlBQVk7WUFDdkMsY0FBYyxFQUFFLFNBQVM7WUFDekIsWUFBWSxFQUFFLFNBQVM7WUFDdkIsR0FBRyxFQUFFLENBQUUsU0FBUyxFQUFFLFFBQVEsQ0FBRSxDQUFDLFFBQVEsQ0FBQyxXQUFXLENBQUMsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsU0FBUztZQUN0RyxHQUFHLEVBQUUsQ0FBRSxTQUFTLEVBQUUsUUFBUSxDQUFFLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxTQUFTO1NBQzFHLENBQUM7UUFDRixLQUFLLElBQUksSUFBSSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDO1lBQ2hDLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLFNBQVMsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssSUFBSSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxFQUFFO2dCQUMxRSxPQUFPLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUM1QixPQUFPLE1BQU0sQ0FBQztJQUNsQixDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFwQkQsMERBb0JDO0FBRUQsNERBQTREO0FBRTVELFNBQWdCLGtCQUFrQixDQUFDLFlBQW1CLEVBQUUsTUFBYztJQUNsRSxJQUFJLE1BQU0sS0FBSyxLQUFLO1FBQ2hCLE9BQU8sU0FBUyxDQUFDLFlBQVksQ0FBQyxDQUFDO1NBQzlCLElBQUksTUFBTSxLQUFLLFNBQVM7UUFDekIsT0FBTyxhQUFhLENBQUMsWUFBWSxDQUFDLENBQUM7U0FDbEMsSUFBSSxNQUFNLEtBQUssZ0JBQWdCO1FBQ2hDLE9BQU8sSUFBSSxDQUFDLFNBQVMsQ0FBQyx1QkFBdUIsQ0FBQyxZQUFZLENBQUMsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDOztRQUU3RSxPQUFPLElBQUksQ0FBQyxTQUFTLENBQUMsWUFBWSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUM7QUFDNUQsQ0FBQztBQVRELGdEQVNDO0FBRUQscUNBQXFDO0FBRXJDLFNBQVMsZ0JBQWdCLENBQUMsSUFBYztJQUNwQyxJQUFJLE9BQU8sR0FBWSxFQUFFLFlBQVksRUFBRSxhQUFhLEVBQUUsVUFBVSxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsVUFBVSxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsU0FBUyxFQUFFLGVBQWUsRUFBRSxTQUFTLEVBQUUsRUFBRSxDQUFDO0lBQ3pNLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxJQUFJLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQzlDLElBQUksSUFBSSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUN2QixJQUFJLEtBQUssR0FBRyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQztRQUMxQixJQUFJLEtBQUssS0FBSyxTQUFTO1lBQ25CLE1BQU0sSUFBSSxLQUFLLENBQUMsd0RBQXdELElBQUksRUFBRSxDQUFDLENBQUM7UUFDcEYsSUFBSSxJQUFJLEtBQUssWUFBWTtZQUNyQixPQUFPLENBQUMsWUFBWSxHQUFHLEtBQUssQ0FBQzthQUM1QixJQUFJLElBQUksS0FBSyxVQUFVO1lBQ3hCLE9BQU8sQ0FBQyxVQUFVLEdBQUcsS0FBSyxDQUFDO2FBQzFCLElBQUksSUFBSSxLQUFLLFVBQVUsRUFBRTtZQUMxQixJQUFJLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsV0FBVyxFQUFFLENBQUM7Z0JBQ3RDLE1BQU0sSUFBSSxLQUFLLENBQUMsNkJBQTZCLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEtBQUssS0FBSyxFQUFFLENBQUMsQ0FBQztZQUNqRixPQUFPLENBQUMsTUFBTSxHQUFHLEtBQUssQ0FBQyxXQUFXLEVBQUUsQ0FBQztTQUN4QzthQUFNLElBQUksSUFBSSxLQUFLLGlCQUFpQixJQUFJLElBQUksS0FBSyxlQUFlLEVBQUU7WUFDL0QsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEVBQUUsWUFBWSxFQUFFLElBQUksQ0FBQyxDQUFDLE9BQU8sRUFBRTtnQkFDNUMsTUFBTSxJQUFJLEtBQUssQ0FBQyw4Q0FBOEMsS0FBSyxFQUFFLENBQUMsQ0FBQztZQUMzRSxJQUFJLElBQUksS0FBSyxpQkFBaUI7Z0JBQzFCLE9BQU8sQ0FBQyxNQUFNLENBQUMsWUFBWSxHQUFHLEtBQUssQ0FBQzs7Z0JBRXBDLE9BQU8sQ0FBQyxNQUFNLENBQUMsVUFBVSxHQUFHLEtBQUssQ0FBQztTQUN6QzthQUFNLElBQUksSUFBSSxLQUFLLFVBQVU7WUFDMUIsT0FBTyxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsS0FBSyxDQUFDO2FBQzdCLElBQUksSUFBSSxLQUFLLG9CQUFvQjtZQUNsQyxPQUFPLENBQUMsTUFBTSxDQUFDLGVBQWUsR0FBRyxLQUFLLENBQUM7O1lBRXZDLE1BQU0sSUFBSSxLQUFLLENBQUMsdUNBQXVDLElBQUksRUFBRSxDQUFDLENBQUM7S0FDdEU7SUFDRCxPQUFPLE9BQU8sQ0FBQztBQUNuQixDQUFDO0FBRUQsd0NBQXdDO0FBRXhDLEtBQUssVUFBVSxJQUFJO0lBQ2YsSUFBSSxPQUFPLEdBQUcsZ0JBQWdCLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN0RCxJQUFJLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsWUFBWSxDQUFDO1FBQ3BDLE1BQU0sSUFBSSxLQUFLLENBQUMsZ0NBQWdDLE9BQU8sQ0FBQyxZQUFZLEVBQUUsQ0FBQyxDQUFDO0lBRTVFLElBQUksUUFBUSxHQUFHLElBQUksT0FBTyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsWUFBWSxFQUFFLE9BQU8sQ0FBQyxhQUFhLENBQUMsQ0FBQztJQUNqRixJQUFJO1FBQ0EsSUFBSSxZQUFZLEdBQUcsTUFBTSxnQkFBZ0IsQ0FBQyxRQUFRLEVBQUUsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ3BFLElBQUksTUFBTSxHQUFHLGtCQUFrQixDQUFDLFlBQVksRUFBRSxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDOUQsSUFBSSxPQUFPLENBQUMsVUFBVSxLQUFLLFNBQVM7WUFDaEMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUM7YUFDNUI7WUFDRCxFQUFFLENBQUMsYUFBYSxDQUFDLE9BQU8sQ0FBQyxVQUFVLEVBQUUsTUFBTSxDQUFDLENBQUM7WUFDN0MsT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFZLFlBQVksQ0FBQyxNQUFNLG1DQUFtQyxPQUFPLENBQUMsVUFBVSxFQUFFLENBQUMsQ0FBQztTQUN2RztLQUNKO1lBQVM7UUFDTixRQUFRLENBQUMsS0FBSyxFQUFFLENBQUM7S0FDcEI7QUFDTCxDQUFDO0FBRUQsSUFBSSxPQUFPLENBQUMsSUFBSSxLQUFLLE1BQU07SUFDdkIsSUFBSSxFQUFFLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxFQUFFO1FBQ2pCLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDckIsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUM7SUFDekIsQ0FBQyxDQUFDLENBQUMifQ==
\ No newline at end of file
@@ -0,0 +1,229 @@
+// Exports the development applications in the database as JSON, CSV, GeoJSON or the records
+// expected by PlanningAlerts (so that the output can be used without knowing the database schema).
+// For example, "node export.js --format csv --received-from 2019-01-01 --output applications.csv".
+
+"use strict";
+
+import * as fs from "fs";
+import * as sqlite3 from "sqlite3";
+import * as moment from "moment";
+import { AddressComponentColumns, readRows } from "./database";
+
+declare const process: any;
+
+const Formats = [ "json", "csv", "geojson", "planningalerts" ];
+
+// Options supplied on the command line.
+
+interface Options {
+    databaseFile: string,
+    outputFile: string,  // undefined to write to the standard output
+    format: string,  // one of the formats listed above
+    filter: ExportFilter
+}
+
+// Restricts the development applications that are exported (any criteria that are undefined are
+// ignored).
+
+export interface ExportFilter {
+    receivedFrom: string,  // YYYY-MM-DD (inclusive)
+    receivedTo: string,  // YYYY-MM-DD (inclusive)
+    suburb: string,  // ignoring case
+    referencePrefix: string  // the start of the application number (for example, "311/12")
+}
+
+// Parses a JSON array stored in a column (returning an empty array if the column is empty).
+
+function parseJsonArray(text: string) {
+    return (text === null || text === undefined || text === "") ? [] : JSON.parse(text);
+}
+
+// Reads the development applications from the database (in order of received date and then
+// application number), converting each row to the same shape as the development applications
+// produced by the parser.
+
+export async function readApplications(database, filter: ExportFilter) {
+    let conditions: string[] = [];
+    let parameters: any[] = [];
+    if (filter.receivedFrom !== undefined) {
+        conditions.push("[date_received] >= ?");
+        parameters.push(filter.receivedFrom);
+    }
+    if (filter.receivedTo !== undefined) {
+        conditions.push("[date_received] <= ?");
+        parameters.push(filter.receivedTo);
+    }
+    if (filter.suburb !== undefined) {
+        conditions.push("upper([address_suburb]) = upper(?)");
+        parameters.push(filter.suburb.trim());
+    }
+    if (filter.referencePrefix !== undefined) {
+        conditions.push("substr([council_reference], 1, ?) = ?");
+        parameters.push(filter.referencePrefix.length, filter.referencePrefix);
+    }
+
+    let rows = await readRows(database, `select * from [data]${(conditions.length === 0) ? "" : ` where ${conditions.join(" and ")}`} order by [date_received], [council_reference]`, parameters);
+    return rows.map(row => {
+        let addressComponents = {};
+        for (let column of Object.keys(AddressComponentColumns))
+            addressComponents[AddressComponentColumns[column]] = (row[column] === null || row[column] === undefined) ? "" : row[column];
+        return {
+            applicationNumber: row.council_reference,
+            applicant: row.applicant,
+            address: row.address,
+            addressComponents: addressComponents,
+            latitude: row.latitude,
+            longitude: row.longitude,
+            geocodePrecision: row.geocode_precision,
+            description: row.description,
+            categories: parseJsonArray(row.categories),
+            lotCount: (row.lot_count === undefined) ? null : row.lot_count,
+            informationUrl: row.info_url,
+            commentUrl: row.comment_url,
+            scrapeDate: row.date_scraped,
+            receivedDate: row.date_received,
+            applicationDate: row.date_application,
+            referrals: parseJsonArray(row.referrals),
+            decisionDate: row.date_decision,
+            decision: row.decision,
+            warnings: parseJsonArray(row.warnings)
+        };
+    });
+}
+
+// Formats a value as a CSV field (quoting it if necessary).
+
+function formatCsvField(value: any) {
+    let text = (value === null || value === undefined) ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+// Formats development applications as CSV (the address components are separate columns and the
+// categories, referrals and warnings are each joined into a single column).
+
+export function formatCsv(applications: any[]) {
+    let componentNames = Object.keys(AddressComponentColumns).map(column => AddressComponentColumns[column]);
+    let headings = [ "applicationNumber", "applicant", "address", ...componentNames, "latitude", "longitude", "geocodePrecision", "description", "categories", "lotCount", "informationUrl", "commentUrl", "scrapeDate", "receivedDate", "applicationDate", "referrals", "decisionDate", "decision", "warnings" ];
+    let lines = [ headings.join(",") ];
+    for (let application of applications) {
+        let record = { ...application, ...application.addressComponents, categories: application.categories.join("; "), referrals: application.referrals.join("; "), warnings: application.warnings.join(" ") };
+        lines.push(headings.map(heading => formatCsvField(record[heading])).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+}
+
+// Formats development applications as a GeoJSON feature collection (development applications
+// without co-ordinates are omitted).
+
+export function formatGeoJson(applications: any[]) {
+    let features = applications
+        .filter(application => typeof application.latitude === "number" && typeof application.longitude === "number")
+        .map(application => {
+            let properties = { ...application };
+            delete properties.latitude;
+            delete properties.longitude;
+            return { type: "Feature", geometry: { type: "Point", coordinates: [ application.longitude, application.latitude ] }, properties: properties };
+        });
+    return JSON.stringify({ type: "FeatureCollection", features: features }, null, 4) + "\n";
+}
+
+// Converts development applications to the records expected by PlanningAlerts.  Optional fields
+// without a value are omitted.  Co-ordinates are only included if the street was matched (the
+// centre of a suburb is too imprecise to show the location of a development application).
+
+export function toPlanningAlertsRecords(applications: any[]) {
+    return applications.map(application => {
+        let record = {
+            council_reference: application.applicationNumber,
+            address: application.address,
+            description: application.description,
+            info_url: application.informationUrl,
+            comment_url: application.commentUrl,
+            date_scraped: application.scrapeDate,
+            date_received: application.receivedDate,
+            on_notice_from: undefined,  // not published in the register
+            on_notice_to: undefined,
+            lat: [ "address", "street" ].includes(application.geocodePrecision) ? application.latitude : undefined,
+            lng: [ "address", "street" ].includes(application.geocodePrecision) ? application.longitude : undefined
+        };
+        for (let name of Object.keys(record))
+            if (record[name] === undefined || record[name] === null || record[name] === "")
+                delete record[name];
+        return record;
+    });
+}
+
+// Formats development applications in the specified format.
+
+export function formatApplications(applications: any[], format: string) {
+    if (format === "csv")
+        return formatCsv(applications);
+    else if (format === "geojson")
+        return formatGeoJson(applications);
+    else if (format === "planningalerts")
+        return JSON.stringify(toPlanningAlertsRecords(applications), null, 4) + "\n";
+    else
+        return JSON.stringify(applications, null, 4) + "\n";
+}
+
+// Parses the command line arguments.
+
+function parseCommandLine(args: string[]): Options {
+    let options: Options = { databaseFile: "data.sqlite", outputFile: undefined, format: "json", filter: { receivedFrom: undefined, receivedTo: undefined, suburb: undefined, referencePrefix: undefined } };
+    for (let index = 0; index < args.length; index++) {
+        let name = args[index];
+        let value = args[++index];
+        if (value === undefined)
+            throw new Error(`No value was provided for the command line argument: ${name}`);
+        if (name === "--database")
+            options.databaseFile = value;
+        else if (name === "--output")
+            options.outputFile = value;
+        else if (name === "--format") {
+            if (!Formats.includes(value.toLowerCase()))
+                throw new Error(`The format must be one of ${Formats.join(", ")}: ${value}`);
+            options.format = value.toLowerCase();
+        } else if (name === "--received-from" || name === "--received-to") {
+            if (!moment(value, "YYYY-MM-DD", true).isValid())
+                throw new Error(`The date must be in the format YYYY-MM-DD: ${value}`);
+            if (name === "--received-from")
+                options.filter.receivedFrom = value;
+            else
+                options.filter.receivedTo = value;
+        } else if (name === "--suburb")
+            options.filter.suburb = value;
+        else if (name === "--reference-prefix")
+            options.filter.referencePrefix = value;
+        else
+            throw new Error(`Unrecognised command line argument: ${name}`);
+    }
+    return options;
+}
+
+// Exports the development applications.
+
+async function main() {
+    let options = parseCommandLine(process.argv.slice(2));
+    if (!fs.existsSync(options.databaseFile))
+        throw new Error(`The database does not exist: ${options.databaseFile}`);
+
+    let database = new sqlite3.Database(options.databaseFile, sqlite3.OPEN_READONLY);
+    try {
+        let applications = await readApplications(database, options.filter);
+        let output = formatApplications(applications, options.format);
+        if (options.outputFile === undefined)
+            process.stdout.write(output);
+        else {
+            fs.writeFileSync(options.outputFile, output);
+            console.log(`Exported ${applications.length} development application(s) to: ${options.outputFile}`);
+        }
+    } finally {
+        database.close();
+    }
+}
+
+if (require.main === module)
+    main().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,92 @@
+// Retrieves documents over HTTP, retrying transient failures (with exponential backoff), limiting
+// the rate of requests to each host and sending conditional requests (using the ETag and
+// Last-Modified headers of an earlier response) so that unchanged documents are not downloaded
+// again.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.fetchDocument = exports.configureFetch = void 0;
+const request = require("request-promise-native");
+const urlparser = require("url");
+let Settings = {
+    retryCount: 4,
+    retryDelay: 2000,
+    timeout: 60000,
+    requestInterval: 2000,
+    requestJitter: 5000,
+    hostRequestIntervals: {},
+    proxy: process.env.MORPH_PROXY
+};
+// The time at which the most recent request to each host completed.
+const LastRequestTimes = {};
+// Status codes that indicate a transient failure (so that the request should be retried).
+const RetryStatusCodes = [408, 429, 500, 502, 503, 504];
+// Changes the settings that control how documents are retrieved (any settings that are not
+// specified are unchanged).
+function configureFetch(settings) {
+    Settings = { ...Settings, ...settings };
+}
+exports.configureFetch = configureFetch;
+// Pauses for the specified number of milliseconds.
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+// Waits until enough time has passed since the previous request to the specified host.
+async function waitForHost(host) {
+    if (LastRequestTimes[host] === undefined)
+        return;
+    let interval = (Settings.hostRequestIntervals[host] === undefined) ? Settings.requestInterval : Settings.hostRequestIntervals[host];
+    let delay = LastRequestTimes[host] + interval + Math.floor(Math.random() * Settings.requestJitter) - Date.now();
+    if (delay > 0)
+        await sleep(delay);
+}
+// Gets the delay before retrying a request (doubling for each attempt, but at least as long as
+// any delay requested by the server in a Retry-After header).
+function getRetryDelay(attempt, retryAfter) {
+    let delay = Settings.retryDelay * Math.pow(2, attempt);
+    let retryAfterSeconds = Number(retryAfter);
+    if (retryAfter !== undefined && !isNaN(retryAfterSeconds))
+        delay = Math.max(delay, retryAfterSeconds * 1000);
+    return delay;
+}
+// Retrieves a document.  If the ETag or Last-Modified value of an earlier response is specified
+// then a conditional request is made (and the result indicates if the document has not been
+// modified).  Network errors, timeouts and transient server errors are retried; an error is
+// thrown if all attempts fail or the server returns any other unsuccessful status code.
+async function fetchDocument(url, etag, lastModified) {
+    let host = new urlparser.URL(url).host;
+    let headers = {};
+    if (etag !== undefined && etag !== null)
+        headers["If-None-Match"] = etag;
+    if (lastModified !== undefined && lastModified !== null)
+        headers["If-Modified-Since"] = lastModified;
+    for (let attempt = 0;; attempt++) {
+        await waitForHost(host);
+        let response = undefined;
+        let failure = undefined;
+        try {
+            response = await request({ url: url, encoding: null, proxy: Settings.proxy, headers: headers, timeout: Settings.timeout, resolveWithFullResponse: true, simple: false });
+        }
+        catch (error) {
+            failure = (error.cause !== undefined && error.cause.code !== undefined) ? error.cause.code : error.message; // for example, "ETIMEDOUT" or "ECONNRESET"
+        }
+        finally {
+            LastRequestTimes[host] = Date.now();
+        }
+        if (response !== undefined && response.statusCode === 304)
+            return { body: null, notModified: true, etag: response.headers["etag"] || etag || null, lastModified: response.headers["last-modified"] || lastModified || null };
+        if (response !== undefined && response.statusCode >= 200 && response.statusCode < 300)
+            return { body: response.body, notModified: false, etag: response.headers["etag"] || null, lastModified: response.headers["last-modified"] || null };
+        if (response !== undefined) {
+            failure = `HTTP status ${response.statusCode}`;
+            if (!RetryStatusCodes.includes(response.statusCode))
+                throw new Error(`Could not retrieve ${url} (${failure}).`);
+        }
+        if (attempt >= Settings.retryCount)
+            throw new Error(`Could not retrieve ${url} after ${attempt + 1} attempt(s) (${failure}).`);
+        let delay = getRetryDelay(attempt, (response === undefined) ? undefined : response.headers["retry-after"]);
+        console.log(`Could not retrieve ${url} (${failure}); retrying in ${(delay / 1000).toFixed(1)} second(s).`);
+        await sleep(delay);
+    }
+}
+exports.fetchDocument = fetchDocument;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZmV0Y2guanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJmZXRjaC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxrR0FBa0c7QUFDbEcseUZBQXlGO0FBQ3pGLCtGQUErRjtBQUMvRixTQUFTO0FBRVQsWUFBWSxDQUFDOzs7QUFFYixrREFBa0Q7QUFDbEQsaUNBQWlDO0FBZ0JqQyxJQUFJLFFBQVEsR0FBa0I7SUFDMUIsVUFBVSxFQUFFLENBQUM7SUFDYixVQUFVLEVBQUUsSUFBSTtJQUNoQixPQUFPLEVBQUUsS0FBSztJQUNkLGVBQWUsRUFBRSxJQUFJO0lBQ3JCLGFBQWEsRUFBRSxJQUFJO0lBQ25CLG9CQUFvQixFQUFFLEVBQUU7SUFDeEIsS0FBSyxFQUFFLE9BQU8sQ0FBQyxHQUFHLENBQUMsV0FBVztDQUNqQyxDQUFDO0FBRUYsb0VBQW9FO0FBRXBFLE1BQU0sZ0JBQWdCLEdBQStCLEVBQUUsQ0FBQztBQUV4RCwwRkFBMEY7QUFFMUYsTUFBTSxnQkFBZ0IsR0FBRyxDQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxDQUFFLENBQUM7QUFZMUQsMkZBQTJGO0FBQzNGLDRCQUE0QjtBQUU1QixTQUFnQixjQUFjLENBQUMsUUFBZ0M7SUFDM0QsUUFBUSxHQUFHLEVBQUUsR0FBRyxRQUFRLEVBQUUsR0FBRyxRQUFRLEVBQUUsQ0FBQztBQUM1QyxDQUFDO0FBRkQsd0NBRUM7QUFFRCxtREFBbUQ7QUFFbkQsU0FBUyxLQUFLLENBQUMsWUFBb0I7SUFDL0IsT0FBTyxJQUFJLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxPQUFPLEVBQUUsWUFBWSxDQUFDLENBQUMsQ0FBQztBQUNyRSxDQUFDO0FBRUQsdUZBQXVGO0FBRXZGLEtBQUssVUFBVSxXQUFXLENBQUMsSUFBWTtJQUNuQyxJQUFJLGdCQUFnQixDQUFDLElBQUksQ0FBQyxLQUFLLFNBQVM7UUFDcEMsT0FBTztJQUNYLElBQUksUUFBUSxHQUFHLENBQUMsUUFBUSxDQUFDLG9CQUFvQixDQUFDLElBQUksQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsZUFBZSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsb0JBQW9CLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDcEksSUFBSSxLQUFLLEdBQUcsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLEdBQUcsUUFBUSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxFQUFFLENBQUM7SUFDaEgsSUFBSSxLQUFLLEdBQUcsQ0FBQztRQUNULE1BQU0sS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO0FBQzNCLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsOERBQThEO0FBRTlELFNBQVMsYUFBYSxDQUFDLE9BQWUsRUFBRSxVQUFrQjtJQUN0RCxJQUFJLEtBQUssR0FBRyxRQUFRLENBQUMsVUFBVSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBQ3ZELElBQUksaUJBQWlCLEdBQUcsTUFBTSxDQUFDLFVBQVUsQ0FBQyxDQUFDO0lBQzNDLElBQUksVUFBVSxLQUFLLFNBQVMsSUFBSSxDQUFDLEtBQUssQ0FBQyxpQkFBaUIsQ0FBQztRQUNyRCxLQUFLLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLEVBQUUsaUJBQWlCLEdBQUcsSUFBSSxDQUFDLENBQUM7SUFDdEQsT0FBTyxLQUFLLENBQUM7QUFDakIsQ0FBQztBQUVELGdHQUFnRztBQUNoRyw0RkFBNEY7QUFDNUYsNEZBQTRGO0FBQzVGLHdGQUF3RjtBQUVqRixLQUFLLFVBQVUsYUFBYSxDQUFDLEdBQVcsRUFBRSxJQUFhLEVBQUUsWUFBcUI7SUFDakYsSUFBSSxJQUFJLEdBQUcsSUFBSSxTQUFTLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUN2QyxJQUFJLE9BQU8sR0FBRyxFQUFFLENBQUM7SUFDakIsSUFBSSxJQUFJLEtBQUssU0FBUyxJQUFJLElBQUksS0FBSyxJQUFJO1FBQ25DLE9BQU8sQ0FBQyxlQUFlLENBQUMsR0FBRyxJQUFJLENBQUM7SUFDcEMsSUFBSSxZQUFZLEtBQUssU0FBUyxJQUFJLFlBQVksS0FBSyxJQUFJO1FBQ25ELE9BQU8sQ0FBQyxtQkFBbUIsQ0FBQyxHQUFHLFlBQVksQ0FBQztJQUVoRCxLQUFLLElBQUksT0FBTyxHQUFHLENBQUMsR0FBSSxPQUFPLEVBQUUsRUFBRTtRQUMvQixNQUFNLFdBQVcsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN4QixJQUFJLFFBQVEsR0FBRyxTQUFTLENBQUM7UUFDekIsSUFBSSxPQUFPLEdBQVcsU0FBUyxDQUFDO1FBQ2hDLElBQUk7WUFDQSxRQUFRLEdBQUcsTUFBTSxPQUFPLENBQUMsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLFFBQVEsQ0FBQyxLQUFLLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsUUFBUSxDQUFDLE9BQU8sRUFBRSx1QkFBdUIsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7U0FDNUs7UUFBQyxPQUFPLEtBQUssRUFBRTtZQUNaLE9BQU8sR0FBRyxDQUFDLEtBQUssQ0FBQyxLQUFLLEtBQUssU0FBUyxJQUFJLEtBQUssQ0FBQyxLQUFLLENBQUMsSUFBSSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFFLDJDQUEyQztTQUMzSjtnQkFBUztZQUNOLGdCQUFnQixDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQztTQUN2QztRQUVELElBQUksUUFBUSxLQUFLLFNBQVMsSUFBSSxRQUFRLENBQUMsVUFBVSxLQUFLLEdBQUc7WUFDckQsT0FBTyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsV0FBVyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsUUFBUSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxJQUFJLElBQUksSUFBSSxFQUFFLFlBQVksRUFBRSxRQUFRLENBQUMsT0FBTyxDQUFDLGVBQWUsQ0FBQyxJQUFJLFlBQVksSUFBSSxJQUFJLEVBQUUsQ0FBQztRQUN0SyxJQUFJLFFBQVEsS0FBSyxTQUFTLElBQUksUUFBUSxDQUFDLFVBQVUsSUFBSSxHQUFHLElBQUksUUFBUSxDQUFDLFVBQVUsR0FBRyxHQUFHO1lBQ2pGLE9BQU8sRUFBRSxJQUFJLEVBQUUsUUFBUSxDQUFDLElBQUksRUFBRSxXQUFXLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxRQUFRLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLElBQUksRUFBRSxZQUFZLEVBQUUsUUFBUSxDQUFDLE9BQU8sQ0FBQyxlQUFlLENBQUMsSUFBSSxJQUFJLEVBQUUsQ0FBQztRQUN4SixJQUFJLFFBQVEsS0FBSyxTQUFTLEVBQUU7WUFDeEIsT0FBTyxHQUFHLGVBQWUsUUFBUSxDQUFDLFVBQVUsRUFBRSxDQUFDO1lBQy9DLElBQUksQ0FBQyxnQkFBZ0IsQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDLFVBQVUsQ0FBQztnQkFDL0MsTUFBTSxJQUFJLEtBQUssQ0FBQyxzQkFBc0IsR0FBRyxLQUFLLE9BQU8sSUFBSSxDQUFDLENBQUM7U0FDbEU7UUFFRCxJQUFJLE9BQU8sSUFBSSxRQUFRLENBQUMsVUFBVTtZQUM5QixNQUFNLElBQUksS0FBSyxDQUFDLHNCQUFzQixHQUFHLFVBQVUsT0FBTyxHQUFHLENBQUMsZ0JBQWdCLE9BQU8sSUFBSSxDQUFDLENBQUM7UUFDL0YsSUFBSSxLQUFLLEdBQUcsYUFBYSxDQUFDLE9BQU8sRUFBRSxDQUFDLFFBQVEsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUM7UUFDM0csT0FBTyxDQUFDLEdBQUcsQ0FBQyxzQkFBc0IsR0FBRyxLQUFLLE9BQU8sa0JBQWtCLENBQUMsS0FBSyxHQUFHLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsYUFBYSxDQUFDLENBQUM7UUFDM0csTUFBTSxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7S0FDdEI7QUFDTCxDQUFDO0FBcENELHNDQW9DQyJ9
\ No newline at end of file
@@ -0,0 +1,129 @@
+// Retrieves documents over HTTP, retrying transient failures (with exponential backoff), limiting
+// the rate of requests to each host and sending conditional requests (using the ETag and
+// Last-Modified headers of an earlier response) so that unchanged documents are not downloaded
+// again.
+
+"use strict";
+
+import * as request from "request-promise-native";
+import * as urlparser from "url";
+
+declare const process: any;
+
+// Settings that control how documents are retrieved.
+
+export interface FetchSettings {
+    retryCount: number,  // the number of times a failed request is retried
+    retryDelay: number,  // the delay (in milliseconds) before the first retry (this doubles for each subsequent retry)
+    timeout: number,  // the time (in milliseconds) to wait for a response
+    requestInterval: number,  // the minimum time (in milliseconds) between requests to the same host
+    requestJitter: number,  // the maximum random time (in milliseconds) added to the interval between requests
+    hostRequestIntervals: { [host: string]: number },  // the minimum time between requests for specific hosts (overrides the request interval)
+    proxy: string
+}
+
+let Settings: FetchSettings = {
+    retryCount: 4,
+    retryDelay: 2000,
+    timeout: 60000,
+    requestInterval: 2000,
+    requestJitter: 5000,
+    hostRequestIntervals: {},
+    proxy: process.env.MORPH_PROXY
+};
+
+// The time at which the most recent request to each host completed.
+
+const LastRequestTimes: { [host: string]: number } = {};
+
+// Status codes that indicate a transient failure (so that the request should be retried).
+
+const RetryStatusCodes = [ 408, 429, 500, 502, 503, 504 ];
+
+// A retrieved document.  If the document has not been modified since the earlier response (for a
+// conditional request) then the body is null.
+
+export interface FetchResult {
+    body: Buffer,
+    notModified: boolean,
+    etag: string,  // null if the response has no ETag header
+    lastModified: string  // null if the response has no Last-Modified header
+}
+
+// Changes the settings that control how documents are retrieved (any settings that are not
+// specified are unchanged).
+
+export function configureFetch(settings: Partial<FetchSettings>) {
+    Settings = { ...Settings, ...settings };
+}
+
+// Pauses for the specified number of milliseconds.
+
+function sleep(milliseconds: number) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+// Waits until enough time has passed since the previous request to the specified host.
+
+async function waitForHost(host: string) {
+    if (LastRequestTimes[host] === undefined)
+        return;
+    let interval = (Settings.hostRequestIntervals[host] === undefined) ? Settings.requestInterval : Settings.hostRequestIntervals[host];
+    let delay = LastRequestTimes[host] + interval + Math.floor(Math.random() * Settings.requestJitter) - Date.now();
+    if (delay > 0)
+        await sleep(delay);
+}
+
+// Gets the delay before retrying a request (doubling for each attempt, but at least as long as
+// any delay requested by the server in a Retry-After header).
+
+function getRetryDelay(attempt: number, retryAfter: string) {
+    let delay = Settings.retryDelay * Math.pow(2, attempt);
+    let retryAfterSeconds = Number(retryAfter);
+    if (retryAfter !== undefined && !isNaN(retryAfterSeconds))
+        delay = Math.max(delay, retryAfterSeconds * 1000);
+    return delay;
+}
+
+// Retrieves a document.  If the ETag or Last-Modified value of an earlier response is specified
+// then a conditional request is made (and the result indicates if the document has not been
+// modified).  Network errors, timeouts and transient server errors are retried; an error is
+// thrown if all attempts fail or the server returns any other unsuccessful status code.
+
+export async function fetchDocument(url: string, etag?: string, lastModified?: string): Promise<FetchResult> {
+    let host = new urlparser.URL(url).host;
+    let headers = {};
+    if (etag !== undefined && etag !== null)
+        headers["If-None-Match"] = etag;
+    if (lastModified !== undefined && lastModified !== null)
+        headers["If-Modified-Since"] = lastModified;
+
+    for (let attempt = 0; ; attempt++) {
+        await waitForHost(host);
+        let response = undefined;
+        let failure: string = undefined;
+        try {
+            response = await request({ url: url, encoding: null, proxy: Settings.proxy, headers: headers, timeout: Settings.timeout, resolveWithFullResponse: true, simple: false });
+        } catch (error) {
+            failure = (error.cause !== undefined && error.cause.code !== undefined) ? error.cause.code : error.message;  // for example, "ETIMEDOUT" or "ECONNRESET"
+        } finally {
+            LastRequestTimes[host] = Date.now();
+        }
+
+        if (response !== undefined && response.statusCode === 304)
+            return { body: null, notModified: true, etag: response.headers["etag"] || etag || null, lastModified: response.headers["last-modified"] || lastModified || null };
+        if (response !== undefined && response.statusCode >= 200 && response.statusCode < 300)
+            return { body: response.body, notModified: false, etag: response.headers["etag"] || null, lastModified: response.headers["last-modified"] || null };
+        if (response !== undefined) {
+            failure = `HTTP status ${response.statusCode}`;
+            if (!RetryStatusCodes.includes(response.statusCode))
+                throw new Error(`Could not retrieve ${url} (${failure}).`);
+        }
+
+        if (attempt >= Settings.retryCount)
+            throw new Error(`Could not retrieve ${url} after ${attempt + 1} attempt(s) (${failure}).`);
+        let delay = getRetryDelay(attempt, (response === undefined) ? undefined : response.headers["retry-after"]);
+        console.log(`Could not retrieve ${url} (${failure}); retrying in ${(delay / 1000).toFixed(1)} second(s).`);
+        await sleep(delay);
+    }
+}
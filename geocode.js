@@ -0,0 +1,106 @@
+// Geocodes addresses using local data only (no network requests are made): a CSV file of street
+// (or individual address) co-ordinates and the suburb centres in the suburb names file.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.geocodeAddress = exports.loadStreetCoordinates = void 0;
+const address_1 = require("./address");
+// Splits a line of CSV into fields (allowing for quoted fields that contain commas and doubled
+// quotes).
+function splitCsvLine(line) {
+    let fields = [];
+    let field = "";
+    let isQuoted = false;
+    for (let index = 0; index < line.length; index++) {
+        let character = line[index];
+        if (isQuoted && character === "\"" && line[index + 1] === "\"") {
+            field += "\"";
+            index++;
+        }
+        else if (character === "\"")
+            isQuoted = !isQuoted;
+        else if (character === "," && !isQuoted) {
+            fields.push(field.trim());
+            field = "";
+        }
+        else
+            field += character;
+    }
+    fields.push(field.trim());
+    return fields;
+}
+// Normalises a street name for comparison (upper case with the street type expanded, so that
+// "Main St" and "MAIN STREET" are the same).
+function normaliseStreet(street) {
+    let words = street.toUpperCase().replace(/\s+/g, " ").trim().split(" ").filter(word => word !== "");
+    if (words.length > 1 && address_1.expandStreetType(words[words.length - 1]) !== undefined)
+        words[words.length - 1] = address_1.expandStreetType(words[words.length - 1]).toUpperCase();
+    return words.join(" ");
+}
+// Constructs the key used to look up the co-ordinates of a street (or of an individual address if
+// a street number is specified).
+function getKey(suburb, street, streetNumber) {
+    let key = `${suburb.toUpperCase().replace(/\s+/g, " ").trim()}|${normaliseStreet(street)}`;
+    return (streetNumber === undefined || streetNumber.trim() === "") ? key : `${key}|${streetNumber.trim().toUpperCase()}`;
+}
+// Reads street co-ordinates from CSV text with a heading line.  The "street", "suburb",
+// "latitude" and "longitude" columns are required (for example, a list of street centres).  The
+// "number" column is optional (for example, an extract of individual addresses from G-NAF).
+function loadStreetCoordinates(csvText) {
+    let lines = csvText.replace(/\r/g, "").split("\n").filter(line => line.trim() !== "");
+    if (lines.length === 0)
+        return {};
+    let headings = splitCsvLine(lines[0]).map(heading => heading.toLowerCase());
+    let streetIndex = headings.indexOf("street");
+    let suburbIndex = headings.indexOf("suburb");
+    let numberIndex = headings.indexOf("number");
+    let latitudeIndex = headings.indexOf("latitude");
+    let longitudeIndex = headings.indexOf("longitude");
+    if (streetIndex < 0 || suburbIndex < 0 || latitudeIndex < 0 || longitudeIndex < 0)
+        throw new Error(`The geocoding file must have "street", "suburb", "latitude" and "longitude" columns (found the columns: ${headings.join(", ")}).`);
+    let streetCoordinates = {};
+    let streetTotals = {};
+    for (let line of lines.slice(1)) {
+        let fields = splitCsvLine(line);
+        let coordinates = { latitude: Number(fields[latitudeIndex]), longitude: Number(fields[longitudeIndex]) };
+        if (isNaN(coordinates.latitude) || isNaN(coordinates.longitude) || fields[latitudeIndex] === "" || fields[longitudeIndex] === "")
+            continue; // ignore lines without valid co-ordinates
+        let streetKey = getKey(fields[suburbIndex], fields[streetIndex]);
+        let streetNumber = (numberIndex < 0) ? "" : fields[numberIndex];
+        if (streetNumber === "") {
+            streetCoordinates[streetKey] = coordinates; // a street centre
+            continue;
+        }
+        // An individual address (the average of the addresses in a street is used as the street
+        // centre when the file does not contain a street centre).
+        streetCoordinates[getKey(fields[suburbIndex], fields[streetIndex], streetNumber)] = coordinates;
+        let total = streetTotals[streetKey] || { latitude: 0, longitude: 0, count: 0 };
+        total.latitude += coordinates.latitude;
+        total.longitude += coordinates.longitude;
+        total.count++;
+        streetTotals[streetKey] = total;
+    }
+    for (let streetKey of Object.keys(streetTotals))
+        if (streetCoordinates[streetKey] === undefined)
+            streetCoordinates[streetKey] = { latitude: streetTotals[streetKey].latitude / streetTotals[streetKey].count, longitude: streetTotals[streetKey].longitude / streetTotals[streetKey].count };
+    return streetCoordinates;
+}
+exports.loadStreetCoordinates = loadStreetCoordinates;
+// Geocodes an address, falling back from the individual address to the street and then to the
+// centre of the suburb.
+function geocodeAddress(components, gazetteer, streetCoordinates) {
+    let street = [components.streetName, components.streetType, components.streetSuffix].filter(part => part !== "").join(" ");
+    if (streetCoordinates !== null && components.suburb !== "" && components.streetName !== "") {
+        let coordinates = (components.streetNumber === "") ? undefined : streetCoordinates[getKey(components.suburb, street, components.streetNumber)];
+        if (coordinates !== undefined)
+            return { latitude: coordinates.latitude, longitude: coordinates.longitude, precision: "address" };
+        coordinates = streetCoordinates[getKey(components.suburb, street)];
+        if (coordinates !== undefined)
+            return { latitude: coordinates.latitude, longitude: coordinates.longitude, precision: "street" };
+    }
+    let locality = gazetteer[components.suburb];
+    if (locality !== undefined && locality.latitude !== undefined && locality.longitude !== undefined)
+        return { latitude: locality.latitude, longitude: locality.longitude, precision: "suburb" };
+    return { latitude: null, longitude: null, precision: "none" };
+}
+exports.geocodeAddress = geocodeAddress;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZ2VvY29kZS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImdlb2NvZGUudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsZ0dBQWdHO0FBQ2hHLHdGQUF3RjtBQUV4RixZQUFZLENBQUM7OztBQUViLHVDQUEyRTtBQWtCM0UsK0ZBQStGO0FBQy9GLFdBQVc7QUFFWCxTQUFTLFlBQVksQ0FBQyxJQUFZO0lBQzlCLElBQUksTUFBTSxHQUFhLEVBQUUsQ0FBQztJQUMxQixJQUFJLEtBQUssR0FBRyxFQUFFLENBQUM7SUFDZixJQUFJLFFBQVEsR0FBRyxLQUFLLENBQUM7SUFDckIsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxHQUFHLElBQUksQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDOUMsSUFBSSxTQUFTLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQzVCLElBQUksUUFBUSxJQUFJLFNBQVMsS0FBSyxJQUFJLElBQUksSUFBSSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsS0FBSyxJQUFJLEVBQUU7WUFDNUQsS0FBSyxJQUFJLElBQUksQ0FBQztZQUNkLEtBQUssRUFBRSxDQUFDO1NBQ1g7YUFBTSxJQUFJLFNBQVMsS0FBSyxJQUFJO1lBQ3pCLFFBQVEsR0FBRyxDQUFDLFFBQVEsQ0FBQzthQUNwQixJQUFJLFNBQVMsS0FBSyxHQUFHLElBQUksQ0FBQyxRQUFRLEVBQUU7WUFDckMsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztZQUMxQixLQUFLLEdBQUcsRUFBRSxDQUFDO1NBQ2Q7O1lBQ0csS0FBSyxJQUFJLFNBQVMsQ0FBQztLQUMxQjtJQUNELE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7SUFDMUIsT0FBTyxNQUFNLENBQUM7QUFDbEIsQ0FBQztBQUVELDZGQUE2RjtBQUM3Riw2Q0FBNkM7QUFFN0MsU0FBUyxlQUFlLENBQUMsTUFBYztJQUNuQyxJQUFJLEtBQUssR0FBRyxNQUFNLENBQUMsV0FBVyxFQUFFLENBQUMsT0FBTyxDQUFDLE1BQU0sRUFBRSxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxLQUFLLEVBQUUsQ0FBQyxDQUFDO0lBQ3BHLElBQUksS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLElBQUksMEJBQWdCLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsS0FBSyxTQUFTO1FBQzNFLEtBQUssQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxHQUFHLDBCQUFnQixDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDdEYsT0FBTyxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0FBQzNCLENBQUM7QUFFRCxrR0FBa0c7QUFDbEcsaUNBQWlDO0FBRWpDLFNBQVMsTUFBTSxDQUFDLE1BQWMsRUFBRSxNQUFjLEVBQUUsWUFBcUI7SUFDakUsSUFBSSxHQUFHLEdBQUcsR0FBRyxNQUFNLENBQUMsV0FBVyxFQUFFLENBQUMsT0FBTyxDQUFDLE1BQU0sRUFBRSxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsSUFBSSxlQUFlLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQztJQUMzRixPQUFPLENBQUMsWUFBWSxLQUFLLFNBQVMsSUFBSSxZQUFZLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsR0FBRyxHQUFHLElBQUksWUFBWSxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxFQUFFLENBQUM7QUFDNUgsQ0FBQztBQUVELHdGQUF3RjtBQUN4RixnR0FBZ0c7QUFDaEcsNEZBQTRGO0FBRTVGLFNBQWdCLHFCQUFxQixDQUFDLE9BQWU7SUFDakQsSUFBSSxLQUFLLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQztJQUN0RixJQUFJLEtBQUssQ0FBQyxNQUFNLEtBQUssQ0FBQztRQUNsQixPQUFPLEVBQUUsQ0FBQztJQUVkLElBQUksUUFBUSxHQUFHLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQztJQUM1RSxJQUFJLFdBQVcsR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQzdDLElBQUksV0FBVyxHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDN0MsSUFBSSxXQUFXLEdBQUcsUUFBUSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUM3QyxJQUFJLGFBQWEsR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLFVBQVUsQ0FBQyxDQUFDO0lBQ2pELElBQUksY0FBYyxHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLENBQUM7SUFDbkQsSUFBSSxXQUFXLEdBQUcsQ0FBQyxJQUFJLFdBQVcsR0FBRyxDQUFDLElBQUksYUFBYSxHQUFHLENBQUMsSUFBSSxjQUFjLEdBQUcsQ0FBQztRQUM3RSxNQUFNLElBQUksS0FBSyxDQUFDLDJHQUEyRyxRQUFRLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUV4SixJQUFJLGlCQUFpQixHQUFzQixFQUFFLENBQUM7SUFDOUMsSUFBSSxZQUFZLEdBQThFLEVBQUUsQ0FBQztJQUNqRyxLQUFLLElBQUksSUFBSSxJQUFJLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUU7UUFDN0IsSUFBSSxNQUFNLEdBQUcsWUFBWSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ2hDLElBQUksV0FBVyxHQUFHLEVBQUUsUUFBUSxFQUFFLE1BQU0sQ0FBQyxNQUFNLENBQUMsYUFBYSxDQUFDLENBQUMsRUFBRSxTQUFTLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxjQUFjLENBQUMsQ0FBQyxFQUFFLENBQUM7UUFDekcsSUFBSSxLQUFLLENBQUMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxJQUFJLEtBQUssQ0FBQyxXQUFXLENBQUMsU0FBUyxDQUFDLElBQUksTUFBTSxDQUFDLGFBQWEsQ0FBQyxLQUFLLEVBQUUsSUFBSSxNQUFNLENBQUMsY0FBYyxDQUFDLEtBQUssRUFBRTtZQUM1SCxTQUFTLENBQUUsMENBQTBDO1FBRXpELElBQUksU0FBUyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsV0FBVyxDQUFDLEVBQUUsTUFBTSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUM7UUFDakUsSUFBSSxZQUFZLEdBQUcsQ0FBQyxXQUFXLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxDQUFDO1FBQ2hFLElBQUksWUFBWSxLQUFLLEVBQUUsRUFBRTtZQUNyQixpQkFBaUIsQ0FBQyxTQUFTLENBQUMsR0FBRyxXQUFXLENBQUMsQ0FBRSxrQkFBa0I7WUFDL0QsU0FBUztTQUNaO1FBRUQsd0ZBQXdGO1FBQ3hGLDBEQUEwRDtRQUUxRCxpQkFBaUIsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxXQUFXLENBQUMsRUFBRSxZQUFZLENBQUMsQ0FBQyxHQUFHLFdBQVcsQ0FBQztRQUNoRyxJQUFJLEtBQUssR0FBRyxZQUFZLENBQUMsU0FBUyxDQUFDLElBQUksRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxDQUFDLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxDQUFDO1FBQy9FLEtBQUssQ0FBQyxRQUFRLElBQUksV0FBVyxDQUFDLFFBQVEsQ0FBQztRQUN2QyxLQUFLLENBQUMsU0FBUyxJQUFJLFdBQVcsQ0FBQyxTQUFTLENBQUM7UUFDekMsS0FBSyxDQUFDLEtBQUssRUFBRSxDQUFDO1FBQ2QsWUFBWSxDQUFDLFNBQVMsQ0FBQyxHQUFHLEtBQUssQ0FBQztLQUNuQztJQUVELEtBQUssSUFBSSxTQUFTLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUM7UUFDM0MsSUFBSSxpQkFBaUIsQ0FBQyxTQUFTLENBQUMsS0FBSyxTQUFTO1lBQzFDLGlCQUFpQixDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUUsUUFBUSxFQUFFLFlBQVksQ0FBQyxTQUFTLENBQUMsQ0FBQyxRQUFRLEdBQUcsWUFBWSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEtBQUssRUFBRSxTQUFTLEVBQUUsWUFBWSxDQUFDLFNBQVMsQ0FBQyxDQUFDLFNBQVMsR0FBRyxZQUFZLENBQUMsU0FBUyxDQUFDLENBQUMsS0FBSyxFQUFFLENBQUM7SUFFcE0sT0FBTyxpQkFBaUIsQ0FBQztBQUM3QixDQUFDO0FBN0NELHNEQTZDQztBQUVELDhGQUE4RjtBQUM5Rix3QkFBd0I7QUFFeEIsU0FBZ0IsY0FBYyxDQUFDLFVBQTZCLEVBQUUsU0FBb0IsRUFBRSxpQkFBb0M7SUFDcEgsSUFBSSxNQUFNLEdBQUcsQ0FBRSxVQUFVLENBQUMsVUFBVSxFQUFFLFVBQVUsQ0FBQyxVQUFVLEVBQUUsVUFBVSxDQUFDLFlBQVksQ0FBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksS0FBSyxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDN0gsSUFBSSxpQkFBaUIsS0FBSyxJQUFJLElBQUksVUFBVSxDQUFDLE1BQU0sS0FBSyxFQUFFLElBQUksVUFBVSxDQUFDLFVBQVUsS0FBSyxFQUFFLEVBQUU7UUFDeEYsSUFBSSxXQUFXLEdBQUcsQ0FBQyxVQUFVLENBQUMsWUFBWSxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLGlCQUFpQixDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsTUFBTSxFQUFFLE1BQU0sRUFBRSxVQUFVLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQztRQUMvSSxJQUFJLFdBQVcsS0FBSyxTQUFTO1lBQ3pCLE9BQU8sRUFBRSxRQUFRLEVBQUUsV0FBVyxDQUFDLFFBQVEsRUFBRSxTQUFTLEVBQUUsV0FBVyxDQUFDLFNBQVMsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLENBQUM7UUFDdEcsV0FBVyxHQUFHLGlCQUFpQixDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUM7UUFDbkUsSUFBSSxXQUFXLEtBQUssU0FBUztZQUN6QixPQUFPLEVBQUUsUUFBUSxFQUFFLFdBQVcsQ0FBQyxRQUFRLEVBQUUsU0FBUyxFQUFFLFdBQVcsQ0FBQyxTQUFTLEVBQUUsU0FBUyxFQUFFLFFBQVEsRUFBRSxDQUFDO0tBQ3hHO0lBRUQsSUFBSSxRQUFRLEdBQUcsU0FBUyxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUM1QyxJQUFJLFFBQVEsS0FBSyxTQUFTLElBQUksUUFBUSxDQUFDLFFBQVEsS0FBSyxTQUFTLElBQUksUUFBUSxDQUFDLFNBQVMsS0FBSyxTQUFTO1FBQzdGLE9BQU8sRUFBRSxRQUFRLEVBQUUsUUFBUSxDQUFDLFFBQVEsRUFBRSxTQUFTLEVBQUUsUUFBUSxDQUFDLFNBQVMsRUFBRSxTQUFTLEVBQUUsUUFBUSxFQUFFLENBQUM7SUFFL0YsT0FBTyxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsTUFBTSxFQUFFLENBQUM7QUFDbEUsQ0FBQztBQWhCRCx3Q0FnQkMifQ==
\ No newline at end of file
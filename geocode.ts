@@ -0,0 +1,136 @@
+// Geocodes addresses using local data only (no network requests are made): a CSV file of street
+// (or individual address) co-ordinates and the suburb centres in the suburb names file.
+
+"use strict";
+
+import { AddressComponents, Gazetteer, expandStreetType } from "./address";
+
+// The co-ordinates of an address and how precisely the address was matched: "address" (the street
+// number, street and suburb were matched), "street" (the street and suburb were matched), "suburb"
+// (only the suburb was matched) or "none" (no co-ordinates were found).
+
+export interface GeocodeResult {
+    latitude: number,
+    longitude: number,
+    precision: string
+}
+
+// Co-ordinates keyed by "SUBURB|STREET" and "SUBURB|STREET|NUMBER".
+
+export interface StreetCoordinates {
+    [key: string]: { latitude: number, longitude: number }
+}
+
+// Splits a line of CSV into fields (allowing for quoted fields that contain commas and doubled
+// quotes).
+
+function splitCsvLine(line: string) {
+    let fields: string[] = [];
+    let field = "";
+    let isQuoted = false;
+    for (let index = 0; index < line.length; index++) {
+        let character = line[index];
+        if (isQuoted && character === "\"" && line[index + 1] === "\"") {
+            field += "\"";
+            index++;
+        } else if (character === "\"")
+            isQuoted = !isQuoted;
+        else if (character === "," && !isQuoted) {
+            fields.push(field.trim());
+            field = "";
+        } else
+            field += character;
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+// Normalises a street name for comparison (upper case with the street type expanded, so that
+// "Main St" and "MAIN STREET" are the same).
+
+function normaliseStreet(street: string) {
+    let words = street.toUpperCase().replace(/\s+/g, " ").trim().split(" ").filter(word => word !== "");
+    if (words.length > 1 && expandStreetType(words[words.length - 1]) !== undefined)
+        words[words.length - 1] = expandStreetType(words[words.length - 1]).toUpperCase();
+    return words.join(" ");
+}
+
+// Constructs the key used to look up the co-ordinates of a street (or of an individual address if
+// a street number is specified).
+
+function getKey(suburb: string, street: string, streetNumber?: string) {
+    let key = `${suburb.toUpperCase().replace(/\s+/g, " ").trim()}|${normaliseStreet(street)}`;
+    return (streetNumber === undefined || streetNumber.trim() === "") ? key : `${key}|${streetNumber.trim().toUpperCase()}`;
+}
+
+// Reads street co-ordinates from CSV text with a heading line.  The "street", "suburb",
+// "latitude" and "longitude" columns are required (for example, a list of street centres).  The
+// "number" column is optional (for example, an extract of individual addresses from G-NAF).
+
+export function loadStreetCoordinates(csvText: string) {
+    let lines = csvText.replace(/\r/g, "").split("\n").filter(line => line.trim() !== "");
+    if (lines.length === 0)
+        return {};
+
+    let headings = splitCsvLine(lines[0]).map(heading => heading.toLowerCase());
+    let streetIndex = headings.indexOf("street");
+    let suburbIndex = headings.indexOf("suburb");
+    let numberIndex = headings.indexOf("number");
+    let latitudeIndex = headings.indexOf("latitude");
+    let longitudeIndex = headings.indexOf("longitude");
+    if (streetIndex < 0 || suburbIndex < 0 || latitudeIndex < 0 || longitudeIndex < 0)
+        throw new Error(`The geocoding file must have "street", "suburb", "latitude" and "longitude" columns (found the columns: ${headings.join(", ")}).`);
+
+    let streetCoordinates: StreetCoordinates = {};
+    let streetTotals: { [key: string]: { latitude: number, longitude: number, count: number } } = {};
+    for (let line of lines.slice(1)) {
+        let fields = splitCsvLine(line);
+        let coordinates = { latitude: Number(fields[latitudeIndex]), longitude: Number(fields[longitudeIndex]) };
+        if (isNaN(coordinates.latitude) || isNaN(coordinates.longitude) || fields[latitudeIndex] === "" || fields[longitudeIndex] === "")
+            continue;  // ignore lines without valid co-ordinates
+
+        let streetKey = getKey(fields[suburbIndex], fields[streetIndex]);
+        let streetNumber = (numberIndex < 0) ? "" : fields[numberIndex];
+        if (streetNumber === "") {
+            streetCoordinates[streetKey] = coordinates;  // a street centre
+            continue;
+        }
+
+        // An individual address (the average of the addresses in a street is used as the street
+        // centre when the file does not contain a street centre).
+
+        streetCoordinates[getKey(fields[suburbIndex], fields[streetIndex], streetNumber)] = coordinates;
+        let total = streetTotals[streetKey] || { latitude: 0, longitude: 0, count: 0 };
+        total.latitude += coordinates.latitude;
+        total.longitude += coordinates.longitude;
+        total.count++;
+        streetTotals[streetKey] = total;
+    }
+
+    for (let streetKey of Object.keys(streetTotals))
+        if (streetCoordinates[streetKey] === undefined)
+            streetCoordinates[streetKey] = { latitude: streetTotals[streetKey].latitude / streetTotals[streetKey].count, longitude: streetTotals[streetKey].longitude / streetTotals[streetKey].count };
+
+    return streetCoordinates;
+}
+
+// Geocodes an address, falling back from the individual address to the street and then to the
+// centre of the suburb.
+
+export function geocodeAddress(components: AddressComponents, gazetteer: Gazetteer, streetCoordinates: StreetCoordinates): GeocodeResult {
+    let street = [ components.streetName, components.streetType, components.streetSuffix ].filter(part => part !== "").join(" ");
+    if (streetCoordinates !== null && components.suburb !== "" && components.streetName !== "") {
+        let coordinates = (components.streetNumber === "") ? undefined : streetCoordinates[getKey(components.suburb, street, components.streetNumber)];
+        if (coordinates !== undefined)
+            return { latitude: coordinates.latitude, longitude: coordinates.longitude, precision: "address" };
+        coordinates = streetCoordinates[getKey(components.suburb, street)];
+        if (coordinates !== undefined)
+            return { latitude: coordinates.latitude, longitude: coordinates.longitude, precision: "street" };
+    }
+
+    let locality = gazetteer[components.suburb];
+    if (locality !== undefined && locality.latitude !== undefined && locality.longitude !== undefined)
+        return { latitude: locality.latitude, longitude: locality.longitude, precision: "suburb" };
+
+    return { latitude: null, longitude: null, precision: "none" };
+}
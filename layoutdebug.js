@@ -0,0 +1,89 @@
+// Renders the layout of a parsed PDF page as an SVG image (for diagnosing why text elements were
+// grouped or assigned to fields incorrectly).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.renderPageLayout = exports.getBoundingRectangle = void 0;
+// The colour used to draw each field region.
+const FieldColours = {
+    applicationNumber: "#d62728",
+    applicant: "#9467bd",
+    applicationDate: "#1f77b4",
+    receivedDate: "#17becf",
+    address: "#2ca02c",
+    description: "#ff7f0e",
+    referrals: "#8c564b",
+    decision: "#e377c2"
+};
+// Constructs the smallest rectangle that contains all of the specified rectangles (returning
+// undefined if there are no rectangles).
+function getBoundingRectangle(rectangles) {
+    if (rectangles.length === 0)
+        return undefined;
+    let x1 = Math.min(...rectangles.map(rectangle => rectangle.x));
+    let y1 = Math.min(...rectangles.map(rectangle => rectangle.y));
+    let x2 = Math.max(...rectangles.map(rectangle => rectangle.x + rectangle.width));
+    let y2 = Math.max(...rectangles.map(rectangle => rectangle.y + rectangle.height));
+    return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+exports.getBoundingRectangle = getBoundingRectangle;
+// Escapes text so that it can be included in XML.
+function escapeXml(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+// Formats a number for an SVG attribute.
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+// Constructs an SVG rectangle.
+function renderRectangle(rectangle, style, title) {
+    let attributes = `x="${formatNumber(rectangle.x)}" y="${formatNumber(rectangle.y)}" width="${formatNumber(Math.max(rectangle.width, 0.5))}" height="${formatNumber(Math.max(rectangle.height, 0.5))}" style="${style}"`;
+    return (title === undefined) ? `<rect ${attributes}/>` : `<rect ${attributes}><title>${escapeXml(title)}</title></rect>`;
+}
+// Renders the layout of a page as an SVG image.  Rectangles are drawn exactly as the parser sees
+// them (note that the Y co-ordinate of an element is the baseline of its text, so each element
+// rectangle extends downwards from the baseline).  Hover over a rectangle to see its text.
+function renderPageLayout(layout) {
+    let lines = [];
+    let legendHeight = 16 + 12 * (layout.messages.length + 2);
+    lines.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(layout.width * 2)}" height="${formatNumber((layout.height + legendHeight) * 2)}" viewBox="0 0 ${formatNumber(layout.width)} ${formatNumber(layout.height + legendHeight)}" font-family="sans-serif">`);
+    lines.push(renderRectangle({ x: 0, y: 0, width: layout.width, height: layout.height }, "fill:white;stroke:black;stroke-width:0.5"));
+    // Row bands (alternately shaded).
+    layout.rows.forEach((row, index) => {
+        let rectangle = { x: 0, y: row.top, width: layout.width, height: Math.min(row.bottom, layout.height) - row.top };
+        lines.push(renderRectangle(rectangle, `fill:${(index % 2 === 0) ? "#fff7cc" : "#e6f0ff"};stroke:none`, row.label));
+        lines.push(`<text x="1" y="${formatNumber(row.top + 4)}" font-size="4" fill="#806600">${escapeXml(row.label)}</text>`);
+    });
+    // Field regions.
+    for (let field of layout.fields)
+        lines.push(renderRectangle(field.rectangle, `fill:${FieldColours[field.name] || "#7f7f7f"};fill-opacity:0.2;stroke:${FieldColours[field.name] || "#7f7f7f"};stroke-width:0.75`, field.name));
+    // Every text element (with the heading and start elements highlighted).
+    for (let element of layout.elements) {
+        let style = "fill:none;stroke:#999999;stroke-width:0.25";
+        if (layout.headingElements.some(headingElement => headingElement.element === element))
+            style = "fill:#1f77b4;fill-opacity:0.3;stroke:#1f77b4;stroke-width:0.75";
+        else if (layout.startElements.includes(element))
+            style = "fill:#d62728;fill-opacity:0.3;stroke:#d62728;stroke-width:0.75";
+        lines.push(renderRectangle(element, style, (element.confidence === undefined || element.confidence >= 100) ? element.text : `${element.text} (OCR confidence ${Math.round(element.confidence)}%)`));
+        lines.push(`<text x="${formatNumber(element.x)}" y="${formatNumber(element.y + element.height * 0.8)}" font-size="${formatNumber(element.height * 0.8)}" fill="#333333">${escapeXml(element.text)}</text>`);
+    }
+    for (let headingElement of layout.headingElements)
+        lines.push(`<text x="${formatNumber(headingElement.element.x)}" y="${formatNumber(headingElement.element.y - 1)}" font-size="4" fill="#1f77b4">${escapeXml(headingElement.name)}</text>`);
+    // A legend of the field colours and any messages (below the page).
+    let x = 2;
+    let y = layout.height + 10;
+    for (let name of Object.keys(FieldColours)) {
+        lines.push(renderRectangle({ x: x, y: y - 5, width: 6, height: 6 }, `fill:${FieldColours[name]};fill-opacity:0.4;stroke:${FieldColours[name]}`));
+        lines.push(`<text x="${formatNumber(x + 8)}" y="${formatNumber(y)}" font-size="6">${escapeXml(name)}</text>`);
+        x += 8 + 4 * name.length + 10;
+    }
+    y += 12;
+    lines.push(`<text x="2" y="${formatNumber(y)}" font-size="6">Layout profile: ${escapeXml((layout.profile === undefined) ? "(none)" : layout.profile)}</text>`);
+    for (let message of layout.messages) {
+        y += 12;
+        lines.push(`<text x="2" y="${formatNumber(y)}" font-size="6" fill="#d62728">${escapeXml(message)}</text>`);
+    }
+    lines.push("</svg>");
+    return lines.join("\n") + "\n";
+}
+exports.renderPageLayout = renderPageLayout;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibGF5b3V0ZGVidWcuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJsYXlvdXRkZWJ1Zy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxpR0FBaUc7QUFDakcsOENBQThDO0FBRTlDLFlBQVksQ0FBQzs7O0FBa0JiLDZDQUE2QztBQUU3QyxNQUFNLFlBQVksR0FBRztJQUNqQixpQkFBaUIsRUFBRSxTQUFTO0lBQzVCLFNBQVMsRUFBRSxTQUFTO0lBQ3BCLGVBQWUsRUFBRSxTQUFTO0lBQzFCLFlBQVksRUFBRSxTQUFTO0lBQ3ZCLE9BQU8sRUFBRSxTQUFTO0lBQ2xCLFdBQVcsRUFBRSxTQUFTO0lBQ3RCLFNBQVMsRUFBRSxTQUFTO0lBQ3BCLFFBQVEsRUFBRSxTQUFTO0NBQ3RCLENBQUM7QUFFRiw2RkFBNkY7QUFDN0YseUNBQXlDO0FBRXpDLFNBQWdCLG9CQUFvQixDQUFDLFVBQXVCO0lBQ3hELElBQUksVUFBVSxDQUFDLE1BQU0sS0FBSyxDQUFDO1FBQ3ZCLE9BQU8sU0FBUyxDQUFDO0lBQ3JCLElBQUksRUFBRSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxVQUFVLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDL0QsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUMvRCxJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsVUFBVSxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7SUFDakYsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO0lBQ2xGLE9BQU8sRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUUsR0FBRyxFQUFFLEVBQUUsTUFBTSxFQUFFLEVBQUUsR0FBRyxFQUFFLEVBQUUsQ0FBQztBQUM3RCxDQUFDO0FBUkQsb0RBUUM7QUFFRCxrREFBa0Q7QUFFbEQsU0FBUyxTQUFTLENBQUMsSUFBWTtJQUMzQixPQUFPLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLFFBQVEsQ0FBQyxDQUFDO0FBQzNHLENBQUM7QUFFRCx5Q0FBeUM7QUFFekMsU0FBUyxZQUFZLENBQUMsS0FBYTtJQUMvQixPQUFPLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssR0FBRyxHQUFHLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQztBQUNqRCxDQUFDO0FBRUQsK0JBQStCO0FBRS9CLFNBQVMsZUFBZSxDQUFDLFNBQW9CLEVBQUUsS0FBYSxFQUFFLEtBQWM7SUFDeEUsSUFBSSxVQUFVLEdBQUcsTUFBTSxZQUFZLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxRQUFRLFlBQVksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLFlBQVksWUFBWSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLEtBQUssRUFBRSxHQUFHLENBQUMsQ0FBQyxhQUFhLFlBQVksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDLENBQUMsWUFBWSxLQUFLLEdBQUcsQ0FBQztJQUN4TixPQUFPLENBQUMsS0FBSyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLFVBQVUsSUFBSSxDQUFDLENBQUMsQ0FBQyxTQUFTLFVBQVUsV0FBVyxTQUFTLENBQUMsS0FBSyxDQUFDLGlCQUFpQixDQUFDO0FBQzdILENBQUM7QUFFRCxpR0FBaUc7QUFDakcsK0ZBQStGO0FBQy9GLDJGQUEyRjtBQUUzRixTQUFnQixnQkFBZ0IsQ0FBQyxNQUFrQjtJQUMvQyxJQUFJLEtBQUssR0FBYSxFQUFFLENBQUM7SUFDekIsSUFBSSxZQUFZLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQzFELEtBQUssQ0FBQyxJQUFJLENBQUMsa0RBQWtELFlBQVksQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxhQUFhLFlBQVksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsWUFBWSxDQUFDLEdBQUcsQ0FBQyxDQUFDLGtCQUFrQixZQUFZLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxJQUFJLFlBQVksQ0FBQyxNQUFNLENBQUMsTUFBTSxHQUFHLFlBQVksQ0FBQyw2QkFBNkIsQ0FBQyxDQUFDO0lBQ2pSLEtBQUssQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxNQUFNLENBQUMsS0FBSyxFQUFFLE1BQU0sRUFBRSxNQUFNLENBQUMsTUFBTSxFQUFFLEVBQUUsMENBQTBDLENBQUMsQ0FBQyxDQUFDO0lBRXBJLGtDQUFrQztJQUVsQyxNQUFNLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUMvQixJQUFJLFNBQVMsR0FBRyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxHQUFHLEVBQUUsS0FBSyxFQUFFLE1BQU0sQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLEdBQUcsR0FBRyxDQUFDLEdBQUcsRUFBRSxDQUFDO1FBQ2pILEtBQUssQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLFNBQVMsRUFBRSxRQUFRLENBQUMsS0FBSyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxTQUFTLGNBQWMsRUFBRSxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUNuSCxLQUFLLENBQUMsSUFBSSxDQUFDLGtCQUFrQixZQUFZLENBQUMsR0FBRyxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUMsa0NBQWtDLFNBQVMsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBQzNILENBQUMsQ0FBQyxDQUFDO0lBRUgsaUJBQWlCO0lBRWpCLEtBQUssSUFBSSxLQUFLLElBQUksTUFBTSxDQUFDLE1BQU07UUFDM0IsS0FBSyxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsS0FBSyxDQUFDLFNBQVMsRUFBRSxRQUFRLFlBQVksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksU0FBUyw0QkFBNEIsWUFBWSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxTQUFTLG9CQUFvQixFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBRWpNLHdFQUF3RTtJQUV4RSxLQUFLLElBQUksT0FBTyxJQUFJLE1BQU0sQ0FBQyxRQUFRLEVBQUU7UUFDakMsSUFBSSxLQUFLLEdBQUcsNENBQTRDLENBQUM7UUFDekQsSUFBSSxNQUFNLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLGNBQWMsQ0FBQyxPQUFPLEtBQUssT0FBTyxDQUFDO1lBQ2pGLEtBQUssR0FBRyxnRUFBZ0UsQ0FBQzthQUN4RSxJQUFJLE1BQU0sQ0FBQyxhQUFhLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQztZQUMzQyxLQUFLLEdBQUcsZ0VBQWdFLENBQUM7UUFDN0UsS0FBSyxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsT0FBTyxFQUFFLEtBQUssRUFBRSxDQUFDLE9BQU8sQ0FBQyxVQUFVLEtBQUssU0FBUyxJQUFJLE9BQU8sQ0FBQyxVQUFVLElBQUksR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLElBQUksb0JBQW9CLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBQ3BNLEtBQUssQ0FBQyxJQUFJLENBQUMsWUFBWSxZQUFZLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxRQUFRLFlBQVksQ0FBQyxPQUFPLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxNQUFNLEdBQUcsR0FBRyxDQUFDLGdCQUFnQixZQUFZLENBQUMsT0FBTyxDQUFDLE1BQU0sR0FBRyxHQUFHLENBQUMsb0JBQW9CLFNBQVMsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO0tBQy9NO0lBRUQsS0FBSyxJQUFJLGNBQWMsSUFBSSxNQUFNLENBQUMsZUFBZTtRQUM3QyxLQUFLLENBQUMsSUFBSSxDQUFDLFlBQVksWUFBWSxDQUFDLGNBQWMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLFFBQVEsWUFBWSxDQUFDLGNBQWMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxrQ0FBa0MsU0FBUyxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7SUFFOUwsbUVBQW1FO0lBRW5FLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUNWLElBQUksQ0FBQyxHQUFHLE1BQU0sQ0FBQyxNQUFNLEdBQUcsRUFBRSxDQUFDO0lBQzNCLEtBQUssSUFBSSxJQUFJLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsRUFBRTtRQUN4QyxLQUFLLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUUsUUFBUSxZQUFZLENBQUMsSUFBSSxDQUFDLDRCQUE0QixZQUFZLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDakosS0FBSyxDQUFDLElBQUksQ0FBQyxZQUFZLFlBQVksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLFFBQVEsWUFBWSxDQUFDLENBQUMsQ0FBQyxtQkFBbUIsU0FBUyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUM5RyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxHQUFHLEVBQUUsQ0FBQztLQUNqQztJQUNELENBQUMsSUFBSSxFQUFFLENBQUM7SUFDUixLQUFLLENBQUMsSUFBSSxDQUFDLGtCQUFrQixZQUFZLENBQUMsQ0FBQyxDQUFDLG1DQUFtQyxTQUFTLENBQUMsQ0FBQyxNQUFNLENBQUMsT0FBTyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDL0osS0FBSyxJQUFJLE9BQU8sSUFBSSxNQUFNLENBQUMsUUFBUSxFQUFFO1FBQ2pDLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDUixLQUFLLENBQUMsSUFBSSxDQUFDLGtCQUFrQixZQUFZLENBQUMsQ0FBQyxDQUFDLGtDQUFrQyxTQUFTLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDO0tBQzlHO0lBRUQsS0FBSyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUNyQixPQUFPLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDO0FBQ25DLENBQUM7QUFwREQsNENBb0RDIn0=
\ No newline at end of file
@@ -0,0 +1,123 @@
+// Renders the layout of a parsed PDF page as an SVG image (for diagnosing why text elements were
+// grouped or assigned to fields incorrectly).
+
+"use strict";
+
+import { Element, Rectangle } from "./scraper";
+
+// The layout of a PDF page as determined by the parser.
+
+export interface PageLayout {
+    width: number,
+    height: number,
+    elements: Element[],  // every text element on the page
+    headingElements: { name: string, element: Element }[],  // the column heading elements that were found
+    startElements: Element[],  // the "Lodgement" elements that start each development application
+    rows: { top: number, bottom: number, label: string }[],  // the band of the page assigned to each development application
+    fields: { name: string, rectangle: Rectangle }[],  // the region from which each field of a development application was extracted
+    messages: string[],  // reasons that the page (or part of the page) could not be parsed
+    profile: string  // the name of the layout profile chosen for the page
+}
+
+// The colour used to draw each field region.
+
+const FieldColours = {
+    applicationNumber: "#d62728",
+    applicant: "#9467bd",
+    applicationDate: "#1f77b4",
+    receivedDate: "#17becf",
+    address: "#2ca02c",
+    description: "#ff7f0e",
+    referrals: "#8c564b",
+    decision: "#e377c2"
+};
+
+// Constructs the smallest rectangle that contains all of the specified rectangles (returning
+// undefined if there are no rectangles).
+
+export function getBoundingRectangle(rectangles: Rectangle[]): Rectangle {
+    if (rectangles.length === 0)
+        return undefined;
+    let x1 = Math.min(...rectangles.map(rectangle => rectangle.x));
+    let y1 = Math.min(...rectangles.map(rectangle => rectangle.y));
+    let x2 = Math.max(...rectangles.map(rectangle => rectangle.x + rectangle.width));
+    let y2 = Math.max(...rectangles.map(rectangle => rectangle.y + rectangle.height));
+    return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+// Escapes text so that it can be included in XML.
+
+function escapeXml(text: string) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Formats a number for an SVG attribute.
+
+function formatNumber(value: number) {
+    return String(Math.round(value * 100) / 100);
+}
+
+// Constructs an SVG rectangle.
+
+function renderRectangle(rectangle: Rectangle, style: string, title?: string) {
+    let attributes = `x="${formatNumber(rectangle.x)}" y="${formatNumber(rectangle.y)}" width="${formatNumber(Math.max(rectangle.width, 0.5))}" height="${formatNumber(Math.max(rectangle.height, 0.5))}" style="${style}"`;
+    return (title === undefined) ? `<rect ${attributes}/>` : `<rect ${attributes}><title>${escapeXml(title)}</title></rect>`;
+}
+
+// Renders the layout of a page as an SVG image.  Rectangles are drawn exactly as the parser sees
+// them (note that the Y co-ordinate of an element is the baseline of its text, so each element
+// rectangle extends downwards from the baseline).  Hover over a rectangle to see its text.
+
+export function renderPageLayout(layout: PageLayout) {
+    let lines: string[] = [];
+    let legendHeight = 16 + 12 * (layout.messages.length + 2);
+    lines.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(layout.width * 2)}" height="${formatNumber((layout.height + legendHeight) * 2)}" viewBox="0 0 ${formatNumber(layout.width)} ${formatNumber(layout.height + legendHeight)}" font-family="sans-serif">`);
+    lines.push(renderRectangle({ x: 0, y: 0, width: layout.width, height: layout.height }, "fill:white;stroke:black;stroke-width:0.5"));
+
+    // Row bands (alternately shaded).
+
+    layout.rows.forEach((row, index) => {
+        let rectangle = { x: 0, y: row.top, width: layout.width, height: Math.min(row.bottom, layout.height) - row.top };
+        lines.push(renderRectangle(rectangle, `fill:${(index % 2 === 0) ? "#fff7cc" : "#e6f0ff"};stroke:none`, row.label));
+        lines.push(`<text x="1" y="${formatNumber(row.top + 4)}" font-size="4" fill="#806600">${escapeXml(row.label)}</text>`);
+    });
+
+    // Field regions.
+
+    for (let field of layout.fields)
+        lines.push(renderRectangle(field.rectangle, `fill:${FieldColours[field.name] || "#7f7f7f"};fill-opacity:0.2;stroke:${FieldColours[field.name] || "#7f7f7f"};stroke-width:0.75`, field.name));
+
+    // Every text element (with the heading and start elements highlighted).
+
+    for (let element of layout.elements) {
+        let style = "fill:none;stroke:#999999;stroke-width:0.25";
+        if (layout.headingElements.some(headingElement => headingElement.element === element))
+            style = "fill:#1f77b4;fill-opacity:0.3;stroke:#1f77b4;stroke-width:0.75";
+        else if (layout.startElements.includes(element))
+            style = "fill:#d62728;fill-opacity:0.3;stroke:#d62728;stroke-width:0.75";
+        lines.push(renderRectangle(element, style, (element.confidence === undefined || element.confidence >= 100) ? element.text : `${element.text} (OCR confidence ${Math.round(element.confidence)}%)`));
+        lines.push(`<text x="${formatNumber(element.x)}" y="${formatNumber(element.y + element.height * 0.8)}" font-size="${formatNumber(element.height * 0.8)}" fill="#333333">${escapeXml(element.text)}</text>`);
+    }
+
+    for (let headingElement of layout.headingElements)
+        lines.push(`<text x="${formatNumber(headingElement.element.x)}" y="${formatNumber(headingElement.element.y - 1)}" font-size="4" fill="#1f77b4">${escapeXml(headingElement.name)}</text>`);
+
+    // A legend of the field colours and any messages (below the page).
+
+    let x = 2;
+    let y = layout.height + 10;
+    for (let name of Object.keys(FieldColours)) {
+        lines.push(renderRectangle({ x: x, y: y - 5, width: 6, height: 6 }, `fill:${FieldColours[name]};fill-opacity:0.4;stroke:${FieldColours[name]}`));
+        lines.push(`<text x="${formatNumber(x + 8)}" y="${formatNumber(y)}" font-size="6">${escapeXml(name)}</text>`);
+        x += 8 + 4 * name.length + 10;
+    }
+    y += 12;
+    lines.push(`<text x="2" y="${formatNumber(y)}" font-size="6">Layout profile: ${escapeXml((layout.profile === undefined) ? "(none)" : layout.profile)}</text>`);
+    for (let message of layout.messages) {
+        y += 12;
+        lines.push(`<text x="2" y="${formatNumber(y)}" font-size="6" fill="#d62728">${escapeXml(message)}</text>`);
+    }
+
+    lines.push("</svg>");
+    return lines.join("\n") + "\n";
+}
@@ -0,0 +1,119 @@
+// Recognises the text on scanned (image only) PDF pages using OCR, producing text elements that
+// can be parsed in the same way as the text elements of any other PDF page.  The "canvas" and
+// "tesseract.js" packages are optional dependencies, so they are only loaded if OCR is needed.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.recognisePageElements = exports.groupRecognisedWords = exports.terminateOcr = exports.setOcrLanguageDataPath = exports.OcrScale = void 0;
+exports.OcrScale = 3.0; // the scale at which a page is rendered for OCR (a PDF page at a scale of 1.0 is 72 DPI, which is too low to recognise small text reliably)
+// The OCR worker (created when the first page is recognised) and the directory containing the
+// language data (undefined to use the default location of tesseract.js).
+let Worker = null;
+let LanguageDataPath = undefined;
+// Sets the directory containing the language data (eng.traineddata.gz) so that it does not need
+// to be downloaded.
+function setOcrLanguageDataPath(languageDataPath) {
+    LanguageDataPath = languageDataPath;
+}
+exports.setOcrLanguageDataPath = setOcrLanguageDataPath;
+// Loads an optional package, explaining how to install it if it is not installed.
+function requireOptional(name) {
+    try {
+        return require(name);
+    }
+    catch (error) {
+        throw new Error(`The "${name}" package is required for OCR but could not be loaded (install it with "npm install ${name}"): ${(error instanceof Error) ? error.message : error}`);
+    }
+}
+// Creates the OCR worker (if it has not already been created).
+async function getWorker() {
+    if (Worker === null) {
+        let tesseract = requireOptional("tesseract.js");
+        let worker = tesseract.createWorker((LanguageDataPath === undefined) ? {} : { langPath: LanguageDataPath });
+        await worker.load();
+        await worker.loadLanguage("eng");
+        await worker.initialize("eng");
+        Worker = worker;
+    }
+    return Worker;
+}
+// Releases the OCR worker (if one was created).
+async function terminateOcr() {
+    if (Worker !== null) {
+        let worker = Worker;
+        Worker = null;
+        await worker.terminate();
+    }
+}
+exports.terminateOcr = terminateOcr;
+// Creates the object that pdf.js uses to create canvases when rendering a page in node (see the
+// pdf.js "pdf2png" example).
+function createCanvasFactory(canvasModule) {
+    return {
+        create: (width, height) => {
+            let canvas = canvasModule.createCanvas(width, height);
+            return { canvas: canvas, context: canvas.getContext("2d") };
+        },
+        reset: (canvasAndContext, width, height) => {
+            canvasAndContext.canvas.width = width;
+            canvasAndContext.canvas.height = height;
+        },
+        destroy: (canvasAndContext) => {
+            canvasAndContext.canvas.width = 0; // release the memory used by the canvas
+            canvasAndContext.canvas.height = 0;
+            canvasAndContext.canvas = null;
+            canvasAndContext.context = null;
+        }
+    };
+}
+// Groups the words recognised by OCR (the "lines" of a tesseract.js result, each with "words"
+// that have text, a confidence and a bounding box in the pixels of the rendered image) into text
+// elements.  Words that are close together on the same line are joined into a single element
+// (similar to the text elements of a PDF page).  Co-ordinates are scaled back to those of a page
+// with a scale of 1.0 and, as for other text elements, the Y co-ordinate is the baseline of the
+// text.  The confidence of each element (0 to 100) is the lowest confidence of its words.
+function groupRecognisedWords(lines, scale = exports.OcrScale) {
+    let elements = [];
+    for (let line of lines) {
+        let element = undefined;
+        let right = undefined;
+        for (let word of line.words.filter(word => word.text.trim() !== "")) {
+            let height = word.bbox.y1 - word.bbox.y0;
+            if (element === undefined || word.bbox.x0 - right > 2 * height) { // a large gap separates the columns
+                element = { text: word.text, confidence: word.confidence, x: word.bbox.x0 / scale, y: word.bbox.y1 / scale, width: (word.bbox.x1 - word.bbox.x0) / scale, height: height / scale };
+                elements.push(element);
+            }
+            else {
+                element.text += ` ${word.text}`;
+                element.confidence = Math.min(element.confidence, word.confidence);
+                element.width = word.bbox.x1 / scale - element.x;
+                element.height = Math.max(element.height, height / scale);
+            }
+            right = word.bbox.x1;
+        }
+    }
+    return elements;
+}
+exports.groupRecognisedWords = groupRecognisedWords;
+// Renders a page of a PDF document as an image and recognises the text in the image, grouping
+// the recognised words into text elements (see groupRecognisedWords).
+async function recognisePageElements(page) {
+    let canvasModule = requireOptional("canvas");
+    let worker = await getWorker();
+    let viewport = await page.getViewport(exports.OcrScale);
+    let canvasFactory = createCanvasFactory(canvasModule);
+    let canvasAndContext = canvasFactory.create(viewport.width, viewport.height);
+    let image = undefined;
+    try {
+        canvasAndContext.context.fillStyle = "white"; // a transparent background would be recognised poorly
+        canvasAndContext.context.fillRect(0, 0, viewport.width, viewport.height);
+        await page.render({ canvasContext: canvasAndContext.context, viewport: viewport, canvasFactory: canvasFactory }).promise;
+        image = canvasAndContext.canvas.toBuffer("image/png");
+    }
+    finally {
+        canvasFactory.destroy(canvasAndContext);
+    }
+    let result = await worker.recognize(image);
+    return groupRecognisedWords(result.data.lines);
+}
+exports.recognisePageElements = recognisePageElements;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoib2NyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsib2NyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLGdHQUFnRztBQUNoRyw4RkFBOEY7QUFDOUYsK0ZBQStGO0FBRS9GLFlBQVksQ0FBQzs7O0FBSUEsUUFBQSxRQUFRLEdBQUcsR0FBRyxDQUFDLENBQUUsNElBQTRJO0FBRTFLLDhGQUE4RjtBQUM5Rix5RUFBeUU7QUFFekUsSUFBSSxNQUFNLEdBQUcsSUFBSSxDQUFDO0FBQ2xCLElBQUksZ0JBQWdCLEdBQVcsU0FBUyxDQUFDO0FBRXpDLGdHQUFnRztBQUNoRyxvQkFBb0I7QUFFcEIsU0FBZ0Isc0JBQXNCLENBQUMsZ0JBQXdCO0lBQzNELGdCQUFnQixHQUFHLGdCQUFnQixDQUFDO0FBQ3hDLENBQUM7QUFGRCx3REFFQztBQUVELGtGQUFrRjtBQUVsRixTQUFTLGVBQWUsQ0FBQyxJQUFZO0lBQ2pDLElBQUk7UUFDQSxPQUFPLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQztLQUN4QjtJQUFDLE9BQU8sS0FBSyxFQUFFO1FBQ1osTUFBTSxJQUFJLEtBQUssQ0FBQyxRQUFRLElBQUksdUZBQXVGLElBQUksT0FBTyxDQUFDLEtBQUssWUFBWSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQztLQUNyTDtBQUNMLENBQUM7QUFFRCwrREFBK0Q7QUFFL0QsS0FBSyxVQUFVLFNBQVM7SUFDcEIsSUFBSSxNQUFNLEtBQUssSUFBSSxFQUFFO1FBQ2pCLElBQUksU0FBUyxHQUFHLGVBQWUsQ0FBQyxjQUFjLENBQUMsQ0FBQztRQUNoRCxJQUFJLE1BQU0sR0FBRyxTQUFTLENBQUMsWUFBWSxDQUFDLENBQUMsZ0JBQWdCLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxRQUFRLEVBQUUsZ0JBQWdCLEVBQUUsQ0FBQyxDQUFDO1FBQzVHLE1BQU0sTUFBTSxDQUFDLElBQUksRUFBRSxDQUFDO1FBQ3BCLE1BQU0sTUFBTSxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNqQyxNQUFNLE1BQU0sQ0FBQyxVQUFVLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDL0IsTUFBTSxHQUFHLE1BQU0sQ0FBQztLQUNuQjtJQUNELE9BQU8sTUFBTSxDQUFDO0FBQ2xCLENBQUM7QUFFRCxnREFBZ0Q7QUFFekMsS0FBSyxVQUFVLFlBQVk7SUFDOUIsSUFBSSxNQUFNLEtBQUssSUFBSSxFQUFFO1FBQ2pCLElBQUksTUFBTSxHQUFHLE1BQU0sQ0FBQztRQUNwQixNQUFNLEdBQUcsSUFBSSxDQUFDO1FBQ2QsTUFBTSxNQUFNLENBQUMsU0FBUyxFQUFFLENBQUM7S0FDNUI7QUFDTCxDQUFDO0FBTkQsb0NBTUM7QUFFRCxnR0FBZ0c7QUFDaEcsNkJBQTZCO0FBRTdCLFNBQVMsbUJBQW1CLENBQUMsWUFBWTtJQUNyQyxPQUFPO1FBQ0gsTUFBTSxFQUFFLENBQUMsS0FBYSxFQUFFLE1BQWMsRUFBRSxFQUFFO1lBQ3RDLElBQUksTUFBTSxHQUFHLFlBQVksQ0FBQyxZQUFZLENBQUMsS0FBSyxFQUFFLE1BQU0sQ0FBQyxDQUFDO1lBQ3RELE9BQU8sRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSxNQUFNLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUM7UUFDaEUsQ0FBQztRQUNELEtBQUssRUFBRSxDQUFDLGdCQUFnQixFQUFFLEtBQWEsRUFBRSxNQUFjLEVBQUUsRUFBRTtZQUN2RCxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLEtBQUssQ0FBQztZQUN0QyxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsTUFBTSxHQUFHLE1BQU0sQ0FBQztRQUM1QyxDQUFDO1FBQ0QsT0FBTyxFQUFFLENBQUMsZ0JBQWdCLEVBQUUsRUFBRTtZQUMxQixnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFFLHdDQUF3QztZQUM1RSxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQztZQUNuQyxnQkFBZ0IsQ0FBQyxNQUFNLEdBQUcsSUFBSSxDQUFDO1lBQy9CLGdCQUFnQixDQUFDLE9BQU8sR0FBRyxJQUFJLENBQUM7UUFDcEMsQ0FBQztLQUNKLENBQUM7QUFDTixDQUFDO0FBRUQsOEZBQThGO0FBQzlGLGlHQUFpRztBQUNqRyw2RkFBNkY7QUFDN0YsaUdBQWlHO0FBQ2pHLGdHQUFnRztBQUNoRywwRkFBMEY7QUFFMUYsU0FBZ0Isb0JBQW9CLENBQUMsS0FBSyxFQUFFLFFBQWdCLGdCQUFRO0lBQ2hFLElBQUksUUFBUSxHQUFjLEVBQUUsQ0FBQztJQUM3QixLQUFLLElBQUksSUFBSSxJQUFJLEtBQUssRUFBRTtRQUNwQixJQUFJLE9BQU8sR0FBWSxTQUFTLENBQUM7UUFDakMsSUFBSSxLQUFLLEdBQUcsU0FBUyxDQUFDO1FBQ3RCLEtBQUssSUFBSSxJQUFJLElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFO1lBQ2pFLElBQUksTUFBTSxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDO1lBQ3pDLElBQUksT0FBTyxLQUFLLFNBQVMsSUFBSSxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsR0FBRyxLQUFLLEdBQUcsQ0FBQyxHQUFHLE1BQU0sRUFBRSxFQUFHLG9DQUFvQztnQkFDbkcsT0FBTyxHQUFHLEVBQUUsSUFBSSxFQUFFLElBQUksQ0FBQyxJQUFJLEVBQUUsVUFBVSxFQUFFLElBQUksQ0FBQyxVQUFVLEVBQUUsQ0FBQyxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxHQUFHLEtBQUssRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLEdBQUcsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEdBQUcsS0FBSyxFQUFFLE1BQU0sRUFBRSxNQUFNLEdBQUcsS0FBSyxFQUFFLENBQUM7Z0JBQ25MLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7YUFDMUI7aUJBQU07Z0JBQ0gsT0FBTyxDQUFDLElBQUksSUFBSSxJQUFJLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztnQkFDaEMsT0FBTyxDQUFDLFVBQVUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxVQUFVLEVBQUUsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO2dCQUNuRSxPQUFPLENBQUMsS0FBSyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxHQUFHLEtBQUssR0FBRyxPQUFPLENBQUMsQ0FBQyxDQUFDO2dCQUNqRCxPQUFPLENBQUMsTUFBTSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLE1BQU0sRUFBRSxNQUFNLEdBQUcsS0FBSyxDQUFDLENBQUM7YUFDN0Q7WUFDRCxLQUFLLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUM7U0FDeEI7S0FDSjtJQUNELE9BQU8sUUFBUSxDQUFDO0FBQ3BCLENBQUM7QUFwQkQsb0RBb0JDO0FBRUQsOEZBQThGO0FBQzlGLHNFQUFzRTtBQUUvRCxLQUFLLFVBQVUscUJBQXFCLENBQUMsSUFBSTtJQUM1QyxJQUFJLFlBQVksR0FBRyxlQUFlLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDN0MsSUFBSSxNQUFNLEdBQUcsTUFBTSxTQUFTLEVBQUUsQ0FBQztJQUUvQixJQUFJLFFBQVEsR0FBRyxNQUFNLElBQUksQ0FBQyxXQUFXLENBQUMsZ0JBQVEsQ0FBQyxDQUFDO0lBQ2hELElBQUksYUFBYSxHQUFHLG1CQUFtQixDQUFDLFlBQVksQ0FBQyxDQUFDO0lBQ3RELElBQUksZ0JBQWdCLEdBQUcsYUFBYSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsS0FBSyxFQUFFLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUM3RSxJQUFJLEtBQUssR0FBVyxTQUFTLENBQUM7SUFDOUIsSUFBSTtRQUNBLGdCQUFnQixDQUFDLE9BQU8sQ0FBQyxTQUFTLEdBQUcsT0FBTyxDQUFDLENBQUUsc0RBQXNEO1FBQ3JHLGdCQUFnQixDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxRQUFRLENBQUMsS0FBSyxFQUFFLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUN6RSxNQUFNLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxhQUFhLEVBQUUsZ0JBQWdCLENBQUMsT0FBTyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsYUFBYSxFQUFFLGFBQWEsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDO1FBQ3pILEtBQUssR0FBRyxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxDQUFDO0tBQ3pEO1lBQVM7UUFDTixhQUFhLENBQUMsT0FBTyxDQUFDLGdCQUFnQixDQUFDLENBQUM7S0FDM0M7SUFFRCxJQUFJLE1BQU0sR0FBRyxNQUFNLE1BQU0sQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDM0MsT0FBTyxvQkFBb0IsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO0FBQ25ELENBQUM7QUFuQkQsc0RBbUJDIn0=
\ No newline at end of file
@@ -0,0 +1,131 @@
+// Recognises the text on scanned (image only) PDF pages using OCR, producing text elements that
+// can be parsed in the same way as the text elements of any other PDF page.  The "canvas" and
+// "tesseract.js" packages are optional dependencies, so they are only loaded if OCR is needed.
+
+"use strict";
+
+import { Element } from "./scraper";
+
+export const OcrScale = 3.0;  // the scale at which a page is rendered for OCR (a PDF page at a scale of 1.0 is 72 DPI, which is too low to recognise small text reliably)
+
+// The OCR worker (created when the first page is recognised) and the directory containing the
+// language data (undefined to use the default location of tesseract.js).
+
+let Worker = null;
+let LanguageDataPath: string = undefined;
+
+// Sets the directory containing the language data (eng.traineddata.gz) so that it does not need
+// to be downloaded.
+
+export function setOcrLanguageDataPath(languageDataPath: string) {
+    LanguageDataPath = languageDataPath;
+}
+
+// Loads an optional package, explaining how to install it if it is not installed.
+
+function requireOptional(name: string) {
+    try {
+        return require(name);
+    } catch (error) {
+        throw new Error(`The "${name}" package is required for OCR but could not be loaded (install it with "npm install ${name}"): ${(error instanceof Error) ? error.message : error}`);
+    }
+}
+
+// Creates the OCR worker (if it has not already been created).
+
+async function getWorker() {
+    if (Worker === null) {
+        let tesseract = requireOptional("tesseract.js");
+        let worker = tesseract.createWorker((LanguageDataPath === undefined) ? {} : { langPath: LanguageDataPath });
+        await worker.load();
+        await worker.loadLanguage("eng");
+        await worker.initialize("eng");
+        Worker = worker;
+    }
+    return Worker;
+}
+
+// Releases the OCR worker (if one was created).
+
+export async function terminateOcr() {
+    if (Worker !== null) {
+        let worker = Worker;
+        Worker = null;
+        await worker.terminate();
+    }
+}
+
+// Creates the object that pdf.js uses to create canvases when rendering a page in node (see the
+// pdf.js "pdf2png" example).
+
+function createCanvasFactory(canvasModule) {
+    return {
+        create: (width: number, height: number) => {
+            let canvas = canvasModule.createCanvas(width, height);
+            return { canvas: canvas, context: canvas.getContext("2d") };
+        },
+        reset: (canvasAndContext, width: number, height: number) => {
+            canvasAndContext.canvas.width = width;
+            canvasAndContext.canvas.height = height;
+        },
+        destroy: (canvasAndContext) => {
+            canvasAndContext.canvas.width = 0;  // release the memory used by the canvas
+            canvasAndContext.canvas.height = 0;
+            canvasAndContext.canvas = null;
+            canvasAndContext.context = null;
+        }
+    };
+}
+
+// Groups the words recognised by OCR (the "lines" of a tesseract.js result, each with "words"
+// that have text, a confidence and a bounding box in the pixels of the rendered image) into text
+// elements.  Words that are close together on the same line are joined into a single element
+// (similar to the text elements of a PDF page).  Co-ordinates are scaled back to those of a page
+// with a scale of 1.0 and, as for other text elements, the Y co-ordinate is the baseline of the
+// text.  The confidence of each element (0 to 100) is the lowest confidence of its words.
+
+export function groupRecognisedWords(lines, scale: number = OcrScale): Element[] {
+    let elements: Element[] = [];
+    for (let line of lines) {
+        let element: Element = undefined;
+        let right = undefined;
+        for (let word of line.words.filter(word => word.text.trim() !== "")) {
+            let height = word.bbox.y1 - word.bbox.y0;
+            if (element === undefined || word.bbox.x0 - right > 2 * height) {  // a large gap separates the columns
+                element = { text: word.text, confidence: word.confidence, x: word.bbox.x0 / scale, y: word.bbox.y1 / scale, width: (word.bbox.x1 - word.bbox.x0) / scale, height: height / scale };
+                elements.push(element);
+            } else {
+                element.text += ` ${word.text}`;
+                element.confidence = Math.min(element.confidence, word.confidence);
+                element.width = word.bbox.x1 / scale - element.x;
+                element.height = Math.max(element.height, height / scale);
+            }
+            right = word.bbox.x1;
+        }
+    }
+    return elements;
+}
+
+// Renders a page of a PDF document as an image and recognises the text in the image, grouping
+// the recognised words into text elements (see groupRecognisedWords).
+
+export async function recognisePageElements(page): Promise<Element[]> {
+    let canvasModule = requireOptional("canvas");
+    let worker = await getWorker();
+
+    let viewport = await page.getViewport(OcrScale);
+    let canvasFactory = createCanvasFactory(canvasModule);
+    let canvasAndContext = canvasFactory.create(viewport.width, viewport.height);
+    let image: Buffer = undefined;
+    try {
+        canvasAndContext.context.fillStyle = "white";  // a transparent background would be recognised poorly
+        canvasAndContext.context.fillRect(0, 0, viewport.width, viewport.height);
+        await page.render({ canvasContext: canvasAndContext.context, viewport: viewport, canvasFactory: canvasFactory }).promise;
+        image = canvasAndContext.canvas.toBuffer("image/png");
+    } finally {
+        canvasFactory.destroy(canvasAndContext);
+    }
+
+    let result = await worker.recognize(image);
+    return groupRecognisedWords(result.data.lines);
+}
@@ -0,0 +1,97 @@
+// Layout profiles describe the templates used by the application register PDFs (the column
+// heading text, the word that starts each development application, the date formats and the order
+// of the columns).  Each page is scored against every profile and parsed using the best matching
+// profile, so that a new register template only requires a new profile in profiles.json.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.selectLayoutProfile = exports.scoreLayoutProfile = exports.parseProfileDate = exports.findHeadingElement = exports.loadLayoutProfiles = exports.OptionalHeadings = exports.RequiredHeadings = void 0;
+const moment = require("moment");
+// The column headings that the parser uses to locate the fields of each development application.
+// The "referrals" and "decision" headings are optional.
+exports.RequiredHeadings = ["applicant", "application", "proposal"];
+exports.OptionalHeadings = ["referrals", "decision"];
+// Reads the layout profiles from the text of a profiles file (a JSON array of profiles), checking
+// that each profile is complete.
+function loadLayoutProfiles(profilesText) {
+    let profiles = JSON.parse(profilesText);
+    if (!Array.isArray(profiles) || profiles.length === 0)
+        throw new Error("The profiles file must contain a non-empty array of layout profiles.");
+    for (let profile of profiles) {
+        if (typeof profile.name !== "string" || profile.name.trim() === "")
+            throw new Error("Each layout profile must have a name.");
+        for (let heading of exports.RequiredHeadings)
+            if (profile.headings === undefined || !Array.isArray(profile.headings[heading]) || profile.headings[heading].length === 0)
+                throw new Error(`The layout profile "${profile.name}" must specify the text of the "${heading}" heading.`);
+        for (let heading of Object.keys(profile.headings))
+            if (!exports.RequiredHeadings.includes(heading) && !exports.OptionalHeadings.includes(heading))
+                throw new Error(`The layout profile "${profile.name}" specifies the unknown heading "${heading}".`);
+        if (!Array.isArray(profile.anchorWords) || profile.anchorWords.length === 0)
+            throw new Error(`The layout profile "${profile.name}" must specify at least one anchor word.`);
+        if (!Array.isArray(profile.dateFormats) || profile.dateFormats.length === 0)
+            throw new Error(`The layout profile "${profile.name}" must specify at least one date format.`);
+        if (profile.ignoreCase !== undefined && typeof profile.ignoreCase !== "boolean")
+            throw new Error(`The "ignoreCase" setting of the layout profile "${profile.name}" must be true or false.`);
+        profile.columnOrder = profile.columnOrder || [];
+        for (let heading of profile.columnOrder)
+            if (profile.headings[heading] === undefined)
+                throw new Error(`The column order of the layout profile "${profile.name}" includes the heading "${heading}", which the profile does not specify.`);
+    }
+    return profiles;
+}
+exports.loadLayoutProfiles = loadLayoutProfiles;
+// Finds the element for a column heading (the first element whose text is one of the alternative
+// texts of the heading, ignoring case only if the profile specifies that).
+function findHeadingElement(elements, profile, heading) {
+    let normalise = (text) => profile.ignoreCase ? text.trim().toLowerCase() : text.trim();
+    let texts = (profile.headings[heading] || []).map(normalise);
+    return elements.find(element => texts.includes(normalise(element.text)));
+}
+exports.findHeadingElement = findHeadingElement;
+// Strictly parses a date using the date formats of a profile (returning undefined if the text is
+// not a valid date).
+function parseProfileDate(text, profile) {
+    let date = moment(text.trim(), profile.dateFormats, true);
+    return date.isValid() ? date : undefined;
+}
+exports.parseProfileDate = parseProfileDate;
+// Scores how well a page matches a profile: two points for each required heading found, one
+// point for each optional heading found, two points if the anchor word is found, one point if the
+// headings appear in the expected order and one point if any date in the expected format is found.
+// The function used to find the elements that contain an anchor word is supplied by the parser.
+function scoreLayoutProfile(elements, profile, findAnchorElements) {
+    let score = 0;
+    let headingElements = [];
+    for (let heading of Object.keys(profile.headings)) {
+        let element = findHeadingElement(elements, profile, heading);
+        if (element !== undefined) {
+            score += exports.RequiredHeadings.includes(heading) ? 2 : 1;
+            headingElements.push({ heading: heading, element: element });
+        }
+    }
+    if (profile.anchorWords.some(anchorWord => findAnchorElements(elements, anchorWord).length > 0))
+        score += 2;
+    let expectedOrder = profile.columnOrder.filter(heading => headingElements.some(headingElement => headingElement.heading === heading));
+    let actualOrder = headingElements.filter(headingElement => profile.columnOrder.includes(headingElement.heading)).sort((a, b) => a.element.x - b.element.x).map(headingElement => headingElement.heading);
+    if (expectedOrder.length > 1 && expectedOrder.join(",") === actualOrder.join(","))
+        score++;
+    if (elements.some(element => /[0-9]/.test(element.text) && parseProfileDate(element.text, profile) !== undefined))
+        score++;
+    return score;
+}
+exports.scoreLayoutProfile = scoreLayoutProfile;
+// Chooses the profile that best matches a page (the first profile is chosen if several profiles
+// match equally well).
+function selectLayoutProfile(elements, profiles, findAnchorElements) {
+    let bestProfile = undefined;
+    let bestScore = -1;
+    for (let profile of profiles) {
+        let score = scoreLayoutProfile(elements, profile, findAnchorElements);
+        if (score > bestScore) {
+            bestProfile = profile;
+            bestScore = score;
+        }
+    }
+    return { profile: bestProfile, score: bestScore };
+}
+exports.selectLayoutProfile = selectLayoutProfile;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicHJvZmlsZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJwcm9maWxlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSwyRkFBMkY7QUFDM0Ysa0dBQWtHO0FBQ2xHLGlHQUFpRztBQUNqRyx5RkFBeUY7QUFFekYsWUFBWSxDQUFDOzs7QUFFYixpQ0FBaUM7QUFHakMsaUdBQWlHO0FBQ2pHLHdEQUF3RDtBQUUzQyxRQUFBLGdCQUFnQixHQUFHLENBQUUsV0FBVyxFQUFFLGFBQWEsRUFBRSxVQUFVLENBQUUsQ0FBQztBQUM5RCxRQUFBLGdCQUFnQixHQUFHLENBQUUsV0FBVyxFQUFFLFVBQVUsQ0FBRSxDQUFDO0FBYTVELGtHQUFrRztBQUNsRyxpQ0FBaUM7QUFFakMsU0FBZ0Isa0JBQWtCLENBQUMsWUFBb0I7SUFDbkQsSUFBSSxRQUFRLEdBQW9CLElBQUksQ0FBQyxLQUFLLENBQUMsWUFBWSxDQUFDLENBQUM7SUFDekQsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLElBQUksUUFBUSxDQUFDLE1BQU0sS0FBSyxDQUFDO1FBQ2pELE1BQU0sSUFBSSxLQUFLLENBQUMsc0VBQXNFLENBQUMsQ0FBQztJQUU1RixLQUFLLElBQUksT0FBTyxJQUFJLFFBQVEsRUFBRTtRQUMxQixJQUFJLE9BQU8sT0FBTyxDQUFDLElBQUksS0FBSyxRQUFRLElBQUksT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFO1lBQzlELE1BQU0sSUFBSSxLQUFLLENBQUMsdUNBQXVDLENBQUMsQ0FBQztRQUM3RCxLQUFLLElBQUksT0FBTyxJQUFJLHdCQUFnQjtZQUNoQyxJQUFJLE9BQU8sQ0FBQyxRQUFRLEtBQUssU0FBUyxJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDLElBQUksT0FBTyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxNQUFNLEtBQUssQ0FBQztnQkFDckgsTUFBTSxJQUFJLEtBQUssQ0FBQyx1QkFBdUIsT0FBTyxDQUFDLElBQUksbUNBQW1DLE9BQU8sWUFBWSxDQUFDLENBQUM7UUFDbkgsS0FBSyxJQUFJLE9BQU8sSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUM7WUFDN0MsSUFBSSxDQUFDLHdCQUFnQixDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLHdCQUFnQixDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUM7Z0JBQzFFLE1BQU0sSUFBSSxLQUFLLENBQUMsdUJBQXVCLE9BQU8sQ0FBQyxJQUFJLG9DQUFvQyxPQUFPLElBQUksQ0FBQyxDQUFDO1FBQzVHLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxXQUFXLENBQUMsSUFBSSxPQUFPLENBQUMsV0FBVyxDQUFDLE1BQU0sS0FBSyxDQUFDO1lBQ3ZFLE1BQU0sSUFBSSxLQUFLLENBQUMsdUJBQXVCLE9BQU8sQ0FBQyxJQUFJLDBDQUEwQyxDQUFDLENBQUM7UUFDbkcsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLFdBQVcsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxXQUFXLENBQUMsTUFBTSxLQUFLLENBQUM7WUFDdkUsTUFBTSxJQUFJLEtBQUssQ0FBQyx1QkFBdUIsT0FBTyxDQUFDLElBQUksMENBQTBDLENBQUMsQ0FBQztRQUNuRyxJQUFJLE9BQU8sQ0FBQyxVQUFVLEtBQUssU0FBUyxJQUFJLE9BQU8sT0FBTyxDQUFDLFVBQVUsS0FBSyxTQUFTO1lBQzNFLE1BQU0sSUFBSSxLQUFLLENBQUMsbURBQW1ELE9BQU8sQ0FBQyxJQUFJLDBCQUEwQixDQUFDLENBQUM7UUFDL0csT0FBTyxDQUFDLFdBQVcsR0FBRyxPQUFPLENBQUMsV0FBVyxJQUFJLEVBQUUsQ0FBQztRQUNoRCxLQUFLLElBQUksT0FBTyxJQUFJLE9BQU8sQ0FBQyxXQUFXO1lBQ25DLElBQUksT0FBTyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsS0FBSyxTQUFTO2dCQUN2QyxNQUFNLElBQUksS0FBSyxDQUFDLDJDQUEyQyxPQUFPLENBQUMsSUFBSSwyQkFBMkIsT0FBTyx3Q0FBd0MsQ0FBQyxDQUFDO0tBQzlKO0lBQ0QsT0FBTyxRQUFRLENBQUM7QUFDcEIsQ0FBQztBQTFCRCxnREEwQkM7QUFFRCxpR0FBaUc7QUFDakcsMkVBQTJFO0FBRTNFLFNBQWdCLGtCQUFrQixDQUFDLFFBQW1CLEVBQUUsT0FBc0IsRUFBRSxPQUFlO0lBQzNGLElBQUksU0FBUyxHQUFHLENBQUMsSUFBWSxFQUFFLEVBQUUsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztJQUMvRixJQUFJLEtBQUssR0FBRyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBQzdELE9BQU8sUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7QUFDN0UsQ0FBQztBQUpELGdEQUlDO0FBRUQsaUdBQWlHO0FBQ2pHLHFCQUFxQjtBQUVyQixTQUFnQixnQkFBZ0IsQ0FBQyxJQUFZLEVBQUUsT0FBc0I7SUFDakUsSUFBSSxJQUFJLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsRUFBRSxPQUFPLENBQUMsV0FBVyxFQUFFLElBQUksQ0FBQyxDQUFDO0lBQzFELE9BQU8sSUFBSSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztBQUM3QyxDQUFDO0FBSEQsNENBR0M7QUFFRCw0RkFBNEY7QUFDNUYsa0dBQWtHO0FBQ2xHLG1HQUFtRztBQUNuRyxnR0FBZ0c7QUFFaEcsU0FBZ0Isa0JBQWtCLENBQUMsUUFBbUIsRUFBRSxPQUFzQixFQUFFLGtCQUEwRTtJQUN0SixJQUFJLEtBQUssR0FBRyxDQUFDLENBQUM7SUFDZCxJQUFJLGVBQWUsR0FBNEMsRUFBRSxDQUFDO0lBQ2xFLEtBQUssSUFBSSxPQUFPLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLEVBQUU7UUFDL0MsSUFBSSxPQUFPLEdBQUcsa0JBQWtCLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSxPQUFPLENBQUMsQ0FBQztRQUM3RCxJQUFJLE9BQU8sS0FBSyxTQUFTLEVBQUU7WUFDdkIsS0FBSyxJQUFJLHdCQUFnQixDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDcEQsZUFBZSxDQUFDLElBQUksQ0FBQyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxDQUFDLENBQUM7U0FDaEU7S0FDSjtJQUVELElBQUksT0FBTyxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxrQkFBa0IsQ0FBQyxRQUFRLEVBQUUsVUFBVSxDQUFDLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQztRQUMzRixLQUFLLElBQUksQ0FBQyxDQUFDO0lBRWYsSUFBSSxhQUFhLEdBQUcsT0FBTyxDQUFDLFdBQVcsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsY0FBYyxDQUFDLE9BQU8sS0FBSyxPQUFPLENBQUMsQ0FBQyxDQUFDO0lBQ3RJLElBQUksV0FBVyxHQUFHLGVBQWUsQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxjQUFjLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLGNBQWMsQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUN6TSxJQUFJLGFBQWEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxJQUFJLGFBQWEsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssV0FBVyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUM7UUFDN0UsS0FBSyxFQUFFLENBQUM7SUFFWixJQUFJLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxnQkFBZ0IsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxLQUFLLFNBQVMsQ0FBQztRQUM3RyxLQUFLLEVBQUUsQ0FBQztJQUVaLE9BQU8sS0FBSyxDQUFDO0FBQ2pCLENBQUM7QUF2QkQsZ0RBdUJDO0FBRUQsZ0dBQWdHO0FBQ2hHLHVCQUF1QjtBQUV2QixTQUFnQixtQkFBbUIsQ0FBQyxRQUFtQixFQUFFLFFBQXlCLEVBQUUsa0JBQTBFO0lBQzFKLElBQUksV0FBVyxHQUFrQixTQUFTLENBQUM7SUFDM0MsSUFBSSxTQUFTLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDbkIsS0FBSyxJQUFJLE9BQU8sSUFBSSxRQUFRLEVBQUU7UUFDMUIsSUFBSSxLQUFLLEdBQUcsa0JBQWtCLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSxrQkFBa0IsQ0FBQyxDQUFDO1FBQ3RFLElBQUksS0FBSyxHQUFHLFNBQVMsRUFBRTtZQUNuQixXQUFXLEdBQUcsT0FBTyxDQUFDO1lBQ3RCLFNBQVMsR0FBRyxLQUFLLENBQUM7U0FDckI7S0FDSjtJQUNELE9BQU8sRUFBRSxPQUFPLEVBQUUsV0FBVyxFQUFFLEtBQUssRUFBRSxTQUFTLEVBQUUsQ0FBQztBQUN0RCxDQUFDO0FBWEQsa0RBV0MifQ==
\ No newline at end of file
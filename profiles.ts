@@ -0,0 +1,120 @@
+// Layout profiles describe the templates used by the application register PDFs (the column
+// heading text, the word that starts each development application, the date formats and the order
+// of the columns).  Each page is scored against every profile and parsed using the best matching
+// profile, so that a new register template only requires a new profile in profiles.json.
+
+"use strict";
+
+import * as moment from "moment";
+import { Element } from "./scraper";
+
+// The column headings that the parser uses to locate the fields of each development application.
+// The "referrals" and "decision" headings are optional.
+
+export const RequiredHeadings = [ "applicant", "application", "proposal" ];
+export const OptionalHeadings = [ "referrals", "decision" ];
+
+// A layout profile.
+
+export interface LayoutProfile {
+    name: string,
+    headings: { [heading: string]: string[] },  // the alternative text of each column heading (for example, "proposal": [ "Proposal", "Description" ])
+    anchorWords: string[],  // the word that starts each development application (for example, "Lodgement"), in order of preference
+    dateFormats: string[],  // the formats of dates (for example, "D/MM/YYYY"), in order of preference
+    columnOrder: string[],  // the column headings from left to right
+    ignoreCase?: boolean  // whether the column headings are matched ignoring case (by default the case must match)
+}
+
+// Reads the layout profiles from the text of a profiles file (a JSON array of profiles), checking
+// that each profile is complete.
+
+export function loadLayoutProfiles(profilesText: string) {
+    let profiles: LayoutProfile[] = JSON.parse(profilesText);
+    if (!Array.isArray(profiles) || profiles.length === 0)
+        throw new Error("The profiles file must contain a non-empty array of layout profiles.");
+
+    for (let profile of profiles) {
+        if (typeof profile.name !== "string" || profile.name.trim() === "")
+            throw new Error("Each layout profile must have a name.");
+        for (let heading of RequiredHeadings)
+            if (profile.headings === undefined || !Array.isArray(profile.headings[heading]) || profile.headings[heading].length === 0)
+                throw new Error(`The layout profile "${profile.name}" must specify the text of the "${heading}" heading.`);
+        for (let heading of Object.keys(profile.headings))
+            if (!RequiredHeadings.includes(heading) && !OptionalHeadings.includes(heading))
+                throw new Error(`The layout profile "${profile.name}" specifies the unknown heading "${heading}".`);
+        if (!Array.isArray(profile.anchorWords) || profile.anchorWords.length === 0)
+            throw new Error(`The layout profile "${profile.name}" must specify at least one anchor word.`);
+        if (!Array.isArray(profile.dateFormats) || profile.dateFormats.length === 0)
+            throw new Error(`The layout profile "${profile.name}" must specify at least one date format.`);
+        if (profile.ignoreCase !== undefined && typeof profile.ignoreCase !== "boolean")
+            throw new Error(`The "ignoreCase" setting of the layout profile "${profile.name}" must be true or false.`);
+        profile.columnOrder = profile.columnOrder || [];
+        for (let heading of profile.columnOrder)
+            if (profile.headings[heading] === undefined)
+                throw new Error(`The column order of the layout profile "${profile.name}" includes the heading "${heading}", which the profile does not specify.`);
+    }
+    return profiles;
+}
+
+// Finds the element for a column heading (the first element whose text is one of the alternative
+// texts of the heading, ignoring case only if the profile specifies that).
+
+export function findHeadingElement(elements: Element[], profile: LayoutProfile, heading: string) {
+    let normalise = (text: string) => profile.ignoreCase ? text.trim().toLowerCase() : text.trim();
+    let texts = (profile.headings[heading] || []).map(normalise);
+    return elements.find(element => texts.includes(normalise(element.text)));
+}
+
+// Strictly parses a date using the date formats of a profile (returning undefined if the text is
+// not a valid date).
+
+export function parseProfileDate(text: string, profile: LayoutProfile) {
+    let date = moment(text.trim(), profile.dateFormats, true);
+    return date.isValid() ? date : undefined;
+}
+
+// Scores how well a page matches a profile: two points for each required heading found, one
+// point for each optional heading found, two points if the anchor word is found, one point if the
+// headings appear in the expected order and one point if any date in the expected format is found.
+// The function used to find the elements that contain an anchor word is supplied by the parser.
+
+export function scoreLayoutProfile(elements: Element[], profile: LayoutProfile, findAnchorElements: (elements: Element[], anchorWord: string) => Element[]) {
+    let score = 0;
+    let headingElements: { heading: string, element: Element }[] = [];
+    for (let heading of Object.keys(profile.headings)) {
+        let element = findHeadingElement(elements, profile, heading);
+        if (element !== undefined) {
+            score += RequiredHeadings.includes(heading) ? 2 : 1;
+            headingElements.push({ heading: heading, element: element });
+        }
+    }
+
+    if (profile.anchorWords.some(anchorWord => findAnchorElements(elements, anchorWord).length > 0))
+        score += 2;
+
+    let expectedOrder = profile.columnOrder.filter(heading => headingElements.some(headingElement => headingElement.heading === heading));
+    let actualOrder = headingElements.filter(headingElement => profile.columnOrder.includes(headingElement.heading)).sort((a, b) => a.element.x - b.element.x).map(headingElement => headingElement.heading);
+    if (expectedOrder.length > 1 && expectedOrder.join(",") === actualOrder.join(","))
+        score++;
+
+    if (elements.some(element => /[0-9]/.test(element.text) && parseProfileDate(element.text, profile) !== undefined))
+        score++;
+
+    return score;
+}
+
+// Chooses the profile that best matches a page (the first profile is chosen if several profiles
+// match equally well).
+
+export function selectLayoutProfile(elements: Element[], profiles: LayoutProfile[], findAnchorElements: (elements: Element[], anchorWord: string) => Element[]) {
+    let bestProfile: LayoutProfile = undefined;
+    let bestScore = -1;
+    for (let profile of profiles) {
+        let score = scoreLayoutProfile(elements, profile, findAnchorElements);
+        if (score > bestScore) {
+            bestProfile = profile;
+            bestScore = score;
+        }
+    }
+    return { profile: bestProfile, score: bestScore };
+}
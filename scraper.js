@@ -5,54 +5,335 @@
 // 20th October 2018
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
+exports.processPdf = exports.selectPdfUrls = exports.loadGeocodeFile = exports.loadSuburbNames = exports.loadClassification = exports.loadProfiles = exports.parsePdf = exports.parsePdfPages = exports.parseElements = exports.parsePageElements = exports.findStartElements = exports.parseApplicationElements = exports.formatAddress = exports.parseAddressComponents = exports.getRightElement = exports.getRowTop = exports.saveReport = exports.startReport = exports.readDocumentRecords = exports.listChanges = exports.insertRow = exports.initializeDatabase = void 0;
 const fs = require("fs");
+const crypto = require("crypto");
+const path = require("path");
 const cheerio = require("cheerio");
-const request = require("request-promise-native");
 const sqlite3 = require("sqlite3");
 const urlparser = require("url");
 const moment = require("moment");
 const pdfjs = require("pdfjs-dist");
 const didyoumean = require("didyoumean2");
+const layoutdebug_1 = require("./layoutdebug");
+const address_1 = require("./address");
+const geocode_1 = require("./geocode");
+const ocr_1 = require("./ocr");
+const fetch_1 = require("./fetch");
+const profiles_1 = require("./profiles");
+const classify_1 = require("./classify");
+const database_1 = require("./database");
 sqlite3.verbose();
 const DevelopmentApplicationsUrl = "https://www.light.sa.gov.au/develop/applicationregister";
 const CommentUrl = "mailto:light@light.sa.gov.au";
-// All valid suburb names.
-let SuburbNames = null;
-// Sets up an sqlite database.
-async function initializeDatabase() {
+const LowConfidence = 70; // text recognised by OCR with a confidence (0 to 100) below this is flagged in the warnings of a development application
+const DatabaseFile = "data.sqlite"; // the database read by morph.io (and so by PlanningAlerts)
+const ReplayDatabaseFile = "replay.sqlite"; // the default database when replaying a directory of PDFs without a register file
+const DefaultBatchSize = 2; // the number of PDFs parsed in a single run (avoid parsing too many PDFs because this may use too much memory, resulting in morph.io terminating the current process)
+// All valid suburb names (and their aliases).
+let Gazetteer = null;
+// The co-ordinates of streets (and individual addresses) used to geocode addresses (null if no
+// geocoding file was specified, in which case only the suburb centres are used).
+let StreetCoordinates = null;
+// The layouts of the register PDFs (see profiles.ts).
+let LayoutProfiles = null;
+// The rules used to classify the descriptions of development applications (see classify.ts).
+let ClassificationRules = null;
+let Options = null;
+// Columns that have been added to tables (other than the [data] table, see database.ts) since the
+// tables were first created (these are added to any existing database that does not yet have them).
+const AddedColumns = {
+    documents: [
+        { name: "last_page", type: "integer" },
+        { name: "checkpoint_hash", type: "text" },
+        { name: "checkpoint_run", type: "text" },
+        { name: "peak_memory", type: "integer" },
+        { name: "etag", type: "text" },
+        { name: "last_modified", type: "text" } // the Last-Modified header of the response when the PDF was last retrieved
+    ],
+    report_documents: [
+        { name: "profiles", type: "text" },
+        { name: "peak_memory", type: "integer" },
+        { name: "status", type: "text" } // "parsed", "failed" or "unchanged" (see ReportDocument)
+    ]
+};
+// Gets the definitions of the columns that have been added to a table (for creating a new table
+// with all of its columns).
+function getAddedColumnDefinitions(table) {
+    return AddedColumns[table].map(column => `[${column.name}] ${column.type}`).join(", ");
+}
+// Sets up an sqlite database.  New tables are created with all of their columns; the columns added
+// since a table was first created are only added to the tables of an existing database.
+async function initializeDatabase(fileName) {
     return new Promise((resolve, reject) => {
-        let database = new sqlite3.Database("data.sqlite");
+        let database = new sqlite3.Database(fileName);
         database.serialize(() => {
-            database.run("create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text)");
-            resolve(database);
+            database.run(`create table if not exists [documents] ([url] text primary key, [hash] text, [date_parsed] text, [date_checked] text, [application_count] integer, [failed] integer, [error] text, ${getAddedColumnDefinitions("documents")})`);
+            database.run(`create table if not exists [history] ([council_reference] text, ${HistoryColumns.map(column => `[${column}] text`).join(", ")}, [info_url] text, [first_seen] text, [last_seen] text)`);
+            database.run("create index if not exists [history_council_reference] on [history] ([council_reference])");
+            database.run(`create table if not exists [report_documents] ([run_date] text, [url] text, [page_count] integer, [application_count] integer, [failed] integer, [error] text, ${ReportIssueKinds.map(kind => `[${kind}_count] integer`).join(", ")}, ${getAddedColumnDefinitions("report_documents")})`);
+            database.run("create table if not exists [report_issues] ([run_date] text, [url] text, [page] integer, [kind] text, [application_number] text, [detail] text, [elements] text)");
+            database_1.createDataTable(database).then(() => database_1.addMissingColumns(database, AddedColumns)).then(() => resolve(database), reject);
         });
     });
 }
-// Inserts a row in the database if it does not already exist.
-async function insertRow(database, developmentApplication) {
+exports.initializeDatabase = initializeDatabase;
+// The columns of the [data] table that are recorded in the [history] table (a new version of a
+// development application is recorded whenever any of these change).
+const HistoryColumns = ["address", "description", "date_received", "date_application", "applicant", "referrals", "date_decision", "decision"];
+// Inserts a row in the database (or updates the row if it already exists).  The date on which
+// the development application was first scraped is retained so that PlanningAlerts does not
+// treat it as a new development application.  The time at which the current run started
+// (YYYY-MM-DD HH:mm:ss) is recorded in the [history] table.
+async function insertRow(database, developmentApplication, runTime) {
+    let existingRows = await database_1.readRows(database, "select [date_scraped] from [data] where [council_reference] = ?", [developmentApplication.applicationNumber]);
+    let row = {
+        council_reference: developmentApplication.applicationNumber,
+        address: developmentApplication.address,
+        description: developmentApplication.description,
+        info_url: developmentApplication.informationUrl,
+        comment_url: developmentApplication.commentUrl,
+        date_scraped: (existingRows.length > 0) ? existingRows[0].date_scraped : developmentApplication.scrapeDate,
+        date_received: developmentApplication.receivedDate,
+        applicant: developmentApplication.applicant,
+        referrals: JSON.stringify(developmentApplication.referrals),
+        date_application: developmentApplication.applicationDate,
+        date_decision: developmentApplication.decisionDate,
+        decision: developmentApplication.decision,
+        warnings: JSON.stringify(developmentApplication.warnings),
+        latitude: developmentApplication.latitude,
+        longitude: developmentApplication.longitude,
+        geocode_precision: developmentApplication.geocodePrecision,
+        categories: JSON.stringify(developmentApplication.categories),
+        lot_count: developmentApplication.lotCount
+    };
+    for (let column of Object.keys(database_1.AddressComponentColumns))
+        row[column] = developmentApplication.addressComponents[database_1.AddressComponentColumns[column]];
+    let columnNames = Object.keys(row);
+    await database_1.runSql(database, `insert or replace into [data] (${columnNames.map(columnName => `[${columnName}]`).join(", ")}) values (${columnNames.map(() => "?").join(", ")})`, columnNames.map(columnName => row[columnName]));
+    console.log(`    Saved application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\" and received date \"${developmentApplication.receivedDate}\" to the database.`);
+    await insertHistoryRow(database, row, runTime);
+}
+exports.insertRow = insertRow;
+// Records the current version of a development application in the [history] table.  If the most
+// recent version is unchanged then only its last seen time is updated.  The times are those at
+// which runs started (so that the changes made by two runs on the same day can be told apart).
+async function insertHistoryRow(database, row, runTime) {
+    let latestVersions = await database_1.readRows(database, "select [rowid], * from [history] where [council_reference] = ? order by [rowid] desc limit 1", [row.council_reference]);
+    if (latestVersions.length > 0 && HistoryColumns.every(column => latestVersions[0][column] === row[column])) {
+        await database_1.runSql(database, "update [history] set [last_seen] = ? where [rowid] = ?", [runTime, latestVersions[0].rowid]);
+        return;
+    }
+    if (latestVersions.length > 0)
+        console.log(`    Recorded a new version of application \"${row.council_reference}\" (the previous version was last seen on ${latestVersions[0].last_seen}).`);
+    let columnNames = ["council_reference", ...HistoryColumns, "info_url"];
+    await database_1.runSql(database, `insert into [history] (${columnNames.map(columnName => `[${columnName}]`).join(", ")}, [first_seen], [last_seen]) values (${columnNames.map(() => "?").join(", ")}, ?, ?)`, [...columnNames.map(columnName => row[columnName]), runTime, runTime]);
+}
+// Records that the development applications last parsed from a PDF were seen again by a run that
+// skipped the PDF because it has not changed (the last seen time of the latest version of each
+// development application parsed from the PDF is updated).
+async function updateLastSeen(database, pdfUrl, runTime) {
+    await database_1.runSql(database, "update [history] set [last_seen] = ? where [info_url] = ? and [rowid] in (select max([rowid]) from [history] group by [council_reference])", [runTime, pdfUrl]);
+}
+// Converts a date (YYYY-MM-DD) to the last time on that date; a time (YYYY-MM-DD HH:mm:ss) is
+// returned unchanged.
+function getLastTime(dateOrTime) {
+    return (dateOrTime.length === "YYYY-MM-DD".length) ? `${dateOrTime} 23:59:59` : dateOrTime;
+}
+// Lists the changes to development applications between two runs (that is, every version of a
+// development application first seen after the "from" date or time and up to and including the
+// "to" date or time, compared with the version before it).  A date includes the whole day, so
+// use the start times of runs to list the changes made by a single run on a day with several
+// runs.
+async function listChanges(database, from, to) {
+    console.log(`Changes to development applications after ${from} up to and including ${to}:`);
+    let versions = await database_1.readRows(database, "select [rowid], * from [history] where [first_seen] > ? and [first_seen] <= ? order by [council_reference], [rowid]", [getLastTime(from), getLastTime(to)]);
+    for (let version of versions) {
+        let previousVersions = await database_1.readRows(database, "select * from [history] where [council_reference] = ? and [rowid] < ? order by [rowid] desc limit 1", [version.council_reference, version.rowid]);
+        if (previousVersions.length === 0) {
+            console.log(`    ${version.council_reference}: new application first seen on ${version.first_seen} in ${version.info_url}`);
+            continue;
+        }
+        console.log(`    ${version.council_reference}: changed on ${version.first_seen} in ${version.info_url}`);
+        for (let column of HistoryColumns)
+            if (previousVersions[0][column] !== version[column])
+                console.log(`        ${column}: \"${previousVersions[0][column]}\" -> \"${version[column]}\"`);
+    }
+    console.log(`Found ${versions.length} new or changed version(s) of development applications.`);
+}
+exports.listChanges = listChanges;
+// Classifies the descriptions of all development applications in the database again (for example,
+// after the classification rules have been changed), updating only those rows whose categories or
+// number of lots have changed.
+async function reclassifyApplications(database) {
+    let rows = await database_1.readRows(database, "select [council_reference], [description], [categories], [lot_count] from [data]");
+    let changedCount = 0;
+    await database_1.runSql(database, "begin transaction");
+    try {
+        for (let row of rows) {
+            let classification = classify_1.classifyDescription((row.description === null) ? "" : row.description, ClassificationRules);
+            let categories = JSON.stringify(classification.categories);
+            if (categories !== row.categories || classification.lotCount !== row.lot_count) {
+                await database_1.runSql(database, "update [data] set [categories] = ?, [lot_count] = ? where [council_reference] = ?", [categories, classification.lotCount, row.council_reference]);
+                console.log(`    ${row.council_reference}: ${categories}${(classification.lotCount === null) ? "" : ` (${classification.lotCount} lots)`}`);
+                changedCount++;
+            }
+        }
+        await database_1.runSql(database, "commit");
+    }
+    catch (error) {
+        await database_1.runSql(database, "rollback");
+        throw error;
+    }
+    console.log(`Classified ${rows.length} development application(s), of which ${changedCount} changed.`);
+}
+// Reads the processed-document ledger (which records each PDF that has been parsed).
+async function readDocumentRecords(database) {
     return new Promise((resolve, reject) => {
-        let sqlStatement = database.prepare("insert or replace into [data] values (?, ?, ?, ?, ?, ?, ?)");
+        database.all("select * from [documents]", function (error, rows) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else {
+                resolve(rows.map(row => ({
+                    url: row.url,
+                    hash: row.hash,
+                    dateParsed: row.date_parsed,
+                    dateChecked: row.date_checked,
+                    applicationCount: row.application_count,
+                    failed: (row.failed === 1),
+                    error: row.error,
+                    lastPage: row.last_page,
+                    checkpointHash: row.checkpoint_hash,
+                    checkpointRun: row.checkpoint_run,
+                    peakMemory: row.peak_memory,
+                    etag: row.etag,
+                    lastModified: row.last_modified
+                })));
+            }
+        });
+    });
+}
+exports.readDocumentRecords = readDocumentRecords;
+// Inserts or updates the record of a PDF in the processed-document ledger.
+async function saveDocumentRecord(database, documentRecord) {
+    return new Promise((resolve, reject) => {
+        let sqlStatement = database.prepare("insert or replace into [documents] ([url], [hash], [date_parsed], [date_checked], [application_count], [failed], [error], [last_page], [checkpoint_hash], [checkpoint_run], [peak_memory], [etag], [last_modified]) values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
         sqlStatement.run([
-            developmentApplication.applicationNumber,
-            developmentApplication.address,
-            developmentApplication.description,
-            developmentApplication.informationUrl,
-            developmentApplication.commentUrl,
-            developmentApplication.scrapeDate,
-            developmentApplication.receivedDate
+            documentRecord.url,
+            documentRecord.hash,
+            documentRecord.dateParsed,
+            documentRecord.dateChecked,
+            documentRecord.applicationCount,
+            documentRecord.failed ? 1 : 0,
+            documentRecord.error,
+            documentRecord.lastPage,
+            documentRecord.checkpointHash,
+            documentRecord.checkpointRun,
+            documentRecord.peakMemory,
+            documentRecord.etag,
+            documentRecord.lastModified
         ], function (error, row) {
             if (error) {
                 console.error(error);
                 reject(error);
             }
             else {
-                console.log(`    Saved application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\" and received date \"${developmentApplication.receivedDate}\" to the database.`);
                 sqlStatement.finalize(); // releases any locks
                 resolve(row);
             }
         });
     });
 }
+// The kinds of problem recorded in the parse-quality report: a page from which no development
+// applications could be parsed, a group of elements from which a development application could
+// not be parsed, an address with a suburb that was not recognised, a suffix added to a duplicate
+// application number and a warning about a development application that was still saved.
+const ReportIssueKinds = ["skipped_page", "rejected_row", "unrecognised_suburb", "duplicate_number", "warning"];
+let Report = null;
+// Starts recording the parse-quality report for a run (the report is returned so that it can be
+// saved once the run is complete).
+function startReport(runDate = moment().format("YYYY-MM-DD HH:mm:ss")) {
+    Report = { runDate: runDate, documents: [], issues: [], url: undefined, page: undefined };
+    return Report;
+}
+exports.startReport = startReport;
+// Records that a page of a PDF is being parsed (subsequent issues are recorded against this page).
+function reportPage(url, page) {
+    if (Report === null)
+        return;
+    Report.url = url;
+    Report.page = page;
+    let reportDocument = Report.documents.find(reportDocument => reportDocument.url === url);
+    if (reportDocument === undefined) {
+        reportDocument = { url: url, pageCount: 0, applicationCount: 0, status: "parsed", failed: false, error: null, issueCounts: {}, profiles: [], peakMemory: null };
+        for (let kind of ReportIssueKinds)
+            reportDocument.issueCounts[kind] = 0;
+        Report.documents.push(reportDocument);
+    }
+    reportDocument.pageCount = Math.max(reportDocument.pageCount, page);
+}
+// Records a problem encountered on the page currently being parsed.
+function reportIssue(kind, detail, elements, applicationNumber) {
+    if (Report === null)
+        return;
+    Report.issues.push({
+        url: Report.url,
+        page: Report.page,
+        kind: kind,
+        applicationNumber: applicationNumber,
+        detail: detail,
+        elements: elements.map(element => `[${element.text}]`).join("")
+    });
+    let reportDocument = Report.documents.find(reportDocument => reportDocument.url === Report.url);
+    if (reportDocument !== undefined)
+        reportDocument.issueCounts[kind]++;
+}
+// Records the layout profile chosen for the page currently being parsed.
+function reportProfile(name) {
+    if (Report === null)
+        return;
+    let reportDocument = Report.documents.find(reportDocument => reportDocument.url === Report.url);
+    if (reportDocument !== undefined)
+        reportDocument.profiles[Report.page - 1] = name;
+}
+// Records the outcome of parsing a PDF (or that the PDF was not parsed because it has not changed
+// since it was last parsed).
+function reportDocumentOutcome(url, applicationCount, error, peakMemory, unchanged = false) {
+    if (Report === null)
+        return;
+    if (!Report.documents.some(reportDocument => reportDocument.url === url))
+        reportPage(url, 0); // the PDF could not be read (or was not parsed)
+    let reportDocument = Report.documents.find(reportDocument => reportDocument.url === url);
+    reportDocument.applicationCount = applicationCount;
+    reportDocument.status = unchanged ? "unchanged" : ((error === null) ? "parsed" : "failed");
+    reportDocument.failed = (error !== null);
+    reportDocument.error = error;
+    reportDocument.peakMemory = peakMemory;
+}
+// Saves the parse-quality report to the database and to a JSON file.
+async function saveReport(database, report, fileName) {
+    for (let reportDocument of report.documents)
+        await database_1.runSql(database, `insert into [report_documents] ([run_date], [url], [page_count], [application_count], [status], [failed], [error], [profiles], [peak_memory], ${ReportIssueKinds.map(kind => `[${kind}_count]`).join(", ")}) values (?, ?, ?, ?, ?, ?, ?, ?, ?, ${ReportIssueKinds.map(() => "?").join(", ")})`, [report.runDate, reportDocument.url, reportDocument.pageCount, reportDocument.applicationCount, reportDocument.status, reportDocument.failed ? 1 : 0, reportDocument.error, JSON.stringify(reportDocument.profiles), reportDocument.peakMemory, ...ReportIssueKinds.map(kind => reportDocument.issueCounts[kind])]);
+    for (let issue of report.issues)
+        await database_1.runSql(database, "insert into [report_issues] ([run_date], [url], [page], [kind], [application_number], [detail], [elements]) values (?, ?, ?, ?, ?, ?, ?)", [report.runDate, issue.url, issue.page, issue.kind, issue.applicationNumber, issue.detail, issue.elements]);
+    let totals = {};
+    for (let kind of ReportIssueKinds)
+        totals[kind] = report.issues.filter(issue => issue.kind === kind).length;
+    fs.writeFileSync(fileName, JSON.stringify({
+        runDate: report.runDate,
+        documentCount: report.documents.length,
+        applicationCount: report.documents.reduce((total, reportDocument) => total + reportDocument.applicationCount, 0),
+        failedDocumentCount: report.documents.filter(reportDocument => reportDocument.failed).length,
+        unchangedDocumentCount: report.documents.filter(reportDocument => reportDocument.status === "unchanged").length,
+        issueCounts: totals,
+        documents: report.documents,
+        issues: report.issues
+    }, null, 4));
+    console.log(`Saved the parse-quality report (${report.issues.length} issue(s) in ${report.documents.length} document(s)) to the database and to: ${fileName}`);
+}
+exports.saveReport = saveReport;
 // Gets the highest Y co-ordinate of all elements that are considered to be in the same row as
 // the specified element.  Take care to avoid extremely tall elements (because these may otherwise
 // be considered as part of all rows and effectively force the return value of this function to
@@ -66,6 +347,7 @@ function getRowTop(elements, startElement) {
                     top = element.y;
     return top;
 }
+exports.getRowTop = getRowTop;
 // Constructs a rectangle based on the intersection of the two specified rectangles.
 function intersect(rectangle1, rectangle2) {
     let x1 = Math.max(rectangle1.x, rectangle2.x);
@@ -114,33 +396,108 @@ function getRightElement(elements, element) {
             closestElement = rightElement;
     return (closestElement.text === undefined) ? undefined : closestElement;
 }
-// Formats (and corrects) an address.
-function formatAddress(address) {
-    address = address.trim();
-    if (address === "")
-        return "";
-    // Pop tokens from the end of the array until a valid suburb name is encountered (allowing
-    // for a few spelling errors).
-    let tokens = address.split(" ");
-    let suburbName = null;
-    for (let index = 1; index <= 4; index++) {
-        let suburbNameMatch = didyoumean(tokens.slice(-index).join(" "), Object.keys(SuburbNames), { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true });
-        if (suburbNameMatch !== null) {
-            suburbName = SuburbNames[suburbNameMatch];
-            tokens.splice(-index, index); // remove elements from the end of the array           
-            break;
+exports.getRightElement = getRightElement;
+// Gets the element that is the heading of the next column to the right of the specified column
+// heading element (ignoring any elements that are part of the same heading text, such as "Date"
+// in "Application Date").
+function getNextHeadingElement(elements, headingElement) {
+    let lastElement = headingElement;
+    for (let rightElement = getRightElement(elements, lastElement); rightElement !== undefined; rightElement = getRightElement(elements, lastElement))
+        lastElement = rightElement;
+    let nextHeadingElement = undefined;
+    for (let element of elements)
+        if (getVerticalOverlapPercentage(headingElement, element) > 50 && // the heading must be in the same row
+            element.x > lastElement.x + lastElement.width && // the heading must be to the right
+            (nextHeadingElement === undefined || element.x < nextHeadingElement.x)) // choose the closest heading
+            nextHeadingElement = element;
+    return nextHeadingElement;
+}
+// Gets the lines of text formed by the specified elements (which are assumed to be sorted by Y
+// co-ordinate and then by X co-ordinate, as they are on a PDF page).
+function getLines(elements) {
+    let lines = [];
+    let previousY = undefined;
+    for (let element of elements) {
+        if (previousY === undefined || element.y > previousY + element.height / 2) // a new line
+            lines.push("");
+        lines[lines.length - 1] += element.text;
+        previousY = element.y;
+    }
+    return lines;
+}
+// The referral agencies that commonly appear in the "Referrals/" column, with the various ways
+// that their names are written.
+const ReferralAgencies = {
+    "EPA": ["EPA", "Environment Protection Authority"],
+    "CFS": ["CFS", "Country Fire Service", "SA Country Fire Service"],
+    "SA Water": ["SA Water", "SAWater", "SA Water Corporation"],
+    "DPTI": ["DPTI", "Department of Planning Transport and Infrastructure"],
+    "Commissioner of Highways": ["Commissioner of Highways", "COH"],
+    "Native Vegetation Council": ["Native Vegetation Council", "NVC"],
+    "Heritage SA": ["Heritage SA", "Heritage"]
+};
+// Text that indicates that there were no referrals.
+const NoReferralTexts = ["nil", "none", "n/a", "na", "-"];
+// Finds the standard name of a referral agency (returning undefined if the name is not
+// recognised).
+function findReferralAgency(name) {
+    let simplifiedName = name.replace(/[^A-Za-z0-9/]+/g, " ").trim().toLowerCase();
+    return Object.keys(ReferralAgencies).find(agency => ReferralAgencies[agency].some(alias => alias.toLowerCase() === simplifiedName));
+}
+// Converts the lines of text in a "Referrals/" cell into a list of referral agencies.  Each line
+// may contain several referral agencies separated by commas, semicolons or ampersands; and a long
+// agency name may be wrapped onto a second line.
+function parseReferrals(lines) {
+    let names = [];
+    for (let line of lines) {
+        let previousName = (names.length === 0) ? undefined : names[names.length - 1];
+        for (let name of line.split(/[,;&]/).map(name => name.replace(/\s+/g, " ").trim()).filter(name => name !== "")) {
+            if (previousName !== undefined && findReferralAgency(previousName) === undefined && findReferralAgency(`${previousName} ${name}`) !== undefined)
+                names[names.length - 1] = `${previousName} ${name}`; // a name that wraps onto the next line
+            else
+                names.push(name);
+            previousName = undefined; // only the first name on a line may be the continuation of the previous line
         }
     }
-    if (suburbName === null) { // suburb name not found (or not recognised)
+    let referrals = [];
+    for (let name of names) {
+        if (NoReferralTexts.includes(name.toLowerCase()))
+            continue;
+        let referral = findReferralAgency(name) || name;
+        if (!referrals.includes(referral))
+            referrals.push(referral);
+    }
+    return referrals;
+}
+// Parses an address into its components (correcting the suburb name and adding the state and
+// post code).
+function parseAddressComponents(address) {
+    let components = address_1.parseAddress(address, Gazetteer);
+    if (address.trim() !== "" && components.postCode === "") { // suburb name not found (or not recognised)
         console.log(`The state and post code will not be added because the suburb was not recognised: ${address}`);
-        return address;
+        reportIssue("unrecognised_suburb", address, []);
     }
-    // Add the suburb name with its state and post code to the street name.
-    let streetName = tokens.join(" ").trim();
-    return (streetName + ((streetName === "") ? "" : ", ") + suburbName).trim();
+    return components;
 }
-// Parses the details from the elements associated with a single development application.
-function parseApplicationElements(elements, startElement, applicantElement, applicationElement, proposalElement, referralsElement, informationUrl) {
+exports.parseAddressComponents = parseAddressComponents;
+// Formats (and corrects) an address.
+function formatAddress(address) {
+    return address_1.formatAddressComponents(parseAddressComponents(address));
+}
+exports.formatAddress = formatAddress;
+// Parses the details from the elements associated with a single development application (dates
+// are parsed using the date formats of the specified layout profile).
+function parseApplicationElements(elements, startElement, applicantElement, applicationElement, proposalElement, referralsElement, afterReferralsElement, decisionElement, informationUrl, profile, layout) {
+    let warnings = []; // problems that do not prevent the development application from being saved
+    // Records the region from which a field was extracted (when the layout is being rendered) and
+    // warns about any text in the field that was recognised by OCR with a low confidence.
+    let addField = (name, fieldElements) => {
+        if (layout !== undefined && fieldElements.length > 0)
+            layout.fields.push({ name: name, rectangle: layoutdebug_1.getBoundingRectangle(fieldElements) });
+        let lowConfidenceElements = fieldElements.filter(element => element.confidence !== undefined && element.confidence < LowConfidence);
+        if (lowConfidenceElements.length > 0)
+            warnings.push(`The ${name.replace(/([A-Z])/g, " $1").toLowerCase()} text ${lowConfidenceElements.map(element => `\"${element.text.trim()}\" (${Math.round(element.confidence)}%)`).join(", ")} was recognised with low confidence.`);
+    };
     // Get the application number.
     let xComparer = (a, b) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0);
     let applicationNumberElements = elements
@@ -151,12 +508,14 @@ function parseApplicationElements(elements, startElement, applicantElement, appl
         let text = applicationNumberElements.slice(0, index).map(element => element.text).join("").replace(/\s/g, "");
         if (/\/[0-9]{4}$/.test(text)) {
             applicationNumber = text;
+            addField("applicationNumber", applicationNumberElements.slice(0, index));
             break;
         }
     }
     if (applicationNumber === undefined) {
         let elementSummary = elements.map(element => `[${element.text}]`).join("");
         console.log(`Could not find the application number on the PDF page for the current development application.  The development application will be ignored.  Elements: ${elementSummary}`);
+        reportIssue("rejected_row", "The application number was not found.", elements);
         return undefined;
     }
     console.log(`    Found \"${applicationNumber}\".`);
@@ -175,8 +534,13 @@ function parseApplicationElements(elements, startElement, applicantElement, appl
     if (applicationDateElement === undefined) {
         let elementSummary = elements.map(element => `[${element.text}]`).join("");
         console.log(`Could not find the application date on the PDF page for the current development application.  The development application will be ignored.  Elements: ${elementSummary}`);
+        reportIssue("rejected_row", `The application date was not found for application \"${applicationNumber}\".`, elements, applicationNumber);
         return undefined;
     }
+    addField("applicationDate", [applicationDateElement]);
+    let applicationDate = profiles_1.parseProfileDate(applicationDateElement.text, profile);
+    if (applicationDate === undefined)
+        warnings.push(`The application date \"${applicationDateElement.text.trim()}\" is not a valid date.`);
     // Get the received date.
     let receivedDateElement = undefined;
     let receivedDateRectangle = { x: applicationElement.x, y: 0, width: applicationElement.width, height: applicationElement.height };
@@ -186,72 +550,134 @@ function parseApplicationElements(elements, startElement, applicantElement, appl
             getArea(element) > 0.5 * getArea(receivedDateRectangle) && // ensure that the element is approximately the same size (within 50%) as what is expected for the date rectangle
             getArea(intersect(element, receivedDateRectangle)) > 0.75 * getArea(element) && // determine if the element mostly overlaps (by more than 75%) the rectangle where the date is expected to appear
             element.y > applicationDateElement.y + applicationDateElement.height && // ignore the application date (the recieved date appears futher down)
-            moment(element.text.trim(), "D/MM/YYYY", true).isValid()) { // ensure that "Received" and "Date" text are ignored (keep searching until a valid date is found)
+            /[0-9]/.test(element.text)) { // ensure that "Received" and "Date" text are ignored (keep searching until text that may be a date is found)
             receivedDateElement = element;
             break;
         }
     }
+    let receivedDate = undefined;
     if (receivedDateElement === undefined)
-        receivedDateElement = applicationDateElement; // fallback to the application date
-    let receivedDate = moment(applicationDateElement.text.trim(), "D/MM/YYYY", true);
+        warnings.push("The received date was not found.");
+    else {
+        addField("receivedDate", [receivedDateElement]);
+        receivedDate = profiles_1.parseProfileDate(receivedDateElement.text, profile);
+        if (receivedDate === undefined)
+            warnings.push(`The received date \"${receivedDateElement.text.trim()}\" is not a valid date.`);
+    }
     // Get the address (to the right of the application date element and to the left of the
     // "Proposal" column heading).  The address seems to always be a single line.
-    let address = elements
+    let addressElements = elements
         .filter(element => element.x > applicationDateElement.x + applicationDateElement.width && // the address elements must be to the right of the application date
         getVerticalOverlapPercentage(applicationDateElement, element) > 50 && // the address element must overlap vertically with the application date element
         element.x < proposalElement.x - proposalElement.height / 2) // the address element must be at least a little to the left of the "Proposal" heading text (arbitrarily use half the height)
-        .sort(xComparer)
-        .map(element => element.text)
-        .join("");
-    address = formatAddress(address); // add the state and post code to the address
+        .sort(xComparer);
+    addField("address", addressElements);
+    let address = addressElements.map(element => element.text).join("");
+    let addressComponents = parseAddressComponents(address);
+    address = address_1.formatAddressComponents(addressComponents); // add the state and post code to the address
+    let location = geocode_1.geocodeAddress(addressComponents, Gazetteer, StreetCoordinates);
+    // Get the applicant (between the "Applicant" heading and the application date column).
+    let applicantElements = elements
+        .filter(element => element.x > applicantElement.x - applicantElement.height / 2 && // the applicant elements may start a little to the left of the "Applicant" heading
+        element.x < applicationElement.x - applicationElement.height / 2); // the applicant elements are to the left of the application date column
+    addField("applicant", applicantElements);
+    let applicant = getLines(applicantElements).map(line => line.trim()).filter(line => line !== "").join(" ");
     // Get the description.
     let description = "";
     if (referralsElement !== undefined) {
         let descriptionElements = elements
             .filter(element => element.x > proposalElement.x - proposalElement.height / 2 && // the description elements may start at least a little to the left to the "Proposal" heading
             element.x < referralsElement.x); // the description elements are to the left of the "Referrals/" heading
-        let previousY = undefined;
-        for (let descriptionElement of descriptionElements) {
-            if (previousY !== undefined && descriptionElement.y > previousY + descriptionElement.height / 2) // a new line
-                description += " ";
-            description += descriptionElement.text;
-            previousY = descriptionElement.y;
+        addField("description", descriptionElements);
+        description = getLines(descriptionElements).join(" ");
+    }
+    // Get the referral agencies (between the "Referrals/" heading and the next column heading, if
+    // any).
+    let referrals = [];
+    if (referralsElement !== undefined) {
+        let referralElements = elements
+            .filter(element => element.x > referralsElement.x - referralsElement.height / 2 && // the referral elements may start a little to the left of the "Referrals/" heading
+            (afterReferralsElement === undefined || element.x < afterReferralsElement.x - afterReferralsElement.height / 2)); // the referral elements are to the left of the next column
+        addField("referrals", referralElements);
+        referrals = parseReferrals(getLines(referralElements));
+    }
+    // Get the decision date and the decision (or status) text from the columns to the right of the
+    // "Decision" heading (if there is such a heading).  These are only present once the
+    // development application has been assessed.
+    let decisionDate = undefined;
+    let decision = "";
+    if (decisionElement !== undefined) {
+        let decisionElements = elements.filter(element => element.x > decisionElement.x - decisionElement.height / 2);
+        addField("decision", decisionElements);
+        let decisionLines = [];
+        for (let line of getLines(decisionElements).map(line => line.trim()).filter(line => line !== "")) {
+            if (!/^[0-9]+\/[0-9]+\/[0-9]+$/.test(line))
+                decisionLines.push(line);
+            else if (decisionDate !== undefined)
+                warnings.push(`The additional decision date \"${line}\" was ignored.`);
+            else {
+                decisionDate = profiles_1.parseProfileDate(line, profile);
+                if (decisionDate === undefined)
+                    warnings.push(`The decision date \"${line}\" is not a valid date.`);
+            }
         }
+        decision = decisionLines.join(" ");
     }
+    for (let warning of warnings) {
+        console.log(`    Warning for \"${applicationNumber}\": ${warning}`);
+        reportIssue("warning", warning, [], applicationNumber);
+    }
+    description = (description.trim() === "") ? "No Description Provided" : description;
+    let classification = classify_1.classifyDescription(description, ClassificationRules);
     return {
         applicationNumber: applicationNumber,
+        applicant: applicant,
         address: address,
-        description: ((description.trim() === "") ? "No Description Provided" : description),
+        addressComponents: addressComponents,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        geocodePrecision: location.precision,
+        description: description,
+        categories: classification.categories,
+        lotCount: classification.lotCount,
         informationUrl: informationUrl,
         commentUrl: CommentUrl,
         scrapeDate: moment().format("YYYY-MM-DD"),
-        receivedDate: (receivedDate !== undefined && receivedDate.isValid()) ? receivedDate.format("YYYY-MM-DD") : ""
+        receivedDate: (receivedDate === undefined) ? "" : receivedDate.format("YYYY-MM-DD"),
+        applicationDate: (applicationDate === undefined) ? "" : applicationDate.format("YYYY-MM-DD"),
+        referrals: referrals,
+        decisionDate: (decisionDate === undefined) ? "" : decisionDate.format("YYYY-MM-DD"),
+        decision: decision,
+        warnings: warnings
     };
 }
+exports.parseApplicationElements = parseApplicationElements;
 // Finds the start element of each development application on the current PDF page (there are
 // typically many development applications on a single page and each development application
-// typically begins with the text "Lodgement").
-function findStartElements(elements) {
-    // Examine all the elements on the page that being with "L" or "l".
+// typically begins with the anchor word, such as "Lodgement").
+function findStartElements(elements, anchorWord = "Lodgement") {
+    // Examine all the elements on the page that begin with the first letter of the anchor word.
     let startElements = [];
-    for (let element of elements.filter(element => element.text.trim().toLowerCase().startsWith("l"))) {
+    let anchorText = anchorWord.replace(/\s/g, "").toLowerCase();
+    for (let element of elements.filter(element => element.text.trim().toLowerCase().startsWith(anchorText[0]))) {
         // Extract up to 10 elements to the right of the element that has text starting with the
-        // letter "l" (and so may be the start of the "Lodgement" text).  Join together the
-        // elements to the right in an attempt to find the best match to "Lodgement".
+        // first letter of the anchor word (and so may be the start of the anchor word).  Join
+        // together the elements to the right in an attempt to find the best match to the anchor
+        // word.
         let rightElement = element;
         let rightElements = [];
         let matches = [];
         do {
             rightElements.push(rightElement);
             let text = rightElements.map(element => element.text).join("").replace(/\s/g, "").toLowerCase();
-            if (text.length >= 10) // stop once the text is too long
+            if (text.length > anchorText.length) // stop once the text is too long
                 break;
-            if (text.length >= 8) { // ignore until the text is close to long enough
-                if (text === "lodgement")
+            if (text.length >= anchorText.length - 1) { // ignore until the text is close to long enough
+                if (text === anchorText)
                     matches.push({ element: rightElement, threshold: 0, text: text });
-                else if (didyoumean(text, ["Lodgement"], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 1, trimSpace: true }) !== null)
+                else if (didyoumean(text, [anchorText], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 1, trimSpace: true }) !== null)
                     matches.push({ element: rightElement, threshold: 1, text: text });
-                else if (didyoumean(text, ["Lodgement"], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true }) !== null)
+                else if (didyoumean(text, [anchorText], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true }) !== null)
                     matches.push({ element: rightElement, threshold: 2, text: text });
             }
             rightElement = getRightElement(elements, rightElement);
@@ -260,7 +686,7 @@ function findStartElements(elements) {
         if (matches.length > 0) {
             let bestMatch = matches.reduce((previous, current) => (previous === undefined ||
                 current.threshold < previous.threshold ||
-                (current.threshold === previous.threshold && Math.abs(current.text.trim().length - "Lodgement".length) <= Math.abs(previous.text.trim().length - "Lodgement".length)) ? current : previous), undefined);
+                (current.threshold === previous.threshold && Math.abs(current.text.trim().length - anchorText.length) <= Math.abs(previous.text.trim().length - anchorText.length)) ? current : previous), undefined);
             startElements.push(bestMatch.element);
         }
     }
@@ -269,149 +695,581 @@ function findStartElements(elements) {
     startElements.sort(yComparer);
     return startElements;
 }
-// Parses a PDF document.
-async function parsePdf(url) {
+exports.findStartElements = findStartElements;
+// Reads the text elements on a page of a PDF document.
+async function readPageElements(page) {
+    // Construct a text element for each item from the parsed PDF information.
+    let textContent = await page.getTextContent();
+    let viewport = await page.getViewport(1.0);
+    let elements = textContent.items.map(item => {
+        let transform = pdfjs.Util.transform(viewport.transform, item.transform);
+        // Work around the issue https://github.com/mozilla/pdf.js/issues/8276 (heights are
+        // exaggerated).  The problem seems to be that the height value is too large in some
+        // PDFs.  Provide an alternative, more accurate height value by using a calculation
+        // based on the transform matrix.
+        let workaroundHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
+        return { text: item.str, confidence: 100, x: transform[4], y: transform[5], width: item.width, height: workaroundHeight };
+    });
+    return elements;
+}
+// Parses the development applications from the text elements on a single page of a PDF document.
+// The layout determined by the parser is recorded if a layout object is provided (so that it can
+// be rendered for diagnosis).
+function parsePageElements(elements, url, layout) {
     let developmentApplications = [];
-    // Read the PDF.
-    let buffer = await request({ url: url, encoding: null, proxy: process.env.MORPH_PROXY });
-    await sleep(2000 + getRandom(0, 5) * 1000);
-    // Parse the PDF.  Each page has the details of multiple applications.
-    let pdf = await pdfjs.getDocument({ data: buffer, disableFontFace: true, ignoreErrors: true });
-    for (let pageIndex = 0; pageIndex < pdf.numPages; pageIndex++) {
-        console.log(`Reading and parsing applications from page ${pageIndex + 1} of ${pdf.numPages}.`);
-        let page = await pdf.getPage(pageIndex + 1);
-        // Construct a text element for each item from the parsed PDF information.
-        let textContent = await page.getTextContent();
-        let viewport = await page.getViewport(1.0);
-        let elements = textContent.items.map(item => {
-            let transform = pdfjs.Util.transform(viewport.transform, item.transform);
-            // Work around the issue https://github.com/mozilla/pdf.js/issues/8276 (heights are
-            // exaggerated).  The problem seems to be that the height value is too large in some
-            // PDFs.  Provide an alternative, more accurate height value by using a calculation
-            // based on the transform matrix.
-            let workaroundHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
-            return { text: item.str, x: transform[4], y: transform[5], width: item.width, height: workaroundHeight };
-        });
-        // Sort the elements by Y co-ordinate and then by X co-ordinate.
-        let elementComparer = (a, b) => (a.y > b.y) ? 1 : ((a.y < b.y) ? -1 : ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)));
-        elements.sort(elementComparer);
-        // Ignore the page number (the last element on the page).  Otherwise this will end up as
-        // part of a description.
-        if (/[0-9]+/.test(elements[elements.length - 1].text) && Number(elements[elements.length - 1].text) < 1000)
-            elements.pop();
-        // Find the main column heading elements.
-        let applicantElement = elements.find(element => element.text.trim() === "Applicant");
-        let applicationElement = elements.find(element => element.text.trim() === "Application");
-        let proposalElement = elements.find(element => element.text.trim() === "Proposal");
-        let referralsElement = elements.find(element => element.text.trim() === "Referrals/");
-        if (applicantElement === undefined) {
+    // Sort the elements by Y co-ordinate and then by X co-ordinate.
+    let elementComparer = (a, b) => (a.y > b.y) ? 1 : ((a.y < b.y) ? -1 : ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)));
+    elements = [...elements].sort(elementComparer);
+    // Ignore the page number (the last element on the page).  Otherwise this will end up as
+    // part of a description.
+    if (elements.length > 0 && /[0-9]+/.test(elements[elements.length - 1].text) && Number(elements[elements.length - 1].text) < 1000)
+        elements.pop();
+    if (layout !== undefined)
+        layout.elements = elements;
+    // Choose the layout profile that best matches the page.
+    let { profile, score } = profiles_1.selectLayoutProfile(elements, LayoutProfiles, findStartElements);
+    console.log(`Using the layout profile \"${profile.name}\" (score ${score}).`);
+    reportProfile(profile.name);
+    if (layout !== undefined)
+        layout.profile = profile.name;
+    // Find the main column heading elements.
+    let applicantElement = profiles_1.findHeadingElement(elements, profile, "applicant");
+    let applicationElement = profiles_1.findHeadingElement(elements, profile, "application");
+    let proposalElement = profiles_1.findHeadingElement(elements, profile, "proposal");
+    let referralsElement = profiles_1.findHeadingElement(elements, profile, "referrals"); // optional
+    let afterReferralsElement = (referralsElement === undefined) ? undefined : getNextHeadingElement(elements, referralsElement);
+    let decisionElement = profiles_1.findHeadingElement(elements, profile, "decision"); // optional
+    let headingElements = { applicant: applicantElement, application: applicationElement, proposal: proposalElement, referrals: referralsElement, decision: decisionElement };
+    if (layout !== undefined)
+        for (let heading of Object.keys(headingElements))
+            if (headingElements[heading] !== undefined)
+                layout.headingElements.push({ name: headingElements[heading].text.trim(), element: headingElements[heading] });
+    for (let heading of profiles_1.RequiredHeadings) {
+        if (headingElements[heading] === undefined) {
+            let headingText = profile.headings[heading].map(text => `\"${text}\"`).join(" or ");
             let elementSummary = elements.map(element => `[${element.text}]`).join("");
-            console.log(`No development applications can be parsed from the current page because the \"Applicant\" column heading was not found.  Elements: ${elementSummary}`);
+            console.log(`No development applications can be parsed from the current page because the ${headingText} column heading was not found.  Elements: ${elementSummary}`);
+            reportIssue("skipped_page", `The ${headingText} column heading was not found (using the layout profile \"${profile.name}\").`, elements);
+            if (layout !== undefined)
+                layout.messages.push(`No development applications were parsed because the ${headingText} column heading was not found.`);
+            return developmentApplications;
+        }
+    }
+    // Group the elements into sections based on where the anchor word (such as "Lodgement")
+    // starts (and other elements the anchor word elements line up with horizontally with a
+    // margin of error equal to about half the height of the anchor word text).  The first anchor
+    // word of the profile that is found on the page is used.
+    let applicationElementGroups = [];
+    let startElements = [];
+    for (let anchorWord of profile.anchorWords) {
+        startElements = findStartElements(elements, anchorWord);
+        if (startElements.length > 0)
+            break;
+    }
+    if (layout !== undefined)
+        layout.startElements = startElements;
+    for (let index = 0; index < startElements.length; index++) {
+        // Determine the highest Y co-ordinate of this row and the next row (or the bottom of
+        // the current page).  Allow some leeway vertically (add some extra height).
+        let startElement = startElements[index];
+        let raisedStartElement = {
+            text: startElement.text,
+            confidence: startElement.confidence,
+            x: startElement.x,
+            y: startElement.y - startElement.height / 2,
+            width: startElement.width,
+            height: startElement.height
+        };
+        let rowTop = getRowTop(elements, raisedStartElement);
+        let nextRowTop = (index + 1 < startElements.length) ? getRowTop(elements, startElements[index + 1]) : Number.MAX_VALUE;
+        // Extract all elements between the two rows.
+        applicationElementGroups.push({ startElement: startElements[index], rowTop: rowTop, nextRowTop: nextRowTop, elements: elements.filter(element => element.y >= rowTop && element.y + element.height < nextRowTop) });
+    }
+    // Parse the development application from each group of elements (ie. a section of the
+    // current page of the PDF document).
+    for (let applicationElementGroup of applicationElementGroups) {
+        let developmentApplication = parseApplicationElements(applicationElementGroup.elements, applicationElementGroup.startElement, applicantElement, applicationElement, proposalElement, referralsElement, afterReferralsElement, decisionElement, url, profile, layout);
+        if (developmentApplication !== undefined)
+            developmentApplications.push(developmentApplication);
+        if (layout !== undefined)
+            layout.rows.push({
+                top: applicationElementGroup.rowTop,
+                bottom: applicationElementGroup.nextRowTop,
+                label: (developmentApplication === undefined) ? "No development application was parsed (see the console output)" : developmentApplication.applicationNumber
+            });
+    }
+    return developmentApplications;
+}
+exports.parsePageElements = parsePageElements;
+// Adds the development applications parsed from a page to those already parsed from the same PDF
+// document.  If the same application number is encountered a second time add a suffix to the
+// application number so it is unique (and so will be inserted into the database later instead of
+// being ignored).
+function addDevelopmentApplications(developmentApplications, pageDevelopmentApplications) {
+    for (let developmentApplication of pageDevelopmentApplications) {
+        let suffix = 0;
+        let applicationNumber = developmentApplication.applicationNumber;
+        while (developmentApplications
+            .some(otherDevelopmentApplication => otherDevelopmentApplication.applicationNumber === developmentApplication.applicationNumber &&
+            (otherDevelopmentApplication.address !== developmentApplication.address ||
+                otherDevelopmentApplication.description !== developmentApplication.description ||
+                otherDevelopmentApplication.receivedDate !== developmentApplication.receivedDate)))
+            developmentApplication.applicationNumber = `${applicationNumber} (${++suffix})`; // add a unique suffix
+        if (suffix > 0)
+            reportIssue("duplicate_number", `The application number \"${applicationNumber}\" was encountered more than once with different details so the suffix \"(${suffix})\" was added.`, [], developmentApplication.applicationNumber);
+        developmentApplications.push(developmentApplication);
+    }
+}
+// Parses the development applications from the text elements of each page of a document (for
+// example, elements previously read from a PDF and saved as JSON).
+function parseElements(pages, url) {
+    let developmentApplications = [];
+    for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+        console.log(`Parsing applications from page ${pageIndex + 1} of ${pages.length}.`);
+        reportPage(url, pageIndex + 1);
+        addDevelopmentApplications(developmentApplications, parsePageElements(pages[pageIndex], url));
+    }
+    return developmentApplications;
+}
+exports.parseElements = parseElements;
+// Writes an image of the layout of a page to the debug directory.
+function writePageLayout(layout, debugDirectory, url, pageNumber) {
+    let layoutFileName = path.join(debugDirectory, `${path.basename(url).replace(/[^A-Za-z0-9._-]+/g, "_")}-page-${pageNumber}.svg`);
+    if (!fs.existsSync(debugDirectory))
+        fs.mkdirSync(debugDirectory);
+    fs.writeFileSync(layoutFileName, layoutdebug_1.renderPageLayout(layout));
+    console.log(`Wrote the page layout to: ${layoutFileName}`);
+}
+// Parses the development applications on a single page of a PDF document.  If a debug directory
+// is specified then an image of the layout of the page is written to that directory (including
+// for a page that is skipped because it has no text).  If OCR is enabled and the page has no
+// text (such as a scanned page) then the text is recognised using OCR.
+async function parsePdfPage(page, pageNumber, url, debugDirectory, ocr) {
+    let elements = await readPageElements(page);
+    let layout = undefined;
+    if (debugDirectory !== undefined) {
+        let viewport = await page.getViewport(1.0);
+        layout = { width: viewport.width, height: viewport.height, elements: elements, headingElements: [], startElements: [], rows: [], fields: [], messages: [], profile: undefined };
+    }
+    if (elements.every(element => element.text.trim() === "")) {
+        if (!ocr) {
+            console.log(`Page ${pageNumber} has no text (it may be a scanned image) so it will be ignored.  Use "--ocr" to recognise the text on the page.`);
+            reportIssue("skipped_page", "The page has no text (it may be a scanned image).", []);
+            if (layout !== undefined) {
+                layout.messages.push("The page has no text (it may be a scanned image) so it was ignored; use --ocr to recognise the text on the page.");
+                writePageLayout(layout, debugDirectory, url, pageNumber);
+            }
+            return [];
+        }
+        console.log(`Page ${pageNumber} has no text (it may be a scanned image) so the text is being recognised using OCR.`);
+        elements = await ocr_1.recognisePageElements(page);
+        console.log(`Recognised ${elements.length} text element(s) on page ${pageNumber}.`);
+        if (layout !== undefined)
+            layout.elements = elements;
+    }
+    let developmentApplications = parsePageElements(elements, url, layout);
+    if (layout !== undefined)
+        writePageLayout(layout, debugDirectory, url, pageNumber);
+    return developmentApplications;
+}
+// Parses a PDF document one page at a time, yielding the development applications on each page
+// (the URL is recorded as the information URL of each development application).  Each page is
+// released once it has been parsed, so that only one page is held in memory at a time.  Parsing
+// starts at the specified first page (when resuming an interrupted parse); the development
+// applications already parsed from earlier pages are used to detect duplicate application
+// numbers.
+async function* parsePdfPages(buffer, url, debugDirectory, ocr, firstPage = 1, previousDevelopmentApplications = []) {
+    let developmentApplications = [...previousDevelopmentApplications];
+    // Parse the PDF.  Each page has the details of multiple applications.
+    let pdf = await pdfjs.getDocument({ data: new Uint8Array(buffer), disableFontFace: true, ignoreErrors: true }); // copy the buffer because a small buffer read from a file may be a view on a larger, shared memory pool
+    try {
+        for (let pageIndex = firstPage - 1; pageIndex < pdf.numPages; pageIndex++) {
+            console.log(`Reading and parsing applications from page ${pageIndex + 1} of ${pdf.numPages}.`);
+            reportPage(url, pageIndex + 1);
+            let page = await pdf.getPage(pageIndex + 1);
+            let pageDevelopmentApplications = [];
+            try {
+                pageDevelopmentApplications = await parsePdfPage(page, pageIndex + 1, url, debugDirectory, ocr);
+            }
+            finally {
+                page.cleanup(); // release the resources used by the page before the next page is read
+            }
+            addDevelopmentApplications(developmentApplications, pageDevelopmentApplications);
+            yield { pageNumber: pageIndex + 1, pageCount: pdf.numPages, developmentApplications: pageDevelopmentApplications };
+        }
+    }
+    finally {
+        pdf.destroy(); // release the memory used by the parsed PDF before the next PDF is parsed
+    }
+}
+exports.parsePdfPages = parsePdfPages;
+// Parses all of the development applications in a PDF document (see parsePdfPages).
+async function parsePdf(buffer, url, debugDirectory, ocr) {
+    let developmentApplications = [];
+    for await (let pdfPage of parsePdfPages(buffer, url, debugDirectory, ocr))
+        developmentApplications.push(...pdfPage.developmentApplications);
+    return developmentApplications;
+}
+exports.parsePdf = parsePdf;
+// Reads the layout profiles of the register PDFs (this must be called before any PDFs are
+// parsed).
+function loadProfiles(fileName = "profiles.json") {
+    LayoutProfiles = profiles_1.loadLayoutProfiles(fs.readFileSync(fileName).toString());
+}
+exports.loadProfiles = loadProfiles;
+// Reads the rules used to classify the descriptions of development applications (this must be
+// called before any PDFs are parsed).
+function loadClassification(fileName = "classification.json") {
+    ClassificationRules = classify_1.loadClassificationRules(fs.readFileSync(fileName).toString());
+}
+exports.loadClassification = loadClassification;
+// Reads the files containing all possible suburb names and their aliases (this must be called
+// before any addresses are formatted).
+function loadSuburbNames() {
+    Gazetteer = address_1.loadGazetteer(fs.readFileSync("suburbnames.txt").toString(), fs.readFileSync("suburbaliases.txt").toString());
+}
+exports.loadSuburbNames = loadSuburbNames;
+// Reads the file of street (or address) co-ordinates used to geocode addresses (see geocode.ts).
+function loadGeocodeFile(fileName) {
+    StreetCoordinates = geocode_1.loadStreetCoordinates(fs.readFileSync(fileName).toString());
+    console.log(`Read the co-ordinates of ${Object.keys(StreetCoordinates).length} street(s) and address(es) from: ${fileName}`);
+}
+exports.loadGeocodeFile = loadGeocodeFile;
+// Parses a command line argument that must be a number of seconds (returning the number of
+// milliseconds).
+function parseSeconds(name, value) {
+    let seconds = Number(value);
+    if (value.trim() === "" || isNaN(seconds) || seconds < 0)
+        throw new Error(`The value of ${name} must be a number of seconds: ${value}`);
+    return seconds * 1000;
+}
+// Parses the command line arguments (for example, "--register-file register.html --pdf-directory
+// pdfs" parses the saved PDFs without accessing the council web site).
+function parseCommandLine(args) {
+    let options = { registerFile: undefined, pdfDirectory: undefined, databaseFile: undefined, cacheDirectory: undefined, batchSize: DefaultBatchSize, backfill: false, changesFrom: undefined, changesTo: moment().format("YYYY-MM-DD"), reclassify: false, debugDirectory: undefined, reportFile: "report.json", geocodeFile: undefined, ocr: false, ocrDataDirectory: undefined, profilesFile: "profiles.json", classificationFile: "classification.json", registerUrl: DevelopmentApplicationsUrl, fetchSettings: {} };
+    for (let index = 0; index < args.length; index++) {
+        let name = args[index];
+        if (name === "--backfill") {
+            options.backfill = true;
             continue;
         }
-        else if (applicationElement === undefined) {
-            let elementSummary = elements.map(element => `[${element.text}]`).join("");
-            console.log(`No development applications can be parsed from the current page because the \"Application Date\" column heading was not found.  Elements: ${elementSummary}`);
+        else if (name === "--ocr") {
+            options.ocr = true;
             continue;
         }
-        else if (proposalElement === undefined) {
-            let elementSummary = elements.map(element => `[${element.text}]`).join("");
-            console.log(`No development applications can be parsed from the current page because the \"Proposal\" column heading was not found.  Elements: ${elementSummary}`);
+        else if (name === "--reclassify") {
+            options.reclassify = true;
             continue;
         }
-        // Group the elements into sections based on where the "Lodgement" text starts (and other
-        // elements the "Lodgement" elements line up with horizontally with a margin of error equal
-        // to about half the height of the "Lodgement" text).
-        let applicationElementGroups = [];
-        let startElements = findStartElements(elements);
-        for (let index = 0; index < startElements.length; index++) {
-            // Determine the highest Y co-ordinate of this row and the next row (or the bottom of
-            // the current page).  Allow some leeway vertically (add some extra height).
-            let startElement = startElements[index];
-            let raisedStartElement = {
-                text: startElement.text,
-                confidence: startElement.confidence,
-                x: startElement.x,
-                y: startElement.y - startElement.height / 2,
-                width: startElement.width,
-                height: startElement.height
-            };
-            let rowTop = getRowTop(elements, raisedStartElement);
-            let nextRowTop = (index + 1 < startElements.length) ? getRowTop(elements, startElements[index + 1]) : Number.MAX_VALUE;
-            // Extract all elements between the two rows.
-            applicationElementGroups.push({ startElement: startElements[index], elements: elements.filter(element => element.y >= rowTop && element.y + element.height < nextRowTop) });
+        let value = args[++index];
+        if (value === undefined)
+            throw new Error(`No value was provided for the command line argument: ${name}`);
+        if (name === "--register-file")
+            options.registerFile = value;
+        else if (name === "--pdf-directory")
+            options.pdfDirectory = value;
+        else if (name === "--database")
+            options.databaseFile = value;
+        else if (name === "--cache-directory")
+            options.cacheDirectory = value;
+        else if (name === "--debug-directory")
+            options.debugDirectory = value;
+        else if (name === "--report-file")
+            options.reportFile = value;
+        else if (name === "--geocode-file")
+            options.geocodeFile = value;
+        else if (name === "--profiles-file")
+            options.profilesFile = value;
+        else if (name === "--classification-file")
+            options.classificationFile = value;
+        else if (name === "--ocr-data-directory")
+            options.ocrDataDirectory = value;
+        else if (name === "--register-url")
+            options.registerUrl = new urlparser.URL(value).href;
+        else if (name === "--timeout")
+            options.fetchSettings.timeout = parseSeconds(name, value);
+        else if (name === "--request-interval")
+            options.fetchSettings.requestInterval = parseSeconds(name, value);
+        else if (name === "--host-request-interval") {
+            let [host, seconds] = value.split("=");
+            if (seconds === undefined)
+                throw new Error(`The value of ${name} must be in the form <host>=<seconds>: ${value}`);
+            options.fetchSettings.hostRequestIntervals = { ...options.fetchSettings.hostRequestIntervals, [host]: parseSeconds(name, seconds) };
         }
-        // Parse the development application from each group of elements (ie. a section of the
-        // current page of the PDF document).  If the same application number is encountered a
-        // second time add a suffix to the application number so it is unique (and so will be
-        // inserted into the database later instead of being ignored).
-        for (let applicationElementGroup of applicationElementGroups) {
-            let developmentApplication = parseApplicationElements(applicationElementGroup.elements, applicationElementGroup.startElement, applicantElement, applicationElement, proposalElement, referralsElement, url);
-            if (developmentApplication !== undefined) {
-                let suffix = 0;
-                let applicationNumber = developmentApplication.applicationNumber;
-                while (developmentApplications
-                    .some(otherDevelopmentApplication => otherDevelopmentApplication.applicationNumber === developmentApplication.applicationNumber &&
-                    (otherDevelopmentApplication.address !== developmentApplication.address ||
-                        otherDevelopmentApplication.description !== developmentApplication.description ||
-                        otherDevelopmentApplication.receivedDate !== developmentApplication.receivedDate)))
-                    developmentApplication.applicationNumber = `${applicationNumber} (${++suffix})`; // add a unique suffix
-                developmentApplications.push(developmentApplication);
-            }
+        else if (name === "--retries") {
+            options.fetchSettings.retryCount = Number(value);
+            if (!Number.isInteger(options.fetchSettings.retryCount) || options.fetchSettings.retryCount < 0)
+                throw new Error(`The number of retries must be a whole number: ${value}`);
+        }
+        else if (name === "--changes-from" || name === "--changes-to") {
+            if (!moment(value, ["YYYY-MM-DD", "YYYY-MM-DD HH:mm:ss"], true).isValid())
+                throw new Error(`The date must be in the format YYYY-MM-DD (or YYYY-MM-DD HH:mm:ss for the start time of a run): ${value}`);
+            if (name === "--changes-from")
+                options.changesFrom = value;
+            else
+                options.changesTo = value;
         }
+        else if (name === "--batch-size") {
+            options.batchSize = Number(value);
+            if (!Number.isInteger(options.batchSize) || options.batchSize < 1)
+                throw new Error(`The batch size must be a positive whole number: ${value}`);
+        }
+        else
+            throw new Error(`Unrecognised command line argument: ${name}`);
     }
-    return developmentApplications;
+    // When replaying from a directory of PDFs without a register file the file names are used in
+    // place of URLs, so the development applications must not be saved in the database read by
+    // PlanningAlerts (that would replace the information URLs of existing rows with file names).
+    if (options.pdfDirectory !== undefined && options.registerFile === undefined) {
+        if (options.databaseFile === undefined)
+            options.databaseFile = ReplayDatabaseFile;
+        else if (path.resolve(options.databaseFile) === path.resolve(DatabaseFile))
+            throw new Error(`PDFs replayed without a register file cannot be saved to ${DatabaseFile} (file names are used in place of URLs); specify a different database using --database.`);
+    }
+    else if (options.databaseFile === undefined)
+        options.databaseFile = DatabaseFile;
+    return options;
 }
-// Gets a random integer in the specified range: [minimum, maximum).
-function getRandom(minimum, maximum) {
-    return Math.floor(Math.random() * (Math.floor(maximum) - Math.ceil(minimum))) + Math.ceil(minimum);
+// Gets the name of the file used to store a local copy of the document at the specified URL (the
+// last segment of the URL path, so that PDFs saved to the cache directory can later be found in
+// the PDF directory when replaying a run).
+function getLocalFileName(url) {
+    let fileName = decodeURIComponent(path.basename(new urlparser.URL(url).pathname));
+    return (path.extname(fileName) === "") ? `${fileName}.html` : fileName;
 }
-// Pauses for the specified number of milliseconds.
-function sleep(milliseconds) {
-    return new Promise(resolve => setTimeout(resolve, milliseconds));
+// Reads a document, either from the specified local file or (if no local file is specified) by
+// retrieving it from the specified URL.  If the ledger record of an earlier retrieval of the
+// document is specified then a conditional request is made (and the result indicates if the
+// document has not been modified since then).  A copy of each retrieved document is saved to the
+// cache directory (if there is one) so that the run can be replayed later.
+async function readDocument(url, localFileName, documentRecord) {
+    if (localFileName !== undefined) {
+        console.log(`Reading file: ${localFileName}`);
+        return { body: fs.readFileSync(localFileName), notModified: false, etag: null, lastModified: null };
+    }
+    console.log(`Retrieving document: ${url}`);
+    let result = (documentRecord === undefined) ? await fetch_1.fetchDocument(url) : await fetch_1.fetchDocument(url, documentRecord.etag, documentRecord.lastModified);
+    if (Options.cacheDirectory !== undefined && !result.notModified) {
+        let cacheFileName = path.join(Options.cacheDirectory, getLocalFileName(url));
+        if (!fs.existsSync(Options.cacheDirectory))
+            fs.mkdirSync(Options.cacheDirectory);
+        fs.writeFileSync(cacheFileName, result.body);
+        console.log(`Saved a copy of the document to: ${cacheFileName}`);
+    }
+    return result;
 }
-// Parses the development applications.
-async function main() {
-    // Ensure that the database exists.
-    let database = await initializeDatabase();
-    // Read the files containing all possible suburb names.
-    SuburbNames = {};
-    for (let suburb of fs.readFileSync("suburbnames.txt").toString().replace(/\r/g, "").trim().split("\n"))
-        SuburbNames[suburb.split(",")[0]] = suburb.split(",")[1];
-    // Retrieve the page that contains the links to the PDFs.
-    console.log(`Retrieving page: ${DevelopmentApplicationsUrl}`);
-    let body = await request({ url: DevelopmentApplicationsUrl, proxy: process.env.MORPH_PROXY });
-    await sleep(2000 + getRandom(0, 5) * 1000);
-    let $ = cheerio.load(body);
+// Gets the URLs of the PDFs linked from the page that contains the links to the PDFs (most recent
+// PDF first).
+async function getPdfUrls() {
+    let body = (await readDocument(Options.registerUrl, Options.registerFile)).body;
+    let $ = cheerio.load(body.toString());
     let pdfUrls = [];
     for (let element of $("td.u6ListTD a").get()) {
-        let pdfUrl = new urlparser.URL(element.attribs.href, DevelopmentApplicationsUrl);
+        let pdfUrl = new urlparser.URL(element.attribs.href, Options.registerUrl);
         if (pdfUrl.href.toLowerCase().includes(".pdf"))
             if (!pdfUrls.some(url => url === pdfUrl.href)) // avoid duplicates
                 pdfUrls.push(pdfUrl.href);
     }
+    pdfUrls.reverse();
+    return pdfUrls;
+}
+// Selects the PDFs to parse in the current run (most recent first), using the processed-document
+// ledger.  The most recent PDF is always selected (because new development applications are
+// added to it).  The rest of the batch is made up of PDFs that have never been parsed, then PDFs
+// that failed to parse and then the PDFs that were least recently checked for changes.
+function selectPdfUrls(pdfUrls, documentRecords, batchSize) {
+    let documentRecordsByUrl = {};
+    for (let documentRecord of documentRecords)
+        documentRecordsByUrl[documentRecord.url] = documentRecord;
+    let olderPdfUrls = pdfUrls.slice(1);
+    let unparsedPdfUrls = olderPdfUrls.filter(pdfUrl => documentRecordsByUrl[pdfUrl] === undefined);
+    let failedPdfUrls = olderPdfUrls.filter(pdfUrl => documentRecordsByUrl[pdfUrl] !== undefined && documentRecordsByUrl[pdfUrl].failed);
+    let parsedPdfUrls = olderPdfUrls
+        .filter(pdfUrl => documentRecordsByUrl[pdfUrl] !== undefined && !documentRecordsByUrl[pdfUrl].failed)
+        .sort((a, b) => documentRecordsByUrl[a].dateChecked.localeCompare(documentRecordsByUrl[b].dateChecked)); // stable, so ties remain most recent first
+    console.log(`${olderPdfUrls.length - unparsedPdfUrls.length} of ${olderPdfUrls.length} older PDF(s) have previously been parsed (${failedPdfUrls.length} failed).`);
+    return [pdfUrls[0]].concat(unparsedPdfUrls, failedPdfUrls, parsedPdfUrls).slice(0, batchSize);
+}
+exports.selectPdfUrls = selectPdfUrls;
+// Reads the development applications that an interrupted parse of a PDF saved (so that duplicate
+// application numbers on later pages are still detected when the parse is resumed).  These are
+// the versions recorded in the [history] table for the PDF that were last seen by the run that
+// began the interrupted parse (or by a later run that resumed it).
+async function readCheckpointApplications(database, pdfUrl, checkpointRun) {
+    let rows = await database_1.readRows(database, "select [council_reference], [address], [description], [date_received] from [history] where [info_url] = ? and [last_seen] >= ?", [pdfUrl, checkpointRun]);
+    return rows.map(row => ({ applicationNumber: row.council_reference, address: row.address, description: row.description, receivedDate: row.date_received }));
+}
+// Gets the current memory use of the process (the resident set size in bytes).
+function getMemoryUse() {
+    return process.memoryUsage().rss;
+}
+// Formats a number of bytes as megabytes.
+function formatMegabytes(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+// Parses the development applications in a PDF and inserts them into the database.  The outcome
+// is recorded in the processed-document ledger.  A PDF that is unchanged since it was last
+// successfully parsed is skipped if requested.  The development applications on each page are
+// saved in a single transaction along with a checkpoint (the last page saved), so that if the
+// parse is interrupted then the next parse of the same PDF resumes after that page.  The debug
+// directory and OCR settings are passed to the parser (see parsePdfPages).
+async function processPdf(database, documentRecords, pdfUrl, localFileName, skipUnchanged, debugDirectory, ocr) {
+    let previousDocumentRecord = documentRecords.find(documentRecord => documentRecord.url === pdfUrl);
+    let documentRecord = (previousDocumentRecord === undefined) ?
+        { url: pdfUrl, hash: null, dateParsed: null, dateChecked: null, applicationCount: 0, failed: false, error: null, lastPage: null, checkpointHash: null, checkpointRun: null, peakMemory: null, etag: null, lastModified: null } :
+        { ...previousDocumentRecord };
+    let peakMemory = getMemoryUse();
+    try {
+        console.log(`Parsing document: ${pdfUrl}`);
+        let wasParsed = skipUnchanged && previousDocumentRecord !== undefined && !previousDocumentRecord.failed && previousDocumentRecord.hash !== null;
+        let document = await readDocument(pdfUrl, localFileName, wasParsed ? previousDocumentRecord : undefined);
+        documentRecord.dateChecked = moment().format("YYYY-MM-DD HH:mm:ss");
+        if (document.notModified) {
+            console.log(`Ignoring document because the web site reports that it has not changed since it was parsed on ${previousDocumentRecord.dateParsed}: ${pdfUrl}`);
+            await updateLastSeen(database, pdfUrl, Report.runDate);
+            reportDocumentOutcome(pdfUrl, 0, null, null, true);
+            await saveDocumentRecord(database, documentRecord);
+            return;
+        }
+        let buffer = document.body;
+        let hash = crypto.createHash("sha256").update(buffer).digest("hex");
+        documentRecord.etag = document.etag;
+        documentRecord.lastModified = document.lastModified;
+        if (skipUnchanged && previousDocumentRecord !== undefined && !previousDocumentRecord.failed && previousDocumentRecord.hash === hash) {
+            console.log(`Ignoring document because it has not changed since it was parsed on ${previousDocumentRecord.dateParsed}: ${pdfUrl}`);
+            await updateLastSeen(database, pdfUrl, Report.runDate);
+            reportDocumentOutcome(pdfUrl, 0, null, null, true);
+            await saveDocumentRecord(database, documentRecord);
+            return;
+        }
+        // Resume after the last saved page if a previous parse of the same content was
+        // interrupted (the start time of the run that began that parse identifies the development
+        // applications it saved, so a checkpoint without that time is ignored).  Otherwise start
+        // from the first page.  The ledger records the parse as failed until it completes (so that
+        // a parse that is interrupted by the process being terminated is retried in a later run).
+        let firstPage = 1;
+        let previousDevelopmentApplications = [];
+        if (previousDocumentRecord !== undefined && previousDocumentRecord.lastPage !== null && previousDocumentRecord.checkpointHash === hash && previousDocumentRecord.checkpointRun !== null) {
+            firstPage = previousDocumentRecord.lastPage + 1;
+            previousDevelopmentApplications = await readCheckpointApplications(database, pdfUrl, previousDocumentRecord.checkpointRun);
+            documentRecord.dateChecked = previousDocumentRecord.dateChecked; // the date on which the interrupted parse started
+            console.log(`Resuming the interrupted parse from page ${firstPage} (${previousDocumentRecord.applicationCount} development application(s) were saved from the earlier pages).`);
+        }
+        else {
+            documentRecord.applicationCount = 0;
+            documentRecord.lastPage = 0;
+            documentRecord.checkpointHash = hash;
+            documentRecord.checkpointRun = Report.runDate;
+        }
+        documentRecord.failed = true;
+        documentRecord.error = "The parse did not complete.";
+        await saveDocumentRecord(database, documentRecord);
+        for await (let pdfPage of parsePdfPages(buffer, pdfUrl, debugDirectory, ocr, firstPage, previousDevelopmentApplications)) {
+            await database_1.runSql(database, "begin transaction");
+            try {
+                for (let developmentApplication of pdfPage.developmentApplications)
+                    await insertRow(database, developmentApplication, Report.runDate);
+                documentRecord.lastPage = pdfPage.pageNumber;
+                documentRecord.applicationCount += pdfPage.developmentApplications.length;
+                await database_1.runSql(database, "update [documents] set [last_page] = ?, [application_count] = ? where [url] = ?", [documentRecord.lastPage, documentRecord.applicationCount, pdfUrl]);
+                await database_1.runSql(database, "commit");
+            }
+            catch (error) {
+                await database_1.runSql(database, "rollback");
+                throw error;
+            }
+            peakMemory = Math.max(peakMemory, getMemoryUse());
+        }
+        console.log(`Parsed and saved ${documentRecord.applicationCount} development application(s) from document: ${pdfUrl}`);
+        documentRecord.hash = hash;
+        documentRecord.dateParsed = moment().format("YYYY-MM-DD HH:mm:ss");
+        documentRecord.failed = false;
+        documentRecord.error = null;
+        documentRecord.lastPage = null;
+        documentRecord.checkpointHash = null;
+        documentRecord.checkpointRun = null;
+    }
+    catch (error) {
+        console.log(`Could not parse the document (the document will be parsed again in a later run, resuming after the last saved page): ${pdfUrl}`);
+        console.error(error);
+        documentRecord.failed = true;
+        documentRecord.error = (error instanceof Error) ? error.message : String(error);
+    }
+    peakMemory = Math.max(peakMemory, getMemoryUse());
+    console.log(`Peak memory use while parsing the document: ${formatMegabytes(peakMemory)}`);
+    documentRecord.peakMemory = peakMemory;
+    reportDocumentOutcome(pdfUrl, documentRecord.failed ? 0 : documentRecord.applicationCount, documentRecord.error, peakMemory);
+    await saveDocumentRecord(database, documentRecord);
+}
+exports.processPdf = processPdf;
+// Parses the development applications.
+async function main() {
+    Options = parseCommandLine(process.argv.slice(2));
+    fetch_1.configureFetch(Options.fetchSettings);
+    // Ensure that the database exists.
+    let database = await initializeDatabase(Options.databaseFile);
+    if (Options.changesFrom !== undefined) {
+        await listChanges(database, Options.changesFrom, Options.changesTo);
+        return;
+    }
+    loadClassification(Options.classificationFile);
+    if (Options.reclassify) {
+        await reclassifyApplications(database);
+        return;
+    }
+    let documentRecords = await readDocumentRecords(database);
+    loadSuburbNames();
+    loadProfiles(Options.profilesFile);
+    if (Options.geocodeFile !== undefined)
+        loadGeocodeFile(Options.geocodeFile);
+    if (Options.ocrDataDirectory !== undefined)
+        ocr_1.setOcrLanguageDataPath(Options.ocrDataDirectory);
+    // Parse the PDFs, recording any problems in the parse-quality report.
+    startReport();
+    await processPdfs(database, documentRecords);
+    await ocr_1.terminateOcr();
+    await saveReport(database, Report, Options.reportFile);
+}
+// Selects the PDFs to parse (see the command line options) and parses them.
+async function processPdfs(database, documentRecords) {
+    // When replaying from a directory of PDFs (without a saved copy of the page that links to the
+    // PDFs) parse every PDF in that directory.  The file names are used in place of URLs (so the
+    // development applications are saved in a separate database, see parseCommandLine).
+    if (Options.pdfDirectory !== undefined && Options.registerFile === undefined) {
+        console.log(`Saving the development applications replayed from ${Options.pdfDirectory} to: ${Options.databaseFile}`);
+        let fileNames = fs.readdirSync(Options.pdfDirectory).filter(fileName => path.extname(fileName).toLowerCase() === ".pdf").sort();
+        if (fileNames.length === 0)
+            console.log(`No PDFs were found in the directory: ${Options.pdfDirectory}`);
+        for (let fileName of fileNames) {
+            let localFileName = path.join(Options.pdfDirectory, fileName);
+            await processPdf(database, documentRecords, localFileName, localFileName, false, Options.debugDirectory, Options.ocr);
+        }
+        return;
+    }
+    // Retrieve the page that contains the links to the PDFs.
+    let pdfUrls = await getPdfUrls();
     if (pdfUrls.length === 0) {
         console.log("No PDF URLs were found on the page.");
         return;
     }
-    pdfUrls.reverse();
-    // Select the most recent PDF.  And randomly select one other PDF (avoid processing all PDFs
-    // at once because this may use too much memory, resulting in morph.io terminating the current
-    // process).
-    let selectedPdfUrls = [];
-    selectedPdfUrls.push(pdfUrls.shift());
-    if (pdfUrls.length > 0)
-        selectedPdfUrls.push(pdfUrls[getRandom(0, pdfUrls.length)]);
-    if (getRandom(0, 2) === 0)
-        selectedPdfUrls.reverse();
-    for (let pdfUrl of selectedPdfUrls) {
-        console.log(`Parsing document: ${pdfUrl}`);
-        let developmentApplications = await parsePdf(pdfUrl);
-        console.log(`Parsed ${developmentApplications.length} development application(s) from document: ${pdfUrl}`);
-        console.log(`Inserting development applications into the database.`);
-        for (let developmentApplication of developmentApplications)
-            await insertRow(database, developmentApplication);
+    // When replaying from a directory of PDFs parse every linked PDF that has a local copy.
+    if (Options.pdfDirectory !== undefined) {
+        for (let pdfUrl of pdfUrls) {
+            let localFileName = path.join(Options.pdfDirectory, getLocalFileName(pdfUrl));
+            if (fs.existsSync(localFileName))
+                await processPdf(database, documentRecords, pdfUrl, localFileName, false, Options.debugDirectory, Options.ocr);
+            else
+                console.log(`Ignoring document because there is no local copy of it (expected ${localFileName}): ${pdfUrl}`);
+        }
+        return;
     }
+    // Either parse every PDF (one at a time, so that only one PDF is held in memory) or parse a
+    // limited batch of PDFs selected using the processed-document ledger.
+    let selectedPdfUrls = Options.backfill ? pdfUrls : selectPdfUrls(pdfUrls, documentRecords, Options.batchSize);
+    console.log(`Selected ${selectedPdfUrls.length} of ${pdfUrls.length} PDF(s) to parse.`);
+    for (let pdfUrl of selectedPdfUrls)
+        await processPdf(database, documentRecords, pdfUrl, undefined, true, Options.debugDirectory, Options.ocr);
 }
-main().then(() => console.log("Complete.")).catch(error => console.error(error));
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyYXBlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNjcmFwZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsa0dBQWtHO0FBQ2xHLDZCQUE2QjtBQUM3QixFQUFFO0FBQ0YsZUFBZTtBQUNmLG9CQUFvQjtBQUVwQixZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLG1DQUFtQztBQUNuQyxrREFBa0Q7QUFDbEQsbUNBQW1DO0FBQ25DLGlDQUFpQztBQUNqQyxpQ0FBaUM7QUFDakMsb0NBQW9DO0FBQ3BDLDBDQUEwQztBQUUxQyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUM7QUFFbEIsTUFBTSwwQkFBMEIsR0FBRyx5REFBeUQsQ0FBQztBQUM3RixNQUFNLFVBQVUsR0FBRyw4QkFBOEIsQ0FBQztBQUlsRCwwQkFBMEI7QUFFMUIsSUFBSSxXQUFXLEdBQUcsSUFBSSxDQUFDO0FBRXZCLDhCQUE4QjtBQUU5QixLQUFLLFVBQVUsa0JBQWtCO0lBQzdCLE9BQU8sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDbkMsSUFBSSxRQUFRLEdBQUcsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLGFBQWEsQ0FBQyxDQUFDO1FBQ25ELFFBQVEsQ0FBQyxTQUFTLENBQUMsR0FBRyxFQUFFO1lBQ3BCLFFBQVEsQ0FBQyxHQUFHLENBQUMsOExBQThMLENBQUMsQ0FBQztZQUM3TSxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDdEIsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFFRCw4REFBOEQ7QUFFOUQsS0FBSyxVQUFVLFNBQVMsQ0FBQyxRQUFRLEVBQUUsc0JBQXNCO0lBQ3JELE9BQU8sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDbkMsSUFBSSxZQUFZLEdBQUcsUUFBUSxDQUFDLE9BQU8sQ0FBQyw0REFBNEQsQ0FBQyxDQUFDO1FBQ2xHLFlBQVksQ0FBQyxHQUFHLENBQUM7WUFDYixzQkFBc0IsQ0FBQyxpQkFBaUI7WUFDeEMsc0JBQXNCLENBQUMsT0FBTztZQUM5QixzQkFBc0IsQ0FBQyxXQUFXO1lBQ2xDLHNCQUFzQixDQUFDLGNBQWM7WUFDckMsc0JBQXNCLENBQUMsVUFBVTtZQUNqQyxzQkFBc0IsQ0FBQyxVQUFVO1lBQ2pDLHNCQUFzQixDQUFDLFlBQVk7U0FDdEMsRUFBRSxVQUFTLEtBQUssRUFBRSxHQUFHO1lBQ2xCLElBQUksS0FBSyxFQUFFO2dCQUNQLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7Z0JBQ3JCLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQzthQUNqQjtpQkFBTTtnQkFDSCxPQUFPLENBQUMsR0FBRyxDQUFDLDJCQUEyQixzQkFBc0IsQ0FBQyxpQkFBaUIscUJBQXFCLHNCQUFzQixDQUFDLE9BQU8scUJBQXFCLHNCQUFzQixDQUFDLFdBQVcsMEJBQTBCLHNCQUFzQixDQUFDLFlBQVkscUJBQXFCLENBQUMsQ0FBQztnQkFDN1EsWUFBWSxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUUscUJBQXFCO2dCQUMvQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUM7YUFDaEI7UUFDTCxDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQWtCRCw4RkFBOEY7QUFDOUYsa0dBQWtHO0FBQ2xHLCtGQUErRjtBQUMvRiw0REFBNEQ7QUFFNUQsU0FBUyxTQUFTLENBQUMsUUFBbUIsRUFBRSxZQUFxQjtJQUN6RCxJQUFJLEdBQUcsR0FBRyxZQUFZLENBQUMsQ0FBQyxDQUFDO0lBQ3pCLEtBQUssSUFBSSxPQUFPLElBQUksUUFBUTtRQUN4QixJQUFJLE9BQU8sQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsTUFBTSxJQUFJLE9BQU8sQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLE1BQU0sR0FBRyxZQUFZLENBQUMsQ0FBQyxFQUFHLG9CQUFvQjtZQUN0SCxJQUFJLDRCQUE0QixDQUFDLFlBQVksRUFBRSxPQUFPLENBQUMsR0FBRyxFQUFFLEVBQUcsaUNBQWlDO2dCQUM1RixJQUFJLE9BQU8sQ0FBQyxDQUFDLEdBQUcsR0FBRztvQkFDZixHQUFHLEdBQUcsT0FBTyxDQUFDLENBQUMsQ0FBQztJQUNoQyxPQUFPLEdBQUcsQ0FBQztBQUNmLENBQUM7QUFFRCxvRkFBb0Y7QUFFcEYsU0FBUyxTQUFTLENBQUMsVUFBcUIsRUFBRSxVQUFxQjtJQUMzRCxJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxDQUFDLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzlDLElBQUksRUFBRSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDOUMsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxLQUFLLEVBQUUsVUFBVSxDQUFDLENBQUMsR0FBRyxVQUFVLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDcEYsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxNQUFNLEVBQUUsVUFBVSxDQUFDLENBQUMsR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDdEYsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFO1FBQ3BCLE9BQU8sRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUUsR0FBRyxFQUFFLEVBQUUsTUFBTSxFQUFFLEVBQUUsR0FBRyxFQUFFLEVBQUUsQ0FBQzs7UUFFekQsT0FBTyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsQ0FBQztBQUNuRCxDQUFDO0FBRUQsc0NBQXNDO0FBRXRDLFNBQVMsT0FBTyxDQUFDLFNBQW9CO0lBQ2pDLE9BQU8sU0FBUyxDQUFDLEtBQUssR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDO0FBQzlDLENBQUM7QUFFRCx3RUFBd0U7QUFFeEUsU0FBUyxpQkFBaUIsQ0FBQyxRQUFpQixFQUFFLFFBQWlCO0lBQzNELElBQUksTUFBTSxHQUFHLEVBQUUsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLEtBQUssRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDO0lBQ3JGLElBQUksTUFBTSxHQUFHLEVBQUUsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQztJQUNwRSxJQUFJLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsS0FBSyxHQUFHLENBQUMsRUFBRywwR0FBMEc7UUFDckosT0FBTyxNQUFNLENBQUMsU0FBUyxDQUFDO0lBQzVCLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUN6RyxDQUFDO0FBRUQscUVBQXFFO0FBRXJFLFNBQVMsaUJBQWlCLENBQUMsUUFBaUIsRUFBRSxRQUFpQjtJQUMzRCxPQUFPLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxJQUFJLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLE1BQU0sR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDO0FBQ2xHLENBQUM7QUFFRCxpR0FBaUc7QUFDakcsNkZBQTZGO0FBQzdGLDJCQUEyQjtBQUUzQixTQUFTLDRCQUE0QixDQUFDLFFBQWlCLEVBQUUsUUFBaUI7SUFDdEUsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUMxQyxJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLE1BQU0sRUFBRSxRQUFRLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUM5RSxPQUFPLENBQUMsRUFBRSxHQUFHLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsR0FBRyxFQUFFLENBQUMsR0FBRyxHQUFHLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUM7QUFDakUsQ0FBQztBQUVELGdHQUFnRztBQUNoRyx3Q0FBd0M7QUFFeEMsU0FBUyxlQUFlLENBQUMsUUFBbUIsRUFBRSxPQUFnQjtJQUMxRCxJQUFJLGNBQWMsR0FBWSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsVUFBVSxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsTUFBTSxDQUFDLFNBQVMsRUFBRSxDQUFDLEVBQUUsTUFBTSxDQUFDLFNBQVMsRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsQ0FBQztJQUNoSSxLQUFLLElBQUksWUFBWSxJQUFJLFFBQVE7UUFDN0IsSUFBSSxpQkFBaUIsQ0FBQyxPQUFPLEVBQUUsWUFBWSxDQUFDLElBQUssc0RBQXNEO1lBQ25HLDRCQUE0QixDQUFDLE9BQU8sRUFBRSxZQUFZLENBQUMsR0FBRyxFQUFFLElBQUssOERBQThEO1lBQzNILENBQUMsWUFBWSxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxLQUFLLENBQUMsSUFBSyw4Q0FBOEM7WUFDL0YsQ0FBQyxZQUFZLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUssMEdBQTBHO1lBQ2xLLGlCQUFpQixDQUFDLE9BQU8sRUFBRSxZQUFZLENBQUMsR0FBRyxpQkFBaUIsQ0FBQyxPQUFPLEVBQUUsY0FBYyxDQUFDLEVBQUcsc0RBQXNEO1lBQzlJLGNBQWMsR0FBRyxZQUFZLENBQUM7SUFDdEMsT0FBTyxDQUFDLGNBQWMsQ0FBQyxJQUFJLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsY0FBYyxDQUFDO0FBQzVFLENBQUM7QUFFRCxxQ0FBcUM7QUFFckMsU0FBUyxhQUFhLENBQUMsT0FBZTtJQUNsQyxPQUFPLEdBQUcsT0FBTyxDQUFDLElBQUksRUFBRSxDQUFDO0lBQ3pCLElBQUksT0FBTyxLQUFLLEVBQUU7UUFDZCxPQUFPLEVBQUUsQ0FBQztJQUVkLDBGQUEwRjtJQUMxRiw4QkFBOEI7SUFFOUIsSUFBSSxNQUFNLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUVoQyxJQUFJLFVBQVUsR0FBRyxJQUFJLENBQUM7SUFDdEIsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUNyQyxJQUFJLGVBQWUsR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxFQUFFLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUscUJBQXFCLEVBQUUsYUFBYSxFQUFFLGVBQWUsRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO1FBQ3ZOLElBQUksZUFBZSxLQUFLLElBQUksRUFBRTtZQUMxQixVQUFVLEdBQUcsV0FBVyxDQUFDLGVBQWUsQ0FBQyxDQUFDO1lBQzFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBRSx1REFBdUQ7WUFDdEYsTUFBTTtTQUNUO0tBQ0o7SUFFRCxJQUFJLFVBQVUsS0FBSyxJQUFJLEVBQUUsRUFBRyw0Q0FBNEM7UUFDcEUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxvRkFBb0YsT0FBTyxFQUFFLENBQUMsQ0FBQztRQUMzRyxPQUFPLE9BQU8sQ0FBQztLQUNsQjtJQUVELHVFQUF1RTtJQUV2RSxJQUFJLFVBQVUsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0lBQ3pDLE9BQU8sQ0FBQyxVQUFVLEdBQUcsQ0FBQyxDQUFDLFVBQVUsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxVQUFVLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztBQUNoRixDQUFDO0FBRUQseUZBQXlGO0FBRXpGLFNBQVMsd0JBQXdCLENBQUMsUUFBbUIsRUFBRSxZQUFxQixFQUFFLGdCQUF5QixFQUFFLGtCQUEyQixFQUFFLGVBQXdCLEVBQUUsZ0JBQXlCLEVBQUUsY0FBc0I7SUFDN00sOEJBQThCO0lBRTlCLElBQUksU0FBUyxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNuRSxJQUFJLHlCQUF5QixHQUFHLFFBQVE7U0FDbkMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxnQkFBZ0IsQ0FBQyxDQUFDLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxZQUFZLENBQUMsTUFBTSxDQUFDO1NBQ3pHLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUVyQixJQUFJLGlCQUFpQixHQUFHLFNBQVMsQ0FBQztJQUNsQyxLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLElBQUkseUJBQXlCLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ3BFLElBQUksSUFBSSxHQUFHLHlCQUF5QixDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQzlHLElBQUksYUFBYSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUMxQixpQkFBaUIsR0FBRyxJQUFJLENBQUM7WUFDekIsTUFBTTtTQUNUO0tBQ0o7SUFDRCxJQUFJLGlCQUFpQixLQUFLLFNBQVMsRUFBRTtRQUNqQyxJQUFJLGNBQWMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxPQUFPLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDM0UsT0FBTyxDQUFDLEdBQUcsQ0FBQywySkFBMkosY0FBYyxFQUFFLENBQUMsQ0FBQztRQUN6TCxPQUFPLFNBQVMsQ0FBQztLQUNwQjtJQUNELE9BQU8sQ0FBQyxHQUFHLENBQUMsZUFBZSxpQkFBaUIsS0FBSyxDQUFDLENBQUM7SUFFbkQsd0ZBQXdGO0lBRXhGLElBQUksc0JBQXNCLEdBQVksU0FBUyxDQUFDO0lBQ2hELElBQUksd0JBQXdCLEdBQWUsRUFBRSxDQUFDLEVBQUUsa0JBQWtCLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsS0FBSyxFQUFFLGtCQUFrQixDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUcsa0JBQWtCLENBQUMsTUFBTSxFQUFFLENBQUM7SUFDbEosS0FBSyxJQUFJLE9BQU8sSUFBSSxRQUFRLEVBQUU7UUFDMUIsd0JBQXdCLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUM7UUFDdkMsSUFBSSxPQUFPLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFLLHlCQUF5QjtZQUNsRCxPQUFPLENBQUMsT0FBTyxDQUFDLEdBQUcsR0FBRyxHQUFHLE9BQU8sQ0FBQyx3QkFBd0IsQ0FBQyxJQUFLLGlIQUFpSDtZQUNoTCxPQUFPLENBQUMsU0FBUyxDQUFDLE9BQU8sRUFBRSx3QkFBd0IsQ0FBQyxDQUFDLEdBQUcsSUFBSSxHQUFHLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxFQUFHLGlIQUFpSDtZQUNyTSxzQkFBc0IsR0FBRyxPQUFPLENBQUM7WUFDakMsTUFBTTtTQUNUO0tBQ0o7SUFDRCxJQUFJLHNCQUFzQixLQUFLLFNBQVMsRUFBRTtRQUN0QyxJQUFJLGNBQWMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxPQUFPLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDM0UsT0FBTyxDQUFDLEdBQUcsQ0FBQyx5SkFBeUosY0FBYyxFQUFFLENBQUMsQ0FBQztRQUN2TCxPQUFPLFNBQVMsQ0FBQztLQUNwQjtJQUVELHlCQUF5QjtJQUV6QixJQUFJLG1CQUFtQixHQUFZLFNBQVMsQ0FBQztJQUM3QyxJQUFJLHFCQUFxQixHQUFlLEVBQUUsQ0FBQyxFQUFFLGtCQUFrQixDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxrQkFBa0IsQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFHLGtCQUFrQixDQUFDLE1BQU0sRUFBRSxDQUFDO0lBQy9JLEtBQUssSUFBSSxPQUFPLElBQUksUUFBUSxFQUFFO1FBQzFCLHFCQUFxQixDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsQ0FBQyxDQUFDO1FBQ3BDLElBQUksT0FBTyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSyx5QkFBeUI7WUFDbEQsT0FBTyxDQUFDLE9BQU8sQ0FBQyxHQUFHLEdBQUcsR0FBRyxPQUFPLENBQUMscUJBQXFCLENBQUMsSUFBSyxpSEFBaUg7WUFDN0ssT0FBTyxDQUFDLFNBQVMsQ0FBQyxPQUFPLEVBQUUscUJBQXFCLENBQUMsQ0FBQyxHQUFHLElBQUksR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLElBQUssaUhBQWlIO1lBQ2xNLE9BQU8sQ0FBQyxDQUFDLEdBQUcsc0JBQXNCLENBQUMsQ0FBQyxHQUFHLHNCQUFzQixDQUFDLE1BQU0sSUFBSyxzRUFBc0U7WUFDL0ksTUFBTSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEVBQUUsV0FBVyxFQUFFLElBQUksQ0FBQyxDQUFDLE9BQU8sRUFBRSxFQUFFLEVBQUcsa0dBQWtHO1lBQy9KLG1CQUFtQixHQUFHLE9BQU8sQ0FBQztZQUM5QixNQUFNO1NBQ1Q7S0FDSjtJQUVELElBQUksbUJBQW1CLEtBQUssU0FBUztRQUNqQyxtQkFBbUIsR0FBRyxzQkFBc0IsQ0FBQyxDQUFFLG1DQUFtQztJQUV0RixJQUFJLFlBQVksR0FBRyxNQUFNLENBQUMsc0JBQXNCLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxFQUFFLFdBQVcsRUFBRSxJQUFJLENBQUMsQ0FBQztJQUVqRix1RkFBdUY7SUFDdkYsNkVBQTZFO0lBRTdFLElBQUksT0FBTyxHQUFHLFFBQVE7U0FDakIsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQ2QsT0FBTyxDQUFDLENBQUMsR0FBRyxzQkFBc0IsQ0FBQyxDQUFDLEdBQUcsc0JBQXNCLENBQUMsS0FBSyxJQUFLLG9FQUFvRTtRQUM1SSw0QkFBNEIsQ0FBQyxzQkFBc0IsRUFBRSxPQUFPLENBQUMsR0FBRyxFQUFFLElBQUssZ0ZBQWdGO1FBQ3ZKLE9BQU8sQ0FBQyxDQUFDLEdBQUcsZUFBZSxDQUFDLENBQUMsR0FBRyxlQUFlLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFFLDZIQUE2SDtTQUM3TCxJQUFJLENBQUMsU0FBUyxDQUFDO1NBQ2YsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQztTQUM1QixJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7SUFFZCxPQUFPLEdBQUcsYUFBYSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUUsNkNBQTZDO0lBRWhGLHVCQUF1QjtJQUV2QixJQUFJLFdBQVcsR0FBRyxFQUFFLENBQUM7SUFFckIsSUFBSSxnQkFBZ0IsS0FBSyxTQUFTLEVBQUU7UUFDaEMsSUFBSSxtQkFBbUIsR0FBRyxRQUFRO2FBQzdCLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUNkLE9BQU8sQ0FBQyxDQUFDLEdBQUcsZUFBZSxDQUFDLENBQUMsR0FBRyxlQUFlLENBQUMsTUFBTSxHQUFHLENBQUMsSUFBSyw2RkFBNkY7WUFDNUosT0FBTyxDQUFDLENBQUMsR0FBRyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFFLHVFQUF1RTtRQUVqSCxJQUFJLFNBQVMsR0FBRyxTQUFTLENBQUM7UUFDMUIsS0FBSyxJQUFJLGtCQUFrQixJQUFJLG1CQUFtQixFQUFFO1lBQ2hELElBQUksU0FBUyxLQUFLLFNBQVMsSUFBSSxrQkFBa0IsQ0FBQyxDQUFDLEdBQUcsU0FBUyxHQUFHLGtCQUFrQixDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUcsYUFBYTtnQkFDM0csV0FBVyxJQUFJLEdBQUcsQ0FBQztZQUN2QixXQUFXLElBQUksa0JBQWtCLENBQUMsSUFBSSxDQUFDO1lBQ3ZDLFNBQVMsR0FBRyxrQkFBa0IsQ0FBQyxDQUFDLENBQUM7U0FDcEM7S0FDSjtJQUVELE9BQU87UUFDSCxpQkFBaUIsRUFBRSxpQkFBaUI7UUFDcEMsT0FBTyxFQUFFLE9BQU87UUFDaEIsV0FBVyxFQUFFLENBQUMsQ0FBQyxXQUFXLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLHlCQUF5QixDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUM7UUFDcEYsY0FBYyxFQUFFLGNBQWM7UUFDOUIsVUFBVSxFQUFFLFVBQVU7UUFDdEIsVUFBVSxFQUFFLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUM7UUFDekMsWUFBWSxFQUFFLENBQUMsWUFBWSxLQUFLLFNBQVMsSUFBSSxZQUFZLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRTtLQUNoSCxDQUFDO0FBQ04sQ0FBQztBQUVELDZGQUE2RjtBQUM3Riw0RkFBNEY7QUFDNUYsK0NBQStDO0FBRS9DLFNBQVMsaUJBQWlCLENBQUMsUUFBbUI7SUFDMUMsbUVBQW1FO0lBRW5FLElBQUksYUFBYSxHQUFjLEVBQUUsQ0FBQztJQUNsQyxLQUFLLElBQUksT0FBTyxJQUFJLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFO1FBQy9GLHdGQUF3RjtRQUN4RixtRkFBbUY7UUFDbkYsNkVBQTZFO1FBRTdFLElBQUksWUFBWSxHQUFHLE9BQU8sQ0FBQztRQUMzQixJQUFJLGFBQWEsR0FBYyxFQUFFLENBQUM7UUFDbEMsSUFBSSxPQUFPLEdBQUcsRUFBRSxDQUFDO1FBRWpCLEdBQUc7WUFDQyxhQUFhLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDO1lBRWpDLElBQUksSUFBSSxHQUFHLGFBQWEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7WUFDaEcsSUFBSSxJQUFJLENBQUMsTUFBTSxJQUFJLEVBQUUsRUFBRyxpQ0FBaUM7Z0JBQ3JELE1BQU07WUFDVixJQUFJLElBQUksQ0FBQyxNQUFNLElBQUksQ0FBQyxFQUFFLEVBQUcsZ0RBQWdEO2dCQUNyRSxJQUFJLElBQUksS0FBSyxXQUFXO29CQUNwQixPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsT0FBTyxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO3FCQUNqRSxJQUFJLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBRSxXQUFXLENBQUUsRUFBRSxFQUFFLGFBQWEsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLHFCQUFxQixFQUFFLGFBQWEsRUFBRSxlQUFlLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUMsS0FBSyxJQUFJO29CQUMzSyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsT0FBTyxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO3FCQUNqRSxJQUFJLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBRSxXQUFXLENBQUUsRUFBRSxFQUFFLGFBQWEsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLHFCQUFxQixFQUFFLGFBQWEsRUFBRSxlQUFlLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUMsS0FBSyxJQUFJO29CQUMzSyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsT0FBTyxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO2FBQ3pFO1lBRUQsWUFBWSxHQUFHLGVBQWUsQ0FBQyxRQUFRLEVBQUUsWUFBWSxDQUFDLENBQUM7U0FDMUQsUUFBUSxZQUFZLEtBQUssU0FBUyxJQUFJLGFBQWEsQ0FBQyxNQUFNLEdBQUcsRUFBRSxFQUFFO1FBRWxFLG9EQUFvRDtRQUVwRCxJQUFJLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1lBQ3BCLElBQUksU0FBUyxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLEVBQUUsQ0FDakQsQ0FBQyxRQUFRLEtBQUssU0FBUztnQkFDdkIsT0FBTyxDQUFDLFNBQVMsR0FBRyxRQUFRLENBQUMsU0FBUztnQkFDdEMsQ0FBQyxPQUFPLENBQUMsU0FBUyxLQUFLLFFBQVEsQ0FBQyxTQUFTLElBQUksSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLE1BQU0sR0FBRyxXQUFXLENBQUMsTUFBTSxDQUFDLElBQUksSUFBSSxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLE1BQU0sR0FBRyxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztZQUM1TSxhQUFhLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsQ0FBQztTQUN6QztLQUNKO0lBRUQsa0ZBQWtGO0lBRWxGLElBQUksU0FBUyxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNuRSxhQUFhLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBQzlCLE9BQU8sYUFBYSxDQUFDO0FBQ3pCLENBQUM7QUFFRCx5QkFBeUI7QUFFekIsS0FBSyxVQUFVLFFBQVEsQ0FBQyxHQUFXO0lBQy9CLElBQUksdUJBQXVCLEdBQUcsRUFBRSxDQUFDO0lBRWpDLGdCQUFnQjtJQUVoQixJQUFJLE1BQU0sR0FBRyxNQUFNLE9BQU8sQ0FBQyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO0lBQ3pGLE1BQU0sS0FBSyxDQUFDLElBQUksR0FBRyxTQUFTLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO0lBRTNDLHNFQUFzRTtJQUV0RSxJQUFJLEdBQUcsR0FBRyxNQUFNLEtBQUssQ0FBQyxXQUFXLENBQUMsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLGVBQWUsRUFBRSxJQUFJLEVBQUUsWUFBWSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7SUFDL0YsS0FBSyxJQUFJLFNBQVMsR0FBRyxDQUFDLEVBQUUsU0FBUyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsU0FBUyxFQUFFLEVBQUU7UUFDM0QsT0FBTyxDQUFDLEdBQUcsQ0FBQyw4Q0FBOEMsU0FBUyxHQUFHLENBQUMsT0FBTyxHQUFHLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQztRQUMvRixJQUFJLElBQUksR0FBRyxNQUFNLEdBQUcsQ0FBQyxPQUFPLENBQUMsU0FBUyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBRTVDLDBFQUEwRTtRQUUxRSxJQUFJLFdBQVcsR0FBRyxNQUFNLElBQUksQ0FBQyxjQUFjLEVBQUUsQ0FBQztRQUM5QyxJQUFJLFFBQVEsR0FBRyxNQUFNLElBQUksQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDM0MsSUFBSSxRQUFRLEdBQWMsV0FBVyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDbkQsSUFBSSxTQUFTLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLFNBQVMsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7WUFFekUsbUZBQW1GO1lBQ25GLG9GQUFvRjtZQUNwRixtRkFBbUY7WUFDbkYsaUNBQWlDO1lBRWpDLElBQUksZ0JBQWdCLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUM1RixPQUFPLEVBQUUsSUFBSSxFQUFFLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxJQUFJLENBQUMsS0FBSyxFQUFFLE1BQU0sRUFBRSxnQkFBZ0IsRUFBRSxDQUFDO1FBQzdHLENBQUMsQ0FBQyxDQUFDO1FBRUgsZ0VBQWdFO1FBRWhFLElBQUksZUFBZSxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ2xILFFBQVEsQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLENBQUM7UUFFL0Isd0ZBQXdGO1FBQ3hGLHlCQUF5QjtRQUV6QixJQUFJLFFBQVEsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksTUFBTSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUk7WUFDdEcsUUFBUSxDQUFDLEdBQUcsRUFBRSxDQUFDO1FBRW5CLHlDQUF5QztRQUV6QyxJQUFJLGdCQUFnQixHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxLQUFLLFdBQVcsQ0FBQyxDQUFDO1FBQ3JGLElBQUksa0JBQWtCLEdBQUcsUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEtBQUssYUFBYSxDQUFDLENBQUM7UUFDekYsSUFBSSxlQUFlLEdBQUcsUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEtBQUssVUFBVSxDQUFDLENBQUM7UUFDbkYsSUFBSSxnQkFBZ0IsR0FBRyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxZQUFZLENBQUMsQ0FBQztRQUV0RixJQUFJLGdCQUFnQixLQUFLLFNBQVMsRUFBRTtZQUNoQyxJQUFJLGNBQWMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxPQUFPLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDM0UsT0FBTyxDQUFDLEdBQUcsQ0FBQyxzSUFBc0ksY0FBYyxFQUFFLENBQUMsQ0FBQztZQUNwSyxTQUFTO1NBQ1o7YUFBTSxJQUFJLGtCQUFrQixLQUFLLFNBQVMsRUFBRTtZQUN6QyxJQUFJLGNBQWMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxPQUFPLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDM0UsT0FBTyxDQUFDLEdBQUcsQ0FBQyw2SUFBNkksY0FBYyxFQUFFLENBQUMsQ0FBQztZQUMzSyxTQUFTO1NBQ1o7YUFBTSxJQUFJLGVBQWUsS0FBSyxTQUFTLEVBQUU7WUFDdEMsSUFBSSxjQUFjLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLElBQUksT0FBTyxDQUFDLElBQUksR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQzNFLE9BQU8sQ0FBQyxHQUFHLENBQUMscUlBQXFJLGNBQWMsRUFBRSxDQUFDLENBQUM7WUFDbkssU0FBUztTQUNaO1FBRUQseUZBQXlGO1FBQ3pGLDJGQUEyRjtRQUMzRixxREFBcUQ7UUFFckQsSUFBSSx3QkFBd0IsR0FBRyxFQUFFLENBQUM7UUFDbEMsSUFBSSxhQUFhLEdBQUcsaUJBQWlCLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDaEQsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxHQUFHLGFBQWEsQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEVBQUU7WUFDdkQscUZBQXFGO1lBQ3JGLDRFQUE0RTtZQUU1RSxJQUFJLFlBQVksR0FBRyxhQUFhLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDeEMsSUFBSSxrQkFBa0IsR0FBWTtnQkFDOUIsSUFBSSxFQUFFLFlBQVksQ0FBQyxJQUFJO2dCQUN2QixVQUFVLEVBQUUsWUFBWSxDQUFDLFVBQVU7Z0JBQ25DLENBQUMsRUFBRSxZQUFZLENBQUMsQ0FBQztnQkFDakIsQ0FBQyxFQUFFLFlBQVksQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLE1BQU0sR0FBRyxDQUFDO2dCQUMzQyxLQUFLLEVBQUUsWUFBWSxDQUFDLEtBQUs7Z0JBQ3pCLE1BQU0sRUFBRSxZQUFZLENBQUMsTUFBTTthQUFFLENBQUM7WUFDbEMsSUFBSSxNQUFNLEdBQUcsU0FBUyxDQUFDLFFBQVEsRUFBRSxrQkFBa0IsQ0FBQyxDQUFDO1lBQ3JELElBQUksVUFBVSxHQUFHLENBQUMsS0FBSyxHQUFHLENBQUMsR0FBRyxhQUFhLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxRQUFRLEVBQUUsYUFBYSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDO1lBRXZILDZDQUE2QztZQUU3Qyx3QkFBd0IsQ0FBQyxJQUFJLENBQUMsRUFBRSxZQUFZLEVBQUUsYUFBYSxDQUFDLEtBQUssQ0FBQyxFQUFFLFFBQVEsRUFBRSxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSSxNQUFNLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsTUFBTSxHQUFHLFVBQVUsQ0FBQyxFQUFFLENBQUMsQ0FBQztTQUMvSztRQUVELHNGQUFzRjtRQUN0RixzRkFBc0Y7UUFDdEYscUZBQXFGO1FBQ3JGLDhEQUE4RDtRQUU5RCxLQUFLLElBQUksdUJBQXVCLElBQUksd0JBQXdCLEVBQUU7WUFDMUQsSUFBSSxzQkFBc0IsR0FBRyx3QkFBd0IsQ0FBQyx1QkFBdUIsQ0FBQyxRQUFRLEVBQUUsdUJBQXVCLENBQUMsWUFBWSxFQUFFLGdCQUFnQixFQUFFLGtCQUFrQixFQUFFLGVBQWUsRUFBRSxnQkFBZ0IsRUFBRSxHQUFHLENBQUMsQ0FBQztZQUM1TSxJQUFJLHNCQUFzQixLQUFLLFNBQVMsRUFBRTtnQkFDdEMsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDO2dCQUNmLElBQUksaUJBQWlCLEdBQUcsc0JBQXNCLENBQUMsaUJBQWlCLENBQUM7Z0JBQ2pFLE9BQU8sdUJBQXVCO3FCQUN6QixJQUFJLENBQUMsMkJBQTJCLENBQUMsRUFBRSxDQUNoQywyQkFBMkIsQ0FBQyxpQkFBaUIsS0FBSyxzQkFBc0IsQ0FBQyxpQkFBaUI7b0JBQ3RGLENBQUMsMkJBQTJCLENBQUMsT0FBTyxLQUFLLHNCQUFzQixDQUFDLE9BQU87d0JBQ3ZFLDJCQUEyQixDQUFDLFdBQVcsS0FBSyxzQkFBc0IsQ0FBQyxXQUFXO3dCQUM5RSwyQkFBMkIsQ0FBQyxZQUFZLEtBQUssc0JBQXNCLENBQUMsWUFBWSxDQUFDLENBQUM7b0JBQzFGLHNCQUFzQixDQUFDLGlCQUFpQixHQUFHLEdBQUcsaUJBQWlCLEtBQUssRUFBRSxNQUFNLEdBQUcsQ0FBQyxDQUFFLHNCQUFzQjtnQkFDNUcsdUJBQXVCLENBQUMsSUFBSSxDQUFDLHNCQUFzQixDQUFDLENBQUM7YUFDeEQ7U0FDSjtLQUNKO0lBRUQsT0FBTyx1QkFBdUIsQ0FBQztBQUNuQyxDQUFDO0FBRUQsb0VBQW9FO0FBRXBFLFNBQVMsU0FBUyxDQUFDLE9BQWUsRUFBRSxPQUFlO0lBQy9DLE9BQU8sSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7QUFDdkcsQ0FBQztBQUVELG1EQUFtRDtBQUVuRCxTQUFTLEtBQUssQ0FBQyxZQUFvQjtJQUMvQixPQUFPLElBQUksT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLE9BQU8sRUFBRSxZQUFZLENBQUMsQ0FBQyxDQUFDO0FBQ3JFLENBQUM7QUFFRCx1Q0FBdUM7QUFFdkMsS0FBSyxVQUFVLElBQUk7SUFDZixtQ0FBbUM7SUFFbkMsSUFBSSxRQUFRLEdBQUcsTUFBTSxrQkFBa0IsRUFBRSxDQUFDO0lBRTFDLHVEQUF1RDtJQUV2RCxXQUFXLEdBQUcsRUFBRSxDQUFDO0lBQ2pCLEtBQUssSUFBSSxNQUFNLElBQUksRUFBRSxDQUFDLFlBQVksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQztRQUNsRyxXQUFXLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFN0QseURBQXlEO0lBRXpELE9BQU8sQ0FBQyxHQUFHLENBQUMsb0JBQW9CLDBCQUEwQixFQUFFLENBQUMsQ0FBQztJQUU5RCxJQUFJLElBQUksR0FBRyxNQUFNLE9BQU8sQ0FBQyxFQUFFLEdBQUcsRUFBRSwwQkFBMEIsRUFBRSxLQUFLLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO0lBQzlGLE1BQU0sS0FBSyxDQUFDLElBQUksR0FBRyxTQUFTLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO0lBQzNDLElBQUksQ0FBQyxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7SUFFM0IsSUFBSSxPQUFPLEdBQWEsRUFBRSxDQUFDO0lBQzNCLEtBQUssSUFBSSxPQUFPLElBQUksQ0FBQyxDQUFDLGVBQWUsQ0FBQyxDQUFDLEdBQUcsRUFBRSxFQUFFO1FBQzFDLElBQUksTUFBTSxHQUFHLElBQUksU0FBUyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSwwQkFBMEIsQ0FBQyxDQUFDO1FBQ2pGLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDO1lBQzFDLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxLQUFLLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRyxtQkFBbUI7Z0JBQy9ELE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDO0tBQ3JDO0lBRUQsSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtRQUN0QixPQUFPLENBQUMsR0FBRyxDQUFDLHFDQUFxQyxDQUFDLENBQUM7UUFDbkQsT0FBTztLQUNWO0lBRUQsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO0lBRWxCLDRGQUE0RjtJQUM1Riw4RkFBOEY7SUFDOUYsWUFBWTtJQUVaLElBQUksZUFBZSxHQUFhLEVBQUUsQ0FBQztJQUNuQyxlQUFlLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDO0lBQ3RDLElBQUksT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDO1FBQ2xCLGVBQWUsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNoRSxJQUFJLFNBQVMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQztRQUNyQixlQUFlLENBQUMsT0FBTyxFQUFFLENBQUM7SUFFOUIsS0FBSyxJQUFJLE1BQU0sSUFBSSxlQUFlLEVBQUU7UUFDaEMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxxQkFBcUIsTUFBTSxFQUFFLENBQUMsQ0FBQztRQUMzQyxJQUFJLHVCQUF1QixHQUFHLE1BQU0sUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ3JELE9BQU8sQ0FBQyxHQUFHLENBQUMsVUFBVSx1QkFBdUIsQ0FBQyxNQUFNLDhDQUE4QyxNQUFNLEVBQUUsQ0FBQyxDQUFDO1FBQzVHLE9BQU8sQ0FBQyxHQUFHLENBQUMsdURBQXVELENBQUMsQ0FBQztRQUNyRSxLQUFLLElBQUksc0JBQXNCLElBQUksdUJBQXVCO1lBQ3RELE1BQU0sU0FBUyxDQUFDLFFBQVEsRUFBRSxzQkFBc0IsQ0FBQyxDQUFDO0tBQ3pEO0FBQ0wsQ0FBQztBQUVELElBQUksRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDIn0=
\ No newline at end of file
+if (require.main === module)
+    main().then(() => console.log("Complete.")).catch(error => console.error(error));
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyYXBlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNjcmFwZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsa0dBQWtHO0FBQ2xHLDZCQUE2QjtBQUM3QixFQUFFO0FBQ0YsZUFBZTtBQUNmLG9CQUFvQjtBQUVwQixZQUFZLENBQUM7OztBQUViLHlCQUF5QjtBQUN6QixpQ0FBaUM7QUFDakMsNkJBQTZCO0FBQzdCLG1DQUFtQztBQUNuQyxtQ0FBbUM7QUFDbkMsaUNBQWlDO0FBQ2pDLGlDQUFpQztBQUNqQyxvQ0FBb0M7QUFDcEMsMENBQTBDO0FBQzFDLCtDQUFtRjtBQUNuRix1Q0FBK0c7QUFDL0csdUNBQXFGO0FBQ3JGLCtCQUFvRjtBQUNwRixtQ0FBb0Y7QUFDcEYseUNBQTRJO0FBQzVJLHlDQUErRjtBQUMvRix5Q0FBbUg7QUFFbkgsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO0FBRWxCLE1BQU0sMEJBQTBCLEdBQUcseURBQXlELENBQUM7QUFDN0YsTUFBTSxVQUFVLEdBQUcsOEJBQThCLENBQUM7QUFDbEQsTUFBTSxhQUFhLEdBQUcsRUFBRSxDQUFDLENBQUUseUhBQXlIO0FBQ3BKLE1BQU0sWUFBWSxHQUFHLGFBQWEsQ0FBQyxDQUFFLDJEQUEyRDtBQUNoRyxNQUFNLGtCQUFrQixHQUFHLGVBQWUsQ0FBQyxDQUFFLGtGQUFrRjtBQUMvSCxNQUFNLGdCQUFnQixHQUFHLENBQUMsQ0FBQyxDQUFFLHNLQUFzSztBQUluTSw4Q0FBOEM7QUFFOUMsSUFBSSxTQUFTLEdBQWMsSUFBSSxDQUFDO0FBRWhDLCtGQUErRjtBQUMvRixpRkFBaUY7QUFFakYsSUFBSSxpQkFBaUIsR0FBc0IsSUFBSSxDQUFDO0FBRWhELHNEQUFzRDtBQUV0RCxJQUFJLGNBQWMsR0FBb0IsSUFBSSxDQUFDO0FBRTNDLDZGQUE2RjtBQUU3RixJQUFJLG1CQUFtQixHQUF3QixJQUFJLENBQUM7QUF5QnBELElBQUksT0FBTyxHQUFZLElBQUksQ0FBQztBQUU1QixrR0FBa0c7QUFDbEcsb0dBQW9HO0FBRXBHLE1BQU0sWUFBWSxHQUFrQztJQUNoRCxTQUFTLEVBQUU7UUFDUCxFQUFFLElBQUksRUFBRSxXQUFXLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRTtRQUN0QyxFQUFFLElBQUksRUFBRSxpQkFBaUIsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO1FBQ3pDLEVBQUUsSUFBSSxFQUFFLGdCQUFnQixFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7UUFDeEMsRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUU7UUFDeEMsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7UUFDOUIsRUFBRSxJQUFJLEVBQUUsZUFBZSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsQ0FBRSwyRUFBMkU7S0FDdkg7SUFDRCxnQkFBZ0IsRUFBRTtRQUNkLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO1FBQ2xDLEVBQUUsSUFBSSxFQUFFLGFBQWEsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFO1FBQ3hDLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLENBQUUseURBQXlEO0tBQzlGO0NBQ0osQ0FBQztBQUVGLGdHQUFnRztBQUNoRyw0QkFBNEI7QUFFNUIsU0FBUyx5QkFBeUIsQ0FBQyxLQUFhO0lBQzVDLE9BQU8sWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLElBQUksTUFBTSxDQUFDLElBQUksS0FBSyxNQUFNLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7QUFDM0YsQ0FBQztBQUVELG1HQUFtRztBQUNuRyx3RkFBd0Y7QUFFakYsS0FBSyxVQUFVLGtCQUFrQixDQUFDLFFBQWdCO0lBQ3JELE9BQU8sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDbkMsSUFBSSxRQUFRLEdBQUcsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQzlDLFFBQVEsQ0FBQyxTQUFTLENBQUMsR0FBRyxFQUFFO1lBQ3BCLFFBQVEsQ0FBQyxHQUFHLENBQUMsc0xBQXNMLHlCQUF5QixDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUM5TyxRQUFRLENBQUMsR0FBRyxDQUFDLG1FQUFtRSxjQUFjLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsSUFBSSxNQUFNLFFBQVEsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMseURBQXlELENBQUMsQ0FBQztZQUN0TSxRQUFRLENBQUMsR0FBRyxDQUFDLDJGQUEyRixDQUFDLENBQUM7WUFDMUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxrS0FBa0ssZ0JBQWdCLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxJQUFJLGlCQUFpQixDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLHlCQUF5QixDQUFDLGtCQUFrQixDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQ3hTLFFBQVEsQ0FBQyxHQUFHLENBQUMsa0tBQWtLLENBQUMsQ0FBQztZQUNqTCwwQkFBZSxDQUFDLFFBQVEsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyw0QkFBaUIsQ0FBQyxRQUFRLEVBQUUsWUFBWSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxDQUFDO1FBQzFILENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBWkQsZ0RBWUM7QUFFRCwrRkFBK0Y7QUFDL0YscUVBQXFFO0FBRXJFLE1BQU0sY0FBYyxHQUFHLENBQUUsU0FBUyxFQUFFLGFBQWEsRUFBRSxlQUFlLEVBQUUsa0JBQWtCLEVBQUUsV0FBVyxFQUFFLFdBQVcsRUFBRSxlQUFlLEVBQUUsVUFBVSxDQUFFLENBQUM7QUFFaEosOEZBQThGO0FBQzlGLDRGQUE0RjtBQUM1Rix3RkFBd0Y7QUFDeEYsNERBQTREO0FBRXJELEtBQUssVUFBVSxTQUFTLENBQUMsUUFBUSxFQUFFLHNCQUFzQixFQUFFLE9BQWU7SUFDN0UsSUFBSSxZQUFZLEdBQUcsTUFBTSxtQkFBUSxDQUFDLFFBQVEsRUFBRSxpRUFBaUUsRUFBRSxDQUFFLHNCQUFzQixDQUFDLGlCQUFpQixDQUFFLENBQUMsQ0FBQztJQUM3SixJQUFJLEdBQUcsR0FBRztRQUNOLGlCQUFpQixFQUFFLHNCQUFzQixDQUFDLGlCQUFpQjtRQUMzRCxPQUFPLEVBQUUsc0JBQXNCLENBQUMsT0FBTztRQUN2QyxXQUFXLEVBQUUsc0JBQXNCLENBQUMsV0FBVztRQUMvQyxRQUFRLEVBQUUsc0JBQXNCLENBQUMsY0FBYztRQUMvQyxXQUFXLEVBQUUsc0JBQXNCLENBQUMsVUFBVTtRQUM5QyxZQUFZLEVBQUUsQ0FBQyxZQUFZLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxzQkFBc0IsQ0FBQyxVQUFVO1FBQzFHLGFBQWEsRUFBRSxzQkFBc0IsQ0FBQyxZQUFZO1FBQ2xELFNBQVMsRUFBRSxzQkFBc0IsQ0FBQyxTQUFTO1FBQzNDLFNBQVMsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLHNCQUFzQixDQUFDLFNBQVMsQ0FBQztRQUMzRCxnQkFBZ0IsRUFBRSxzQkFBc0IsQ0FBQyxlQUFlO1FBQ3hELGFBQWEsRUFBRSxzQkFBc0IsQ0FBQyxZQUFZO1FBQ2xELFFBQVEsRUFBRSxzQkFBc0IsQ0FBQyxRQUFRO1FBQ3pDLFFBQVEsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLHNCQUFzQixDQUFDLFFBQVEsQ0FBQztRQUN6RCxRQUFRLEVBQUUsc0JBQXNCLENBQUMsUUFBUTtRQUN6QyxTQUFTLEVBQUUsc0JBQXNCLENBQUMsU0FBUztRQUMzQyxpQkFBaUIsRUFBRSxzQkFBc0IsQ0FBQyxnQkFBZ0I7UUFDMUQsVUFBVSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsc0JBQXNCLENBQUMsVUFBVSxDQUFDO1FBQzdELFNBQVMsRUFBRSxzQkFBc0IsQ0FBQyxRQUFRO0tBQzdDLENBQUM7SUFDRixLQUFLLElBQUksTUFBTSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsa0NBQXVCLENBQUM7UUFDbkQsR0FBRyxDQUFDLE1BQU0sQ0FBQyxHQUFHLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDLGtDQUF1QixDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7SUFDNUYsSUFBSSxXQUFXLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUNuQyxNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLGtDQUFrQyxXQUFXLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsSUFBSSxVQUFVLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsYUFBYSxXQUFXLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLFdBQVcsQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzNOLE9BQU8sQ0FBQyxHQUFHLENBQUMsMkJBQTJCLHNCQUFzQixDQUFDLGlCQUFpQixxQkFBcUIsc0JBQXNCLENBQUMsT0FBTyxxQkFBcUIsc0JBQXNCLENBQUMsV0FBVywwQkFBMEIsc0JBQXNCLENBQUMsWUFBWSxxQkFBcUIsQ0FBQyxDQUFDO0lBRTdRLE1BQU0sZ0JBQWdCLENBQUMsUUFBUSxFQUFFLEdBQUcsRUFBRSxPQUFPLENBQUMsQ0FBQztBQUNuRCxDQUFDO0FBN0JELDhCQTZCQztBQUVELGdHQUFnRztBQUNoRywrRkFBK0Y7QUFDL0YsK0ZBQStGO0FBRS9GLEtBQUssVUFBVSxnQkFBZ0IsQ0FBQyxRQUFRLEVBQUUsR0FBRyxFQUFFLE9BQWU7SUFDMUQsSUFBSSxjQUFjLEdBQUcsTUFBTSxtQkFBUSxDQUFDLFFBQVEsRUFBRSw4RkFBOEYsRUFBRSxDQUFFLEdBQUcsQ0FBQyxpQkFBaUIsQ0FBRSxDQUFDLENBQUM7SUFDekssSUFBSSxjQUFjLENBQUMsTUFBTSxHQUFHLENBQUMsSUFBSSxjQUFjLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxFQUFFO1FBQ3hHLE1BQU0saUJBQU0sQ0FBQyxRQUFRLEVBQUUsd0RBQXdELEVBQUUsQ0FBRSxPQUFPLEVBQUUsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBRSxDQUFDLENBQUM7UUFDdkgsT0FBTztLQUNWO0lBRUQsSUFBSSxjQUFjLENBQUMsTUFBTSxHQUFHLENBQUM7UUFDekIsT0FBTyxDQUFDLEdBQUcsQ0FBQywrQ0FBK0MsR0FBRyxDQUFDLGlCQUFpQiw2Q0FBNkMsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsSUFBSSxDQUFDLENBQUM7SUFDbEssSUFBSSxXQUFXLEdBQUcsQ0FBRSxtQkFBbUIsRUFBRSxHQUFHLGNBQWMsRUFBRSxVQUFVLENBQUUsQ0FBQztJQUN6RSxNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUNqQiwwQkFBMEIsV0FBVyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLElBQUksVUFBVSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLHdDQUF3QyxXQUFXLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUMzSyxDQUFFLEdBQUcsV0FBVyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxFQUFFLE9BQU8sRUFBRSxPQUFPLENBQUUsQ0FBQyxDQUFDO0FBQ2pGLENBQUM7QUFFRCxpR0FBaUc7QUFDakcsK0ZBQStGO0FBQy9GLDJEQUEyRDtBQUUzRCxLQUFLLFVBQVUsY0FBYyxDQUFDLFFBQVEsRUFBRSxNQUFjLEVBQUUsT0FBZTtJQUNuRSxNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLDRJQUE0SSxFQUFFLENBQUUsT0FBTyxFQUFFLE1BQU0sQ0FBRSxDQUFDLENBQUM7QUFDOUwsQ0FBQztBQUVELDhGQUE4RjtBQUM5RixzQkFBc0I7QUFFdEIsU0FBUyxXQUFXLENBQUMsVUFBa0I7SUFDbkMsT0FBTyxDQUFDLFVBQVUsQ0FBQyxNQUFNLEtBQUssWUFBWSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLFVBQVUsV0FBVyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUM7QUFDL0YsQ0FBQztBQUVELDhGQUE4RjtBQUM5RiwrRkFBK0Y7QUFDL0YsOEZBQThGO0FBQzlGLDZGQUE2RjtBQUM3RixRQUFRO0FBRUQsS0FBSyxVQUFVLFdBQVcsQ0FBQyxRQUFRLEVBQUUsSUFBWSxFQUFFLEVBQVU7SUFDaEUsT0FBTyxDQUFDLEdBQUcsQ0FBQyw2Q0FBNkMsSUFBSSx3QkFBd0IsRUFBRSxHQUFHLENBQUMsQ0FBQztJQUM1RixJQUFJLFFBQVEsR0FBRyxNQUFNLG1CQUFRLENBQUMsUUFBUSxFQUFFLHFIQUFxSCxFQUFFLENBQUUsV0FBVyxDQUFDLElBQUksQ0FBQyxFQUFFLFdBQVcsQ0FBQyxFQUFFLENBQUMsQ0FBRSxDQUFDLENBQUM7SUFDdk0sS0FBSyxJQUFJLE9BQU8sSUFBSSxRQUFRLEVBQUU7UUFDMUIsSUFBSSxnQkFBZ0IsR0FBRyxNQUFNLG1CQUFRLENBQUMsUUFBUSxFQUFFLHFHQUFxRyxFQUFFLENBQUUsT0FBTyxDQUFDLGlCQUFpQixFQUFFLE9BQU8sQ0FBQyxLQUFLLENBQUUsQ0FBQyxDQUFDO1FBQ3JNLElBQUksZ0JBQWdCLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtZQUMvQixPQUFPLENBQUMsR0FBRyxDQUFDLE9BQU8sT0FBTyxDQUFDLGlCQUFpQixtQ0FBbUMsT0FBTyxDQUFDLFVBQVUsT0FBTyxPQUFPLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQztZQUM1SCxTQUFTO1NBQ1o7UUFDRCxPQUFPLENBQUMsR0FBRyxDQUFDLE9BQU8sT0FBTyxDQUFDLGlCQUFpQixnQkFBZ0IsT0FBTyxDQUFDLFVBQVUsT0FBTyxPQUFPLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQztRQUN6RyxLQUFLLElBQUksTUFBTSxJQUFJLGNBQWM7WUFDN0IsSUFBSSxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxPQUFPLENBQUMsTUFBTSxDQUFDO2dCQUMvQyxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsTUFBTSxPQUFPLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxXQUFXLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUM7S0FDMUc7SUFDRCxPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsUUFBUSxDQUFDLE1BQU0seURBQXlELENBQUMsQ0FBQztBQUNuRyxDQUFDO0FBZkQsa0NBZUM7QUFFRCxrR0FBa0c7QUFDbEcsa0dBQWtHO0FBQ2xHLCtCQUErQjtBQUUvQixLQUFLLFVBQVUsc0JBQXNCLENBQUMsUUFBUTtJQUMxQyxJQUFJLElBQUksR0FBRyxNQUFNLG1CQUFRLENBQUMsUUFBUSxFQUFFLGtGQUFrRixDQUFDLENBQUM7SUFDeEgsSUFBSSxZQUFZLEdBQUcsQ0FBQyxDQUFDO0lBQ3JCLE1BQU0saUJBQU0sQ0FBQyxRQUFRLEVBQUUsbUJBQW1CLENBQUMsQ0FBQztJQUM1QyxJQUFJO1FBQ0EsS0FBSyxJQUFJLEdBQUcsSUFBSSxJQUFJLEVBQUU7WUFDbEIsSUFBSSxjQUFjLEdBQUcsOEJBQW1CLENBQUMsQ0FBQyxHQUFHLENBQUMsV0FBVyxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxXQUFXLEVBQUUsbUJBQW1CLENBQUMsQ0FBQztZQUNqSCxJQUFJLFVBQVUsR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLGNBQWMsQ0FBQyxVQUFVLENBQUMsQ0FBQztZQUMzRCxJQUFJLFVBQVUsS0FBSyxHQUFHLENBQUMsVUFBVSxJQUFJLGNBQWMsQ0FBQyxRQUFRLEtBQUssR0FBRyxDQUFDLFNBQVMsRUFBRTtnQkFDNUUsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSxtRkFBbUYsRUFBRSxDQUFFLFVBQVUsRUFBRSxjQUFjLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxpQkFBaUIsQ0FBRSxDQUFDLENBQUM7Z0JBQzVLLE9BQU8sQ0FBQyxHQUFHLENBQUMsT0FBTyxHQUFHLENBQUMsaUJBQWlCLEtBQUssVUFBVSxHQUFHLENBQUMsY0FBYyxDQUFDLFFBQVEsS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxLQUFLLGNBQWMsQ0FBQyxRQUFRLFFBQVEsRUFBRSxDQUFDLENBQUM7Z0JBQzVJLFlBQVksRUFBRSxDQUFDO2FBQ2xCO1NBQ0o7UUFDRCxNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLFFBQVEsQ0FBQyxDQUFDO0tBQ3BDO0lBQUMsT0FBTyxLQUFLLEVBQUU7UUFDWixNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLFVBQVUsQ0FBQyxDQUFDO1FBQ25DLE1BQU0sS0FBSyxDQUFDO0tBQ2Y7SUFDRCxPQUFPLENBQUMsR0FBRyxDQUFDLGNBQWMsSUFBSSxDQUFDLE1BQU0seUNBQXlDLFlBQVksV0FBVyxDQUFDLENBQUM7QUFDM0csQ0FBQztBQW9CRCxxRkFBcUY7QUFFOUUsS0FBSyxVQUFVLG1CQUFtQixDQUFDLFFBQVE7SUFDOUMsT0FBTyxJQUFJLE9BQU8sQ0FBbUIsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDckQsUUFBUSxDQUFDLEdBQUcsQ0FBQywyQkFBMkIsRUFBRSxVQUFTLEtBQUssRUFBRSxJQUFJO1lBQzFELElBQUksS0FBSyxFQUFFO2dCQUNQLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7Z0JBQ3JCLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQzthQUNqQjtpQkFBTTtnQkFDSCxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUM7b0JBQ3JCLEdBQUcsRUFBRSxHQUFHLENBQUMsR0FBRztvQkFDWixJQUFJLEVBQUUsR0FBRyxDQUFDLElBQUk7b0JBQ2QsVUFBVSxFQUFFLEdBQUcsQ0FBQyxXQUFXO29CQUMzQixXQUFXLEVBQUUsR0FBRyxDQUFDLFlBQVk7b0JBQzdCLGdCQUFnQixFQUFFLEdBQUcsQ0FBQyxpQkFBaUI7b0JBQ3ZDLE1BQU0sRUFBRSxDQUFDLEdBQUcsQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDO29CQUMxQixLQUFLLEVBQUUsR0FBRyxDQUFDLEtBQUs7b0JBQ2hCLFFBQVEsRUFBRSxHQUFHLENBQUMsU0FBUztvQkFDdkIsY0FBYyxFQUFFLEdBQUcsQ0FBQyxlQUFlO29CQUNuQyxhQUFhLEVBQUUsR0FBRyxDQUFDLGNBQWM7b0JBQ2pDLFVBQVUsRUFBRSxHQUFHLENBQUMsV0FBVztvQkFDM0IsSUFBSSxFQUFFLEdBQUcsQ0FBQyxJQUFJO29CQUNkLFlBQVksRUFBRSxHQUFHLENBQUMsYUFBYTtpQkFDbEMsQ0FBQyxDQUFDLENBQUMsQ0FBQzthQUNSO1FBQ0wsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUF6QkQsa0RBeUJDO0FBRUQsMkVBQTJFO0FBRTNFLEtBQUssVUFBVSxrQkFBa0IsQ0FBQyxRQUFRLEVBQUUsY0FBOEI7SUFDdEUsT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUNuQyxJQUFJLFlBQVksR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLG9RQUFvUSxDQUFDLENBQUM7UUFDMVMsWUFBWSxDQUFDLEdBQUcsQ0FBQztZQUNiLGNBQWMsQ0FBQyxHQUFHO1lBQ2xCLGNBQWMsQ0FBQyxJQUFJO1lBQ25CLGNBQWMsQ0FBQyxVQUFVO1lBQ3pCLGNBQWMsQ0FBQyxXQUFXO1lBQzFCLGNBQWMsQ0FBQyxnQkFBZ0I7WUFDL0IsY0FBYyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzdCLGNBQWMsQ0FBQyxLQUFLO1lBQ3BCLGNBQWMsQ0FBQyxRQUFRO1lBQ3ZCLGNBQWMsQ0FBQyxjQUFjO1lBQzdCLGNBQWMsQ0FBQyxhQUFhO1lBQzVCLGNBQWMsQ0FBQyxVQUFVO1lBQ3pCLGNBQWMsQ0FBQyxJQUFJO1lBQ25CLGNBQWMsQ0FBQyxZQUFZO1NBQzlCLEVBQUUsVUFBUyxLQUFLLEVBQUUsR0FBRztZQUNsQixJQUFJLEtBQUssRUFBRTtnQkFDUCxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUNyQixNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7YUFDakI7aUJBQU07Z0JBQ0gsWUFBWSxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUUscUJBQXFCO2dCQUMvQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUM7YUFDaEI7UUFDTCxDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQUVELDhGQUE4RjtBQUM5RiwrRkFBK0Y7QUFDL0YsaUdBQWlHO0FBQ2pHLHlGQUF5RjtBQUV6RixNQUFNLGdCQUFnQixHQUFHLENBQUUsY0FBYyxFQUFFLGNBQWMsRUFBRSxxQkFBcUIsRUFBRSxrQkFBa0IsRUFBRSxTQUFTLENBQUUsQ0FBQztBQXNDbEgsSUFBSSxNQUFNLEdBQVcsSUFBSSxDQUFDO0FBRTFCLGdHQUFnRztBQUNoRyxtQ0FBbUM7QUFFbkMsU0FBZ0IsV0FBVyxDQUFDLFVBQWtCLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxxQkFBcUIsQ0FBQztJQUNoRixNQUFNLEdBQUcsRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxFQUFFLEVBQUUsTUFBTSxFQUFFLEVBQUUsRUFBRSxHQUFHLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsQ0FBQztJQUMxRixPQUFPLE1BQU0sQ0FBQztBQUNsQixDQUFDO0FBSEQsa0NBR0M7QUFFRCxtR0FBbUc7QUFFbkcsU0FBUyxVQUFVLENBQUMsR0FBVyxFQUFFLElBQVk7SUFDekMsSUFBSSxNQUFNLEtBQUssSUFBSTtRQUNmLE9BQU87SUFDWCxNQUFNLENBQUMsR0FBRyxHQUFHLEdBQUcsQ0FBQztJQUNqQixNQUFNLENBQUMsSUFBSSxHQUFHLElBQUksQ0FBQztJQUNuQixJQUFJLGNBQWMsR0FBRyxNQUFNLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLGNBQWMsQ0FBQyxHQUFHLEtBQUssR0FBRyxDQUFDLENBQUM7SUFDekYsSUFBSSxjQUFjLEtBQUssU0FBUyxFQUFFO1FBQzlCLGNBQWMsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxnQkFBZ0IsRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxJQUFJLEVBQUUsV0FBVyxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsRUFBRSxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsQ0FBQztRQUNoSyxLQUFLLElBQUksSUFBSSxJQUFJLGdCQUFnQjtZQUM3QixjQUFjLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUN6QyxNQUFNLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsQ0FBQztLQUN6QztJQUNELGNBQWMsQ0FBQyxTQUFTLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxDQUFDO0FBQ3hFLENBQUM7QUFFRCxvRUFBb0U7QUFFcEUsU0FBUyxXQUFXLENBQUMsSUFBWSxFQUFFLE1BQWMsRUFBRSxRQUFtQixFQUFFLGlCQUEwQjtJQUM5RixJQUFJLE1BQU0sS0FBSyxJQUFJO1FBQ2YsT0FBTztJQUNYLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDO1FBQ2YsR0FBRyxFQUFFLE1BQU0sQ0FBQyxHQUFHO1FBQ2YsSUFBSSxFQUFFLE1BQU0sQ0FBQyxJQUFJO1FBQ2pCLElBQUksRUFBRSxJQUFJO1FBQ1YsaUJBQWlCLEVBQUUsaUJBQWlCO1FBQ3BDLE1BQU0sRUFBRSxNQUFNO1FBQ2QsUUFBUSxFQUFFLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUM7S0FDbEUsQ0FBQyxDQUFDO0lBQ0gsSUFBSSxjQUFjLEdBQUcsTUFBTSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxjQUFjLENBQUMsR0FBRyxLQUFLLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUNoRyxJQUFJLGNBQWMsS0FBSyxTQUFTO1FBQzVCLGNBQWMsQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQztBQUMzQyxDQUFDO0FBRUQseUVBQXlFO0FBRXpFLFNBQVMsYUFBYSxDQUFDLElBQVk7SUFDL0IsSUFBSSxNQUFNLEtBQUssSUFBSTtRQUNmLE9BQU87SUFDWCxJQUFJLGNBQWMsR0FBRyxNQUFNLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLGNBQWMsQ0FBQyxHQUFHLEtBQUssTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ2hHLElBQUksY0FBYyxLQUFLLFNBQVM7UUFDNUIsY0FBYyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQztBQUN4RCxDQUFDO0FBRUQsa0dBQWtHO0FBQ2xHLDZCQUE2QjtBQUU3QixTQUFTLHFCQUFxQixDQUFDLEdBQVcsRUFBRSxnQkFBd0IsRUFBRSxLQUFhLEVBQUUsVUFBa0IsRUFBRSxZQUFxQixLQUFLO0lBQy9ILElBQUksTUFBTSxLQUFLLElBQUk7UUFDZixPQUFPO0lBQ1gsSUFBSSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsY0FBYyxDQUFDLEdBQUcsS0FBSyxHQUFHLENBQUM7UUFDcEUsVUFBVSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFFLGdEQUFnRDtJQUN6RSxJQUFJLGNBQWMsR0FBRyxNQUFNLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLGNBQWMsQ0FBQyxHQUFHLEtBQUssR0FBRyxDQUFDLENBQUM7SUFDekYsY0FBYyxDQUFDLGdCQUFnQixHQUFHLGdCQUFnQixDQUFDO0lBQ25ELGNBQWMsQ0FBQyxNQUFNLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDM0YsY0FBYyxDQUFDLE1BQU0sR0FBRyxDQUFDLEtBQUssS0FBSyxJQUFJLENBQUMsQ0FBQztJQUN6QyxjQUFjLENBQUMsS0FBSyxHQUFHLEtBQUssQ0FBQztJQUM3QixjQUFjLENBQUMsVUFBVSxHQUFHLFVBQVUsQ0FBQztBQUMzQyxDQUFDO0FBRUQscUVBQXFFO0FBRTlELEtBQUssVUFBVSxVQUFVLENBQUMsUUFBUSxFQUFFLE1BQWMsRUFBRSxRQUFnQjtJQUN2RSxLQUFLLElBQUksY0FBYyxJQUFJLE1BQU0sQ0FBQyxTQUFTO1FBQ3ZDLE1BQU0saUJBQU0sQ0FBQyxRQUFRLEVBQ2pCLGlKQUFpSixnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLElBQUksU0FBUyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyx3Q0FBd0MsZ0JBQWdCLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUNoUyxDQUFFLE1BQU0sQ0FBQyxPQUFPLEVBQUUsY0FBYyxDQUFDLEdBQUcsRUFBRSxjQUFjLENBQUMsU0FBUyxFQUFFLGNBQWMsQ0FBQyxnQkFBZ0IsRUFBRSxjQUFjLENBQUMsTUFBTSxFQUFFLGNBQWMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLGNBQWMsQ0FBQyxLQUFLLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxjQUFjLENBQUMsUUFBUSxDQUFDLEVBQUUsY0FBYyxDQUFDLFVBQVUsRUFBRSxHQUFHLGdCQUFnQixDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLGNBQWMsQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBRSxDQUFDLENBQUM7SUFDOVQsS0FBSyxJQUFJLEtBQUssSUFBSSxNQUFNLENBQUMsTUFBTTtRQUMzQixNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUNqQiwwSUFBMEksRUFDMUksQ0FBRSxNQUFNLENBQUMsT0FBTyxFQUFFLEtBQUssQ0FBQyxHQUFHLEVBQUUsS0FBSyxDQUFDLElBQUksRUFBRSxLQUFLLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxpQkFBaUIsRUFBRSxLQUFLLENBQUMsTUFBTSxFQUFFLEtBQUssQ0FBQyxRQUFRLENBQUUsQ0FBQyxDQUFDO0lBRXRILElBQUksTUFBTSxHQUFHLEVBQUUsQ0FBQztJQUNoQixLQUFLLElBQUksSUFBSSxJQUFJLGdCQUFnQjtRQUM3QixNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxLQUFLLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQztJQUM3RSxFQUFFLENBQUMsYUFBYSxDQUFDLFFBQVEsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDO1FBQ3RDLE9BQU8sRUFBRSxNQUFNLENBQUMsT0FBTztRQUN2QixhQUFhLEVBQUUsTUFBTSxDQUFDLFNBQVMsQ0FBQyxNQUFNO1FBQ3RDLGdCQUFnQixFQUFFLE1BQU0sQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLGNBQWMsRUFBRSxFQUFFLENBQUMsS0FBSyxHQUFHLGNBQWMsQ0FBQyxnQkFBZ0IsRUFBRSxDQUFDLENBQUM7UUFDaEgsbUJBQW1CLEVBQUUsTUFBTSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxjQUFjLENBQUMsTUFBTSxDQUFDLENBQUMsTUFBTTtRQUM1RixzQkFBc0IsRUFBRSxNQUFNLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLGNBQWMsQ0FBQyxNQUFNLEtBQUssV0FBVyxDQUFDLENBQUMsTUFBTTtRQUMvRyxXQUFXLEVBQUUsTUFBTTtRQUNuQixTQUFTLEVBQUUsTUFBTSxDQUFDLFNBQVM7UUFDM0IsTUFBTSxFQUFFLE1BQU0sQ0FBQyxNQUFNO0tBQ3hCLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDYixPQUFPLENBQUMsR0FBRyxDQUFDLG1DQUFtQyxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sZ0JBQWdCLE1BQU0sQ0FBQyxTQUFTLENBQUMsTUFBTSx5Q0FBeUMsUUFBUSxFQUFFLENBQUMsQ0FBQztBQUNuSyxDQUFDO0FBeEJELGdDQXdCQztBQWtCRCw4RkFBOEY7QUFDOUYsa0dBQWtHO0FBQ2xHLCtGQUErRjtBQUMvRiw0REFBNEQ7QUFFNUQsU0FBZ0IsU0FBUyxDQUFDLFFBQW1CLEVBQUUsWUFBcUI7SUFDaEUsSUFBSSxHQUFHLEdBQUcsWUFBWSxDQUFDLENBQUMsQ0FBQztJQUN6QixLQUFLLElBQUksT0FBTyxJQUFJLFFBQVE7UUFDeEIsSUFBSSxPQUFPLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLE1BQU0sSUFBSSxPQUFPLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxNQUFNLEdBQUcsWUFBWSxDQUFDLENBQUMsRUFBRyxvQkFBb0I7WUFDdEgsSUFBSSw0QkFBNEIsQ0FBQyxZQUFZLEVBQUUsT0FBTyxDQUFDLEdBQUcsRUFBRSxFQUFHLGlDQUFpQztnQkFDNUYsSUFBSSxPQUFPLENBQUMsQ0FBQyxHQUFHLEdBQUc7b0JBQ2YsR0FBRyxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUM7SUFDaEMsT0FBTyxHQUFHLENBQUM7QUFDZixDQUFDO0FBUkQsOEJBUUM7QUFFRCxvRkFBb0Y7QUFFcEYsU0FBUyxTQUFTLENBQUMsVUFBcUIsRUFBRSxVQUFxQjtJQUMzRCxJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxDQUFDLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzlDLElBQUksRUFBRSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDOUMsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxLQUFLLEVBQUUsVUFBVSxDQUFDLENBQUMsR0FBRyxVQUFVLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDcEYsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxNQUFNLEVBQUUsVUFBVSxDQUFDLENBQUMsR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDdEYsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFO1FBQ3BCLE9BQU8sRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUUsR0FBRyxFQUFFLEVBQUUsTUFBTSxFQUFFLEVBQUUsR0FBRyxFQUFFLEVBQUUsQ0FBQzs7UUFFekQsT0FBTyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsQ0FBQztBQUNuRCxDQUFDO0FBRUQsc0NBQXNDO0FBRXRDLFNBQVMsT0FBTyxDQUFDLFNBQW9CO0lBQ2pDLE9BQU8sU0FBUyxDQUFDLEtBQUssR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDO0FBQzlDLENBQUM7QUFFRCx3RUFBd0U7QUFFeEUsU0FBUyxpQkFBaUIsQ0FBQyxRQUFpQixFQUFFLFFBQWlCO0lBQzNELElBQUksTUFBTSxHQUFHLEVBQUUsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLEtBQUssRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDO0lBQ3JGLElBQUksTUFBTSxHQUFHLEVBQUUsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQztJQUNwRSxJQUFJLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsS0FBSyxHQUFHLENBQUMsRUFBRywwR0FBMEc7UUFDckosT0FBTyxNQUFNLENBQUMsU0FBUyxDQUFDO0lBQzVCLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUN6RyxDQUFDO0FBRUQscUVBQXFFO0FBRXJFLFNBQVMsaUJBQWlCLENBQUMsUUFBaUIsRUFBRSxRQUFpQjtJQUMzRCxPQUFPLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxJQUFJLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLE1BQU0sR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDO0FBQ2xHLENBQUM7QUFFRCxpR0FBaUc7QUFDakcsNkZBQTZGO0FBQzdGLDJCQUEyQjtBQUUzQixTQUFTLDRCQUE0QixDQUFDLFFBQWlCLEVBQUUsUUFBaUI7SUFDdEUsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUMxQyxJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLE1BQU0sRUFBRSxRQUFRLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUM5RSxPQUFPLENBQUMsRUFBRSxHQUFHLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsR0FBRyxFQUFFLENBQUMsR0FBRyxHQUFHLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUM7QUFDakUsQ0FBQztBQUVELGdHQUFnRztBQUNoRyx3Q0FBd0M7QUFFeEMsU0FBZ0IsZUFBZSxDQUFDLFFBQW1CLEVBQUUsT0FBZ0I7SUFDakUsSUFBSSxjQUFjLEdBQVksRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLFVBQVUsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxTQUFTLEVBQUUsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxTQUFTLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsQ0FBQyxFQUFFLENBQUM7SUFDaEksS0FBSyxJQUFJLFlBQVksSUFBSSxRQUFRO1FBQzdCLElBQUksaUJBQWlCLENBQUMsT0FBTyxFQUFFLFlBQVksQ0FBQyxJQUFLLHNEQUFzRDtZQUNuRyw0QkFBNEIsQ0FBQyxPQUFPLEVBQUUsWUFBWSxDQUFDLEdBQUcsRUFBRSxJQUFLLDhEQUE4RDtZQUMzSCxDQUFDLFlBQVksQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLElBQUssOENBQThDO1lBQy9GLENBQUMsWUFBWSxDQUFDLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFLLDBHQUEwRztZQUNsSyxpQkFBaUIsQ0FBQyxPQUFPLEVBQUUsWUFBWSxDQUFDLEdBQUcsaUJBQWlCLENBQUMsT0FBTyxFQUFFLGNBQWMsQ0FBQyxFQUFHLHNEQUFzRDtZQUM5SSxjQUFjLEdBQUcsWUFBWSxDQUFDO0lBQ3RDLE9BQU8sQ0FBQyxjQUFjLENBQUMsSUFBSSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLGNBQWMsQ0FBQztBQUM1RSxDQUFDO0FBVkQsMENBVUM7QUFFRCwrRkFBK0Y7QUFDL0YsZ0dBQWdHO0FBQ2hHLDBCQUEwQjtBQUUxQixTQUFTLHFCQUFxQixDQUFDLFFBQW1CLEVBQUUsY0FBdUI7SUFDdkUsSUFBSSxXQUFXLEdBQUcsY0FBYyxDQUFDO0lBQ2pDLEtBQUssSUFBSSxZQUFZLEdBQUcsZUFBZSxDQUFDLFFBQVEsRUFBRSxXQUFXLENBQUMsRUFBRSxZQUFZLEtBQUssU0FBUyxFQUFFLFlBQVksR0FBRyxlQUFlLENBQUMsUUFBUSxFQUFFLFdBQVcsQ0FBQztRQUM3SSxXQUFXLEdBQUcsWUFBWSxDQUFDO0lBRS9CLElBQUksa0JBQWtCLEdBQVksU0FBUyxDQUFDO0lBQzVDLEtBQUssSUFBSSxPQUFPLElBQUksUUFBUTtRQUN4QixJQUFJLDRCQUE0QixDQUFDLGNBQWMsRUFBRSxPQUFPLENBQUMsR0FBRyxFQUFFLElBQUssc0NBQXNDO1lBQ3JHLE9BQU8sQ0FBQyxDQUFDLEdBQUcsV0FBVyxDQUFDLENBQUMsR0FBRyxXQUFXLENBQUMsS0FBSyxJQUFLLG1DQUFtQztZQUNyRixDQUFDLGtCQUFrQixLQUFLLFNBQVMsSUFBSSxPQUFPLENBQUMsQ0FBQyxHQUFHLGtCQUFrQixDQUFDLENBQUMsQ0FBQyxFQUFHLDZCQUE2QjtZQUN0RyxrQkFBa0IsR0FBRyxPQUFPLENBQUM7SUFDckMsT0FBTyxrQkFBa0IsQ0FBQztBQUM5QixDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLHFFQUFxRTtBQUVyRSxTQUFTLFFBQVEsQ0FBQyxRQUFtQjtJQUNqQyxJQUFJLEtBQUssR0FBYSxFQUFFLENBQUM7SUFDekIsSUFBSSxTQUFTLEdBQUcsU0FBUyxDQUFDO0lBQzFCLEtBQUssSUFBSSxPQUFPLElBQUksUUFBUSxFQUFFO1FBQzFCLElBQUksU0FBUyxLQUFLLFNBQVMsSUFBSSxPQUFPLENBQUMsQ0FBQyxHQUFHLFNBQVMsR0FBRyxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRyxhQUFhO1lBQ3JGLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDbkIsS0FBSyxDQUFDLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLElBQUksT0FBTyxDQUFDLElBQUksQ0FBQztRQUN4QyxTQUFTLEdBQUcsT0FBTyxDQUFDLENBQUMsQ0FBQztLQUN6QjtJQUNELE9BQU8sS0FBSyxDQUFDO0FBQ2pCLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsZ0NBQWdDO0FBRWhDLE1BQU0sZ0JBQWdCLEdBQWlDO0lBQ25ELEtBQUssRUFBRSxDQUFFLEtBQUssRUFBRSxrQ0FBa0MsQ0FBRTtJQUNwRCxLQUFLLEVBQUUsQ0FBRSxLQUFLLEVBQUUsc0JBQXNCLEVBQUUseUJBQXlCLENBQUU7SUFDbkUsVUFBVSxFQUFFLENBQUUsVUFBVSxFQUFFLFNBQVMsRUFBRSxzQkFBc0IsQ0FBRTtJQUM3RCxNQUFNLEVBQUUsQ0FBRSxNQUFNLEVBQUUscURBQXFELENBQUU7SUFDekUsMEJBQTBCLEVBQUUsQ0FBRSwwQkFBMEIsRUFBRSxLQUFLLENBQUU7SUFDakUsMkJBQTJCLEVBQUUsQ0FBRSwyQkFBMkIsRUFBRSxLQUFLLENBQUU7SUFDbkUsYUFBYSxFQUFFLENBQUUsYUFBYSxFQUFFLFVBQVUsQ0FBRTtDQUMvQyxDQUFDO0FBRUYsb0RBQW9EO0FBRXBELE1BQU0sZUFBZSxHQUFHLENBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLEdBQUcsQ0FBRSxDQUFDO0FBRTVELHVGQUF1RjtBQUN2RixlQUFlO0FBRWYsU0FBUyxrQkFBa0IsQ0FBQyxJQUFZO0lBQ3BDLElBQUksY0FBYyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsaUJBQWlCLEVBQUUsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDL0UsT0FBTyxNQUFNLENBQUMsSUFBSSxDQUFDLGdCQUFnQixDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsZ0JBQWdCLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLFdBQVcsRUFBRSxLQUFLLGNBQWMsQ0FBQyxDQUFDLENBQUM7QUFDeEksQ0FBQztBQUVELGlHQUFpRztBQUNqRyxrR0FBa0c7QUFDbEcsaURBQWlEO0FBRWpELFNBQVMsY0FBYyxDQUFDLEtBQWU7SUFDbkMsSUFBSSxLQUFLLEdBQWEsRUFBRSxDQUFDO0lBQ3pCLEtBQUssSUFBSSxJQUFJLElBQUksS0FBSyxFQUFFO1FBQ3BCLElBQUksWUFBWSxHQUFHLENBQUMsS0FBSyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztRQUM5RSxLQUFLLElBQUksSUFBSSxJQUFJLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLEtBQUssRUFBRSxDQUFDLEVBQUU7WUFDNUcsSUFBSSxZQUFZLEtBQUssU0FBUyxJQUFJLGtCQUFrQixDQUFDLFlBQVksQ0FBQyxLQUFLLFNBQVMsSUFBSSxrQkFBa0IsQ0FBQyxHQUFHLFlBQVksSUFBSSxJQUFJLEVBQUUsQ0FBQyxLQUFLLFNBQVM7Z0JBQzNJLEtBQUssQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxHQUFHLEdBQUcsWUFBWSxJQUFJLElBQUksRUFBRSxDQUFDLENBQUUsdUNBQXVDOztnQkFFN0YsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUNyQixZQUFZLEdBQUcsU0FBUyxDQUFDLENBQUUsNkVBQTZFO1NBQzNHO0tBQ0o7SUFFRCxJQUFJLFNBQVMsR0FBYSxFQUFFLENBQUM7SUFDN0IsS0FBSyxJQUFJLElBQUksSUFBSSxLQUFLLEVBQUU7UUFDcEIsSUFBSSxlQUFlLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQztZQUM1QyxTQUFTO1FBQ2IsSUFBSSxRQUFRLEdBQUcsa0JBQWtCLENBQUMsSUFBSSxDQUFDLElBQUksSUFBSSxDQUFDO1FBQ2hELElBQUksQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQztZQUM3QixTQUFTLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0tBQ2hDO0lBQ0QsT0FBTyxTQUFTLENBQUM7QUFDckIsQ0FBQztBQUVELDZGQUE2RjtBQUM3RixjQUFjO0FBRWQsU0FBZ0Isc0JBQXNCLENBQUMsT0FBZTtJQUNsRCxJQUFJLFVBQVUsR0FBRyxzQkFBWSxDQUFDLE9BQU8sRUFBRSxTQUFTLENBQUMsQ0FBQztJQUNsRCxJQUFJLE9BQU8sQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLElBQUksVUFBVSxDQUFDLFFBQVEsS0FBSyxFQUFFLEVBQUUsRUFBRyw0Q0FBNEM7UUFDcEcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxvRkFBb0YsT0FBTyxFQUFFLENBQUMsQ0FBQztRQUMzRyxXQUFXLENBQUMscUJBQXFCLEVBQUUsT0FBTyxFQUFFLEVBQUUsQ0FBQyxDQUFDO0tBQ25EO0lBQ0QsT0FBTyxVQUFVLENBQUM7QUFDdEIsQ0FBQztBQVBELHdEQU9DO0FBRUQscUNBQXFDO0FBRXJDLFNBQWdCLGFBQWEsQ0FBQyxPQUFlO0lBQ3pDLE9BQU8saUNBQXVCLENBQUMsc0JBQXNCLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztBQUNwRSxDQUFDO0FBRkQsc0NBRUM7QUFFRCwrRkFBK0Y7QUFDL0Ysc0VBQXNFO0FBRXRFLFNBQWdCLHdCQUF3QixDQUFDLFFBQW1CLEVBQUUsWUFBcUIsRUFBRSxnQkFBeUIsRUFBRSxrQkFBMkIsRUFBRSxlQUF3QixFQUFFLGdCQUF5QixFQUFFLHFCQUE4QixFQUFFLGVBQXdCLEVBQUUsY0FBc0IsRUFBRSxPQUFzQixFQUFFLE1BQW1CO0lBQzNULElBQUksUUFBUSxHQUFhLEVBQUUsQ0FBQyxDQUFFLDRFQUE0RTtJQUUxRyw4RkFBOEY7SUFDOUYsc0ZBQXNGO0lBRXRGLElBQUksUUFBUSxHQUFHLENBQUMsSUFBWSxFQUFFLGFBQXdCLEVBQUUsRUFBRTtRQUN0RCxJQUFJLE1BQU0sS0FBSyxTQUFTLElBQUksYUFBYSxDQUFDLE1BQU0sR0FBRyxDQUFDO1lBQ2hELE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsa0NBQW9CLENBQUMsYUFBYSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQ3ZGLElBQUkscUJBQXFCLEdBQUcsYUFBYSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxVQUFVLEtBQUssU0FBUyxJQUFJLE9BQU8sQ0FBQyxVQUFVLEdBQUcsYUFBYSxDQUFDLENBQUM7UUFDcEksSUFBSSxxQkFBcUIsQ0FBQyxNQUFNLEdBQUcsQ0FBQztZQUNoQyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sSUFBSSxDQUFDLE9BQU8sQ0FBQyxVQUFVLEVBQUUsS0FBSyxDQUFDLENBQUMsV0FBVyxFQUFFLFNBQVMscUJBQXFCLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsS0FBSyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxPQUFPLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLHNDQUFzQyxDQUFDLENBQUM7SUFDN08sQ0FBQyxDQUFDO0lBRUYsOEJBQThCO0lBRTlCLElBQUksU0FBUyxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNuRSxJQUFJLHlCQUF5QixHQUFHLFFBQVE7U0FDbkMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxnQkFBZ0IsQ0FBQyxDQUFDLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxZQUFZLENBQUMsTUFBTSxDQUFDO1NBQ3pHLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUVyQixJQUFJLGlCQUFpQixHQUFHLFNBQVMsQ0FBQztJQUNsQyxLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLElBQUkseUJBQXlCLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ3BFLElBQUksSUFBSSxHQUFHLHlCQUF5QixDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQzlHLElBQUksYUFBYSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUMxQixpQkFBaUIsR0FBRyxJQUFJLENBQUM7WUFDekIsUUFBUSxDQUFDLG1CQUFtQixFQUFFLHlCQUF5QixDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQztZQUN6RSxNQUFNO1NBQ1Q7S0FDSjtJQUNELElBQUksaUJBQWlCLEtBQUssU0FBUyxFQUFFO1FBQ2pDLElBQUksY0FBYyxHQUFHLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUMzRSxPQUFPLENBQUMsR0FBRyxDQUFDLDJKQUEySixjQUFjLEVBQUUsQ0FBQyxDQUFDO1FBQ3pMLFdBQVcsQ0FBQyxjQUFjLEVBQUUsdUNBQXVDLEVBQUUsUUFBUSxDQUFDLENBQUM7UUFDL0UsT0FBTyxTQUFTLENBQUM7S0FDcEI7SUFDRCxPQUFPLENBQUMsR0FBRyxDQUFDLGVBQWUsaUJBQWlCLEtBQUssQ0FBQyxDQUFDO0lBRW5ELHdGQUF3RjtJQUV4RixJQUFJLHNCQUFzQixHQUFZLFNBQVMsQ0FBQztJQUNoRCxJQUFJLHdCQUF3QixHQUFlLEVBQUUsQ0FBQyxFQUFFLGtCQUFrQixDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxrQkFBa0IsQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFHLGtCQUFrQixDQUFDLE1BQU0sRUFBRSxDQUFDO0lBQ2xKLEtBQUssSUFBSSxPQUFPLElBQUksUUFBUSxFQUFFO1FBQzFCLHdCQUF3QixDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsQ0FBQyxDQUFDO1FBQ3ZDLElBQUksT0FBTyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSyx5QkFBeUI7WUFDbEQsT0FBTyxDQUFDLE9BQU8sQ0FBQyxHQUFHLEdBQUcsR0FBRyxPQUFPLENBQUMsd0JBQXdCLENBQUMsSUFBSyxpSEFBaUg7WUFDaEwsT0FBTyxDQUFDLFNBQVMsQ0FBQyxPQUFPLEVBQUUsd0JBQXdCLENBQUMsQ0FBQyxHQUFHLElBQUksR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsRUFBRyxpSEFBaUg7WUFDck0sc0JBQXNCLEdBQUcsT0FBTyxDQUFDO1lBQ2pDLE1BQU07U0FDVDtLQUNKO0lBQ0QsSUFBSSxzQkFBc0IsS0FBSyxTQUFTLEVBQUU7UUFDdEMsSUFBSSxjQUFjLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLElBQUksT0FBTyxDQUFDLElBQUksR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQzNFLE9BQU8sQ0FBQyxHQUFHLENBQUMseUpBQXlKLGNBQWMsRUFBRSxDQUFDLENBQUM7UUFDdkwsV0FBVyxDQUFDLGNBQWMsRUFBRSx3REFBd0QsaUJBQWlCLEtBQUssRUFBRSxRQUFRLEVBQUUsaUJBQWlCLENBQUMsQ0FBQztRQUN6SSxPQUFPLFNBQVMsQ0FBQztLQUNwQjtJQUVELFFBQVEsQ0FBQyxpQkFBaUIsRUFBRSxDQUFFLHNCQUFzQixDQUFFLENBQUMsQ0FBQztJQUN4RCxJQUFJLGVBQWUsR0FBRywyQkFBZ0IsQ0FBQyxzQkFBc0IsQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLENBQUM7SUFDN0UsSUFBSSxlQUFlLEtBQUssU0FBUztRQUM3QixRQUFRLENBQUMsSUFBSSxDQUFDLDBCQUEwQixzQkFBc0IsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLHlCQUF5QixDQUFDLENBQUM7SUFFekcseUJBQXlCO0lBRXpCLElBQUksbUJBQW1CLEdBQVksU0FBUyxDQUFDO0lBQzdDLElBQUkscUJBQXFCLEdBQWUsRUFBRSxDQUFDLEVBQUUsa0JBQWtCLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsS0FBSyxFQUFFLGtCQUFrQixDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUcsa0JBQWtCLENBQUMsTUFBTSxFQUFFLENBQUM7SUFDL0ksS0FBSyxJQUFJLE9BQU8sSUFBSSxRQUFRLEVBQUU7UUFDMUIscUJBQXFCLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUM7UUFDcEMsSUFBSSxPQUFPLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFLLHlCQUF5QjtZQUNsRCxPQUFPLENBQUMsT0FBTyxDQUFDLEdBQUcsR0FBRyxHQUFHLE9BQU8sQ0FBQyxxQkFBcUIsQ0FBQyxJQUFLLGlIQUFpSDtZQUM3SyxPQUFPLENBQUMsU0FBUyxDQUFDLE9BQU8sRUFBRSxxQkFBcUIsQ0FBQyxDQUFDLEdBQUcsSUFBSSxHQUFHLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSyxpSEFBaUg7WUFDbE0sT0FBTyxDQUFDLENBQUMsR0FBRyxzQkFBc0IsQ0FBQyxDQUFDLEdBQUcsc0JBQXNCLENBQUMsTUFBTSxJQUFLLHNFQUFzRTtZQUMvSSxPQUFPLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxFQUFHLDZHQUE2RztZQUM1SSxtQkFBbUIsR0FBRyxPQUFPLENBQUM7WUFDOUIsTUFBTTtTQUNUO0tBQ0o7SUFFRCxJQUFJLFlBQVksR0FBRyxTQUFTLENBQUM7SUFDN0IsSUFBSSxtQkFBbUIsS0FBSyxTQUFTO1FBQ2pDLFFBQVEsQ0FBQyxJQUFJLENBQUMsa0NBQWtDLENBQUMsQ0FBQztTQUNqRDtRQUNELFFBQVEsQ0FBQyxjQUFjLEVBQUUsQ0FBRSxtQkFBbUIsQ0FBRSxDQUFDLENBQUM7UUFDbEQsWUFBWSxHQUFHLDJCQUFnQixDQUFDLG1CQUFtQixDQUFDLElBQUksRUFBRSxPQUFPLENBQUMsQ0FBQztRQUNuRSxJQUFJLFlBQVksS0FBSyxTQUFTO1lBQzFCLFFBQVEsQ0FBQyxJQUFJLENBQUMsdUJBQXVCLG1CQUFtQixDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUseUJBQXlCLENBQUMsQ0FBQztLQUN0RztJQUVELHVGQUF1RjtJQUN2Riw2RUFBNkU7SUFFN0UsSUFBSSxlQUFlLEdBQUcsUUFBUTtTQUN6QixNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FDZCxPQUFPLENBQUMsQ0FBQyxHQUFHLHNCQUFzQixDQUFDLENBQUMsR0FBRyxzQkFBc0IsQ0FBQyxLQUFLLElBQUssb0VBQW9FO1FBQzVJLDRCQUE0QixDQUFDLHNCQUFzQixFQUFFLE9BQU8sQ0FBQyxHQUFHLEVBQUUsSUFBSyxnRkFBZ0Y7UUFDdkosT0FBTyxDQUFDLENBQUMsR0FBRyxlQUFlLENBQUMsQ0FBQyxHQUFHLGVBQWUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUUsNkhBQTZIO1NBQzdMLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUNyQixRQUFRLENBQUMsU0FBUyxFQUFFLGVBQWUsQ0FBQyxDQUFDO0lBQ3JDLElBQUksT0FBTyxHQUFHLGVBQWUsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO0lBRXBFLElBQUksaUJBQWlCLEdBQUcsc0JBQXNCLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDeEQsT0FBTyxHQUFHLGlDQUF1QixDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBRSw2Q0FBNkM7SUFDcEcsSUFBSSxRQUFRLEdBQUcsd0JBQWMsQ0FBQyxpQkFBaUIsRUFBRSxTQUFTLEVBQUUsaUJBQWlCLENBQUMsQ0FBQztJQUUvRSx1RkFBdUY7SUFFdkYsSUFBSSxpQkFBaUIsR0FBRyxRQUFRO1NBQzNCLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUNkLE9BQU8sQ0FBQyxDQUFDLEdBQUcsZ0JBQWdCLENBQUMsQ0FBQyxHQUFHLGdCQUFnQixDQUFDLE1BQU0sR0FBRyxDQUFDLElBQUssbUZBQW1GO1FBQ3BKLE9BQU8sQ0FBQyxDQUFDLEdBQUcsa0JBQWtCLENBQUMsQ0FBQyxHQUFHLGtCQUFrQixDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFFLHdFQUF3RTtJQUNwSixRQUFRLENBQUMsV0FBVyxFQUFFLGlCQUFpQixDQUFDLENBQUM7SUFDekMsSUFBSSxTQUFTLEdBQUcsUUFBUSxDQUFDLGlCQUFpQixDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxLQUFLLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUUzRyx1QkFBdUI7SUFFdkIsSUFBSSxXQUFXLEdBQUcsRUFBRSxDQUFDO0lBRXJCLElBQUksZ0JBQWdCLEtBQUssU0FBUyxFQUFFO1FBQ2hDLElBQUksbUJBQW1CLEdBQUcsUUFBUTthQUM3QixNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FDZCxPQUFPLENBQUMsQ0FBQyxHQUFHLGVBQWUsQ0FBQyxDQUFDLEdBQUcsZUFBZSxDQUFDLE1BQU0sR0FBRyxDQUFDLElBQUssNkZBQTZGO1lBQzVKLE9BQU8sQ0FBQyxDQUFDLEdBQUcsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBRSx1RUFBdUU7UUFDakgsUUFBUSxDQUFDLGFBQWEsRUFBRSxtQkFBbUIsQ0FBQyxDQUFDO1FBQzdDLFdBQVcsR0FBRyxRQUFRLENBQUMsbUJBQW1CLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7S0FDekQ7SUFFRCw4RkFBOEY7SUFDOUYsUUFBUTtJQUVSLElBQUksU0FBUyxHQUFhLEVBQUUsQ0FBQztJQUU3QixJQUFJLGdCQUFnQixLQUFLLFNBQVMsRUFBRTtRQUNoQyxJQUFJLGdCQUFnQixHQUFHLFFBQVE7YUFDMUIsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQ2QsT0FBTyxDQUFDLENBQUMsR0FBRyxnQkFBZ0IsQ0FBQyxDQUFDLEdBQUcsZ0JBQWdCLENBQUMsTUFBTSxHQUFHLENBQUMsSUFBSyxtRkFBbUY7WUFDcEosQ0FBQyxxQkFBcUIsS0FBSyxTQUFTLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxxQkFBcUIsQ0FBQyxDQUFDLEdBQUcscUJBQXFCLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBRSwyREFBMkQ7UUFDdEwsUUFBUSxDQUFDLFdBQVcsRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDO1FBQ3hDLFNBQVMsR0FBRyxjQUFjLENBQUMsUUFBUSxDQUFDLGdCQUFnQixDQUFDLENBQUMsQ0FBQztLQUMxRDtJQUVELCtGQUErRjtJQUMvRixvRkFBb0Y7SUFDcEYsNkNBQTZDO0lBRTdDLElBQUksWUFBWSxHQUFHLFNBQVMsQ0FBQztJQUM3QixJQUFJLFFBQVEsR0FBRyxFQUFFLENBQUM7SUFFbEIsSUFBSSxlQUFlLEtBQUssU0FBUyxFQUFFO1FBQy9CLElBQUksZ0JBQWdCLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsZUFBZSxDQUFDLENBQUMsR0FBRyxlQUFlLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQzlHLFFBQVEsQ0FBQyxVQUFVLEVBQUUsZ0JBQWdCLENBQUMsQ0FBQztRQUN2QyxJQUFJLGFBQWEsR0FBYSxFQUFFLENBQUM7UUFDakMsS0FBSyxJQUFJLElBQUksSUFBSSxRQUFRLENBQUMsZ0JBQWdCLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLEtBQUssRUFBRSxDQUFDLEVBQUU7WUFDOUYsSUFBSSxDQUFDLDBCQUEwQixDQUFDLElBQUksQ0FBQyxJQUFJLENBQUM7Z0JBQ3RDLGFBQWEsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7aUJBQ3hCLElBQUksWUFBWSxLQUFLLFNBQVM7Z0JBQy9CLFFBQVEsQ0FBQyxJQUFJLENBQUMsa0NBQWtDLElBQUksaUJBQWlCLENBQUMsQ0FBQztpQkFDdEU7Z0JBQ0QsWUFBWSxHQUFHLDJCQUFnQixDQUFDLElBQUksRUFBRSxPQUFPLENBQUMsQ0FBQztnQkFDL0MsSUFBSSxZQUFZLEtBQUssU0FBUztvQkFDMUIsUUFBUSxDQUFDLElBQUksQ0FBQyx1QkFBdUIsSUFBSSx5QkFBeUIsQ0FBQyxDQUFDO2FBQzNFO1NBQ0o7UUFDRCxRQUFRLEdBQUcsYUFBYSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztLQUN0QztJQUVELEtBQUssSUFBSSxPQUFPLElBQUksUUFBUSxFQUFFO1FBQzFCLE9BQU8sQ0FBQyxHQUFHLENBQUMscUJBQXFCLGlCQUFpQixPQUFPLE9BQU8sRUFBRSxDQUFDLENBQUM7UUFDcEUsV0FBVyxDQUFDLFNBQVMsRUFBRSxPQUFPLEVBQUUsRUFBRSxFQUFFLGlCQUFpQixDQUFDLENBQUM7S0FDMUQ7SUFFRCxXQUFXLEdBQUcsQ0FBQyxXQUFXLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLHlCQUF5QixDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUM7SUFDcEYsSUFBSSxjQUFjLEdBQUcsOEJBQW1CLENBQUMsV0FBVyxFQUFFLG1CQUFtQixDQUFDLENBQUM7SUFFM0UsT0FBTztRQUNILGlCQUFpQixFQUFFLGlCQUFpQjtRQUNwQyxTQUFTLEVBQUUsU0FBUztRQUNwQixPQUFPLEVBQUUsT0FBTztRQUNoQixpQkFBaUIsRUFBRSxpQkFBaUI7UUFDcEMsUUFBUSxFQUFFLFFBQVEsQ0FBQyxRQUFRO1FBQzNCLFNBQVMsRUFBRSxRQUFRLENBQUMsU0FBUztRQUM3QixnQkFBZ0IsRUFBRSxRQUFRLENBQUMsU0FBUztRQUNwQyxXQUFXLEVBQUUsV0FBVztRQUN4QixVQUFVLEVBQUUsY0FBYyxDQUFDLFVBQVU7UUFDckMsUUFBUSxFQUFFLGNBQWMsQ0FBQyxRQUFRO1FBQ2pDLGNBQWMsRUFBRSxjQUFjO1FBQzlCLFVBQVUsRUFBRSxVQUFVO1FBQ3RCLFVBQVUsRUFBRSxNQUFNLEVBQUUsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDO1FBQ3pDLFlBQVksRUFBRSxDQUFDLFlBQVksS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQztRQUNuRixlQUFlLEVBQUUsQ0FBQyxlQUFlLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsZUFBZSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUM7UUFDNUYsU0FBUyxFQUFFLFNBQVM7UUFDcEIsWUFBWSxFQUFFLENBQUMsWUFBWSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDO1FBQ25GLFFBQVEsRUFBRSxRQUFRO1FBQ2xCLFFBQVEsRUFBRSxRQUFRO0tBQ3JCLENBQUM7QUFDTixDQUFDO0FBbk1ELDREQW1NQztBQUVELDZGQUE2RjtBQUM3Riw0RkFBNEY7QUFDNUYsK0RBQStEO0FBRS9ELFNBQWdCLGlCQUFpQixDQUFDLFFBQW1CLEVBQUUsYUFBcUIsV0FBVztJQUNuRiw0RkFBNEY7SUFFNUYsSUFBSSxhQUFhLEdBQWMsRUFBRSxDQUFDO0lBQ2xDLElBQUksVUFBVSxHQUFHLFVBQVUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDO0lBQzdELEtBQUssSUFBSSxPQUFPLElBQUksUUFBUSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUMsVUFBVSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUU7UUFDekcsd0ZBQXdGO1FBQ3hGLHNGQUFzRjtRQUN0Rix3RkFBd0Y7UUFDeEYsUUFBUTtRQUVSLElBQUksWUFBWSxHQUFHLE9BQU8sQ0FBQztRQUMzQixJQUFJLGFBQWEsR0FBYyxFQUFFLENBQUM7UUFDbEMsSUFBSSxPQUFPLEdBQUcsRUFBRSxDQUFDO1FBRWpCLEdBQUc7WUFDQyxhQUFhLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDO1lBRWpDLElBQUksSUFBSSxHQUFHLGFBQWEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7WUFDaEcsSUFBSSxJQUFJLENBQUMsTUFBTSxHQUFHLFVBQVUsQ0FBQyxNQUFNLEVBQUcsaUNBQWlDO2dCQUNuRSxNQUFNO1lBQ1YsSUFBSSxJQUFJLENBQUMsTUFBTSxJQUFJLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLEVBQUcsZ0RBQWdEO2dCQUN6RixJQUFJLElBQUksS0FBSyxVQUFVO29CQUNuQixPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsT0FBTyxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO3FCQUNqRSxJQUFJLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBRSxVQUFVLENBQUUsRUFBRSxFQUFFLGFBQWEsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLHFCQUFxQixFQUFFLGFBQWEsRUFBRSxlQUFlLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUMsS0FBSyxJQUFJO29CQUMxSyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsT0FBTyxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO3FCQUNqRSxJQUFJLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBRSxVQUFVLENBQUUsRUFBRSxFQUFFLGFBQWEsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLHFCQUFxQixFQUFFLGFBQWEsRUFBRSxlQUFlLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUMsS0FBSyxJQUFJO29CQUMxSyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsT0FBTyxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO2FBQ3pFO1lBRUQsWUFBWSxHQUFHLGVBQWUsQ0FBQyxRQUFRLEVBQUUsWUFBWSxDQUFDLENBQUM7U0FDMUQsUUFBUSxZQUFZLEtBQUssU0FBUyxJQUFJLGFBQWEsQ0FBQyxNQUFNLEdBQUcsRUFBRSxFQUFFO1FBRWxFLG9EQUFvRDtRQUVwRCxJQUFJLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1lBQ3BCLElBQUksU0FBUyxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLEVBQUUsQ0FDakQsQ0FBQyxRQUFRLEtBQUssU0FBUztnQkFDdkIsT0FBTyxDQUFDLFNBQVMsR0FBRyxRQUFRLENBQUMsU0FBUztnQkFDdEMsQ0FBQyxPQUFPLENBQUMsU0FBUyxLQUFLLFFBQVEsQ0FBQyxTQUFTLElBQUksSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLE1BQU0sR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLElBQUksSUFBSSxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLE1BQU0sR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztZQUMxTSxhQUFhLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsQ0FBQztTQUN6QztLQUNKO0lBRUQsa0ZBQWtGO0lBRWxGLElBQUksU0FBUyxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNuRSxhQUFhLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBQzlCLE9BQU8sYUFBYSxDQUFDO0FBQ3pCLENBQUM7QUFqREQsOENBaURDO0FBRUQsdURBQXVEO0FBRXZELEtBQUssVUFBVSxnQkFBZ0IsQ0FBQyxJQUFJO0lBQ2hDLDBFQUEwRTtJQUUxRSxJQUFJLFdBQVcsR0FBRyxNQUFNLElBQUksQ0FBQyxjQUFjLEVBQUUsQ0FBQztJQUM5QyxJQUFJLFFBQVEsR0FBRyxNQUFNLElBQUksQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDM0MsSUFBSSxRQUFRLEdBQWMsV0FBVyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUU7UUFDbkQsSUFBSSxTQUFTLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLFNBQVMsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7UUFFekUsbUZBQW1GO1FBQ25GLG9GQUFvRjtRQUNwRixtRkFBbUY7UUFDbkYsaUNBQWlDO1FBRWpDLElBQUksZ0JBQWdCLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUM1RixPQUFPLEVBQUUsSUFBSSxFQUFFLElBQUksQ0FBQyxHQUFHLEVBQUUsVUFBVSxFQUFFLEdBQUcsRUFBRSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLElBQUksQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLGdCQUFnQixFQUFFLENBQUM7SUFDOUgsQ0FBQyxDQUFDLENBQUM7SUFDSCxPQUFPLFFBQVEsQ0FBQztBQUNwQixDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLGlHQUFpRztBQUNqRyw4QkFBOEI7QUFFOUIsU0FBZ0IsaUJBQWlCLENBQUMsUUFBbUIsRUFBRSxHQUFXLEVBQUUsTUFBbUI7SUFDbkYsSUFBSSx1QkFBdUIsR0FBRyxFQUFFLENBQUM7SUFFakMsZ0VBQWdFO0lBRWhFLElBQUksZUFBZSxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2xILFFBQVEsR0FBRyxDQUFFLEdBQUcsUUFBUSxDQUFFLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxDQUFDO0lBRWpELHdGQUF3RjtJQUN4Rix5QkFBeUI7SUFFekIsSUFBSSxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsSUFBSSxRQUFRLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLE1BQU0sQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJO1FBQzdILFFBQVEsQ0FBQyxHQUFHLEVBQUUsQ0FBQztJQUVuQixJQUFJLE1BQU0sS0FBSyxTQUFTO1FBQ3BCLE1BQU0sQ0FBQyxRQUFRLEdBQUcsUUFBUSxDQUFDO0lBRS9CLHdEQUF3RDtJQUV4RCxJQUFJLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxHQUFHLDhCQUFtQixDQUFDLFFBQVEsRUFBRSxjQUFjLEVBQUUsaUJBQWlCLENBQUMsQ0FBQztJQUMxRixPQUFPLENBQUMsR0FBRyxDQUFDLDhCQUE4QixPQUFPLENBQUMsSUFBSSxhQUFhLEtBQUssSUFBSSxDQUFDLENBQUM7SUFDOUUsYUFBYSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUM1QixJQUFJLE1BQU0sS0FBSyxTQUFTO1FBQ3BCLE1BQU0sQ0FBQyxPQUFPLEdBQUcsT0FBTyxDQUFDLElBQUksQ0FBQztJQUVsQyx5Q0FBeUM7SUFFekMsSUFBSSxnQkFBZ0IsR0FBRyw2QkFBa0IsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLFdBQVcsQ0FBQyxDQUFDO0lBQzFFLElBQUksa0JBQWtCLEdBQUcsNkJBQWtCLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSxhQUFhLENBQUMsQ0FBQztJQUM5RSxJQUFJLGVBQWUsR0FBRyw2QkFBa0IsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLFVBQVUsQ0FBQyxDQUFDO0lBQ3hFLElBQUksZ0JBQWdCLEdBQUcsNkJBQWtCLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSxXQUFXLENBQUMsQ0FBQyxDQUFFLFdBQVc7SUFDdkYsSUFBSSxxQkFBcUIsR0FBRyxDQUFDLGdCQUFnQixLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLHFCQUFxQixDQUFDLFFBQVEsRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDO0lBQzdILElBQUksZUFBZSxHQUFHLDZCQUFrQixDQUFDLFFBQVEsRUFBRSxPQUFPLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBRSxXQUFXO0lBRXJGLElBQUksZUFBZSxHQUFHLEVBQUUsU0FBUyxFQUFFLGdCQUFnQixFQUFFLFdBQVcsRUFBRSxrQkFBa0IsRUFBRSxRQUFRLEVBQUUsZUFBZSxFQUFFLFNBQVMsRUFBRSxnQkFBZ0IsRUFBRSxRQUFRLEVBQUUsZUFBZSxFQUFFLENBQUM7SUFDMUssSUFBSSxNQUFNLEtBQUssU0FBUztRQUNwQixLQUFLLElBQUksT0FBTyxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDO1lBQzVDLElBQUksZUFBZSxDQUFDLE9BQU8sQ0FBQyxLQUFLLFNBQVM7Z0JBQ3RDLE1BQU0sQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLGVBQWUsQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEVBQUUsT0FBTyxFQUFFLGVBQWUsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLENBQUM7SUFFM0gsS0FBSyxJQUFJLE9BQU8sSUFBSSwyQkFBZ0IsRUFBRTtRQUNsQyxJQUFJLGVBQWUsQ0FBQyxPQUFPLENBQUMsS0FBSyxTQUFTLEVBQUU7WUFDeEMsSUFBSSxXQUFXLEdBQUcsT0FBTyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxLQUFLLElBQUksSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQ3BGLElBQUksY0FBYyxHQUFHLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUMzRSxPQUFPLENBQUMsR0FBRyxDQUFDLCtFQUErRSxXQUFXLDZDQUE2QyxjQUFjLEVBQUUsQ0FBQyxDQUFDO1lBQ3JLLFdBQVcsQ0FBQyxjQUFjLEVBQUUsT0FBTyxXQUFXLDZEQUE2RCxPQUFPLENBQUMsSUFBSSxNQUFNLEVBQUUsUUFBUSxDQUFDLENBQUM7WUFDekksSUFBSSxNQUFNLEtBQUssU0FBUztnQkFDcEIsTUFBTSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsdURBQXVELFdBQVcsZ0NBQWdDLENBQUMsQ0FBQztZQUM3SCxPQUFPLHVCQUF1QixDQUFDO1NBQ2xDO0tBQ0o7SUFFRCx3RkFBd0Y7SUFDeEYsdUZBQXVGO0lBQ3ZGLDZGQUE2RjtJQUM3Rix5REFBeUQ7SUFFekQsSUFBSSx3QkFBd0IsR0FBRyxFQUFFLENBQUM7SUFDbEMsSUFBSSxhQUFhLEdBQWMsRUFBRSxDQUFDO0lBQ2xDLEtBQUssSUFBSSxVQUFVLElBQUksT0FBTyxDQUFDLFdBQVcsRUFBRTtRQUN4QyxhQUFhLEdBQUcsaUJBQWlCLENBQUMsUUFBUSxFQUFFLFVBQVUsQ0FBQyxDQUFDO1FBQ3hELElBQUksYUFBYSxDQUFDLE1BQU0sR0FBRyxDQUFDO1lBQ3hCLE1BQU07S0FDYjtJQUNELElBQUksTUFBTSxLQUFLLFNBQVM7UUFDcEIsTUFBTSxDQUFDLGFBQWEsR0FBRyxhQUFhLENBQUM7SUFDekMsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxHQUFHLGFBQWEsQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDdkQscUZBQXFGO1FBQ3JGLDRFQUE0RTtRQUU1RSxJQUFJLFlBQVksR0FBRyxhQUFhLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDeEMsSUFBSSxrQkFBa0IsR0FBWTtZQUM5QixJQUFJLEVBQUUsWUFBWSxDQUFDLElBQUk7WUFDdkIsVUFBVSxFQUFFLFlBQVksQ0FBQyxVQUFVO1lBQ25DLENBQUMsRUFBRSxZQUFZLENBQUMsQ0FBQztZQUNqQixDQUFDLEVBQUUsWUFBWSxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsTUFBTSxHQUFHLENBQUM7WUFDM0MsS0FBSyxFQUFFLFlBQVksQ0FBQyxLQUFLO1lBQ3pCLE1BQU0sRUFBRSxZQUFZLENBQUMsTUFBTTtTQUFFLENBQUM7UUFDbEMsSUFBSSxNQUFNLEdBQUcsU0FBUyxDQUFDLFFBQVEsRUFBRSxrQkFBa0IsQ0FBQyxDQUFDO1FBQ3JELElBQUksVUFBVSxHQUFHLENBQUMsS0FBSyxHQUFHLENBQUMsR0FBRyxhQUFhLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxRQUFRLEVBQUUsYUFBYSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDO1FBRXZILDZDQUE2QztRQUU3Qyx3QkFBd0IsQ0FBQyxJQUFJLENBQUMsRUFBRSxZQUFZLEVBQUUsYUFBYSxDQUFDLEtBQUssQ0FBQyxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsUUFBUSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxDQUFDLElBQUksTUFBTSxJQUFJLE9BQU8sQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLE1BQU0sR0FBRyxVQUFVLENBQUMsRUFBRSxDQUFDLENBQUM7S0FDdk47SUFFRCxzRkFBc0Y7SUFDdEYscUNBQXFDO0lBRXJDLEtBQUssSUFBSSx1QkFBdUIsSUFBSSx3QkFBd0IsRUFBRTtRQUMxRCxJQUFJLHNCQUFzQixHQUFHLHdCQUF3QixDQUFDLHVCQUF1QixDQUFDLFFBQVEsRUFBRSx1QkFBdUIsQ0FBQyxZQUFZLEVBQUUsZ0JBQWdCLEVBQUUsa0JBQWtCLEVBQUUsZUFBZSxFQUFFLGdCQUFnQixFQUFFLHFCQUFxQixFQUFFLGVBQWUsRUFBRSxHQUFHLEVBQUUsT0FBTyxFQUFFLE1BQU0sQ0FBQyxDQUFDO1FBQ3JRLElBQUksc0JBQXNCLEtBQUssU0FBUztZQUNwQyx1QkFBdUIsQ0FBQyxJQUFJLENBQUMsc0JBQXNCLENBQUMsQ0FBQztRQUN6RCxJQUFJLE1BQU0sS0FBSyxTQUFTO1lBQ3BCLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDO2dCQUNiLEdBQUcsRUFBRSx1QkFBdUIsQ0FBQyxNQUFNO2dCQUNuQyxNQUFNLEVBQUUsdUJBQXVCLENBQUMsVUFBVTtnQkFDMUMsS0FBSyxFQUFFLENBQUMsc0JBQXNCLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLGdFQUFnRSxDQUFDLENBQUMsQ0FBQyxzQkFBc0IsQ0FBQyxpQkFBaUI7YUFBRSxDQUFDLENBQUM7S0FDMUs7SUFFRCxPQUFPLHVCQUF1QixDQUFDO0FBQ25DLENBQUM7QUFyR0QsOENBcUdDO0FBRUQsaUdBQWlHO0FBQ2pHLDZGQUE2RjtBQUM3RixpR0FBaUc7QUFDakcsa0JBQWtCO0FBRWxCLFNBQVMsMEJBQTBCLENBQUMsdUJBQXVCLEVBQUUsMkJBQTJCO0lBQ3BGLEtBQUssSUFBSSxzQkFBc0IsSUFBSSwyQkFBMkIsRUFBRTtRQUM1RCxJQUFJLE1BQU0sR0FBRyxDQUFDLENBQUM7UUFDZixJQUFJLGlCQUFpQixHQUFHLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDO1FBQ2pFLE9BQU8sdUJBQXVCO2FBQ3pCLElBQUksQ0FBQywyQkFBMkIsQ0FBQyxFQUFFLENBQ2hDLDJCQUEyQixDQUFDLGlCQUFpQixLQUFLLHNCQUFzQixDQUFDLGlCQUFpQjtZQUN0RixDQUFDLDJCQUEyQixDQUFDLE9BQU8sS0FBSyxzQkFBc0IsQ0FBQyxPQUFPO2dCQUN2RSwyQkFBMkIsQ0FBQyxXQUFXLEtBQUssc0JBQXNCLENBQUMsV0FBVztnQkFDOUUsMkJBQTJCLENBQUMsWUFBWSxLQUFLLHNCQUFzQixDQUFDLFlBQVksQ0FBQyxDQUFDO1lBQzFGLHNCQUFzQixDQUFDLGlCQUFpQixHQUFHLEdBQUcsaUJBQWlCLEtBQUssRUFBRSxNQUFNLEdBQUcsQ0FBQyxDQUFFLHNCQUFzQjtRQUM1RyxJQUFJLE1BQU0sR0FBRyxDQUFDO1lBQ1YsV0FBVyxDQUFDLGtCQUFrQixFQUFFLDRCQUE0QixpQkFBaUIsNkVBQTZFLE1BQU0sZ0JBQWdCLEVBQUUsRUFBRSxFQUFFLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDLENBQUM7UUFDcE8sdUJBQXVCLENBQUMsSUFBSSxDQUFDLHNCQUFzQixDQUFDLENBQUM7S0FDeEQ7QUFDTCxDQUFDO0FBRUQsNkZBQTZGO0FBQzdGLG1FQUFtRTtBQUVuRSxTQUFnQixhQUFhLENBQUMsS0FBa0IsRUFBRSxHQUFXO0lBQ3pELElBQUksdUJBQXVCLEdBQUcsRUFBRSxDQUFDO0lBQ2pDLEtBQUssSUFBSSxTQUFTLEdBQUcsQ0FBQyxFQUFFLFNBQVMsR0FBRyxLQUFLLENBQUMsTUFBTSxFQUFFLFNBQVMsRUFBRSxFQUFFO1FBQzNELE9BQU8sQ0FBQyxHQUFHLENBQUMsa0NBQWtDLFNBQVMsR0FBRyxDQUFDLE9BQU8sS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7UUFDbkYsVUFBVSxDQUFDLEdBQUcsRUFBRSxTQUFTLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDL0IsMEJBQTBCLENBQUMsdUJBQXVCLEVBQUUsaUJBQWlCLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQUM7S0FDakc7SUFDRCxPQUFPLHVCQUF1QixDQUFDO0FBQ25DLENBQUM7QUFSRCxzQ0FRQztBQUVELGtFQUFrRTtBQUVsRSxTQUFTLGVBQWUsQ0FBQyxNQUFrQixFQUFFLGNBQXNCLEVBQUUsR0FBVyxFQUFFLFVBQWtCO0lBQ2hHLElBQUksY0FBYyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsY0FBYyxFQUFFLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsbUJBQW1CLEVBQUUsR0FBRyxDQUFDLFNBQVMsVUFBVSxNQUFNLENBQUMsQ0FBQztJQUNqSSxJQUFJLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxjQUFjLENBQUM7UUFDOUIsRUFBRSxDQUFDLFNBQVMsQ0FBQyxjQUFjLENBQUMsQ0FBQztJQUNqQyxFQUFFLENBQUMsYUFBYSxDQUFDLGNBQWMsRUFBRSw4QkFBZ0IsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO0lBQzNELE9BQU8sQ0FBQyxHQUFHLENBQUMsNkJBQTZCLGNBQWMsRUFBRSxDQUFDLENBQUM7QUFDL0QsQ0FBQztBQUVELGdHQUFnRztBQUNoRywrRkFBK0Y7QUFDL0YsNkZBQTZGO0FBQzdGLHVFQUF1RTtBQUV2RSxLQUFLLFVBQVUsWUFBWSxDQUFDLElBQUksRUFBRSxVQUFrQixFQUFFLEdBQVcsRUFBRSxjQUFzQixFQUFFLEdBQVk7SUFDbkcsSUFBSSxRQUFRLEdBQUcsTUFBTSxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUU1QyxJQUFJLE1BQU0sR0FBZSxTQUFTLENBQUM7SUFDbkMsSUFBSSxjQUFjLEtBQUssU0FBUyxFQUFFO1FBQzlCLElBQUksUUFBUSxHQUFHLE1BQU0sSUFBSSxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUMzQyxNQUFNLEdBQUcsRUFBRSxLQUFLLEVBQUUsUUFBUSxDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUUsUUFBUSxDQUFDLE1BQU0sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLGVBQWUsRUFBRSxFQUFFLEVBQUUsYUFBYSxFQUFFLEVBQUUsRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsUUFBUSxFQUFFLEVBQUUsRUFBRSxPQUFPLEVBQUUsU0FBUyxFQUFFLENBQUM7S0FDbkw7SUFFRCxJQUFJLFFBQVEsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFO1FBQ3ZELElBQUksQ0FBQyxHQUFHLEVBQUU7WUFDTixPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsVUFBVSxpSEFBaUgsQ0FBQyxDQUFDO1lBQ2pKLFdBQVcsQ0FBQyxjQUFjLEVBQUUsbURBQW1ELEVBQUUsRUFBRSxDQUFDLENBQUM7WUFDckYsSUFBSSxNQUFNLEtBQUssU0FBUyxFQUFFO2dCQUN0QixNQUFNLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxrSEFBa0gsQ0FBQyxDQUFDO2dCQUN6SSxlQUFlLENBQUMsTUFBTSxFQUFFLGNBQWMsRUFBRSxHQUFHLEVBQUUsVUFBVSxDQUFDLENBQUM7YUFDNUQ7WUFDRCxPQUFPLEVBQUUsQ0FBQztTQUNiO1FBQ0QsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLFVBQVUscUZBQXFGLENBQUMsQ0FBQztRQUNySCxRQUFRLEdBQUcsTUFBTSwyQkFBcUIsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUM3QyxPQUFPLENBQUMsR0FBRyxDQUFDLGNBQWMsUUFBUSxDQUFDLE1BQU0sNEJBQTRCLFVBQVUsR0FBRyxDQUFDLENBQUM7UUFDcEYsSUFBSSxNQUFNLEtBQUssU0FBUztZQUNwQixNQUFNLENBQUMsUUFBUSxHQUFHLFFBQVEsQ0FBQztLQUNsQztJQUVELElBQUksdUJBQXVCLEdBQUcsaUJBQWlCLENBQUMsUUFBUSxFQUFFLEdBQUcsRUFBRSxNQUFNLENBQUMsQ0FBQztJQUV2RSxJQUFJLE1BQU0sS0FBSyxTQUFTO1FBQ3BCLGVBQWUsQ0FBQyxNQUFNLEVBQUUsY0FBYyxFQUFFLEdBQUcsRUFBRSxVQUFVLENBQUMsQ0FBQztJQUU3RCxPQUFPLHVCQUF1QixDQUFDO0FBQ25DLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsOEZBQThGO0FBQzlGLGdHQUFnRztBQUNoRywyRkFBMkY7QUFDM0YsMEZBQTBGO0FBQzFGLFdBQVc7QUFFSixLQUFLLFNBQVMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxNQUFjLEVBQUUsR0FBVyxFQUFFLGNBQXVCLEVBQUUsR0FBYSxFQUFFLFlBQW9CLENBQUMsRUFBRSxrQ0FBeUMsRUFBRTtJQUN4SyxJQUFJLHVCQUF1QixHQUFHLENBQUUsR0FBRywrQkFBK0IsQ0FBRSxDQUFDO0lBRXJFLHNFQUFzRTtJQUV0RSxJQUFJLEdBQUcsR0FBRyxNQUFNLEtBQUssQ0FBQyxXQUFXLENBQUMsRUFBRSxJQUFJLEVBQUUsSUFBSSxVQUFVLENBQUMsTUFBTSxDQUFDLEVBQUUsZUFBZSxFQUFFLElBQUksRUFBRSxZQUFZLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFFLHdHQUF3RztJQUN6TixJQUFJO1FBQ0EsS0FBSyxJQUFJLFNBQVMsR0FBRyxTQUFTLEdBQUcsQ0FBQyxFQUFFLFNBQVMsR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLFNBQVMsRUFBRSxFQUFFO1lBQ3ZFLE9BQU8sQ0FBQyxHQUFHLENBQUMsOENBQThDLFNBQVMsR0FBRyxDQUFDLE9BQU8sR0FBRyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUM7WUFDL0YsVUFBVSxDQUFDLEdBQUcsRUFBRSxTQUFTLEdBQUcsQ0FBQyxDQUFDLENBQUM7WUFDL0IsSUFBSSxJQUFJLEdBQUcsTUFBTSxHQUFHLENBQUMsT0FBTyxDQUFDLFNBQVMsR0FBRyxDQUFDLENBQUMsQ0FBQztZQUM1QyxJQUFJLDJCQUEyQixHQUFHLEVBQUUsQ0FBQztZQUNyQyxJQUFJO2dCQUNBLDJCQUEyQixHQUFHLE1BQU0sWUFBWSxDQUFDLElBQUksRUFBRSxTQUFTLEdBQUcsQ0FBQyxFQUFFLEdBQUcsRUFBRSxjQUFjLEVBQUUsR0FBRyxDQUFDLENBQUM7YUFDbkc7b0JBQVM7Z0JBQ04sSUFBSSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUUsc0VBQXNFO2FBQzFGO1lBQ0QsMEJBQTBCLENBQUMsdUJBQXVCLEVBQUUsMkJBQTJCLENBQUMsQ0FBQztZQUNqRixNQUFNLEVBQUUsVUFBVSxFQUFFLFNBQVMsR0FBRyxDQUFDLEVBQUUsU0FBUyxFQUFFLEdBQUcsQ0FBQyxRQUFRLEVBQUUsdUJBQXVCLEVBQUUsMkJBQTJCLEVBQUUsQ0FBQztTQUN0SDtLQUNKO1lBQVM7UUFDTixHQUFHLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBRSwwRUFBMEU7S0FDN0Y7QUFDTCxDQUFDO0FBdkJELHNDQXVCQztBQUVELG9GQUFvRjtBQUU3RSxLQUFLLFVBQVUsUUFBUSxDQUFDLE1BQWMsRUFBRSxHQUFXLEVBQUUsY0FBdUIsRUFBRSxHQUFhO0lBQzlGLElBQUksdUJBQXVCLEdBQUcsRUFBRSxDQUFDO0lBQ2pDLElBQUksS0FBSyxFQUFFLElBQUksT0FBTyxJQUFJLGFBQWEsQ0FBQyxNQUFNLEVBQUUsR0FBRyxFQUFFLGNBQWMsRUFBRSxHQUFHLENBQUM7UUFDckUsdUJBQXVCLENBQUMsSUFBSSxDQUFDLEdBQUcsT0FBTyxDQUFDLHVCQUF1QixDQUFDLENBQUM7SUFDckUsT0FBTyx1QkFBdUIsQ0FBQztBQUNuQyxDQUFDO0FBTEQsNEJBS0M7QUFFRCwwRkFBMEY7QUFDMUYsV0FBVztBQUVYLFNBQWdCLFlBQVksQ0FBQyxXQUFtQixlQUFlO0lBQzNELGNBQWMsR0FBRyw2QkFBa0IsQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLFFBQVEsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7QUFDOUUsQ0FBQztBQUZELG9DQUVDO0FBRUQsOEZBQThGO0FBQzlGLHNDQUFzQztBQUV0QyxTQUFnQixrQkFBa0IsQ0FBQyxXQUFtQixxQkFBcUI7SUFDdkUsbUJBQW1CLEdBQUcsa0NBQXVCLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxRQUFRLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO0FBQ3hGLENBQUM7QUFGRCxnREFFQztBQUVELDhGQUE4RjtBQUM5Rix1Q0FBdUM7QUFFdkMsU0FBZ0IsZUFBZTtJQUMzQixTQUFTLEdBQUcsdUJBQWEsQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLGlCQUFpQixDQUFDLENBQUMsUUFBUSxFQUFFLEVBQUUsRUFBRSxDQUFDLFlBQVksQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7QUFDOUgsQ0FBQztBQUZELDBDQUVDO0FBRUQsaUdBQWlHO0FBRWpHLFNBQWdCLGVBQWUsQ0FBQyxRQUFnQjtJQUM1QyxpQkFBaUIsR0FBRywrQkFBcUIsQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLFFBQVEsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7SUFDaEYsT0FBTyxDQUFDLEdBQUcsQ0FBQyw0QkFBNEIsTUFBTSxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLE1BQU0sb0NBQW9DLFFBQVEsRUFBRSxDQUFDLENBQUM7QUFDakksQ0FBQztBQUhELDBDQUdDO0FBRUQsMkZBQTJGO0FBQzNGLGlCQUFpQjtBQUVqQixTQUFTLFlBQVksQ0FBQyxJQUFZLEVBQUUsS0FBYTtJQUM3QyxJQUFJLE9BQU8sR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDNUIsSUFBSSxLQUFLLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRSxJQUFJLEtBQUssQ0FBQyxPQUFPLENBQUMsSUFBSSxPQUFPLEdBQUcsQ0FBQztRQUNwRCxNQUFNLElBQUksS0FBSyxDQUFDLGdCQUFnQixJQUFJLGlDQUFpQyxLQUFLLEVBQUUsQ0FBQyxDQUFDO0lBQ2xGLE9BQU8sT0FBTyxHQUFHLElBQUksQ0FBQztBQUMxQixDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLHVFQUF1RTtBQUV2RSxTQUFTLGdCQUFnQixDQUFDLElBQWM7SUFDcEMsSUFBSSxPQUFPLEdBQVksRUFBRSxZQUFZLEVBQUUsU0FBUyxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxjQUFjLEVBQUUsU0FBUyxFQUFFLFNBQVMsRUFBRSxnQkFBZ0IsRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFFLFdBQVcsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsRUFBRSxVQUFVLEVBQUUsS0FBSyxFQUFFLGNBQWMsRUFBRSxTQUFTLEVBQUUsVUFBVSxFQUFFLGFBQWEsRUFBRSxXQUFXLEVBQUUsU0FBUyxFQUFFLEdBQUcsRUFBRSxLQUFLLEVBQUUsZ0JBQWdCLEVBQUUsU0FBUyxFQUFFLFlBQVksRUFBRSxlQUFlLEVBQUUsa0JBQWtCLEVBQUUscUJBQXFCLEVBQUUsV0FBVyxFQUFFLDBCQUEwQixFQUFFLGFBQWEsRUFBRSxFQUFFLEVBQUUsQ0FBQztJQUNoZ0IsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxHQUFHLElBQUksQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDOUMsSUFBSSxJQUFJLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3ZCLElBQUksSUFBSSxLQUFLLFlBQVksRUFBRTtZQUN2QixPQUFPLENBQUMsUUFBUSxHQUFHLElBQUksQ0FBQztZQUN4QixTQUFTO1NBQ1o7YUFBTSxJQUFJLElBQUksS0FBSyxPQUFPLEVBQUU7WUFDekIsT0FBTyxDQUFDLEdBQUcsR0FBRyxJQUFJLENBQUM7WUFDbkIsU0FBUztTQUNaO2FBQU0sSUFBSSxJQUFJLEtBQUssY0FBYyxFQUFFO1lBQ2hDLE9BQU8sQ0FBQyxVQUFVLEdBQUcsSUFBSSxDQUFDO1lBQzFCLFNBQVM7U0FDWjtRQUVELElBQUksS0FBSyxHQUFHLElBQUksQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDO1FBQzFCLElBQUksS0FBSyxLQUFLLFNBQVM7WUFDbkIsTUFBTSxJQUFJLEtBQUssQ0FBQyx3REFBd0QsSUFBSSxFQUFFLENBQUMsQ0FBQztRQUNwRixJQUFJLElBQUksS0FBSyxpQkFBaUI7WUFDMUIsT0FBTyxDQUFDLFlBQVksR0FBRyxLQUFLLENBQUM7YUFDNUIsSUFBSSxJQUFJLEtBQUssaUJBQWlCO1lBQy9CLE9BQU8sQ0FBQyxZQUFZLEdBQUcsS0FBSyxDQUFDO2FBQzVCLElBQUksSUFBSSxLQUFLLFlBQVk7WUFDMUIsT0FBTyxDQUFDLFlBQVksR0FBRyxLQUFLLENBQUM7YUFDNUIsSUFBSSxJQUFJLEtBQUssbUJBQW1CO1lBQ2pDLE9BQU8sQ0FBQyxjQUFjLEdBQUcsS0FBSyxDQUFDO2FBQzlCLElBQUksSUFBSSxLQUFLLG1CQUFtQjtZQUNqQyxPQUFPLENBQUMsY0FBYyxHQUFHLEtBQUssQ0FBQzthQUM5QixJQUFJLElBQUksS0FBSyxlQUFlO1lBQzdCLE9BQU8sQ0FBQyxVQUFVLEdBQUcsS0FBSyxDQUFDO2FBQzFCLElBQUksSUFBSSxLQUFLLGdCQUFnQjtZQUM5QixPQUFPLENBQUMsV0FBVyxHQUFHLEtBQUssQ0FBQzthQUMzQixJQUFJLElBQUksS0FBSyxpQkFBaUI7WUFDL0IsT0FBTyxDQUFDLFlBQVksR0FBRyxLQUFLLENBQUM7YUFDNUIsSUFBSSxJQUFJLEtBQUssdUJBQXVCO1lBQ3JDLE9BQU8sQ0FBQyxrQkFBa0IsR0FBRyxLQUFLLENBQUM7YUFDbEMsSUFBSSxJQUFJLEtBQUssc0JBQXNCO1lBQ3BDLE9BQU8sQ0FBQyxnQkFBZ0IsR0FBRyxLQUFLLENBQUM7YUFDaEMsSUFBSSxJQUFJLEtBQUssZ0JBQWdCO1lBQzlCLE9BQU8sQ0FBQyxXQUFXLEdBQUcsSUFBSSxTQUFTLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQzthQUNuRCxJQUFJLElBQUksS0FBSyxXQUFXO1lBQ3pCLE9BQU8sQ0FBQyxhQUFhLENBQUMsT0FBTyxHQUFHLFlBQVksQ0FBQyxJQUFJLEVBQUUsS0FBSyxDQUFDLENBQUM7YUFDekQsSUFBSSxJQUFJLEtBQUssb0JBQW9CO1lBQ2xDLE9BQU8sQ0FBQyxhQUFhLENBQUMsZUFBZSxHQUFHLFlBQVksQ0FBQyxJQUFJLEVBQUUsS0FBSyxDQUFDLENBQUM7YUFDakUsSUFBSSxJQUFJLEtBQUsseUJBQXlCLEVBQUU7WUFDekMsSUFBSSxDQUFFLElBQUksRUFBRSxPQUFPLENBQUUsR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQ3pDLElBQUksT0FBTyxLQUFLLFNBQVM7Z0JBQ3JCLE1BQU0sSUFBSSxLQUFLLENBQUMsZ0JBQWdCLElBQUksMENBQTBDLEtBQUssRUFBRSxDQUFDLENBQUM7WUFDM0YsT0FBTyxDQUFDLGFBQWEsQ0FBQyxvQkFBb0IsR0FBRyxFQUFFLEdBQUcsT0FBTyxDQUFDLGFBQWEsQ0FBQyxvQkFBb0IsRUFBRSxDQUFDLElBQUksQ0FBQyxFQUFFLFlBQVksQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLEVBQUUsQ0FBQztTQUN2STthQUFNLElBQUksSUFBSSxLQUFLLFdBQVcsRUFBRTtZQUM3QixPQUFPLENBQUMsYUFBYSxDQUFDLFVBQVUsR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDakQsSUFBSSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLGFBQWEsQ0FBQyxVQUFVLENBQUMsSUFBSSxPQUFPLENBQUMsYUFBYSxDQUFDLFVBQVUsR0FBRyxDQUFDO2dCQUMzRixNQUFNLElBQUksS0FBSyxDQUFDLGlEQUFpRCxLQUFLLEVBQUUsQ0FBQyxDQUFDO1NBQ2pGO2FBQ0ksSUFBSSxJQUFJLEtBQUssZ0JBQWdCLElBQUksSUFBSSxLQUFLLGNBQWMsRUFBRTtZQUMzRCxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFFLFlBQVksRUFBRSxxQkFBcUIsQ0FBRSxFQUFFLElBQUksQ0FBQyxDQUFDLE9BQU8sRUFBRTtnQkFDdkUsTUFBTSxJQUFJLEtBQUssQ0FBQyxtR0FBbUcsS0FBSyxFQUFFLENBQUMsQ0FBQztZQUNoSSxJQUFJLElBQUksS0FBSyxnQkFBZ0I7Z0JBQ3pCLE9BQU8sQ0FBQyxXQUFXLEdBQUcsS0FBSyxDQUFDOztnQkFFNUIsT0FBTyxDQUFDLFNBQVMsR0FBRyxLQUFLLENBQUM7U0FDakM7YUFBTSxJQUFJLElBQUksS0FBSyxjQUFjLEVBQUU7WUFDaEMsT0FBTyxDQUFDLFNBQVMsR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDbEMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxTQUFTLEdBQUcsQ0FBQztnQkFDN0QsTUFBTSxJQUFJLEtBQUssQ0FBQyxtREFBbUQsS0FBSyxFQUFFLENBQUMsQ0FBQztTQUNuRjs7WUFFRyxNQUFNLElBQUksS0FBSyxDQUFDLHVDQUF1QyxJQUFJLEVBQUUsQ0FBQyxDQUFDO0tBQ3RFO0lBRUQsNkZBQTZGO0lBQzdGLDJGQUEyRjtJQUMzRiw2RkFBNkY7SUFFN0YsSUFBSSxPQUFPLENBQUMsWUFBWSxLQUFLLFNBQVMsSUFBSSxPQUFPLENBQUMsWUFBWSxLQUFLLFNBQVMsRUFBRTtRQUMxRSxJQUFJLE9BQU8sQ0FBQyxZQUFZLEtBQUssU0FBUztZQUNsQyxPQUFPLENBQUMsWUFBWSxHQUFHLGtCQUFrQixDQUFDO2FBQ3pDLElBQUksSUFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsWUFBWSxDQUFDLEtBQUssSUFBSSxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUM7WUFDdEUsTUFBTSxJQUFJLEtBQUssQ0FBQyw0REFBNEQsWUFBWSx5RkFBeUYsQ0FBQyxDQUFDO0tBQzFMO1NBQU0sSUFBSSxPQUFPLENBQUMsWUFBWSxLQUFLLFNBQVM7UUFDekMsT0FBTyxDQUFDLFlBQVksR0FBRyxZQUFZLENBQUM7SUFFeEMsT0FBTyxPQUFPLENBQUM7QUFDbkIsQ0FBQztBQUVELGlHQUFpRztBQUNqRyxnR0FBZ0c7QUFDaEcsMkNBQTJDO0FBRTNDLFNBQVMsZ0JBQWdCLENBQUMsR0FBVztJQUNqQyxJQUFJLFFBQVEsR0FBRyxrQkFBa0IsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLElBQUksU0FBUyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO0lBQ2xGLE9BQU8sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLFFBQVEsT0FBTyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUM7QUFDM0UsQ0FBQztBQUVELCtGQUErRjtBQUMvRiw2RkFBNkY7QUFDN0YsNEZBQTRGO0FBQzVGLGlHQUFpRztBQUNqRywyRUFBMkU7QUFFM0UsS0FBSyxVQUFVLFlBQVksQ0FBQyxHQUFXLEVBQUUsYUFBcUIsRUFBRSxjQUErQjtJQUMzRixJQUFJLGFBQWEsS0FBSyxTQUFTLEVBQUU7UUFDN0IsT0FBTyxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsYUFBYSxFQUFFLENBQUMsQ0FBQztRQUM5QyxPQUFPLEVBQUUsSUFBSSxFQUFFLEVBQUUsQ0FBQyxZQUFZLENBQUMsYUFBYSxDQUFDLEVBQUUsV0FBVyxFQUFFLEtBQUssRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLFlBQVksRUFBRSxJQUFJLEVBQUUsQ0FBQztLQUN2RztJQUVELE9BQU8sQ0FBQyxHQUFHLENBQUMsd0JBQXdCLEdBQUcsRUFBRSxDQUFDLENBQUM7SUFDM0MsSUFBSSxNQUFNLEdBQUcsQ0FBQyxjQUFjLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0scUJBQWEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxxQkFBYSxDQUFDLEdBQUcsRUFBRSxjQUFjLENBQUMsSUFBSSxFQUFFLGNBQWMsQ0FBQyxZQUFZLENBQUMsQ0FBQztJQUVwSixJQUFJLE9BQU8sQ0FBQyxjQUFjLEtBQUssU0FBUyxJQUFJLENBQUMsTUFBTSxDQUFDLFdBQVcsRUFBRTtRQUM3RCxJQUFJLGFBQWEsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxjQUFjLEVBQUUsZ0JBQWdCLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUM3RSxJQUFJLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsY0FBYyxDQUFDO1lBQ3RDLEVBQUUsQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLGNBQWMsQ0FBQyxDQUFDO1FBQ3pDLEVBQUUsQ0FBQyxhQUFhLENBQUMsYUFBYSxFQUFFLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUM3QyxPQUFPLENBQUMsR0FBRyxDQUFDLG9DQUFvQyxhQUFhLEVBQUUsQ0FBQyxDQUFDO0tBQ3BFO0lBRUQsT0FBTyxNQUFNLENBQUM7QUFDbEIsQ0FBQztBQUVELGtHQUFrRztBQUNsRyxjQUFjO0FBRWQsS0FBSyxVQUFVLFVBQVU7SUFDckIsSUFBSSxJQUFJLEdBQUcsQ0FBQyxNQUFNLFlBQVksQ0FBQyxPQUFPLENBQUMsV0FBVyxFQUFFLE9BQU8sQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUNoRixJQUFJLENBQUMsR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO0lBRXRDLElBQUksT0FBTyxHQUFhLEVBQUUsQ0FBQztJQUMzQixLQUFLLElBQUksT0FBTyxJQUFJLENBQUMsQ0FBQyxlQUFlLENBQUMsQ0FBQyxHQUFHLEVBQUUsRUFBRTtRQUMxQyxJQUFJLE1BQU0sR0FBRyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDO1FBQzFFLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDO1lBQzFDLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxLQUFLLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRyxtQkFBbUI7Z0JBQy9ELE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDO0tBQ3JDO0lBRUQsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO0lBQ2xCLE9BQU8sT0FBTyxDQUFDO0FBQ25CLENBQUM7QUFFRCxpR0FBaUc7QUFDakcsNEZBQTRGO0FBQzVGLGlHQUFpRztBQUNqRyx1RkFBdUY7QUFFdkYsU0FBZ0IsYUFBYSxDQUFDLE9BQWlCLEVBQUUsZUFBaUMsRUFBRSxTQUFpQjtJQUNqRyxJQUFJLG9CQUFvQixHQUFzQyxFQUFFLENBQUM7SUFDakUsS0FBSyxJQUFJLGNBQWMsSUFBSSxlQUFlO1FBQ3RDLG9CQUFvQixDQUFDLGNBQWMsQ0FBQyxHQUFHLENBQUMsR0FBRyxjQUFjLENBQUM7SUFFOUQsSUFBSSxZQUFZLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNwQyxJQUFJLGVBQWUsR0FBRyxZQUFZLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsb0JBQW9CLENBQUMsTUFBTSxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUM7SUFDaEcsSUFBSSxhQUFhLEdBQUcsWUFBWSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLG9CQUFvQixDQUFDLE1BQU0sQ0FBQyxLQUFLLFNBQVMsSUFBSSxvQkFBb0IsQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUNySSxJQUFJLGFBQWEsR0FBRyxZQUFZO1NBQzNCLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLG9CQUFvQixDQUFDLE1BQU0sQ0FBQyxLQUFLLFNBQVMsSUFBSSxDQUFDLG9CQUFvQixDQUFDLE1BQU0sQ0FBQyxDQUFDLE1BQU0sQ0FBQztTQUNwRyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxvQkFBb0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsYUFBYSxDQUFDLG9CQUFvQixDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBRSwyQ0FBMkM7SUFFekosT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLFlBQVksQ0FBQyxNQUFNLEdBQUcsZUFBZSxDQUFDLE1BQU0sT0FBTyxZQUFZLENBQUMsTUFBTSw4Q0FBOEMsYUFBYSxDQUFDLE1BQU0sV0FBVyxDQUFDLENBQUM7SUFDcEssT0FBTyxDQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBRSxDQUFDLE1BQU0sQ0FBQyxlQUFlLEVBQUUsYUFBYSxFQUFFLGFBQWEsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUM7QUFDcEcsQ0FBQztBQWRELHNDQWNDO0FBRUQsaUdBQWlHO0FBQ2pHLCtGQUErRjtBQUMvRiwrRkFBK0Y7QUFDL0YsbUVBQW1FO0FBRW5FLEtBQUssVUFBVSwwQkFBMEIsQ0FBQyxRQUFRLEVBQUUsTUFBYyxFQUFFLGFBQXFCO0lBQ3JGLElBQUksSUFBSSxHQUFHLE1BQU0sbUJBQVEsQ0FBQyxRQUFRLEVBQUUsZ0lBQWdJLEVBQUUsQ0FBRSxNQUFNLEVBQUUsYUFBYSxDQUFFLENBQUMsQ0FBQztJQUNqTSxPQUFPLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsaUJBQWlCLEVBQUUsR0FBRyxDQUFDLGlCQUFpQixFQUFFLE9BQU8sRUFBRSxHQUFHLENBQUMsT0FBTyxFQUFFLFdBQVcsRUFBRSxHQUFHLENBQUMsV0FBVyxFQUFFLFlBQVksRUFBRSxHQUFHLENBQUMsYUFBYSxFQUFFLENBQUMsQ0FBQyxDQUFDO0FBQ2hLLENBQUM7QUFFRCwrRUFBK0U7QUFFL0UsU0FBUyxZQUFZO0lBQ2pCLE9BQU8sT0FBTyxDQUFDLFdBQVcsRUFBRSxDQUFDLEdBQUcsQ0FBQztBQUNyQyxDQUFDO0FBRUQsMENBQTBDO0FBRTFDLFNBQVMsZUFBZSxDQUFDLEtBQWE7SUFDbEMsT0FBTyxHQUFHLENBQUMsS0FBSyxHQUFHLENBQUMsSUFBSSxHQUFHLElBQUksQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUM7QUFDdEQsQ0FBQztBQUVELGdHQUFnRztBQUNoRywyRkFBMkY7QUFDM0YsOEZBQThGO0FBQzlGLDhGQUE4RjtBQUM5RiwrRkFBK0Y7QUFDL0YsMkVBQTJFO0FBRXBFLEtBQUssVUFBVSxVQUFVLENBQUMsUUFBUSxFQUFFLGVBQWlDLEVBQUUsTUFBYyxFQUFFLGFBQXFCLEVBQUUsYUFBc0IsRUFBRSxjQUF1QixFQUFFLEdBQWE7SUFDL0ssSUFBSSxzQkFBc0IsR0FBRyxlQUFlLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsY0FBYyxDQUFDLEdBQUcsS0FBSyxNQUFNLENBQUMsQ0FBQztJQUNuRyxJQUFJLGNBQWMsR0FBbUIsQ0FBQyxzQkFBc0IsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDO1FBQ3pFLEVBQUUsR0FBRyxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsV0FBVyxFQUFFLElBQUksRUFBRSxnQkFBZ0IsRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsY0FBYyxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxZQUFZLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztRQUNoTyxFQUFFLEdBQUcsc0JBQXNCLEVBQUUsQ0FBQztJQUNsQyxJQUFJLFVBQVUsR0FBRyxZQUFZLEVBQUUsQ0FBQztJQUVoQyxJQUFJO1FBQ0EsT0FBTyxDQUFDLEdBQUcsQ0FBQyxxQkFBcUIsTUFBTSxFQUFFLENBQUMsQ0FBQztRQUMzQyxJQUFJLFNBQVMsR0FBRyxhQUFhLElBQUksc0JBQXNCLEtBQUssU0FBUyxJQUFJLENBQUMsc0JBQXNCLENBQUMsTUFBTSxJQUFJLHNCQUFzQixDQUFDLElBQUksS0FBSyxJQUFJLENBQUM7UUFDaEosSUFBSSxRQUFRLEdBQUcsTUFBTSxZQUFZLENBQUMsTUFBTSxFQUFFLGFBQWEsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDLHNCQUFzQixDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUN6RyxjQUFjLENBQUMsV0FBVyxHQUFHLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDO1FBQ3BFLElBQUksUUFBUSxDQUFDLFdBQVcsRUFBRTtZQUN0QixPQUFPLENBQUMsR0FBRyxDQUFDLGlHQUFpRyxzQkFBc0IsQ0FBQyxVQUFVLEtBQUssTUFBTSxFQUFFLENBQUMsQ0FBQztZQUM3SixNQUFNLGNBQWMsQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQztZQUN2RCxxQkFBcUIsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxDQUFDLENBQUM7WUFDbkQsTUFBTSxrQkFBa0IsQ0FBQyxRQUFRLEVBQUUsY0FBYyxDQUFDLENBQUM7WUFDbkQsT0FBTztTQUNWO1FBRUQsSUFBSSxNQUFNLEdBQUcsUUFBUSxDQUFDLElBQUksQ0FBQztRQUMzQixJQUFJLElBQUksR0FBRyxNQUFNLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDcEUsY0FBYyxDQUFDLElBQUksR0FBRyxRQUFRLENBQUMsSUFBSSxDQUFDO1FBQ3BDLGNBQWMsQ0FBQyxZQUFZLEdBQUcsUUFBUSxDQUFDLFlBQVksQ0FBQztRQUVwRCxJQUFJLGFBQWEsSUFBSSxzQkFBc0IsS0FBSyxTQUFTLElBQUksQ0FBQyxzQkFBc0IsQ0FBQyxNQUFNLElBQUksc0JBQXNCLENBQUMsSUFBSSxLQUFLLElBQUksRUFBRTtZQUNqSSxPQUFPLENBQUMsR0FBRyxDQUFDLHVFQUF1RSxzQkFBc0IsQ0FBQyxVQUFVLEtBQUssTUFBTSxFQUFFLENBQUMsQ0FBQztZQUNuSSxNQUFNLGNBQWMsQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQztZQUN2RCxxQkFBcUIsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxDQUFDLENBQUM7WUFDbkQsTUFBTSxrQkFBa0IsQ0FBQyxRQUFRLEVBQUUsY0FBYyxDQUFDLENBQUM7WUFDbkQsT0FBTztTQUNWO1FBRUQsK0VBQStFO1FBQy9FLDBGQUEwRjtRQUMxRix5RkFBeUY7UUFDekYsMkZBQTJGO1FBQzNGLDBGQUEwRjtRQUUxRixJQUFJLFNBQVMsR0FBRyxDQUFDLENBQUM7UUFDbEIsSUFBSSwrQkFBK0IsR0FBRyxFQUFFLENBQUM7UUFDekMsSUFBSSxzQkFBc0IsS0FBSyxTQUFTLElBQUksc0JBQXNCLENBQUMsUUFBUSxLQUFLLElBQUksSUFBSSxzQkFBc0IsQ0FBQyxjQUFjLEtBQUssSUFBSSxJQUFJLHNCQUFzQixDQUFDLGFBQWEsS0FBSyxJQUFJLEVBQUU7WUFDckwsU0FBUyxHQUFHLHNCQUFzQixDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUM7WUFDaEQsK0JBQStCLEdBQUcsTUFBTSwwQkFBMEIsQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLHNCQUFzQixDQUFDLGFBQWEsQ0FBQyxDQUFDO1lBQzNILGNBQWMsQ0FBQyxXQUFXLEdBQUcsc0JBQXNCLENBQUMsV0FBVyxDQUFDLENBQUUsa0RBQWtEO1lBQ3BILE9BQU8sQ0FBQyxHQUFHLENBQUMsNENBQTRDLFNBQVMsS0FBSyxzQkFBc0IsQ0FBQyxnQkFBZ0IsaUVBQWlFLENBQUMsQ0FBQztTQUNuTDthQUFNO1lBQ0gsY0FBYyxDQUFDLGdCQUFnQixHQUFHLENBQUMsQ0FBQztZQUNwQyxjQUFjLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQztZQUM1QixjQUFjLENBQUMsY0FBYyxHQUFHLElBQUksQ0FBQztZQUNyQyxjQUFjLENBQUMsYUFBYSxHQUFHLE1BQU0sQ0FBQyxPQUFPLENBQUM7U0FDakQ7UUFDRCxjQUFjLENBQUMsTUFBTSxHQUFHLElBQUksQ0FBQztRQUM3QixjQUFjLENBQUMsS0FBSyxHQUFHLDZCQUE2QixDQUFDO1FBQ3JELE1BQU0sa0JBQWtCLENBQUMsUUFBUSxFQUFFLGNBQWMsQ0FBQyxDQUFDO1FBRW5ELElBQUksS0FBSyxFQUFFLElBQUksT0FBTyxJQUFJLGFBQWEsQ0FBQyxNQUFNLEVBQUUsTUFBTSxFQUFFLGNBQWMsRUFBRSxHQUFHLEVBQUUsU0FBUyxFQUFFLCtCQUErQixDQUFDLEVBQUU7WUFDdEgsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSxtQkFBbUIsQ0FBQyxDQUFDO1lBQzVDLElBQUk7Z0JBQ0EsS0FBSyxJQUFJLHNCQUFzQixJQUFJLE9BQU8sQ0FBQyx1QkFBdUI7b0JBQzlELE1BQU0sU0FBUyxDQUFDLFFBQVEsRUFBRSxzQkFBc0IsRUFBRSxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUM7Z0JBQ3RFLGNBQWMsQ0FBQyxRQUFRLEdBQUcsT0FBTyxDQUFDLFVBQVUsQ0FBQztnQkFDN0MsY0FBYyxDQUFDLGdCQUFnQixJQUFJLE9BQU8sQ0FBQyx1QkFBdUIsQ0FBQyxNQUFNLENBQUM7Z0JBQzFFLE1BQU0saUJBQU0sQ0FBQyxRQUFRLEVBQUUsaUZBQWlGLEVBQUUsQ0FBRSxjQUFjLENBQUMsUUFBUSxFQUFFLGNBQWMsQ0FBQyxnQkFBZ0IsRUFBRSxNQUFNLENBQUUsQ0FBQyxDQUFDO2dCQUNoTCxNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLFFBQVEsQ0FBQyxDQUFDO2FBQ3BDO1lBQUMsT0FBTyxLQUFLLEVBQUU7Z0JBQ1osTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSxVQUFVLENBQUMsQ0FBQztnQkFDbkMsTUFBTSxLQUFLLENBQUM7YUFDZjtZQUNELFVBQVUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFVBQVUsRUFBRSxZQUFZLEVBQUUsQ0FBQyxDQUFDO1NBQ3JEO1FBQ0QsT0FBTyxDQUFDLEdBQUcsQ0FBQyxvQkFBb0IsY0FBYyxDQUFDLGdCQUFnQiw4Q0FBOEMsTUFBTSxFQUFFLENBQUMsQ0FBQztRQUV2SCxjQUFjLENBQUMsSUFBSSxHQUFHLElBQUksQ0FBQztRQUMzQixjQUFjLENBQUMsVUFBVSxHQUFHLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDO1FBQ25FLGNBQWMsQ0FBQyxNQUFNLEdBQUcsS0FBSyxDQUFDO1FBQzlCLGNBQWMsQ0FBQyxLQUFLLEdBQUcsSUFBSSxDQUFDO1FBQzVCLGNBQWMsQ0FBQyxRQUFRLEdBQUcsSUFBSSxDQUFDO1FBQy9CLGNBQWMsQ0FBQyxjQUFjLEdBQUcsSUFBSSxDQUFDO1FBQ3JDLGNBQWMsQ0FBQyxhQUFhLEdBQUcsSUFBSSxDQUFDO0tBQ3ZDO0lBQUMsT0FBTyxLQUFLLEVBQUU7UUFDWixPQUFPLENBQUMsR0FBRyxDQUFDLHdIQUF3SCxNQUFNLEVBQUUsQ0FBQyxDQUFDO1FBQzlJLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDckIsY0FBYyxDQUFDLE1BQU0sR0FBRyxJQUFJLENBQUM7UUFDN0IsY0FBYyxDQUFDLEtBQUssR0FBRyxDQUFDLEtBQUssWUFBWSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO0tBQ25GO0lBRUQsVUFBVSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsVUFBVSxFQUFFLFlBQVksRUFBRSxDQUFDLENBQUM7SUFDbEQsT0FBTyxDQUFDLEdBQUcsQ0FBQywrQ0FBK0MsZUFBZSxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUMxRixjQUFjLENBQUMsVUFBVSxHQUFHLFVBQVUsQ0FBQztJQUN2QyxxQkFBcUIsQ0FBQyxNQUFNLEVBQUUsY0FBYyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxjQUFjLENBQUMsZ0JBQWdCLEVBQUUsY0FBYyxDQUFDLEtBQUssRUFBRSxVQUFVLENBQUMsQ0FBQztJQUM3SCxNQUFNLGtCQUFrQixDQUFDLFFBQVEsRUFBRSxjQUFjLENBQUMsQ0FBQztBQUN2RCxDQUFDO0FBNUZELGdDQTRGQztBQUVELHVDQUF1QztBQUV2QyxLQUFLLFVBQVUsSUFBSTtJQUNmLE9BQU8sR0FBRyxnQkFBZ0IsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2xELHNCQUFjLENBQUMsT0FBTyxDQUFDLGFBQWEsQ0FBQyxDQUFDO0lBRXRDLG1DQUFtQztJQUVuQyxJQUFJLFFBQVEsR0FBRyxNQUFNLGtCQUFrQixDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUMsQ0FBQztJQUU5RCxJQUFJLE9BQU8sQ0FBQyxXQUFXLEtBQUssU0FBUyxFQUFFO1FBQ25DLE1BQU0sV0FBVyxDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUMsV0FBVyxFQUFFLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUNwRSxPQUFPO0tBQ1Y7SUFFRCxrQkFBa0IsQ0FBQyxPQUFPLENBQUMsa0JBQWtCLENBQUMsQ0FBQztJQUMvQyxJQUFJLE9BQU8sQ0FBQyxVQUFVLEVBQUU7UUFDcEIsTUFBTSxzQkFBc0IsQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUN2QyxPQUFPO0tBQ1Y7SUFFRCxJQUFJLGVBQWUsR0FBRyxNQUFNLG1CQUFtQixDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBRTFELGVBQWUsRUFBRSxDQUFDO0lBQ2xCLFlBQVksQ0FBQyxPQUFPLENBQUMsWUFBWSxDQUFDLENBQUM7SUFDbkMsSUFBSSxPQUFPLENBQUMsV0FBVyxLQUFLLFNBQVM7UUFDakMsZUFBZSxDQUFDLE9BQU8sQ0FBQyxXQUFXLENBQUMsQ0FBQztJQUN6QyxJQUFJLE9BQU8sQ0FBQyxnQkFBZ0IsS0FBSyxTQUFTO1FBQ3RDLDRCQUFzQixDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDO0lBRXJELHNFQUFzRTtJQUV0RSxXQUFXLEVBQUUsQ0FBQztJQUNkLE1BQU0sV0FBVyxDQUFDLFFBQVEsRUFBRSxlQUFlLENBQUMsQ0FBQztJQUM3QyxNQUFNLGtCQUFZLEVBQUUsQ0FBQztJQUNyQixNQUFNLFVBQVUsQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLE9BQU8sQ0FBQyxVQUFVLENBQUMsQ0FBQztBQUMzRCxDQUFDO0FBRUQsNEVBQTRFO0FBRTVFLEtBQUssVUFBVSxXQUFXLENBQUMsUUFBUSxFQUFFLGVBQWlDO0lBQ2xFLDhGQUE4RjtJQUM5Riw2RkFBNkY7SUFDN0Ysb0ZBQW9GO0lBRXBGLElBQUksT0FBTyxDQUFDLFlBQVksS0FBSyxTQUFTLElBQUksT0FBTyxDQUFDLFlBQVksS0FBSyxTQUFTLEVBQUU7UUFDMUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxxREFBcUQsT0FBTyxDQUFDLFlBQVksUUFBUSxPQUFPLENBQUMsWUFBWSxFQUFFLENBQUMsQ0FBQztRQUNySCxJQUFJLFNBQVMsR0FBRyxFQUFFLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUMsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDLFdBQVcsRUFBRSxLQUFLLE1BQU0sQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO1FBQ2hJLElBQUksU0FBUyxDQUFDLE1BQU0sS0FBSyxDQUFDO1lBQ3RCLE9BQU8sQ0FBQyxHQUFHLENBQUMsd0NBQXdDLE9BQU8sQ0FBQyxZQUFZLEVBQUUsQ0FBQyxDQUFDO1FBQ2hGLEtBQUssSUFBSSxRQUFRLElBQUksU0FBUyxFQUFFO1lBQzVCLElBQUksYUFBYSxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLFlBQVksRUFBRSxRQUFRLENBQUMsQ0FBQztZQUM5RCxNQUFNLFVBQVUsQ0FBQyxRQUFRLEVBQUUsZUFBZSxFQUFFLGFBQWEsRUFBRSxhQUFhLEVBQUUsS0FBSyxFQUFFLE9BQU8sQ0FBQyxjQUFjLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1NBQ3pIO1FBQ0QsT0FBTztLQUNWO0lBRUQseURBQXlEO0lBRXpELElBQUksT0FBTyxHQUFHLE1BQU0sVUFBVSxFQUFFLENBQUM7SUFDakMsSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtRQUN0QixPQUFPLENBQUMsR0FBRyxDQUFDLHFDQUFxQyxDQUFDLENBQUM7UUFDbkQsT0FBTztLQUNWO0lBRUQsd0ZBQXdGO0lBRXhGLElBQUksT0FBTyxDQUFDLFlBQVksS0FBSyxTQUFTLEVBQUU7UUFDcEMsS0FBSyxJQUFJLE1BQU0sSUFBSSxPQUFPLEVBQUU7WUFDeEIsSUFBSSxhQUFhLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsWUFBWSxFQUFFLGdCQUFnQixDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7WUFDOUUsSUFBSSxFQUFFLENBQUMsVUFBVSxDQUFDLGFBQWEsQ0FBQztnQkFDNUIsTUFBTSxVQUFVLENBQUMsUUFBUSxFQUFFLGVBQWUsRUFBRSxNQUFNLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxPQUFPLENBQUMsY0FBYyxFQUFFLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQzs7Z0JBRS9HLE9BQU8sQ0FBQyxHQUFHLENBQUMsb0VBQW9FLGFBQWEsTUFBTSxNQUFNLEVBQUUsQ0FBQyxDQUFDO1NBQ3BIO1FBQ0QsT0FBTztLQUNWO0lBRUQsNEZBQTRGO0lBQzVGLHNFQUFzRTtJQUV0RSxJQUFJLGVBQWUsR0FBRyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxPQUFPLEVBQUUsZUFBZSxFQUFFLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUM5RyxPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksZUFBZSxDQUFDLE1BQU0sT0FBTyxPQUFPLENBQUMsTUFBTSxtQkFBbUIsQ0FBQyxDQUFDO0lBRXhGLEtBQUssSUFBSSxNQUFNLElBQUksZUFBZTtRQUM5QixNQUFNLFVBQVUsQ0FBQyxRQUFRLEVBQUUsZUFBZSxFQUFFLE1BQU0sRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLE9BQU8sQ0FBQyxjQUFjLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0FBQ2xILENBQUM7QUFFRCxJQUFJLE9BQU8sQ0FBQyxJQUFJLEtBQUssTUFBTTtJQUN2QixJQUFJLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyJ9
\ No newline at end of file
@@ -7,56 +7,314 @@
 "use strict";
 
 import * as fs from "fs";
+import * as crypto from "crypto";
+import * as path from "path";
 import * as cheerio from "cheerio";
-import * as request from "request-promise-native";
 import * as sqlite3 from "sqlite3";
 import * as urlparser from "url";
 import * as moment from "moment";
 import * as pdfjs from "pdfjs-dist";
 import * as didyoumean from "didyoumean2";
+import { PageLayout, renderPageLayout, getBoundingRectangle } from "./layoutdebug";
+import { AddressComponents, Gazetteer, loadGazetteer, parseAddress, formatAddressComponents } from "./address";
+import { StreetCoordinates, loadStreetCoordinates, geocodeAddress } from "./geocode";
+import { recognisePageElements, setOcrLanguageDataPath, terminateOcr } from "./ocr";
+import { FetchSettings, FetchResult, configureFetch, fetchDocument } from "./fetch";
+import { LayoutProfile, RequiredHeadings, loadLayoutProfiles, findHeadingElement, parseProfileDate, selectLayoutProfile } from "./profiles";
+import { ClassificationRules, loadClassificationRules, classifyDescription } from "./classify";
+import { Column, AddressComponentColumns, runSql, readRows, addMissingColumns, createDataTable } from "./database";
 
 sqlite3.verbose();
 
 const DevelopmentApplicationsUrl = "https://www.light.sa.gov.au/develop/applicationregister";
 const CommentUrl = "mailto:light@light.sa.gov.au";
+const LowConfidence = 70;  // text recognised by OCR with a confidence (0 to 100) below this is flagged in the warnings of a development application
+const DatabaseFile = "data.sqlite";  // the database read by morph.io (and so by PlanningAlerts)
+const ReplayDatabaseFile = "replay.sqlite";  // the default database when replaying a directory of PDFs without a register file
+const DefaultBatchSize = 2;  // the number of PDFs parsed in a single run (avoid parsing too many PDFs because this may use too much memory, resulting in morph.io terminating the current process)
 
 declare const process: any;
 
-// All valid suburb names.
+// All valid suburb names (and their aliases).
 
-let SuburbNames = null;
+let Gazetteer: Gazetteer = null;
 
-// Sets up an sqlite database.
+// The co-ordinates of streets (and individual addresses) used to geocode addresses (null if no
+// geocoding file was specified, in which case only the suburb centres are used).
 
-async function initializeDatabase() {
+let StreetCoordinates: StreetCoordinates = null;
+
+// The layouts of the register PDFs (see profiles.ts).
+
+let LayoutProfiles: LayoutProfile[] = null;
+
+// The rules used to classify the descriptions of development applications (see classify.ts).
+
+let ClassificationRules: ClassificationRules = null;
+
+// Options supplied on the command line.
+
+interface Options {
+    registerFile: string,  // a saved copy of the page that contains the links to the PDFs
+    pdfDirectory: string,  // a directory containing local copies of the PDFs
+    databaseFile: string,  // the sqlite database in which the development applications are saved
+    cacheDirectory: string,  // a directory in which to save a copy of each retrieved document
+    batchSize: number,  // the maximum number of PDFs to parse (including the most recent PDF)
+    backfill: boolean,  // parse every PDF (one at a time) instead of a batch of PDFs
+    changesFrom: string,  // list the changes to development applications scraped after this date or time (instead of parsing PDFs)
+    changesTo: string,  // list the changes to development applications scraped up to and including this date or time
+    reclassify: boolean,  // classify the descriptions of the development applications in the database again (instead of parsing PDFs)
+    debugDirectory: string,  // a directory in which to write an image of the layout of each parsed PDF page
+    reportFile: string,  // the file to which the parse-quality report is written (as JSON)
+    geocodeFile: string,  // a CSV file of street (or address) co-ordinates used to geocode addresses
+    ocr: boolean,  // recognise the text on pages that have no text (such as scanned pages) using OCR
+    ocrDataDirectory: string,  // a directory containing the OCR language data (so that it does not need to be downloaded)
+    profilesFile: string,  // the file containing the layout profiles of the register PDFs
+    classificationFile: string,  // the file containing the rules used to classify the descriptions of development applications
+    registerUrl: string,  // the URL of the page that contains the links to the PDFs
+    fetchSettings: Partial<FetchSettings>  // the settings for retrieving documents that differ from the defaults (see fetch.ts)
+}
+
+let Options: Options = null;
+
+// Columns that have been added to tables (other than the [data] table, see database.ts) since the
+// tables were first created (these are added to any existing database that does not yet have them).
+
+const AddedColumns: { [table: string]: Column[] } = {
+    documents: [
+        { name: "last_page", type: "integer" },  // the last page saved by a parse that has not yet completed (null once the parse completes)
+        { name: "checkpoint_hash", type: "text" },  // the SHA-256 hash of the PDF being parsed when the last page was saved
+        { name: "checkpoint_run", type: "text" },  // the start time of the run that began the parse that has not yet completed
+        { name: "peak_memory", type: "integer" },  // the peak memory use (resident set size in bytes) when the PDF was last parsed
+        { name: "etag", type: "text" },  // the ETag header of the response when the PDF was last retrieved
+        { name: "last_modified", type: "text" }  // the Last-Modified header of the response when the PDF was last retrieved
+    ],
+    report_documents: [
+        { name: "profiles", type: "text" },  // a JSON array of the name of the layout profile chosen for each page
+        { name: "peak_memory", type: "integer" },
+        { name: "status", type: "text" }  // "parsed", "failed" or "unchanged" (see ReportDocument)
+    ]
+};
+
+// Gets the definitions of the columns that have been added to a table (for creating a new table
+// with all of its columns).
+
+function getAddedColumnDefinitions(table: string) {
+    return AddedColumns[table].map(column => `[${column.name}] ${column.type}`).join(", ");
+}
+
+// Sets up an sqlite database.  New tables are created with all of their columns; the columns added
+// since a table was first created are only added to the tables of an existing database.
+
+export async function initializeDatabase(fileName: string) {
     return new Promise((resolve, reject) => {
-        let database = new sqlite3.Database("data.sqlite");
+        let database = new sqlite3.Database(fileName);
         database.serialize(() => {
-            database.run("create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text)");
-            resolve(database);
+            database.run(`create table if not exists [documents] ([url] text primary key, [hash] text, [date_parsed] text, [date_checked] text, [application_count] integer, [failed] integer, [error] text, ${getAddedColumnDefinitions("documents")})`);
+            database.run(`create table if not exists [history] ([council_reference] text, ${HistoryColumns.map(column => `[${column}] text`).join(", ")}, [info_url] text, [first_seen] text, [last_seen] text)`);
+            database.run("create index if not exists [history_council_reference] on [history] ([council_reference])");
+            database.run(`create table if not exists [report_documents] ([run_date] text, [url] text, [page_count] integer, [application_count] integer, [failed] integer, [error] text, ${ReportIssueKinds.map(kind => `[${kind}_count] integer`).join(", ")}, ${getAddedColumnDefinitions("report_documents")})`);
+            database.run("create table if not exists [report_issues] ([run_date] text, [url] text, [page] integer, [kind] text, [application_number] text, [detail] text, [elements] text)");
+            createDataTable(database).then(() => addMissingColumns(database, AddedColumns)).then(() => resolve(database), reject);
         });
     });
 }
 
-// Inserts a row in the database if it does not already exist.
+// The columns of the [data] table that are recorded in the [history] table (a new version of a
+// development application is recorded whenever any of these change).
+
+const HistoryColumns = [ "address", "description", "date_received", "date_application", "applicant", "referrals", "date_decision", "decision" ];
+
+// Inserts a row in the database (or updates the row if it already exists).  The date on which
+// the development application was first scraped is retained so that PlanningAlerts does not
+// treat it as a new development application.  The time at which the current run started
+// (YYYY-MM-DD HH:mm:ss) is recorded in the [history] table.
+
+export async function insertRow(database, developmentApplication, runTime: string) {
+    let existingRows = await readRows(database, "select [date_scraped] from [data] where [council_reference] = ?", [ developmentApplication.applicationNumber ]);
+    let row = {
+        council_reference: developmentApplication.applicationNumber,
+        address: developmentApplication.address,
+        description: developmentApplication.description,
+        info_url: developmentApplication.informationUrl,
+        comment_url: developmentApplication.commentUrl,
+        date_scraped: (existingRows.length > 0) ? existingRows[0].date_scraped : developmentApplication.scrapeDate,
+        date_received: developmentApplication.receivedDate,
+        applicant: developmentApplication.applicant,
+        referrals: JSON.stringify(developmentApplication.referrals),
+        date_application: developmentApplication.applicationDate,
+        date_decision: developmentApplication.decisionDate,
+        decision: developmentApplication.decision,
+        warnings: JSON.stringify(developmentApplication.warnings),
+        latitude: developmentApplication.latitude,
+        longitude: developmentApplication.longitude,
+        geocode_precision: developmentApplication.geocodePrecision,
+        categories: JSON.stringify(developmentApplication.categories),
+        lot_count: developmentApplication.lotCount
+    };
+    for (let column of Object.keys(AddressComponentColumns))
+        row[column] = developmentApplication.addressComponents[AddressComponentColumns[column]];
+    let columnNames = Object.keys(row);
+    await runSql(database, `insert or replace into [data] (${columnNames.map(columnName => `[${columnName}]`).join(", ")}) values (${columnNames.map(() => "?").join(", ")})`, columnNames.map(columnName => row[columnName]));
+    console.log(`    Saved application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\" and received date \"${developmentApplication.receivedDate}\" to the database.`);
+
+    await insertHistoryRow(database, row, runTime);
+}
+
+// Records the current version of a development application in the [history] table.  If the most
+// recent version is unchanged then only its last seen time is updated.  The times are those at
+// which runs started (so that the changes made by two runs on the same day can be told apart).
+
+async function insertHistoryRow(database, row, runTime: string) {
+    let latestVersions = await readRows(database, "select [rowid], * from [history] where [council_reference] = ? order by [rowid] desc limit 1", [ row.council_reference ]);
+    if (latestVersions.length > 0 && HistoryColumns.every(column => latestVersions[0][column] === row[column])) {
+        await runSql(database, "update [history] set [last_seen] = ? where [rowid] = ?", [ runTime, latestVersions[0].rowid ]);
+        return;
+    }
 
-async function insertRow(database, developmentApplication) {
+    if (latestVersions.length > 0)
+        console.log(`    Recorded a new version of application \"${row.council_reference}\" (the previous version was last seen on ${latestVersions[0].last_seen}).`);
+    let columnNames = [ "council_reference", ...HistoryColumns, "info_url" ];
+    await runSql(database,
+        `insert into [history] (${columnNames.map(columnName => `[${columnName}]`).join(", ")}, [first_seen], [last_seen]) values (${columnNames.map(() => "?").join(", ")}, ?, ?)`,
+        [ ...columnNames.map(columnName => row[columnName]), runTime, runTime ]);
+}
+
+// Records that the development applications last parsed from a PDF were seen again by a run that
+// skipped the PDF because it has not changed (the last seen time of the latest version of each
+// development application parsed from the PDF is updated).
+
+async function updateLastSeen(database, pdfUrl: string, runTime: string) {
+    await runSql(database, "update [history] set [last_seen] = ? where [info_url] = ? and [rowid] in (select max([rowid]) from [history] group by [council_reference])", [ runTime, pdfUrl ]);
+}
+
+// Converts a date (YYYY-MM-DD) to the last time on that date; a time (YYYY-MM-DD HH:mm:ss) is
+// returned unchanged.
+
+function getLastTime(dateOrTime: string) {
+    return (dateOrTime.length === "YYYY-MM-DD".length) ? `${dateOrTime} 23:59:59` : dateOrTime;
+}
+
+// Lists the changes to development applications between two runs (that is, every version of a
+// development application first seen after the "from" date or time and up to and including the
+// "to" date or time, compared with the version before it).  A date includes the whole day, so
+// use the start times of runs to list the changes made by a single run on a day with several
+// runs.
+
+export async function listChanges(database, from: string, to: string) {
+    console.log(`Changes to development applications after ${from} up to and including ${to}:`);
+    let versions = await readRows(database, "select [rowid], * from [history] where [first_seen] > ? and [first_seen] <= ? order by [council_reference], [rowid]", [ getLastTime(from), getLastTime(to) ]);
+    for (let version of versions) {
+        let previousVersions = await readRows(database, "select * from [history] where [council_reference] = ? and [rowid] < ? order by [rowid] desc limit 1", [ version.council_reference, version.rowid ]);
+        if (previousVersions.length === 0) {
+            console.log(`    ${version.council_reference}: new application first seen on ${version.first_seen} in ${version.info_url}`);
+            continue;
+        }
+        console.log(`    ${version.council_reference}: changed on ${version.first_seen} in ${version.info_url}`);
+        for (let column of HistoryColumns)
+            if (previousVersions[0][column] !== version[column])
+                console.log(`        ${column}: \"${previousVersions[0][column]}\" -> \"${version[column]}\"`);
+    }
+    console.log(`Found ${versions.length} new or changed version(s) of development applications.`);
+}
+
+// Classifies the descriptions of all development applications in the database again (for example,
+// after the classification rules have been changed), updating only those rows whose categories or
+// number of lots have changed.
+
+async function reclassifyApplications(database) {
+    let rows = await readRows(database, "select [council_reference], [description], [categories], [lot_count] from [data]");
+    let changedCount = 0;
+    await runSql(database, "begin transaction");
+    try {
+        for (let row of rows) {
+            let classification = classifyDescription((row.description === null) ? "" : row.description, ClassificationRules);
+            let categories = JSON.stringify(classification.categories);
+            if (categories !== row.categories || classification.lotCount !== row.lot_count) {
+                await runSql(database, "update [data] set [categories] = ?, [lot_count] = ? where [council_reference] = ?", [ categories, classification.lotCount, row.council_reference ]);
+                console.log(`    ${row.council_reference}: ${categories}${(classification.lotCount === null) ? "" : ` (${classification.lotCount} lots)`}`);
+                changedCount++;
+            }
+        }
+        await runSql(database, "commit");
+    } catch (error) {
+        await runSql(database, "rollback");
+        throw error;
+    }
+    console.log(`Classified ${rows.length} development application(s), of which ${changedCount} changed.`);
+}
+
+// A record of a PDF in the processed-document ledger.
+
+export interface DocumentRecord {
+    url: string,
+    hash: string,  // the SHA-256 hash of the content of the PDF when it was last parsed
+    dateParsed: string,  // when the PDF was last parsed
+    dateChecked: string,  // when the PDF was last retrieved (and compared to the hash)
+    applicationCount: number,  // the number of development applications parsed from the PDF
+    failed: boolean,
+    error: string,  // the reason that the PDF could not be retrieved or parsed
+    lastPage: number,  // the last page saved by a parse that has not yet completed (null if there is no checkpoint)
+    checkpointHash: string,  // the SHA-256 hash of the PDF to which the checkpoint applies
+    checkpointRun: string,  // the start time of the run that began the parse (the last seen time recorded for the development applications it saved)
+    peakMemory: number,  // the peak memory use (in bytes) when the PDF was last parsed
+    etag: string,  // the ETag header of the response when the PDF was last retrieved
+    lastModified: string  // the Last-Modified header of the response when the PDF was last retrieved
+}
+
+// Reads the processed-document ledger (which records each PDF that has been parsed).
+
+export async function readDocumentRecords(database): Promise<DocumentRecord[]> {
+    return new Promise<DocumentRecord[]>((resolve, reject) => {
+        database.all("select * from [documents]", function(error, rows) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else {
+                resolve(rows.map(row => ({
+                    url: row.url,
+                    hash: row.hash,
+                    dateParsed: row.date_parsed,
+                    dateChecked: row.date_checked,
+                    applicationCount: row.application_count,
+                    failed: (row.failed === 1),
+                    error: row.error,
+                    lastPage: row.last_page,
+                    checkpointHash: row.checkpoint_hash,
+                    checkpointRun: row.checkpoint_run,
+                    peakMemory: row.peak_memory,
+                    etag: row.etag,
+                    lastModified: row.last_modified
+                })));
+            }
+        });
+    });
+}
+
+// Inserts or updates the record of a PDF in the processed-document ledger.
+
+async function saveDocumentRecord(database, documentRecord: DocumentRecord) {
     return new Promise((resolve, reject) => {
-        let sqlStatement = database.prepare("insert or replace into [data] values (?, ?, ?, ?, ?, ?, ?)");
+        let sqlStatement = database.prepare("insert or replace into [documents] ([url], [hash], [date_parsed], [date_checked], [application_count], [failed], [error], [last_page], [checkpoint_hash], [checkpoint_run], [peak_memory], [etag], [last_modified]) values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
         sqlStatement.run([
-            developmentApplication.applicationNumber,
-            developmentApplication.address,
-            developmentApplication.description,
-            developmentApplication.informationUrl,
-            developmentApplication.commentUrl,
-            developmentApplication.scrapeDate,
-            developmentApplication.receivedDate
+            documentRecord.url,
+            documentRecord.hash,
+            documentRecord.dateParsed,
+            documentRecord.dateChecked,
+            documentRecord.applicationCount,
+            documentRecord.failed ? 1 : 0,
+            documentRecord.error,
+            documentRecord.lastPage,
+            documentRecord.checkpointHash,
+            documentRecord.checkpointRun,
+            documentRecord.peakMemory,
+            documentRecord.etag,
+            documentRecord.lastModified
         ], function(error, row) {
             if (error) {
                 console.error(error);
                 reject(error);
             } else {
-                console.log(`    Saved application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\" and received date \"${developmentApplication.receivedDate}\" to the database.`);
                 sqlStatement.finalize();  // releases any locks
                 resolve(row);
             }
@@ -64,9 +322,151 @@ async function insertRow(database, developmentApplication) {
     });
 }
 
+// The kinds of problem recorded in the parse-quality report: a page from which no development
+// applications could be parsed, a group of elements from which a development application could
+// not be parsed, an address with a suburb that was not recognised, a suffix added to a duplicate
+// application number and a warning about a development application that was still saved.
+
+const ReportIssueKinds = [ "skipped_page", "rejected_row", "unrecognised_suburb", "duplicate_number", "warning" ];
+
+// A problem recorded in the parse-quality report.
+
+interface ReportIssue {
+    url: string,
+    page: number,
+    kind: string,
+    applicationNumber: string,
+    detail: string,
+    elements: string  // the raw text of the elements involved (each enclosed in square brackets)
+}
+
+// The totals for a PDF in the parse-quality report.
+
+interface ReportDocument {
+    url: string,
+    pageCount: number,
+    applicationCount: number,
+    status: string,  // "parsed", "failed" or "unchanged" (not parsed because the PDF has not changed since it was last parsed)
+    failed: boolean,
+    error: string,
+    issueCounts: { [kind: string]: number },
+    profiles: string[],  // the name of the layout profile chosen for each page
+    peakMemory: number  // the peak memory use (resident set size in bytes) while parsing the PDF
+}
+
+// The parse-quality report for the current run (null when no report is being recorded, for
+// example, when running the regression tests).
+
+interface Report {
+    runDate: string,
+    documents: ReportDocument[],
+    issues: ReportIssue[],
+    url: string,  // the PDF currently being parsed
+    page: number  // the page currently being parsed
+}
+
+let Report: Report = null;
+
+// Starts recording the parse-quality report for a run (the report is returned so that it can be
+// saved once the run is complete).
+
+export function startReport(runDate: string = moment().format("YYYY-MM-DD HH:mm:ss")) {
+    Report = { runDate: runDate, documents: [], issues: [], url: undefined, page: undefined };
+    return Report;
+}
+
+// Records that a page of a PDF is being parsed (subsequent issues are recorded against this page).
+
+function reportPage(url: string, page: number) {
+    if (Report === null)
+        return;
+    Report.url = url;
+    Report.page = page;
+    let reportDocument = Report.documents.find(reportDocument => reportDocument.url === url);
+    if (reportDocument === undefined) {
+        reportDocument = { url: url, pageCount: 0, applicationCount: 0, status: "parsed", failed: false, error: null, issueCounts: {}, profiles: [], peakMemory: null };
+        for (let kind of ReportIssueKinds)
+            reportDocument.issueCounts[kind] = 0;
+        Report.documents.push(reportDocument);
+    }
+    reportDocument.pageCount = Math.max(reportDocument.pageCount, page);
+}
+
+// Records a problem encountered on the page currently being parsed.
+
+function reportIssue(kind: string, detail: string, elements: Element[], applicationNumber?: string) {
+    if (Report === null)
+        return;
+    Report.issues.push({
+        url: Report.url,
+        page: Report.page,
+        kind: kind,
+        applicationNumber: applicationNumber,
+        detail: detail,
+        elements: elements.map(element => `[${element.text}]`).join("")
+    });
+    let reportDocument = Report.documents.find(reportDocument => reportDocument.url === Report.url);
+    if (reportDocument !== undefined)
+        reportDocument.issueCounts[kind]++;
+}
+
+// Records the layout profile chosen for the page currently being parsed.
+
+function reportProfile(name: string) {
+    if (Report === null)
+        return;
+    let reportDocument = Report.documents.find(reportDocument => reportDocument.url === Report.url);
+    if (reportDocument !== undefined)
+        reportDocument.profiles[Report.page - 1] = name;
+}
+
+// Records the outcome of parsing a PDF (or that the PDF was not parsed because it has not changed
+// since it was last parsed).
+
+function reportDocumentOutcome(url: string, applicationCount: number, error: string, peakMemory: number, unchanged: boolean = false) {
+    if (Report === null)
+        return;
+    if (!Report.documents.some(reportDocument => reportDocument.url === url))
+        reportPage(url, 0);  // the PDF could not be read (or was not parsed)
+    let reportDocument = Report.documents.find(reportDocument => reportDocument.url === url);
+    reportDocument.applicationCount = applicationCount;
+    reportDocument.status = unchanged ? "unchanged" : ((error === null) ? "parsed" : "failed");
+    reportDocument.failed = (error !== null);
+    reportDocument.error = error;
+    reportDocument.peakMemory = peakMemory;
+}
+
+// Saves the parse-quality report to the database and to a JSON file.
+
+export async function saveReport(database, report: Report, fileName: string) {
+    for (let reportDocument of report.documents)
+        await runSql(database,
+            `insert into [report_documents] ([run_date], [url], [page_count], [application_count], [status], [failed], [error], [profiles], [peak_memory], ${ReportIssueKinds.map(kind => `[${kind}_count]`).join(", ")}) values (?, ?, ?, ?, ?, ?, ?, ?, ?, ${ReportIssueKinds.map(() => "?").join(", ")})`,
+            [ report.runDate, reportDocument.url, reportDocument.pageCount, reportDocument.applicationCount, reportDocument.status, reportDocument.failed ? 1 : 0, reportDocument.error, JSON.stringify(reportDocument.profiles), reportDocument.peakMemory, ...ReportIssueKinds.map(kind => reportDocument.issueCounts[kind]) ]);
+    for (let issue of report.issues)
+        await runSql(database,
+            "insert into [report_issues] ([run_date], [url], [page], [kind], [application_number], [detail], [elements]) values (?, ?, ?, ?, ?, ?, ?)",
+            [ report.runDate, issue.url, issue.page, issue.kind, issue.applicationNumber, issue.detail, issue.elements ]);
+
+    let totals = {};
+    for (let kind of ReportIssueKinds)
+        totals[kind] = report.issues.filter(issue => issue.kind === kind).length;
+    fs.writeFileSync(fileName, JSON.stringify({
+        runDate: report.runDate,
+        documentCount: report.documents.length,
+        applicationCount: report.documents.reduce((total, reportDocument) => total + reportDocument.applicationCount, 0),
+        failedDocumentCount: report.documents.filter(reportDocument => reportDocument.failed).length,
+        unchangedDocumentCount: report.documents.filter(reportDocument => reportDocument.status === "unchanged").length,
+        issueCounts: totals,
+        documents: report.documents,
+        issues: report.issues
+    }, null, 4));
+    console.log(`Saved the parse-quality report (${report.issues.length} issue(s) in ${report.documents.length} document(s)) to the database and to: ${fileName}`);
+}
+
 // A bounding rectangle.
 
-interface Rectangle {
+export interface Rectangle {
     x: number,
     y: number,
     width: number,
@@ -75,9 +475,9 @@ interface Rectangle {
 
 // An element (consisting of text and a bounding rectangle) in a PDF document.
 
-interface Element extends Rectangle {
+export interface Element extends Rectangle {
     text: string,
-    confidence: number
+    confidence: number  // 0 to 100 (text recognised by OCR may be less than 100)
 }
 
 // Gets the highest Y co-ordinate of all elements that are considered to be in the same row as
@@ -85,7 +485,7 @@ interface Element extends Rectangle {
 // be considered as part of all rows and effectively force the return value of this function to
 // the same value, regardless of the value of startElement).
 
-function getRowTop(elements: Element[], startElement: Element) {
+export function getRowTop(elements: Element[], startElement: Element) {
     let top = startElement.y;
     for (let element of elements)
         if (element.y < startElement.y + startElement.height && element.y + element.height > startElement.y)  // check for overlap
@@ -143,7 +543,7 @@ function getVerticalOverlapPercentage(element1: Element, element2: Element) {
 // Gets the element immediately to the right of the specified element (but ignores elements that
 // appear after a large horizontal gap).
 
-function getRightElement(elements: Element[], element: Element) {
+export function getRightElement(elements: Element[], element: Element) {
     let closestElement: Element = { text: undefined, confidence: 0, x: Number.MAX_VALUE, y: Number.MAX_VALUE, width: 0, height: 0 };
     for (let rightElement of elements)
         if (isVerticalOverlap(element, rightElement) &&  // ensure that there is at least some vertical overlap
@@ -155,42 +555,127 @@ function getRightElement(elements: Element[], element: Element) {
     return (closestElement.text === undefined) ? undefined : closestElement;
 }
 
-// Formats (and corrects) an address.
+// Gets the element that is the heading of the next column to the right of the specified column
+// heading element (ignoring any elements that are part of the same heading text, such as "Date"
+// in "Application Date").
 
-function formatAddress(address: string) {
-    address = address.trim();
-    if (address === "")
-        return "";
+function getNextHeadingElement(elements: Element[], headingElement: Element) {
+    let lastElement = headingElement;
+    for (let rightElement = getRightElement(elements, lastElement); rightElement !== undefined; rightElement = getRightElement(elements, lastElement))
+        lastElement = rightElement;
 
-    // Pop tokens from the end of the array until a valid suburb name is encountered (allowing
-    // for a few spelling errors).
+    let nextHeadingElement: Element = undefined;
+    for (let element of elements)
+        if (getVerticalOverlapPercentage(headingElement, element) > 50 &&  // the heading must be in the same row
+            element.x > lastElement.x + lastElement.width &&  // the heading must be to the right
+            (nextHeadingElement === undefined || element.x < nextHeadingElement.x))  // choose the closest heading
+            nextHeadingElement = element;
+    return nextHeadingElement;
+}
 
-    let tokens = address.split(" ");
+// Gets the lines of text formed by the specified elements (which are assumed to be sorted by Y
+// co-ordinate and then by X co-ordinate, as they are on a PDF page).
 
-    let suburbName = null;
-    for (let index = 1; index <= 4; index++) {
-        let suburbNameMatch = didyoumean(tokens.slice(-index).join(" "), Object.keys(SuburbNames), { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true });
-        if (suburbNameMatch !== null) {
-            suburbName = SuburbNames[suburbNameMatch];
-            tokens.splice(-index, index);  // remove elements from the end of the array           
-            break;
+function getLines(elements: Element[]) {
+    let lines: string[] = [];
+    let previousY = undefined;
+    for (let element of elements) {
+        if (previousY === undefined || element.y > previousY + element.height / 2)  // a new line
+            lines.push("");
+        lines[lines.length - 1] += element.text;
+        previousY = element.y;
+    }
+    return lines;
+}
+
+// The referral agencies that commonly appear in the "Referrals/" column, with the various ways
+// that their names are written.
+
+const ReferralAgencies: { [name: string]: string[] } = {
+    "EPA": [ "EPA", "Environment Protection Authority" ],
+    "CFS": [ "CFS", "Country Fire Service", "SA Country Fire Service" ],
+    "SA Water": [ "SA Water", "SAWater", "SA Water Corporation" ],
+    "DPTI": [ "DPTI", "Department of Planning Transport and Infrastructure" ],
+    "Commissioner of Highways": [ "Commissioner of Highways", "COH" ],
+    "Native Vegetation Council": [ "Native Vegetation Council", "NVC" ],
+    "Heritage SA": [ "Heritage SA", "Heritage" ]
+};
+
+// Text that indicates that there were no referrals.
+
+const NoReferralTexts = [ "nil", "none", "n/a", "na", "-" ];
+
+// Finds the standard name of a referral agency (returning undefined if the name is not
+// recognised).
+
+function findReferralAgency(name: string) {
+    let simplifiedName = name.replace(/[^A-Za-z0-9/]+/g, " ").trim().toLowerCase();
+    return Object.keys(ReferralAgencies).find(agency => ReferralAgencies[agency].some(alias => alias.toLowerCase() === simplifiedName));
+}
+
+// Converts the lines of text in a "Referrals/" cell into a list of referral agencies.  Each line
+// may contain several referral agencies separated by commas, semicolons or ampersands; and a long
+// agency name may be wrapped onto a second line.
+
+function parseReferrals(lines: string[]) {
+    let names: string[] = [];
+    for (let line of lines) {
+        let previousName = (names.length === 0) ? undefined : names[names.length - 1];
+        for (let name of line.split(/[,;&]/).map(name => name.replace(/\s+/g, " ").trim()).filter(name => name !== "")) {
+            if (previousName !== undefined && findReferralAgency(previousName) === undefined && findReferralAgency(`${previousName} ${name}`) !== undefined)
+                names[names.length - 1] = `${previousName} ${name}`;  // a name that wraps onto the next line
+            else
+                names.push(name);
+            previousName = undefined;  // only the first name on a line may be the continuation of the previous line
         }
     }
 
-    if (suburbName === null) {  // suburb name not found (or not recognised)
+    let referrals: string[] = [];
+    for (let name of names) {
+        if (NoReferralTexts.includes(name.toLowerCase()))
+            continue;
+        let referral = findReferralAgency(name) || name;
+        if (!referrals.includes(referral))
+            referrals.push(referral);
+    }
+    return referrals;
+}
+
+// Parses an address into its components (correcting the suburb name and adding the state and
+// post code).
+
+export function parseAddressComponents(address: string): AddressComponents {
+    let components = parseAddress(address, Gazetteer);
+    if (address.trim() !== "" && components.postCode === "") {  // suburb name not found (or not recognised)
         console.log(`The state and post code will not be added because the suburb was not recognised: ${address}`);
-        return address;
+        reportIssue("unrecognised_suburb", address, []);
     }
+    return components;
+}
 
-    // Add the suburb name with its state and post code to the street name.
+// Formats (and corrects) an address.
 
-    let streetName = tokens.join(" ").trim();
-    return (streetName + ((streetName === "") ? "" : ", ") + suburbName).trim();
+export function formatAddress(address: string) {
+    return formatAddressComponents(parseAddressComponents(address));
 }
 
-// Parses the details from the elements associated with a single development application.
+// Parses the details from the elements associated with a single development application (dates
+// are parsed using the date formats of the specified layout profile).
+
+export function parseApplicationElements(elements: Element[], startElement: Element, applicantElement: Element, applicationElement: Element, proposalElement: Element, referralsElement: Element, afterReferralsElement: Element, decisionElement: Element, informationUrl: string, profile: LayoutProfile, layout?: PageLayout) {
+    let warnings: string[] = [];  // problems that do not prevent the development application from being saved
+
+    // Records the region from which a field was extracted (when the layout is being rendered) and
+    // warns about any text in the field that was recognised by OCR with a low confidence.
+
+    let addField = (name: string, fieldElements: Element[]) => {
+        if (layout !== undefined && fieldElements.length > 0)
+            layout.fields.push({ name: name, rectangle: getBoundingRectangle(fieldElements) });
+        let lowConfidenceElements = fieldElements.filter(element => element.confidence !== undefined && element.confidence < LowConfidence);
+        if (lowConfidenceElements.length > 0)
+            warnings.push(`The ${name.replace(/([A-Z])/g, " $1").toLowerCase()} text ${lowConfidenceElements.map(element => `\"${element.text.trim()}\" (${Math.round(element.confidence)}%)`).join(", ")} was recognised with low confidence.`);
+    };
 
-function parseApplicationElements(elements: Element[], startElement: Element, applicantElement: Element, applicationElement: Element, proposalElement: Element, referralsElement: Element, informationUrl: string) {
     // Get the application number.
 
     let xComparer = (a, b) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0);
@@ -203,12 +688,14 @@ function parseApplicationElements(elements: Element[], startElement: Element, ap
         let text = applicationNumberElements.slice(0, index).map(element => element.text).join("").replace(/\s/g, "");
         if (/\/[0-9]{4}$/.test(text)) {
             applicationNumber = text;
+            addField("applicationNumber", applicationNumberElements.slice(0, index));
             break;
         }
     }
     if (applicationNumber === undefined) {
         let elementSummary = elements.map(element => `[${element.text}]`).join("");
         console.log(`Could not find the application number on the PDF page for the current development application.  The development application will be ignored.  Elements: ${elementSummary}`);
+        reportIssue("rejected_row", "The application number was not found.", elements);
         return undefined;
     }
     console.log(`    Found \"${applicationNumber}\".`);
@@ -229,9 +716,15 @@ function parseApplicationElements(elements: Element[], startElement: Element, ap
     if (applicationDateElement === undefined) {
         let elementSummary = elements.map(element => `[${element.text}]`).join("");
         console.log(`Could not find the application date on the PDF page for the current development application.  The development application will be ignored.  Elements: ${elementSummary}`);
+        reportIssue("rejected_row", `The application date was not found for application \"${applicationNumber}\".`, elements, applicationNumber);
         return undefined;
     }
 
+    addField("applicationDate", [ applicationDateElement ]);
+    let applicationDate = parseProfileDate(applicationDateElement.text, profile);
+    if (applicationDate === undefined)
+        warnings.push(`The application date \"${applicationDateElement.text.trim()}\" is not a valid date.`);
+
     // Get the received date.
 
     let receivedDateElement: Element = undefined;
@@ -242,30 +735,46 @@ function parseApplicationElements(elements: Element[], startElement: Element, ap
             getArea(element) > 0.5 * getArea(receivedDateRectangle) &&  // ensure that the element is approximately the same size (within 50%) as what is expected for the date rectangle
             getArea(intersect(element, receivedDateRectangle)) > 0.75 * getArea(element) &&  // determine if the element mostly overlaps (by more than 75%) the rectangle where the date is expected to appear
             element.y > applicationDateElement.y + applicationDateElement.height &&  // ignore the application date (the recieved date appears futher down)
-            moment(element.text.trim(), "D/MM/YYYY", true).isValid()) {  // ensure that "Received" and "Date" text are ignored (keep searching until a valid date is found)
+            /[0-9]/.test(element.text)) {  // ensure that "Received" and "Date" text are ignored (keep searching until text that may be a date is found)
             receivedDateElement = element;
             break;
         }
     }
 
+    let receivedDate = undefined;
     if (receivedDateElement === undefined)
-        receivedDateElement = applicationDateElement;  // fallback to the application date
+        warnings.push("The received date was not found.");
+    else {
+        addField("receivedDate", [ receivedDateElement ]);
+        receivedDate = parseProfileDate(receivedDateElement.text, profile);
+        if (receivedDate === undefined)
+            warnings.push(`The received date \"${receivedDateElement.text.trim()}\" is not a valid date.`);
+    }
 
-    let receivedDate = moment(applicationDateElement.text.trim(), "D/MM/YYYY", true);
-    
     // Get the address (to the right of the application date element and to the left of the
     // "Proposal" column heading).  The address seems to always be a single line.
 
-    let address = elements
+    let addressElements = elements
         .filter(element =>
             element.x > applicationDateElement.x + applicationDateElement.width &&  // the address elements must be to the right of the application date
             getVerticalOverlapPercentage(applicationDateElement, element) > 50 &&  // the address element must overlap vertically with the application date element
             element.x < proposalElement.x - proposalElement.height / 2)  // the address element must be at least a little to the left of the "Proposal" heading text (arbitrarily use half the height)
-        .sort(xComparer)
-        .map(element => element.text)
-        .join("");
+        .sort(xComparer);
+    addField("address", addressElements);
+    let address = addressElements.map(element => element.text).join("");
+
+    let addressComponents = parseAddressComponents(address);
+    address = formatAddressComponents(addressComponents);  // add the state and post code to the address
+    let location = geocodeAddress(addressComponents, Gazetteer, StreetCoordinates);
 
-    address = formatAddress(address);  // add the state and post code to the address
+    // Get the applicant (between the "Applicant" heading and the application date column).
+
+    let applicantElements = elements
+        .filter(element =>
+            element.x > applicantElement.x - applicantElement.height / 2 &&  // the applicant elements may start a little to the left of the "Applicant" heading
+            element.x < applicationElement.x - applicationElement.height / 2);  // the applicant elements are to the left of the application date column
+    addField("applicant", applicantElements);
+    let applicant = getLines(applicantElements).map(line => line.trim()).filter(line => line !== "").join(" ");
 
     // Get the description.
 
@@ -276,39 +785,94 @@ function parseApplicationElements(elements: Element[], startElement: Element, ap
             .filter(element =>
                 element.x > proposalElement.x - proposalElement.height / 2 &&  // the description elements may start at least a little to the left to the "Proposal" heading
                 element.x < referralsElement.x);  // the description elements are to the left of the "Referrals/" heading
-        
-        let previousY = undefined;
-        for (let descriptionElement of descriptionElements) {
-            if (previousY !== undefined && descriptionElement.y > previousY + descriptionElement.height / 2)  // a new line
-                description += " ";
-            description += descriptionElement.text;
-            previousY = descriptionElement.y;
+        addField("description", descriptionElements);
+        description = getLines(descriptionElements).join(" ");
+    }
+
+    // Get the referral agencies (between the "Referrals/" heading and the next column heading, if
+    // any).
+
+    let referrals: string[] = [];
+
+    if (referralsElement !== undefined) {
+        let referralElements = elements
+            .filter(element =>
+                element.x > referralsElement.x - referralsElement.height / 2 &&  // the referral elements may start a little to the left of the "Referrals/" heading
+                (afterReferralsElement === undefined || element.x < afterReferralsElement.x - afterReferralsElement.height / 2));  // the referral elements are to the left of the next column
+        addField("referrals", referralElements);
+        referrals = parseReferrals(getLines(referralElements));
+    }
+
+    // Get the decision date and the decision (or status) text from the columns to the right of the
+    // "Decision" heading (if there is such a heading).  These are only present once the
+    // development application has been assessed.
+
+    let decisionDate = undefined;
+    let decision = "";
+
+    if (decisionElement !== undefined) {
+        let decisionElements = elements.filter(element => element.x > decisionElement.x - decisionElement.height / 2);
+        addField("decision", decisionElements);
+        let decisionLines: string[] = [];
+        for (let line of getLines(decisionElements).map(line => line.trim()).filter(line => line !== "")) {
+            if (!/^[0-9]+\/[0-9]+\/[0-9]+$/.test(line))
+                decisionLines.push(line);
+            else if (decisionDate !== undefined)
+                warnings.push(`The additional decision date \"${line}\" was ignored.`);
+            else {
+                decisionDate = parseProfileDate(line, profile);
+                if (decisionDate === undefined)
+                    warnings.push(`The decision date \"${line}\" is not a valid date.`);
+            }
         }
+        decision = decisionLines.join(" ");
+    }
+
+    for (let warning of warnings) {
+        console.log(`    Warning for \"${applicationNumber}\": ${warning}`);
+        reportIssue("warning", warning, [], applicationNumber);
     }
 
+    description = (description.trim() === "") ? "No Description Provided" : description;
+    let classification = classifyDescription(description, ClassificationRules);
+
     return {
         applicationNumber: applicationNumber,
+        applicant: applicant,
         address: address,
-        description: ((description.trim() === "") ? "No Description Provided" : description),
+        addressComponents: addressComponents,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        geocodePrecision: location.precision,
+        description: description,
+        categories: classification.categories,
+        lotCount: classification.lotCount,
         informationUrl: informationUrl,
         commentUrl: CommentUrl,
         scrapeDate: moment().format("YYYY-MM-DD"),
-        receivedDate: (receivedDate !== undefined && receivedDate.isValid()) ? receivedDate.format("YYYY-MM-DD") : ""
+        receivedDate: (receivedDate === undefined) ? "" : receivedDate.format("YYYY-MM-DD"),
+        applicationDate: (applicationDate === undefined) ? "" : applicationDate.format("YYYY-MM-DD"),
+        referrals: referrals,
+        decisionDate: (decisionDate === undefined) ? "" : decisionDate.format("YYYY-MM-DD"),
+        decision: decision,
+        warnings: warnings
     };
 }
 
 // Finds the start element of each development application on the current PDF page (there are
 // typically many development applications on a single page and each development application
-// typically begins with the text "Lodgement").
+// typically begins with the anchor word, such as "Lodgement").
 
-function findStartElements(elements: Element[]) {
-    // Examine all the elements on the page that being with "L" or "l".
+export function findStartElements(elements: Element[], anchorWord: string = "Lodgement") {
+    // Examine all the elements on the page that begin with the first letter of the anchor word.
     
     let startElements: Element[] = [];
-    for (let element of elements.filter(element => element.text.trim().toLowerCase().startsWith("l"))) {
+    let anchorText = anchorWord.replace(/\s/g, "").toLowerCase();
+    for (let element of elements.filter(element => element.text.trim().toLowerCase().startsWith(anchorText[0]))) {
         // Extract up to 10 elements to the right of the element that has text starting with the
-        // letter "l" (and so may be the start of the "Lodgement" text).  Join together the
-        // elements to the right in an attempt to find the best match to "Lodgement".
+        // first letter of the anchor word (and so may be the start of the anchor word).  Join
+        // together the elements to the right in an attempt to find the best match to the anchor
+        // word.
 
         let rightElement = element;
         let rightElements: Element[] = [];
@@ -318,14 +882,14 @@ function findStartElements(elements: Element[]) {
             rightElements.push(rightElement);
         
             let text = rightElements.map(element => element.text).join("").replace(/\s/g, "").toLowerCase();
-            if (text.length >= 10)  // stop once the text is too long
+            if (text.length > anchorText.length)  // stop once the text is too long
                 break;
-            if (text.length >= 8) {  // ignore until the text is close to long enough
-                if (text === "lodgement")
+            if (text.length >= anchorText.length - 1) {  // ignore until the text is close to long enough
+                if (text === anchorText)
                     matches.push({ element: rightElement, threshold: 0, text: text });
-                else if (didyoumean(text, [ "Lodgement" ], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 1, trimSpace: true }) !== null)
+                else if (didyoumean(text, [ anchorText ], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 1, trimSpace: true }) !== null)
                     matches.push({ element: rightElement, threshold: 1, text: text });
-                else if (didyoumean(text, [ "Lodgement" ], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true }) !== null)
+                else if (didyoumean(text, [ anchorText ], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true }) !== null)
                     matches.push({ element: rightElement, threshold: 2, text: text });
             }
 
@@ -338,7 +902,7 @@ function findStartElements(elements: Element[]) {
             let bestMatch = matches.reduce((previous, current) =>
                 (previous === undefined ||
                 current.threshold < previous.threshold ||
-                (current.threshold === previous.threshold && Math.abs(current.text.trim().length - "Lodgement".length) <= Math.abs(previous.text.trim().length - "Lodgement".length)) ? current : previous), undefined);
+                (current.threshold === previous.threshold && Math.abs(current.text.trim().length - anchorText.length) <= Math.abs(previous.text.trim().length - anchorText.length)) ? current : previous), undefined);
             startElements.push(bestMatch.element);
         }
     }
@@ -350,189 +914,670 @@ function findStartElements(elements: Element[]) {
     return startElements;
 }
 
-// Parses a PDF document.
+// Reads the text elements on a page of a PDF document.
 
-async function parsePdf(url: string) {
-    let developmentApplications = [];
+async function readPageElements(page) {
+    // Construct a text element for each item from the parsed PDF information.
 
-    // Read the PDF.
+    let textContent = await page.getTextContent();
+    let viewport = await page.getViewport(1.0);
+    let elements: Element[] = textContent.items.map(item => {
+        let transform = pdfjs.Util.transform(viewport.transform, item.transform);
 
-    let buffer = await request({ url: url, encoding: null, proxy: process.env.MORPH_PROXY });
-    await sleep(2000 + getRandom(0, 5) * 1000);
+        // Work around the issue https://github.com/mozilla/pdf.js/issues/8276 (heights are
+        // exaggerated).  The problem seems to be that the height value is too large in some
+        // PDFs.  Provide an alternative, more accurate height value by using a calculation
+        // based on the transform matrix.
 
-    // Parse the PDF.  Each page has the details of multiple applications.
+        let workaroundHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
+        return { text: item.str, confidence: 100, x: transform[4], y: transform[5], width: item.width, height: workaroundHeight };
+    });
+    return elements;
+}
 
-    let pdf = await pdfjs.getDocument({ data: buffer, disableFontFace: true, ignoreErrors: true });
-    for (let pageIndex = 0; pageIndex < pdf.numPages; pageIndex++) {
-        console.log(`Reading and parsing applications from page ${pageIndex + 1} of ${pdf.numPages}.`);
-        let page = await pdf.getPage(pageIndex + 1);
+// Parses the development applications from the text elements on a single page of a PDF document.
+// The layout determined by the parser is recorded if a layout object is provided (so that it can
+// be rendered for diagnosis).
 
-        // Construct a text element for each item from the parsed PDF information.
+export function parsePageElements(elements: Element[], url: string, layout?: PageLayout) {
+    let developmentApplications = [];
 
-        let textContent = await page.getTextContent();
-        let viewport = await page.getViewport(1.0);
-        let elements: Element[] = textContent.items.map(item => {
-            let transform = pdfjs.Util.transform(viewport.transform, item.transform);
+    // Sort the elements by Y co-ordinate and then by X co-ordinate.
 
-            // Work around the issue https://github.com/mozilla/pdf.js/issues/8276 (heights are
-            // exaggerated).  The problem seems to be that the height value is too large in some
-            // PDFs.  Provide an alternative, more accurate height value by using a calculation
-            // based on the transform matrix.
+    let elementComparer = (a, b) => (a.y > b.y) ? 1 : ((a.y < b.y) ? -1 : ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)));
+    elements = [ ...elements ].sort(elementComparer);
 
-            let workaroundHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
-            return { text: item.str, x: transform[4], y: transform[5], width: item.width, height: workaroundHeight };
-        });
+    // Ignore the page number (the last element on the page).  Otherwise this will end up as
+    // part of a description.
 
-        // Sort the elements by Y co-ordinate and then by X co-ordinate.
+    if (elements.length > 0 && /[0-9]+/.test(elements[elements.length - 1].text) && Number(elements[elements.length - 1].text) < 1000)
+        elements.pop();
 
-        let elementComparer = (a, b) => (a.y > b.y) ? 1 : ((a.y < b.y) ? -1 : ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)));
-        elements.sort(elementComparer);
+    if (layout !== undefined)
+        layout.elements = elements;
 
-        // Ignore the page number (the last element on the page).  Otherwise this will end up as
-        // part of a description.
+    // Choose the layout profile that best matches the page.
 
-        if (/[0-9]+/.test(elements[elements.length - 1].text) && Number(elements[elements.length - 1].text) < 1000)
-            elements.pop();
+    let { profile, score } = selectLayoutProfile(elements, LayoutProfiles, findStartElements);
+    console.log(`Using the layout profile \"${profile.name}\" (score ${score}).`);
+    reportProfile(profile.name);
+    if (layout !== undefined)
+        layout.profile = profile.name;
 
-        // Find the main column heading elements.
+    // Find the main column heading elements.
 
-        let applicantElement = elements.find(element => element.text.trim() === "Applicant");
-        let applicationElement = elements.find(element => element.text.trim() === "Application");
-        let proposalElement = elements.find(element => element.text.trim() === "Proposal");
-        let referralsElement = elements.find(element => element.text.trim() === "Referrals/");
+    let applicantElement = findHeadingElement(elements, profile, "applicant");
+    let applicationElement = findHeadingElement(elements, profile, "application");
+    let proposalElement = findHeadingElement(elements, profile, "proposal");
+    let referralsElement = findHeadingElement(elements, profile, "referrals");  // optional
+    let afterReferralsElement = (referralsElement === undefined) ? undefined : getNextHeadingElement(elements, referralsElement);
+    let decisionElement = findHeadingElement(elements, profile, "decision");  // optional
 
-        if (applicantElement === undefined) {
-            let elementSummary = elements.map(element => `[${element.text}]`).join("");
-            console.log(`No development applications can be parsed from the current page because the \"Applicant\" column heading was not found.  Elements: ${elementSummary}`);
-            continue;
-        } else if (applicationElement === undefined) {
-            let elementSummary = elements.map(element => `[${element.text}]`).join("");
-            console.log(`No development applications can be parsed from the current page because the \"Application Date\" column heading was not found.  Elements: ${elementSummary}`);
-            continue;
-        } else if (proposalElement === undefined) {
+    let headingElements = { applicant: applicantElement, application: applicationElement, proposal: proposalElement, referrals: referralsElement, decision: decisionElement };
+    if (layout !== undefined)
+        for (let heading of Object.keys(headingElements))
+            if (headingElements[heading] !== undefined)
+                layout.headingElements.push({ name: headingElements[heading].text.trim(), element: headingElements[heading] });
+
+    for (let heading of RequiredHeadings) {
+        if (headingElements[heading] === undefined) {
+            let headingText = profile.headings[heading].map(text => `\"${text}\"`).join(" or ");
             let elementSummary = elements.map(element => `[${element.text}]`).join("");
-            console.log(`No development applications can be parsed from the current page because the \"Proposal\" column heading was not found.  Elements: ${elementSummary}`);
-            continue;
+            console.log(`No development applications can be parsed from the current page because the ${headingText} column heading was not found.  Elements: ${elementSummary}`);
+            reportIssue("skipped_page", `The ${headingText} column heading was not found (using the layout profile \"${profile.name}\").`, elements);
+            if (layout !== undefined)
+                layout.messages.push(`No development applications were parsed because the ${headingText} column heading was not found.`);
+            return developmentApplications;
         }
+    }
+
+    // Group the elements into sections based on where the anchor word (such as "Lodgement")
+    // starts (and other elements the anchor word elements line up with horizontally with a
+    // margin of error equal to about half the height of the anchor word text).  The first anchor
+    // word of the profile that is found on the page is used.
+
+    let applicationElementGroups = [];
+    let startElements: Element[] = [];
+    for (let anchorWord of profile.anchorWords) {
+        startElements = findStartElements(elements, anchorWord);
+        if (startElements.length > 0)
+            break;
+    }
+    if (layout !== undefined)
+        layout.startElements = startElements;
+    for (let index = 0; index < startElements.length; index++) {
+        // Determine the highest Y co-ordinate of this row and the next row (or the bottom of
+        // the current page).  Allow some leeway vertically (add some extra height).
+        
+        let startElement = startElements[index];
+        let raisedStartElement: Element = {
+            text: startElement.text,
+            confidence: startElement.confidence,
+            x: startElement.x,
+            y: startElement.y - startElement.height / 2,  // leeway
+            width: startElement.width,
+            height: startElement.height };
+        let rowTop = getRowTop(elements, raisedStartElement);
+        let nextRowTop = (index + 1 < startElements.length) ? getRowTop(elements, startElements[index + 1]) : Number.MAX_VALUE;
+
+        // Extract all elements between the two rows.
+
+        applicationElementGroups.push({ startElement: startElements[index], rowTop: rowTop, nextRowTop: nextRowTop, elements: elements.filter(element => element.y >= rowTop && element.y + element.height < nextRowTop) });
+    }
+
+    // Parse the development application from each group of elements (ie. a section of the
+    // current page of the PDF document).
+
+    for (let applicationElementGroup of applicationElementGroups) {
+        let developmentApplication = parseApplicationElements(applicationElementGroup.elements, applicationElementGroup.startElement, applicantElement, applicationElement, proposalElement, referralsElement, afterReferralsElement, decisionElement, url, profile, layout);
+        if (developmentApplication !== undefined)
+            developmentApplications.push(developmentApplication);
+        if (layout !== undefined)
+            layout.rows.push({
+                top: applicationElementGroup.rowTop,
+                bottom: applicationElementGroup.nextRowTop,
+                label: (developmentApplication === undefined) ? "No development application was parsed (see the console output)" : developmentApplication.applicationNumber });
+    }
+
+    return developmentApplications;
+}
+
+// Adds the development applications parsed from a page to those already parsed from the same PDF
+// document.  If the same application number is encountered a second time add a suffix to the
+// application number so it is unique (and so will be inserted into the database later instead of
+// being ignored).
+
+function addDevelopmentApplications(developmentApplications, pageDevelopmentApplications) {
+    for (let developmentApplication of pageDevelopmentApplications) {
+        let suffix = 0;
+        let applicationNumber = developmentApplication.applicationNumber;
+        while (developmentApplications
+            .some(otherDevelopmentApplication =>
+                otherDevelopmentApplication.applicationNumber === developmentApplication.applicationNumber &&
+                    (otherDevelopmentApplication.address !== developmentApplication.address ||
+                    otherDevelopmentApplication.description !== developmentApplication.description ||
+                    otherDevelopmentApplication.receivedDate !== developmentApplication.receivedDate)))
+            developmentApplication.applicationNumber = `${applicationNumber} (${++suffix})`;  // add a unique suffix
+        if (suffix > 0)
+            reportIssue("duplicate_number", `The application number \"${applicationNumber}\" was encountered more than once with different details so the suffix \"(${suffix})\" was added.`, [], developmentApplication.applicationNumber);
+        developmentApplications.push(developmentApplication);
+    }
+}
+
+// Parses the development applications from the text elements of each page of a document (for
+// example, elements previously read from a PDF and saved as JSON).
+
+export function parseElements(pages: Element[][], url: string) {
+    let developmentApplications = [];
+    for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+        console.log(`Parsing applications from page ${pageIndex + 1} of ${pages.length}.`);
+        reportPage(url, pageIndex + 1);
+        addDevelopmentApplications(developmentApplications, parsePageElements(pages[pageIndex], url));
+    }
+    return developmentApplications;
+}
+
+// Writes an image of the layout of a page to the debug directory.
+
+function writePageLayout(layout: PageLayout, debugDirectory: string, url: string, pageNumber: number) {
+    let layoutFileName = path.join(debugDirectory, `${path.basename(url).replace(/[^A-Za-z0-9._-]+/g, "_")}-page-${pageNumber}.svg`);
+    if (!fs.existsSync(debugDirectory))
+        fs.mkdirSync(debugDirectory);
+    fs.writeFileSync(layoutFileName, renderPageLayout(layout));
+    console.log(`Wrote the page layout to: ${layoutFileName}`);
+}
+
+// Parses the development applications on a single page of a PDF document.  If a debug directory
+// is specified then an image of the layout of the page is written to that directory (including
+// for a page that is skipped because it has no text).  If OCR is enabled and the page has no
+// text (such as a scanned page) then the text is recognised using OCR.
+
+async function parsePdfPage(page, pageNumber: number, url: string, debugDirectory: string, ocr: boolean) {
+    let elements = await readPageElements(page);
+
+    let layout: PageLayout = undefined;
+    if (debugDirectory !== undefined) {
+        let viewport = await page.getViewport(1.0);
+        layout = { width: viewport.width, height: viewport.height, elements: elements, headingElements: [], startElements: [], rows: [], fields: [], messages: [], profile: undefined };
+    }
 
-        // Group the elements into sections based on where the "Lodgement" text starts (and other
-        // elements the "Lodgement" elements line up with horizontally with a margin of error equal
-        // to about half the height of the "Lodgement" text).
-
-        let applicationElementGroups = [];
-        let startElements = findStartElements(elements);
-        for (let index = 0; index < startElements.length; index++) {
-            // Determine the highest Y co-ordinate of this row and the next row (or the bottom of
-            // the current page).  Allow some leeway vertically (add some extra height).
-            
-            let startElement = startElements[index];
-            let raisedStartElement: Element = {
-                text: startElement.text,
-                confidence: startElement.confidence,
-                x: startElement.x,
-                y: startElement.y - startElement.height / 2,  // leeway
-                width: startElement.width,
-                height: startElement.height };
-            let rowTop = getRowTop(elements, raisedStartElement);
-            let nextRowTop = (index + 1 < startElements.length) ? getRowTop(elements, startElements[index + 1]) : Number.MAX_VALUE;
-
-            // Extract all elements between the two rows.
-
-            applicationElementGroups.push({ startElement: startElements[index], elements: elements.filter(element => element.y >= rowTop && element.y + element.height < nextRowTop) });
+    if (elements.every(element => element.text.trim() === "")) {
+        if (!ocr) {
+            console.log(`Page ${pageNumber} has no text (it may be a scanned image) so it will be ignored.  Use "--ocr" to recognise the text on the page.`);
+            reportIssue("skipped_page", "The page has no text (it may be a scanned image).", []);
+            if (layout !== undefined) {
+                layout.messages.push("The page has no text (it may be a scanned image) so it was ignored; use --ocr to recognise the text on the page.");
+                writePageLayout(layout, debugDirectory, url, pageNumber);
+            }
+            return [];
         }
+        console.log(`Page ${pageNumber} has no text (it may be a scanned image) so the text is being recognised using OCR.`);
+        elements = await recognisePageElements(page);
+        console.log(`Recognised ${elements.length} text element(s) on page ${pageNumber}.`);
+        if (layout !== undefined)
+            layout.elements = elements;
+    }
+
+    let developmentApplications = parsePageElements(elements, url, layout);
+
+    if (layout !== undefined)
+        writePageLayout(layout, debugDirectory, url, pageNumber);
+
+    return developmentApplications;
+}
+
+// Parses a PDF document one page at a time, yielding the development applications on each page
+// (the URL is recorded as the information URL of each development application).  Each page is
+// released once it has been parsed, so that only one page is held in memory at a time.  Parsing
+// starts at the specified first page (when resuming an interrupted parse); the development
+// applications already parsed from earlier pages are used to detect duplicate application
+// numbers.
+
+export async function* parsePdfPages(buffer: Buffer, url: string, debugDirectory?: string, ocr?: boolean, firstPage: number = 1, previousDevelopmentApplications: any[] = []) {
+    let developmentApplications = [ ...previousDevelopmentApplications ];
 
-        // Parse the development application from each group of elements (ie. a section of the
-        // current page of the PDF document).  If the same application number is encountered a
-        // second time add a suffix to the application number so it is unique (and so will be
-        // inserted into the database later instead of being ignored).
-
-        for (let applicationElementGroup of applicationElementGroups) {
-            let developmentApplication = parseApplicationElements(applicationElementGroup.elements, applicationElementGroup.startElement, applicantElement, applicationElement, proposalElement, referralsElement, url);
-            if (developmentApplication !== undefined) {
-                let suffix = 0;
-                let applicationNumber = developmentApplication.applicationNumber;
-                while (developmentApplications
-                    .some(otherDevelopmentApplication =>
-                        otherDevelopmentApplication.applicationNumber === developmentApplication.applicationNumber &&
-                            (otherDevelopmentApplication.address !== developmentApplication.address ||
-                            otherDevelopmentApplication.description !== developmentApplication.description ||
-                            otherDevelopmentApplication.receivedDate !== developmentApplication.receivedDate)))
-                    developmentApplication.applicationNumber = `${applicationNumber} (${++suffix})`;  // add a unique suffix
-                developmentApplications.push(developmentApplication);
+    // Parse the PDF.  Each page has the details of multiple applications.
+
+    let pdf = await pdfjs.getDocument({ data: new Uint8Array(buffer), disableFontFace: true, ignoreErrors: true });  // copy the buffer because a small buffer read from a file may be a view on a larger, shared memory pool
+    try {
+        for (let pageIndex = firstPage - 1; pageIndex < pdf.numPages; pageIndex++) {
+            console.log(`Reading and parsing applications from page ${pageIndex + 1} of ${pdf.numPages}.`);
+            reportPage(url, pageIndex + 1);
+            let page = await pdf.getPage(pageIndex + 1);
+            let pageDevelopmentApplications = [];
+            try {
+                pageDevelopmentApplications = await parsePdfPage(page, pageIndex + 1, url, debugDirectory, ocr);
+            } finally {
+                page.cleanup();  // release the resources used by the page before the next page is read
             }
+            addDevelopmentApplications(developmentApplications, pageDevelopmentApplications);
+            yield { pageNumber: pageIndex + 1, pageCount: pdf.numPages, developmentApplications: pageDevelopmentApplications };
         }
+    } finally {
+        pdf.destroy();  // release the memory used by the parsed PDF before the next PDF is parsed
     }
+}
+
+// Parses all of the development applications in a PDF document (see parsePdfPages).
 
+export async function parsePdf(buffer: Buffer, url: string, debugDirectory?: string, ocr?: boolean) {
+    let developmentApplications = [];
+    for await (let pdfPage of parsePdfPages(buffer, url, debugDirectory, ocr))
+        developmentApplications.push(...pdfPage.developmentApplications);
     return developmentApplications;
 }
 
-// Gets a random integer in the specified range: [minimum, maximum).
+// Reads the layout profiles of the register PDFs (this must be called before any PDFs are
+// parsed).
 
-function getRandom(minimum: number, maximum: number) {
-    return Math.floor(Math.random() * (Math.floor(maximum) - Math.ceil(minimum))) + Math.ceil(minimum);
+export function loadProfiles(fileName: string = "profiles.json") {
+    LayoutProfiles = loadLayoutProfiles(fs.readFileSync(fileName).toString());
 }
 
-// Pauses for the specified number of milliseconds.
+// Reads the rules used to classify the descriptions of development applications (this must be
+// called before any PDFs are parsed).
 
-function sleep(milliseconds: number) {
-    return new Promise(resolve => setTimeout(resolve, milliseconds));
+export function loadClassification(fileName: string = "classification.json") {
+    ClassificationRules = loadClassificationRules(fs.readFileSync(fileName).toString());
 }
 
-// Parses the development applications.
+// Reads the files containing all possible suburb names and their aliases (this must be called
+// before any addresses are formatted).
 
-async function main() {
-    // Ensure that the database exists.
+export function loadSuburbNames() {
+    Gazetteer = loadGazetteer(fs.readFileSync("suburbnames.txt").toString(), fs.readFileSync("suburbaliases.txt").toString());
+}
 
-    let database = await initializeDatabase();
+// Reads the file of street (or address) co-ordinates used to geocode addresses (see geocode.ts).
 
-    // Read the files containing all possible suburb names.
+export function loadGeocodeFile(fileName: string) {
+    StreetCoordinates = loadStreetCoordinates(fs.readFileSync(fileName).toString());
+    console.log(`Read the co-ordinates of ${Object.keys(StreetCoordinates).length} street(s) and address(es) from: ${fileName}`);
+}
 
-    SuburbNames = {};
-    for (let suburb of fs.readFileSync("suburbnames.txt").toString().replace(/\r/g, "").trim().split("\n"))
-        SuburbNames[suburb.split(",")[0]] = suburb.split(",")[1];
+// Parses a command line argument that must be a number of seconds (returning the number of
+// milliseconds).
 
-    // Retrieve the page that contains the links to the PDFs.
+function parseSeconds(name: string, value: string) {
+    let seconds = Number(value);
+    if (value.trim() === "" || isNaN(seconds) || seconds < 0)
+        throw new Error(`The value of ${name} must be a number of seconds: ${value}`);
+    return seconds * 1000;
+}
+
+// Parses the command line arguments (for example, "--register-file register.html --pdf-directory
+// pdfs" parses the saved PDFs without accessing the council web site).
+
+function parseCommandLine(args: string[]): Options {
+    let options: Options = { registerFile: undefined, pdfDirectory: undefined, databaseFile: undefined, cacheDirectory: undefined, batchSize: DefaultBatchSize, backfill: false, changesFrom: undefined, changesTo: moment().format("YYYY-MM-DD"), reclassify: false, debugDirectory: undefined, reportFile: "report.json", geocodeFile: undefined, ocr: false, ocrDataDirectory: undefined, profilesFile: "profiles.json", classificationFile: "classification.json", registerUrl: DevelopmentApplicationsUrl, fetchSettings: {} };
+    for (let index = 0; index < args.length; index++) {
+        let name = args[index];
+        if (name === "--backfill") {
+            options.backfill = true;
+            continue;
+        } else if (name === "--ocr") {
+            options.ocr = true;
+            continue;
+        } else if (name === "--reclassify") {
+            options.reclassify = true;
+            continue;
+        }
+
+        let value = args[++index];
+        if (value === undefined)
+            throw new Error(`No value was provided for the command line argument: ${name}`);
+        if (name === "--register-file")
+            options.registerFile = value;
+        else if (name === "--pdf-directory")
+            options.pdfDirectory = value;
+        else if (name === "--database")
+            options.databaseFile = value;
+        else if (name === "--cache-directory")
+            options.cacheDirectory = value;
+        else if (name === "--debug-directory")
+            options.debugDirectory = value;
+        else if (name === "--report-file")
+            options.reportFile = value;
+        else if (name === "--geocode-file")
+            options.geocodeFile = value;
+        else if (name === "--profiles-file")
+            options.profilesFile = value;
+        else if (name === "--classification-file")
+            options.classificationFile = value;
+        else if (name === "--ocr-data-directory")
+            options.ocrDataDirectory = value;
+        else if (name === "--register-url")
+            options.registerUrl = new urlparser.URL(value).href;
+        else if (name === "--timeout")
+            options.fetchSettings.timeout = parseSeconds(name, value);
+        else if (name === "--request-interval")
+            options.fetchSettings.requestInterval = parseSeconds(name, value);
+        else if (name === "--host-request-interval") {
+            let [ host, seconds ] = value.split("=");
+            if (seconds === undefined)
+                throw new Error(`The value of ${name} must be in the form <host>=<seconds>: ${value}`);
+            options.fetchSettings.hostRequestIntervals = { ...options.fetchSettings.hostRequestIntervals, [host]: parseSeconds(name, seconds) };
+        } else if (name === "--retries") {
+            options.fetchSettings.retryCount = Number(value);
+            if (!Number.isInteger(options.fetchSettings.retryCount) || options.fetchSettings.retryCount < 0)
+                throw new Error(`The number of retries must be a whole number: ${value}`);
+        }
+        else if (name === "--changes-from" || name === "--changes-to") {
+            if (!moment(value, [ "YYYY-MM-DD", "YYYY-MM-DD HH:mm:ss" ], true).isValid())
+                throw new Error(`The date must be in the format YYYY-MM-DD (or YYYY-MM-DD HH:mm:ss for the start time of a run): ${value}`);
+            if (name === "--changes-from")
+                options.changesFrom = value;
+            else
+                options.changesTo = value;
+        } else if (name === "--batch-size") {
+            options.batchSize = Number(value);
+            if (!Number.isInteger(options.batchSize) || options.batchSize < 1)
+                throw new Error(`The batch size must be a positive whole number: ${value}`);
+        }
+        else
+            throw new Error(`Unrecognised command line argument: ${name}`);
+    }
+
+    // When replaying from a directory of PDFs without a register file the file names are used in
+    // place of URLs, so the development applications must not be saved in the database read by
+    // PlanningAlerts (that would replace the information URLs of existing rows with file names).
+
+    if (options.pdfDirectory !== undefined && options.registerFile === undefined) {
+        if (options.databaseFile === undefined)
+            options.databaseFile = ReplayDatabaseFile;
+        else if (path.resolve(options.databaseFile) === path.resolve(DatabaseFile))
+            throw new Error(`PDFs replayed without a register file cannot be saved to ${DatabaseFile} (file names are used in place of URLs); specify a different database using --database.`);
+    } else if (options.databaseFile === undefined)
+        options.databaseFile = DatabaseFile;
+
+    return options;
+}
+
+// Gets the name of the file used to store a local copy of the document at the specified URL (the
+// last segment of the URL path, so that PDFs saved to the cache directory can later be found in
+// the PDF directory when replaying a run).
+
+function getLocalFileName(url: string) {
+    let fileName = decodeURIComponent(path.basename(new urlparser.URL(url).pathname));
+    return (path.extname(fileName) === "") ? `${fileName}.html` : fileName;
+}
+
+// Reads a document, either from the specified local file or (if no local file is specified) by
+// retrieving it from the specified URL.  If the ledger record of an earlier retrieval of the
+// document is specified then a conditional request is made (and the result indicates if the
+// document has not been modified since then).  A copy of each retrieved document is saved to the
+// cache directory (if there is one) so that the run can be replayed later.
+
+async function readDocument(url: string, localFileName: string, documentRecord?: DocumentRecord): Promise<FetchResult> {
+    if (localFileName !== undefined) {
+        console.log(`Reading file: ${localFileName}`);
+        return { body: fs.readFileSync(localFileName), notModified: false, etag: null, lastModified: null };
+    }
+
+    console.log(`Retrieving document: ${url}`);
+    let result = (documentRecord === undefined) ? await fetchDocument(url) : await fetchDocument(url, documentRecord.etag, documentRecord.lastModified);
+
+    if (Options.cacheDirectory !== undefined && !result.notModified) {
+        let cacheFileName = path.join(Options.cacheDirectory, getLocalFileName(url));
+        if (!fs.existsSync(Options.cacheDirectory))
+            fs.mkdirSync(Options.cacheDirectory);
+        fs.writeFileSync(cacheFileName, result.body);
+        console.log(`Saved a copy of the document to: ${cacheFileName}`);
+    }
+
+    return result;
+}
 
-    console.log(`Retrieving page: ${DevelopmentApplicationsUrl}`);
+// Gets the URLs of the PDFs linked from the page that contains the links to the PDFs (most recent
+// PDF first).
 
-    let body = await request({ url: DevelopmentApplicationsUrl, proxy: process.env.MORPH_PROXY });
-    await sleep(2000 + getRandom(0, 5) * 1000);
-    let $ = cheerio.load(body);
+async function getPdfUrls() {
+    let body = (await readDocument(Options.registerUrl, Options.registerFile)).body;
+    let $ = cheerio.load(body.toString());
     
     let pdfUrls: string[] = [];
     for (let element of $("td.u6ListTD a").get()) {
-        let pdfUrl = new urlparser.URL(element.attribs.href, DevelopmentApplicationsUrl);
+        let pdfUrl = new urlparser.URL(element.attribs.href, Options.registerUrl);
         if (pdfUrl.href.toLowerCase().includes(".pdf"))
             if (!pdfUrls.some(url => url === pdfUrl.href))  // avoid duplicates
                 pdfUrls.push(pdfUrl.href);
     }
 
+    pdfUrls.reverse();
+    return pdfUrls;
+}
+
+// Selects the PDFs to parse in the current run (most recent first), using the processed-document
+// ledger.  The most recent PDF is always selected (because new development applications are
+// added to it).  The rest of the batch is made up of PDFs that have never been parsed, then PDFs
+// that failed to parse and then the PDFs that were least recently checked for changes.
+
+export function selectPdfUrls(pdfUrls: string[], documentRecords: DocumentRecord[], batchSize: number) {
+    let documentRecordsByUrl: { [url: string]: DocumentRecord } = {};
+    for (let documentRecord of documentRecords)
+        documentRecordsByUrl[documentRecord.url] = documentRecord;
+
+    let olderPdfUrls = pdfUrls.slice(1);
+    let unparsedPdfUrls = olderPdfUrls.filter(pdfUrl => documentRecordsByUrl[pdfUrl] === undefined);
+    let failedPdfUrls = olderPdfUrls.filter(pdfUrl => documentRecordsByUrl[pdfUrl] !== undefined && documentRecordsByUrl[pdfUrl].failed);
+    let parsedPdfUrls = olderPdfUrls
+        .filter(pdfUrl => documentRecordsByUrl[pdfUrl] !== undefined && !documentRecordsByUrl[pdfUrl].failed)
+        .sort((a, b) => documentRecordsByUrl[a].dateChecked.localeCompare(documentRecordsByUrl[b].dateChecked));  // stable, so ties remain most recent first
+
+    console.log(`${olderPdfUrls.length - unparsedPdfUrls.length} of ${olderPdfUrls.length} older PDF(s) have previously been parsed (${failedPdfUrls.length} failed).`);
+    return [ pdfUrls[0] ].concat(unparsedPdfUrls, failedPdfUrls, parsedPdfUrls).slice(0, batchSize);
+}
+
+// Reads the development applications that an interrupted parse of a PDF saved (so that duplicate
+// application numbers on later pages are still detected when the parse is resumed).  These are
+// the versions recorded in the [history] table for the PDF that were last seen by the run that
+// began the interrupted parse (or by a later run that resumed it).
+
+async function readCheckpointApplications(database, pdfUrl: string, checkpointRun: string) {
+    let rows = await readRows(database, "select [council_reference], [address], [description], [date_received] from [history] where [info_url] = ? and [last_seen] >= ?", [ pdfUrl, checkpointRun ]);
+    return rows.map(row => ({ applicationNumber: row.council_reference, address: row.address, description: row.description, receivedDate: row.date_received }));
+}
+
+// Gets the current memory use of the process (the resident set size in bytes).
+
+function getMemoryUse() {
+    return process.memoryUsage().rss;
+}
+
+// Formats a number of bytes as megabytes.
+
+function formatMegabytes(bytes: number) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Parses the development applications in a PDF and inserts them into the database.  The outcome
+// is recorded in the processed-document ledger.  A PDF that is unchanged since it was last
+// successfully parsed is skipped if requested.  The development applications on each page are
+// saved in a single transaction along with a checkpoint (the last page saved), so that if the
+// parse is interrupted then the next parse of the same PDF resumes after that page.  The debug
+// directory and OCR settings are passed to the parser (see parsePdfPages).
+
+export async function processPdf(database, documentRecords: DocumentRecord[], pdfUrl: string, localFileName: string, skipUnchanged: boolean, debugDirectory?: string, ocr?: boolean) {
+    let previousDocumentRecord = documentRecords.find(documentRecord => documentRecord.url === pdfUrl);
+    let documentRecord: DocumentRecord = (previousDocumentRecord === undefined) ?
+        { url: pdfUrl, hash: null, dateParsed: null, dateChecked: null, applicationCount: 0, failed: false, error: null, lastPage: null, checkpointHash: null, checkpointRun: null, peakMemory: null, etag: null, lastModified: null } :
+        { ...previousDocumentRecord };
+    let peakMemory = getMemoryUse();
+
+    try {
+        console.log(`Parsing document: ${pdfUrl}`);
+        let wasParsed = skipUnchanged && previousDocumentRecord !== undefined && !previousDocumentRecord.failed && previousDocumentRecord.hash !== null;
+        let document = await readDocument(pdfUrl, localFileName, wasParsed ? previousDocumentRecord : undefined);
+        documentRecord.dateChecked = moment().format("YYYY-MM-DD HH:mm:ss");
+        if (document.notModified) {
+            console.log(`Ignoring document because the web site reports that it has not changed since it was parsed on ${previousDocumentRecord.dateParsed}: ${pdfUrl}`);
+            await updateLastSeen(database, pdfUrl, Report.runDate);
+            reportDocumentOutcome(pdfUrl, 0, null, null, true);
+            await saveDocumentRecord(database, documentRecord);
+            return;
+        }
+
+        let buffer = document.body;
+        let hash = crypto.createHash("sha256").update(buffer).digest("hex");
+        documentRecord.etag = document.etag;
+        documentRecord.lastModified = document.lastModified;
+
+        if (skipUnchanged && previousDocumentRecord !== undefined && !previousDocumentRecord.failed && previousDocumentRecord.hash === hash) {
+            console.log(`Ignoring document because it has not changed since it was parsed on ${previousDocumentRecord.dateParsed}: ${pdfUrl}`);
+            await updateLastSeen(database, pdfUrl, Report.runDate);
+            reportDocumentOutcome(pdfUrl, 0, null, null, true);
+            await saveDocumentRecord(database, documentRecord);
+            return;
+        }
+
+        // Resume after the last saved page if a previous parse of the same content was
+        // interrupted (the start time of the run that began that parse identifies the development
+        // applications it saved, so a checkpoint without that time is ignored).  Otherwise start
+        // from the first page.  The ledger records the parse as failed until it completes (so that
+        // a parse that is interrupted by the process being terminated is retried in a later run).
+
+        let firstPage = 1;
+        let previousDevelopmentApplications = [];
+        if (previousDocumentRecord !== undefined && previousDocumentRecord.lastPage !== null && previousDocumentRecord.checkpointHash === hash && previousDocumentRecord.checkpointRun !== null) {
+            firstPage = previousDocumentRecord.lastPage + 1;
+            previousDevelopmentApplications = await readCheckpointApplications(database, pdfUrl, previousDocumentRecord.checkpointRun);
+            documentRecord.dateChecked = previousDocumentRecord.dateChecked;  // the date on which the interrupted parse started
+            console.log(`Resuming the interrupted parse from page ${firstPage} (${previousDocumentRecord.applicationCount} development application(s) were saved from the earlier pages).`);
+        } else {
+            documentRecord.applicationCount = 0;
+            documentRecord.lastPage = 0;
+            documentRecord.checkpointHash = hash;
+            documentRecord.checkpointRun = Report.runDate;
+        }
+        documentRecord.failed = true;
+        documentRecord.error = "The parse did not complete.";
+        await saveDocumentRecord(database, documentRecord);
+
+        for await (let pdfPage of parsePdfPages(buffer, pdfUrl, debugDirectory, ocr, firstPage, previousDevelopmentApplications)) {
+            await runSql(database, "begin transaction");
+            try {
+                for (let developmentApplication of pdfPage.developmentApplications)
+                    await insertRow(database, developmentApplication, Report.runDate);
+                documentRecord.lastPage = pdfPage.pageNumber;
+                documentRecord.applicationCount += pdfPage.developmentApplications.length;
+                await runSql(database, "update [documents] set [last_page] = ?, [application_count] = ? where [url] = ?", [ documentRecord.lastPage, documentRecord.applicationCount, pdfUrl ]);
+                await runSql(database, "commit");
+            } catch (error) {
+                await runSql(database, "rollback");
+                throw error;
+            }
+            peakMemory = Math.max(peakMemory, getMemoryUse());
+        }
+        console.log(`Parsed and saved ${documentRecord.applicationCount} development application(s) from document: ${pdfUrl}`);
+
+        documentRecord.hash = hash;
+        documentRecord.dateParsed = moment().format("YYYY-MM-DD HH:mm:ss");
+        documentRecord.failed = false;
+        documentRecord.error = null;
+        documentRecord.lastPage = null;
+        documentRecord.checkpointHash = null;
+        documentRecord.checkpointRun = null;
+    } catch (error) {
+        console.log(`Could not parse the document (the document will be parsed again in a later run, resuming after the last saved page): ${pdfUrl}`);
+        console.error(error);
+        documentRecord.failed = true;
+        documentRecord.error = (error instanceof Error) ? error.message : String(error);
+    }
+
+    peakMemory = Math.max(peakMemory, getMemoryUse());
+    console.log(`Peak memory use while parsing the document: ${formatMegabytes(peakMemory)}`);
+    documentRecord.peakMemory = peakMemory;
+    reportDocumentOutcome(pdfUrl, documentRecord.failed ? 0 : documentRecord.applicationCount, documentRecord.error, peakMemory);
+    await saveDocumentRecord(database, documentRecord);
+}
+
+// Parses the development applications.
+
+async function main() {
+    Options = parseCommandLine(process.argv.slice(2));
+    configureFetch(Options.fetchSettings);
+
+    // Ensure that the database exists.
+
+    let database = await initializeDatabase(Options.databaseFile);
+
+    if (Options.changesFrom !== undefined) {
+        await listChanges(database, Options.changesFrom, Options.changesTo);
+        return;
+    }
+
+    loadClassification(Options.classificationFile);
+    if (Options.reclassify) {
+        await reclassifyApplications(database);
+        return;
+    }
+
+    let documentRecords = await readDocumentRecords(database);
+
+    loadSuburbNames();
+    loadProfiles(Options.profilesFile);
+    if (Options.geocodeFile !== undefined)
+        loadGeocodeFile(Options.geocodeFile);
+    if (Options.ocrDataDirectory !== undefined)
+        setOcrLanguageDataPath(Options.ocrDataDirectory);
+
+    // Parse the PDFs, recording any problems in the parse-quality report.
+
+    startReport();
+    await processPdfs(database, documentRecords);
+    await terminateOcr();
+    await saveReport(database, Report, Options.reportFile);
+}
+
+// Selects the PDFs to parse (see the command line options) and parses them.
+
+async function processPdfs(database, documentRecords: DocumentRecord[]) {
+    // When replaying from a directory of PDFs (without a saved copy of the page that links to the
+    // PDFs) parse every PDF in that directory.  The file names are used in place of URLs (so the
+    // development applications are saved in a separate database, see parseCommandLine).
+
+    if (Options.pdfDirectory !== undefined && Options.registerFile === undefined) {
+        console.log(`Saving the development applications replayed from ${Options.pdfDirectory} to: ${Options.databaseFile}`);
+        let fileNames = fs.readdirSync(Options.pdfDirectory).filter(fileName => path.extname(fileName).toLowerCase() === ".pdf").sort();
+        if (fileNames.length === 0)
+            console.log(`No PDFs were found in the directory: ${Options.pdfDirectory}`);
+        for (let fileName of fileNames) {
+            let localFileName = path.join(Options.pdfDirectory, fileName);
+            await processPdf(database, documentRecords, localFileName, localFileName, false, Options.debugDirectory, Options.ocr);
+        }
+        return;
+    }
+
+    // Retrieve the page that contains the links to the PDFs.
+
+    let pdfUrls = await getPdfUrls();
     if (pdfUrls.length === 0) {
         console.log("No PDF URLs were found on the page.");
         return;
     }
 
-    pdfUrls.reverse();
+    // When replaying from a directory of PDFs parse every linked PDF that has a local copy.
+
+    if (Options.pdfDirectory !== undefined) {
+        for (let pdfUrl of pdfUrls) {
+            let localFileName = path.join(Options.pdfDirectory, getLocalFileName(pdfUrl));
+            if (fs.existsSync(localFileName))
+                await processPdf(database, documentRecords, pdfUrl, localFileName, false, Options.debugDirectory, Options.ocr);
+            else
+                console.log(`Ignoring document because there is no local copy of it (expected ${localFileName}): ${pdfUrl}`);
+        }
+        return;
+    }
 
-    // Select the most recent PDF.  And randomly select one other PDF (avoid processing all PDFs
-    // at once because this may use too much memory, resulting in morph.io terminating the current
-    // process).
+    // Either parse every PDF (one at a time, so that only one PDF is held in memory) or parse a
+    // limited batch of PDFs selected using the processed-document ledger.
 
-    let selectedPdfUrls: string[] = [];
-    selectedPdfUrls.push(pdfUrls.shift());
-    if (pdfUrls.length > 0)
-        selectedPdfUrls.push(pdfUrls[getRandom(0, pdfUrls.length)]);
-    if (getRandom(0, 2) === 0)
-        selectedPdfUrls.reverse();
+    let selectedPdfUrls = Options.backfill ? pdfUrls : selectPdfUrls(pdfUrls, documentRecords, Options.batchSize);
+    console.log(`Selected ${selectedPdfUrls.length} of ${pdfUrls.length} PDF(s) to parse.`);
 
-    for (let pdfUrl of selectedPdfUrls) {
-        console.log(`Parsing document: ${pdfUrl}`);
-        let developmentApplications = await parsePdf(pdfUrl);
-        console.log(`Parsed ${developmentApplications.length} development application(s) from document: ${pdfUrl}`);
-        console.log(`Inserting development applications into the database.`);
-        for (let developmentApplication of developmentApplications)
-            await insertRow(database, developmentApplication);
-    }
+    for (let pdfUrl of selectedPdfUrls)
+        await processPdf(database, documentRecords, pdfUrl, undefined, true, Options.debugDirectory, Options.ocr);
 }
 
-main().then(() => console.log("Complete.")).catch(error => console.error(error));
+if (require.main === module)
+    main().then(() => console.log("Complete.")).catch(error => console.error(error));
@@ -0,0 +1,68 @@
+// Tests of parsing addresses into their components and formatting the components, using the
+// suburb names and aliases in suburbnames.txt and suburbaliases.txt.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const address_1 = require("../address");
+const harness_1 = require("./harness");
+// Checks the components of a parsed address (only the specified components are checked; every
+// other component must be empty) and the formatted address.
+function checkAddress(gazetteer, address, expectedComponents, expectedFormattedAddress) {
+    let components = address_1.parseAddress(address, gazetteer);
+    for (let name of Object.keys(components)) {
+        let expected = (expectedComponents[name] === undefined) ? "" : expectedComponents[name];
+        harness_1.check(components[name] === expected, `Expected the ${name} of "${address}" to be "${expected}" but it was "${components[name]}" (${JSON.stringify(components)}).`);
+    }
+    let formattedAddress = address_1.formatAddressComponents(components);
+    harness_1.check(formattedAddress === expectedFormattedAddress, `Expected "${address}" to be formatted as "${expectedFormattedAddress}" but it was "${formattedAddress}".`);
+}
+// The tests (each is given the gazetteer read from the suburb names and aliases files).
+const AddressTests = {
+    "parses units and street numbers": gazetteer => {
+        checkAddress(gazetteer, "2/12 Main St Kapunda SA 5373", { unit: "2", streetNumber: "12", streetName: "Main", streetType: "Street", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "2/12 Main Street, KAPUNDA SA 5373");
+        checkAddress(gazetteer, "Unit 3 12A Main Street, Kapunda", { unit: "3", streetNumber: "12A", streetName: "Main", streetType: "Street", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "3/12A Main Street, KAPUNDA SA 5373");
+        checkAddress(gazetteer, "12-14 Hill Tce FREELING", { streetNumber: "12-14", streetName: "Hill", streetType: "Terrace", suburb: "FREELING", state: "SA", postCode: "5372" }, "12-14 Hill Terrace, FREELING SA 5372");
+    },
+    "parses lots, sections and hundreds": gazetteer => {
+        checkAddress(gazetteer, "Lot 5 Section 345 Hundred of Kapunda Freeling", { lot: "5", section: "345", hundred: "Kapunda", suburb: "FREELING", state: "SA", postCode: "5372" }, "Lot 5 Section 345 Hundred of Kapunda, FREELING SA 5372");
+        checkAddress(gazetteer, "Lot12 Gawler Rd Hd Light HAMLEY BRIDGE", { lot: "12", streetName: "Gawler", streetType: "Road", hundred: "Light", suburb: "HAMLEY BRIDGE", state: "SA", postCode: "5401" }, "Lot 12 Gawler Road Hundred of Light, HAMLEY BRIDGE SA 5401");
+    },
+    "does not mistake a plan number for the street number": gazetteer => {
+        checkAddress(gazetteer, "Lot 101 DP 12345 Main St KAPUNDA", { lot: "101", plan: "DP 12345", streetName: "Main", streetType: "Street", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "Lot 101 DP 12345 Main Street, KAPUNDA SA 5373");
+        checkAddress(gazetteer, "Lot 3 FP12 Gawler Rd Freeling", { lot: "3", plan: "FP 12", streetName: "Gawler", streetType: "Road", suburb: "FREELING", state: "SA", postCode: "5372" }, "Lot 3 FP 12 Gawler Road, FREELING SA 5372");
+        checkAddress(gazetteer, "Lot 2 CP 24567 12 Hill Tce Kapunda", { lot: "2", plan: "CP 24567", streetNumber: "12", streetName: "Hill", streetType: "Terrace", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "Lot 2 CP 24567 12 Hill Terrace, KAPUNDA SA 5373");
+    },
+    "parses part of a lot or section": gazetteer => {
+        checkAddress(gazetteer, "Pt Sec 12 Hd Kapunda", { section: "Pt 12", hundred: "Kapunda" }, "Pt Section 12 Hundred of Kapunda");
+        checkAddress(gazetteer, "Part Lot 4 DP 555 Gawler Rd Freeling", { lot: "Pt 4", plan: "DP 555", streetName: "Gawler", streetType: "Road", suburb: "FREELING", state: "SA", postCode: "5372" }, "Pt Lot 4 DP 555 Gawler Road, FREELING SA 5372");
+    },
+    "does not mistake the name of a hundred for the suburb": gazetteer => {
+        checkAddress(gazetteer, "Section 345 Hundred of Kapunda", { section: "345", hundred: "Kapunda" }, "Section 345 Hundred of Kapunda");
+        checkAddress(gazetteer, "Lot 7 Hd. of Nuriootpa", { lot: "7", hundred: "Nuriootpa" }, "Lot 7 Hundred of Nuriootpa");
+        checkAddress(gazetteer, "Sec 12 Hd Kapunda SA 5373", { section: "12", hundred: "Kapunda", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "Section 12 Hundred of Kapunda, KAPUNDA SA 5373");
+    },
+    "does not treat \"St\" at the start of a street name as the street type": gazetteer => {
+        checkAddress(gazetteer, "5 St Kitts Rd Freeling", { streetNumber: "5", streetName: "St Kitts", streetType: "Road", suburb: "FREELING", state: "SA", postCode: "5372" }, "5 St Kitts Road, FREELING SA 5372");
+        checkAddress(gazetteer, "8 St Johns Street Kapunda", { streetNumber: "8", streetName: "St Johns", streetType: "Street", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "8 St Johns Street, KAPUNDA SA 5373");
+    },
+    "parses street suffixes": gazetteer => {
+        checkAddress(gazetteer, "10 Main Road North Kapunda", { streetNumber: "10", streetName: "Main", streetType: "Road", streetSuffix: "North", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "10 Main Road North, KAPUNDA SA 5373");
+        checkAddress(gazetteer, "10 Main Rd W Kapunda", { streetNumber: "10", streetName: "Main", streetType: "Road", streetSuffix: "West", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "10 Main Road West, KAPUNDA SA 5373");
+    },
+    "matches aliases and misspelt suburbs": gazetteer => {
+        checkAddress(gazetteer, "4 High St Saint Kitts", { streetNumber: "4", streetName: "High", streetType: "Street", suburb: "ST KITTS", state: "SA", postCode: "5356" }, "4 High Street, ST KITTS SA 5356");
+        checkAddress(gazetteer, "4 High St Sheoak Log", { streetNumber: "4", streetName: "High", streetType: "Street", suburb: "SHEA-OAK LOG", state: "SA", postCode: "5371" }, "4 High Street, SHEA-OAK LOG SA 5371");
+        checkAddress(gazetteer, "4 High St Kapundaa", { streetNumber: "4", streetName: "High", streetType: "Street", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "4 High Street, KAPUNDA SA 5373");
+    },
+    "keeps an unrecognised suburb or no suburb": gazetteer => {
+        checkAddress(gazetteer, "12 Main Street Nowhereville", { streetNumber: "12", streetName: "Main", streetType: "Street", suburb: "Nowhereville" }, "12 Main Street Nowhereville");
+        checkAddress(gazetteer, "12 Main Street", { streetNumber: "12", streetName: "Main", streetType: "Street" }, "12 Main Street");
+        checkAddress(gazetteer, "", {}, "");
+    }
+};
+// Runs the tests.
+const Directory = path.join(__dirname, "..");
+const SuburbGazetteer = address_1.loadGazetteer(fs.readFileSync(path.join(Directory, "suburbnames.txt")).toString(), fs.readFileSync(path.join(Directory, "suburbaliases.txt")).toString());
+harness_1.runTests(AddressTests, () => SuburbGazetteer);
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYWRkcmVzcy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImFkZHJlc3MudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsNEZBQTRGO0FBQzVGLHFFQUFxRTtBQUVyRSxZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLDZCQUE2QjtBQUM3Qix3Q0FBNkY7QUFDN0YsdUNBQW1EO0FBRW5ELDhGQUE4RjtBQUM5Riw0REFBNEQ7QUFFNUQsU0FBUyxZQUFZLENBQUMsU0FBb0IsRUFBRSxPQUFlLEVBQUUsa0JBQThDLEVBQUUsd0JBQWdDO0lBQ3pJLElBQUksVUFBVSxHQUFHLHNCQUFZLENBQUMsT0FBTyxFQUFFLFNBQVMsQ0FBQyxDQUFDO0lBQ2xELEtBQUssSUFBSSxJQUFJLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsRUFBRTtRQUN0QyxJQUFJLFFBQVEsR0FBRyxDQUFDLGtCQUFrQixDQUFDLElBQUksQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLGtCQUFrQixDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3hGLGVBQUssQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLEtBQUssUUFBUSxFQUFFLGdCQUFnQixJQUFJLFFBQVEsT0FBTyxZQUFZLFFBQVEsaUJBQWlCLFVBQVUsQ0FBQyxJQUFJLENBQUMsTUFBTSxJQUFJLENBQUMsU0FBUyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQztLQUN0SztJQUNELElBQUksZ0JBQWdCLEdBQUcsaUNBQXVCLENBQUMsVUFBVSxDQUFDLENBQUM7SUFDM0QsZUFBSyxDQUFDLGdCQUFnQixLQUFLLHdCQUF3QixFQUFFLGFBQWEsT0FBTyx5QkFBeUIsd0JBQXdCLGlCQUFpQixnQkFBZ0IsSUFBSSxDQUFDLENBQUM7QUFDckssQ0FBQztBQUVELHdGQUF3RjtBQUV4RixNQUFNLFlBQVksR0FBcUI7SUFDbkMsaUNBQWlDLEVBQUUsU0FBUyxDQUFDLEVBQUU7UUFDM0MsWUFBWSxDQUFDLFNBQVMsRUFBRSw4QkFBOEIsRUFBRSxFQUFFLElBQUksRUFBRSxHQUFHLEVBQUUsWUFBWSxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsRUFBRSxtQ0FBbUMsQ0FBQyxDQUFDO1FBQzVOLFlBQVksQ0FBQyxTQUFTLEVBQUUsaUNBQWlDLEVBQUUsRUFBRSxJQUFJLEVBQUUsR0FBRyxFQUFFLFlBQVksRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLEVBQUUsb0NBQW9DLENBQUMsQ0FBQztRQUNqTyxZQUFZLENBQUMsU0FBUyxFQUFFLHlCQUF5QixFQUFFLEVBQUUsWUFBWSxFQUFFLE9BQU8sRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxTQUFTLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsRUFBRSxzQ0FBc0MsQ0FBQyxDQUFDO0lBQ3hOLENBQUM7SUFFRCxvQ0FBb0MsRUFBRSxTQUFTLENBQUMsRUFBRTtRQUM5QyxZQUFZLENBQUMsU0FBUyxFQUFFLCtDQUErQyxFQUFFLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxTQUFTLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsRUFBRSx3REFBd0QsQ0FBQyxDQUFDO1FBQ3hPLFlBQVksQ0FBQyxTQUFTLEVBQUUsd0NBQXdDLEVBQUUsRUFBRSxHQUFHLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsVUFBVSxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxlQUFlLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLEVBQUUsNERBQTRELENBQUMsQ0FBQztJQUN2USxDQUFDO0lBRUQsc0RBQXNELEVBQUUsU0FBUyxDQUFDLEVBQUU7UUFDaEUsWUFBWSxDQUFDLFNBQVMsRUFBRSxrQ0FBa0MsRUFBRSxFQUFFLEdBQUcsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsRUFBRSwrQ0FBK0MsQ0FBQyxDQUFDO1FBQzNPLFlBQVksQ0FBQyxTQUFTLEVBQUUsK0JBQStCLEVBQUUsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsVUFBVSxFQUFFLFFBQVEsRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLEVBQUUsMkNBQTJDLENBQUMsQ0FBQztRQUNoTyxZQUFZLENBQUMsU0FBUyxFQUFFLG9DQUFvQyxFQUFFLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLFlBQVksRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsU0FBUyxFQUFFLE1BQU0sRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLEVBQUUsaURBQWlELENBQUMsQ0FBQztJQUN0USxDQUFDO0lBRUQsaUNBQWlDLEVBQUUsU0FBUyxDQUFDLEVBQUU7UUFDM0MsWUFBWSxDQUFDLFNBQVMsRUFBRSxzQkFBc0IsRUFBRSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxFQUFFLGtDQUFrQyxDQUFDLENBQUM7UUFDOUgsWUFBWSxDQUFDLFNBQVMsRUFBRSxzQ0FBc0MsRUFBRSxFQUFFLEdBQUcsRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxVQUFVLEVBQUUsUUFBUSxFQUFFLFVBQVUsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsRUFBRSwrQ0FBK0MsQ0FBQyxDQUFDO0lBQ25QLENBQUM7SUFFRCx1REFBdUQsRUFBRSxTQUFTLENBQUMsRUFBRTtRQUNqRSxZQUFZLENBQUMsU0FBUyxFQUFFLGdDQUFnQyxFQUFFLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsU0FBUyxFQUFFLEVBQUUsZ0NBQWdDLENBQUMsQ0FBQztRQUNwSSxZQUFZLENBQUMsU0FBUyxFQUFFLHdCQUF3QixFQUFFLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxPQUFPLEVBQUUsV0FBVyxFQUFFLEVBQUUsNEJBQTRCLENBQUMsQ0FBQztRQUNwSCxZQUFZLENBQUMsU0FBUyxFQUFFLDJCQUEyQixFQUFFLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsU0FBUyxFQUFFLE1BQU0sRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLEVBQUUsZ0RBQWdELENBQUMsQ0FBQztJQUNwTSxDQUFDO0lBRUQsd0VBQXdFLEVBQUUsU0FBUyxDQUFDLEVBQUU7UUFDbEYsWUFBWSxDQUFDLFNBQVMsRUFBRSx3QkFBd0IsRUFBRSxFQUFFLFlBQVksRUFBRSxHQUFHLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLEVBQUUsbUNBQW1DLENBQUMsQ0FBQztRQUM3TSxZQUFZLENBQUMsU0FBUyxFQUFFLDJCQUEyQixFQUFFLEVBQUUsWUFBWSxFQUFFLEdBQUcsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsRUFBRSxvQ0FBb0MsQ0FBQyxDQUFDO0lBQ3ROLENBQUM7SUFFRCx3QkFBd0IsRUFBRSxTQUFTLENBQUMsRUFBRTtRQUNsQyxZQUFZLENBQUMsU0FBUyxFQUFFLDRCQUE0QixFQUFFLEVBQUUsWUFBWSxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxNQUFNLEVBQUUsWUFBWSxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsU0FBUyxFQUFFLEtBQUssRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxFQUFFLHFDQUFxQyxDQUFDLENBQUM7UUFDdE8sWUFBWSxDQUFDLFNBQVMsRUFBRSxzQkFBc0IsRUFBRSxFQUFFLFlBQVksRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLFlBQVksRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsRUFBRSxvQ0FBb0MsQ0FBQyxDQUFDO0lBQ2xPLENBQUM7SUFFRCxzQ0FBc0MsRUFBRSxTQUFTLENBQUMsRUFBRTtRQUNoRCxZQUFZLENBQUMsU0FBUyxFQUFFLHVCQUF1QixFQUFFLEVBQUUsWUFBWSxFQUFFLEdBQUcsRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsRUFBRSxpQ0FBaUMsQ0FBQyxDQUFDO1FBQ3hNLFlBQVksQ0FBQyxTQUFTLEVBQUUsc0JBQXNCLEVBQUUsRUFBRSxZQUFZLEVBQUUsR0FBRyxFQUFFLFVBQVUsRUFBRSxNQUFNLEVBQUUsVUFBVSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsY0FBYyxFQUFFLEtBQUssRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxFQUFFLHFDQUFxQyxDQUFDLENBQUM7UUFDL00sWUFBWSxDQUFDLFNBQVMsRUFBRSxvQkFBb0IsRUFBRSxFQUFFLFlBQVksRUFBRSxHQUFHLEVBQUUsVUFBVSxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLEVBQUUsZ0NBQWdDLENBQUMsQ0FBQztJQUN2TSxDQUFDO0lBRUQsMkNBQTJDLEVBQUUsU0FBUyxDQUFDLEVBQUU7UUFDckQsWUFBWSxDQUFDLFNBQVMsRUFBRSw2QkFBNkIsRUFBRSxFQUFFLFlBQVksRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxjQUFjLEVBQUUsRUFBRSw2QkFBNkIsQ0FBQyxDQUFDO1FBQ2hMLFlBQVksQ0FBQyxTQUFTLEVBQUUsZ0JBQWdCLEVBQUUsRUFBRSxZQUFZLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxNQUFNLEVBQUUsVUFBVSxFQUFFLFFBQVEsRUFBRSxFQUFFLGdCQUFnQixDQUFDLENBQUM7UUFDOUgsWUFBWSxDQUFDLFNBQVMsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBQ3hDLENBQUM7Q0FDSixDQUFDO0FBRUYsa0JBQWtCO0FBRWxCLE1BQU0sU0FBUyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxDQUFDO0FBQzdDLE1BQU0sZUFBZSxHQUFHLHVCQUFhLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxpQkFBaUIsQ0FBQyxDQUFDLENBQUMsUUFBUSxFQUFFLEVBQUUsRUFBRSxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxtQkFBbUIsQ0FBQyxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQztBQUNsTCxrQkFBUSxDQUFDLFlBQVksRUFBRSxHQUFHLEVBQUUsQ0FBQyxlQUFlLENBQUMsQ0FBQyJ9
\ No newline at end of file
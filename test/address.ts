@@ -0,0 +1,82 @@
+// Tests of parsing addresses into their components and formatting the components, using the
+// suburb names and aliases in suburbnames.txt and suburbaliases.txt.
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import { Gazetteer, loadGazetteer, parseAddress, formatAddressComponents } from "../address";
+import { Tests, check, runTests } from "./harness";
+
+// Checks the components of a parsed address (only the specified components are checked; every
+// other component must be empty) and the formatted address.
+
+function checkAddress(gazetteer: Gazetteer, address: string, expectedComponents: { [name: string]: string }, expectedFormattedAddress: string) {
+    let components = parseAddress(address, gazetteer);
+    for (let name of Object.keys(components)) {
+        let expected = (expectedComponents[name] === undefined) ? "" : expectedComponents[name];
+        check(components[name] === expected, `Expected the ${name} of "${address}" to be "${expected}" but it was "${components[name]}" (${JSON.stringify(components)}).`);
+    }
+    let formattedAddress = formatAddressComponents(components);
+    check(formattedAddress === expectedFormattedAddress, `Expected "${address}" to be formatted as "${expectedFormattedAddress}" but it was "${formattedAddress}".`);
+}
+
+// The tests (each is given the gazetteer read from the suburb names and aliases files).
+
+const AddressTests: Tests<Gazetteer> = {
+    "parses units and street numbers": gazetteer => {
+        checkAddress(gazetteer, "2/12 Main St Kapunda SA 5373", { unit: "2", streetNumber: "12", streetName: "Main", streetType: "Street", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "2/12 Main Street, KAPUNDA SA 5373");
+        checkAddress(gazetteer, "Unit 3 12A Main Street, Kapunda", { unit: "3", streetNumber: "12A", streetName: "Main", streetType: "Street", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "3/12A Main Street, KAPUNDA SA 5373");
+        checkAddress(gazetteer, "12-14 Hill Tce FREELING", { streetNumber: "12-14", streetName: "Hill", streetType: "Terrace", suburb: "FREELING", state: "SA", postCode: "5372" }, "12-14 Hill Terrace, FREELING SA 5372");
+    },
+
+    "parses lots, sections and hundreds": gazetteer => {
+        checkAddress(gazetteer, "Lot 5 Section 345 Hundred of Kapunda Freeling", { lot: "5", section: "345", hundred: "Kapunda", suburb: "FREELING", state: "SA", postCode: "5372" }, "Lot 5 Section 345 Hundred of Kapunda, FREELING SA 5372");
+        checkAddress(gazetteer, "Lot12 Gawler Rd Hd Light HAMLEY BRIDGE", { lot: "12", streetName: "Gawler", streetType: "Road", hundred: "Light", suburb: "HAMLEY BRIDGE", state: "SA", postCode: "5401" }, "Lot 12 Gawler Road Hundred of Light, HAMLEY BRIDGE SA 5401");
+    },
+
+    "does not mistake a plan number for the street number": gazetteer => {
+        checkAddress(gazetteer, "Lot 101 DP 12345 Main St KAPUNDA", { lot: "101", plan: "DP 12345", streetName: "Main", streetType: "Street", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "Lot 101 DP 12345 Main Street, KAPUNDA SA 5373");
+        checkAddress(gazetteer, "Lot 3 FP12 Gawler Rd Freeling", { lot: "3", plan: "FP 12", streetName: "Gawler", streetType: "Road", suburb: "FREELING", state: "SA", postCode: "5372" }, "Lot 3 FP 12 Gawler Road, FREELING SA 5372");
+        checkAddress(gazetteer, "Lot 2 CP 24567 12 Hill Tce Kapunda", { lot: "2", plan: "CP 24567", streetNumber: "12", streetName: "Hill", streetType: "Terrace", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "Lot 2 CP 24567 12 Hill Terrace, KAPUNDA SA 5373");
+    },
+
+    "parses part of a lot or section": gazetteer => {
+        checkAddress(gazetteer, "Pt Sec 12 Hd Kapunda", { section: "Pt 12", hundred: "Kapunda" }, "Pt Section 12 Hundred of Kapunda");
+        checkAddress(gazetteer, "Part Lot 4 DP 555 Gawler Rd Freeling", { lot: "Pt 4", plan: "DP 555", streetName: "Gawler", streetType: "Road", suburb: "FREELING", state: "SA", postCode: "5372" }, "Pt Lot 4 DP 555 Gawler Road, FREELING SA 5372");
+    },
+
+    "does not mistake the name of a hundred for the suburb": gazetteer => {
+        checkAddress(gazetteer, "Section 345 Hundred of Kapunda", { section: "345", hundred: "Kapunda" }, "Section 345 Hundred of Kapunda");
+        checkAddress(gazetteer, "Lot 7 Hd. of Nuriootpa", { lot: "7", hundred: "Nuriootpa" }, "Lot 7 Hundred of Nuriootpa");
+        checkAddress(gazetteer, "Sec 12 Hd Kapunda SA 5373", { section: "12", hundred: "Kapunda", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "Section 12 Hundred of Kapunda, KAPUNDA SA 5373");
+    },
+
+    "does not treat \"St\" at the start of a street name as the street type": gazetteer => {
+        checkAddress(gazetteer, "5 St Kitts Rd Freeling", { streetNumber: "5", streetName: "St Kitts", streetType: "Road", suburb: "FREELING", state: "SA", postCode: "5372" }, "5 St Kitts Road, FREELING SA 5372");
+        checkAddress(gazetteer, "8 St Johns Street Kapunda", { streetNumber: "8", streetName: "St Johns", streetType: "Street", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "8 St Johns Street, KAPUNDA SA 5373");
+    },
+
+    "parses street suffixes": gazetteer => {
+        checkAddress(gazetteer, "10 Main Road North Kapunda", { streetNumber: "10", streetName: "Main", streetType: "Road", streetSuffix: "North", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "10 Main Road North, KAPUNDA SA 5373");
+        checkAddress(gazetteer, "10 Main Rd W Kapunda", { streetNumber: "10", streetName: "Main", streetType: "Road", streetSuffix: "West", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "10 Main Road West, KAPUNDA SA 5373");
+    },
+
+    "matches aliases and misspelt suburbs": gazetteer => {
+        checkAddress(gazetteer, "4 High St Saint Kitts", { streetNumber: "4", streetName: "High", streetType: "Street", suburb: "ST KITTS", state: "SA", postCode: "5356" }, "4 High Street, ST KITTS SA 5356");
+        checkAddress(gazetteer, "4 High St Sheoak Log", { streetNumber: "4", streetName: "High", streetType: "Street", suburb: "SHEA-OAK LOG", state: "SA", postCode: "5371" }, "4 High Street, SHEA-OAK LOG SA 5371");
+        checkAddress(gazetteer, "4 High St Kapundaa", { streetNumber: "4", streetName: "High", streetType: "Street", suburb: "KAPUNDA", state: "SA", postCode: "5373" }, "4 High Street, KAPUNDA SA 5373");
+    },
+
+    "keeps an unrecognised suburb or no suburb": gazetteer => {
+        checkAddress(gazetteer, "12 Main Street Nowhereville", { streetNumber: "12", streetName: "Main", streetType: "Street", suburb: "Nowhereville" }, "12 Main Street Nowhereville");
+        checkAddress(gazetteer, "12 Main Street", { streetNumber: "12", streetName: "Main", streetType: "Street" }, "12 Main Street");
+        checkAddress(gazetteer, "", {}, "");
+    }
+};
+
+// Runs the tests.
+
+const Directory = path.join(__dirname, "..");
+const SuburbGazetteer = loadGazetteer(fs.readFileSync(path.join(Directory, "suburbnames.txt")).toString(), fs.readFileSync(path.join(Directory, "suburbaliases.txt")).toString());
+runTests(AddressTests, () => SuburbGazetteer);
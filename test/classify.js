@@ -0,0 +1,55 @@
+// Tests of classifying the descriptions of development applications, using the rules in
+// classification.json.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const classify_1 = require("../classify");
+const harness_1 = require("./harness");
+// Checks the categories and number of lots of a description.
+function checkClassification(rules, description, expectedCategories, expectedLotCount = null) {
+    let classification = classify_1.classifyDescription(description, rules);
+    harness_1.check(classification.categories.join(", ") === expectedCategories.join(", "), `Expected "${description}" to be classified as [${expectedCategories.join(", ")}] but it was classified as [${classification.categories.join(", ")}].`);
+    harness_1.check(classification.lotCount === expectedLotCount, `Expected "${description}" to have ${expectedLotCount} lot(s) but it had ${classification.lotCount}.`);
+}
+// The tests (each is given the rules read from classification.json).
+const ClassifyTests = {
+    "classifies descriptions into one or more categories": rules => {
+        checkClassification(rules, "Dwelling and garage", ["dwelling", "shed/outbuilding"]);
+        checkClassification(rules, "Verandah", ["verandah/carport"]);
+        checkClassification(rules, "Swimming pool", ["swimming pool"]);
+        checkClassification(rules, "Machinery shed", ["shed/outbuilding", "winery/agricultural"]);
+        checkClassification(rules, "Extension to existing winery and cellar door", ["alterations/additions", "winery/agricultural"]);
+        checkClassification(rules, "Change of use to shop and office", ["commercial"]);
+    },
+    "ignores text matching an exclude pattern": rules => {
+        checkClassification(rules, "Demolition of existing dwelling", ["demolition"]);
+        checkClassification(rules, "Alterations and additions to existing dwelling", ["alterations/additions"]);
+        checkClassification(rules, "Demolition of existing dwelling and construction of a new dwelling", ["dwelling", "demolition"]);
+    },
+    "finds the number of lots created by a land division": rules => {
+        checkClassification(rules, "Land division (1 into 3)", ["land division"], 3);
+        checkClassification(rules, "Land Division - one into two", ["land division"], 2);
+        checkClassification(rules, "Land division creating 12 allotments", ["land division"], 12);
+        checkClassification(rules, "Boundary realignment", ["land division"]);
+        checkClassification(rules, "Dwelling (1 of 2)", ["dwelling"]);
+    },
+    "does not classify a missing description": rules => {
+        checkClassification(rules, "No Description Provided", []);
+        checkClassification(rules, "", []);
+    },
+    "rejects invalid rules": () => {
+        let error = undefined;
+        try {
+            classify_1.loadClassificationRules(JSON.stringify({ categories: [{ name: "dwelling", patterns: ["(dwelling"] }] }));
+        }
+        catch (caughtError) {
+            error = caughtError;
+        }
+        harness_1.check(error !== undefined && error.message.includes("invalid pattern"), "Expected an error reporting the invalid pattern.");
+    }
+};
+// Runs the tests.
+const Rules = classify_1.loadClassificationRules(fs.readFileSync(path.join(__dirname, "..", "classification.json")).toString());
+harness_1.runTests(ClassifyTests, () => Rules);
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY2xhc3NpZnkuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJjbGFzc2lmeS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSx3RkFBd0Y7QUFDeEYsdUJBQXVCO0FBRXZCLFlBQVksQ0FBQzs7QUFFYix5QkFBeUI7QUFDekIsNkJBQTZCO0FBQzdCLDBDQUFnRztBQUNoRyx1Q0FBbUQ7QUFFbkQsNkRBQTZEO0FBRTdELFNBQVMsbUJBQW1CLENBQUMsS0FBMEIsRUFBRSxXQUFtQixFQUFFLGtCQUE0QixFQUFFLG1CQUEyQixJQUFJO0lBQ3ZJLElBQUksY0FBYyxHQUFHLDhCQUFtQixDQUFDLFdBQVcsRUFBRSxLQUFLLENBQUMsQ0FBQztJQUM3RCxlQUFLLENBQUMsY0FBYyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEtBQUssa0JBQWtCLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLGFBQWEsV0FBVywwQkFBMEIsa0JBQWtCLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQywrQkFBK0IsY0FBYyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ3RPLGVBQUssQ0FBQyxjQUFjLENBQUMsUUFBUSxLQUFLLGdCQUFnQixFQUFFLGFBQWEsV0FBVyxhQUFhLGdCQUFnQixzQkFBc0IsY0FBYyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUM7QUFDL0osQ0FBQztBQUVELHFFQUFxRTtBQUVyRSxNQUFNLGFBQWEsR0FBK0I7SUFDOUMscURBQXFELEVBQUUsS0FBSyxDQUFDLEVBQUU7UUFDM0QsbUJBQW1CLENBQUMsS0FBSyxFQUFFLHFCQUFxQixFQUFFLENBQUUsVUFBVSxFQUFFLGtCQUFrQixDQUFFLENBQUMsQ0FBQztRQUN0RixtQkFBbUIsQ0FBQyxLQUFLLEVBQUUsVUFBVSxFQUFFLENBQUUsa0JBQWtCLENBQUUsQ0FBQyxDQUFDO1FBQy9ELG1CQUFtQixDQUFDLEtBQUssRUFBRSxlQUFlLEVBQUUsQ0FBRSxlQUFlLENBQUUsQ0FBQyxDQUFDO1FBQ2pFLG1CQUFtQixDQUFDLEtBQUssRUFBRSxnQkFBZ0IsRUFBRSxDQUFFLGtCQUFrQixFQUFFLHFCQUFxQixDQUFFLENBQUMsQ0FBQztRQUM1RixtQkFBbUIsQ0FBQyxLQUFLLEVBQUUsOENBQThDLEVBQUUsQ0FBRSx1QkFBdUIsRUFBRSxxQkFBcUIsQ0FBRSxDQUFDLENBQUM7UUFDL0gsbUJBQW1CLENBQUMsS0FBSyxFQUFFLGtDQUFrQyxFQUFFLENBQUUsWUFBWSxDQUFFLENBQUMsQ0FBQztJQUNyRixDQUFDO0lBRUQsMENBQTBDLEVBQUUsS0FBSyxDQUFDLEVBQUU7UUFDaEQsbUJBQW1CLENBQUMsS0FBSyxFQUFFLGlDQUFpQyxFQUFFLENBQUUsWUFBWSxDQUFFLENBQUMsQ0FBQztRQUNoRixtQkFBbUIsQ0FBQyxLQUFLLEVBQUUsZ0RBQWdELEVBQUUsQ0FBRSx1QkFBdUIsQ0FBRSxDQUFDLENBQUM7UUFDMUcsbUJBQW1CLENBQUMsS0FBSyxFQUFFLG9FQUFvRSxFQUFFLENBQUUsVUFBVSxFQUFFLFlBQVksQ0FBRSxDQUFDLENBQUM7SUFDbkksQ0FBQztJQUVELHFEQUFxRCxFQUFFLEtBQUssQ0FBQyxFQUFFO1FBQzNELG1CQUFtQixDQUFDLEtBQUssRUFBRSwwQkFBMEIsRUFBRSxDQUFFLGVBQWUsQ0FBRSxFQUFFLENBQUMsQ0FBQyxDQUFDO1FBQy9FLG1CQUFtQixDQUFDLEtBQUssRUFBRSw4QkFBOEIsRUFBRSxDQUFFLGVBQWUsQ0FBRSxFQUFFLENBQUMsQ0FBQyxDQUFDO1FBQ25GLG1CQUFtQixDQUFDLEtBQUssRUFBRSxzQ0FBc0MsRUFBRSxDQUFFLGVBQWUsQ0FBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQzVGLG1CQUFtQixDQUFDLEtBQUssRUFBRSxzQkFBc0IsRUFBRSxDQUFFLGVBQWUsQ0FBRSxDQUFDLENBQUM7UUFDeEUsbUJBQW1CLENBQUMsS0FBSyxFQUFFLG1CQUFtQixFQUFFLENBQUUsVUFBVSxDQUFFLENBQUMsQ0FBQztJQUNwRSxDQUFDO0lBRUQseUNBQXlDLEVBQUUsS0FBSyxDQUFDLEVBQUU7UUFDL0MsbUJBQW1CLENBQUMsS0FBSyxFQUFFLHlCQUF5QixFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQzFELG1CQUFtQixDQUFDLEtBQUssRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFDLENBQUM7SUFDdkMsQ0FBQztJQUVELHVCQUF1QixFQUFFLEdBQUcsRUFBRTtRQUMxQixJQUFJLEtBQUssR0FBVSxTQUFTLENBQUM7UUFDN0IsSUFBSTtZQUNBLGtDQUF1QixDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsRUFBRSxVQUFVLEVBQUUsQ0FBRSxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsUUFBUSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxFQUFFLENBQUMsQ0FBQyxDQUFDO1NBQ2hIO1FBQUMsT0FBTyxXQUFXLEVBQUU7WUFDbEIsS0FBSyxHQUFHLFdBQVcsQ0FBQztTQUN2QjtRQUNELGVBQUssQ0FBQyxLQUFLLEtBQUssU0FBUyxJQUFJLEtBQUssQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLGlCQUFpQixDQUFDLEVBQUUsa0RBQWtELENBQUMsQ0FBQztJQUNoSSxDQUFDO0NBQ0osQ0FBQztBQUVGLGtCQUFrQjtBQUVsQixNQUFNLEtBQUssR0FBRyxrQ0FBdUIsQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLElBQUksRUFBRSxxQkFBcUIsQ0FBQyxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQztBQUNySCxrQkFBUSxDQUFDLGFBQWEsRUFBRSxHQUFHLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQyJ9
\ No newline at end of file
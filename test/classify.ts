@@ -0,0 +1,64 @@
+// Tests of classifying the descriptions of development applications, using the rules in
+// classification.json.
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import { ClassificationRules, loadClassificationRules, classifyDescription } from "../classify";
+import { Tests, check, runTests } from "./harness";
+
+// Checks the categories and number of lots of a description.
+
+function checkClassification(rules: ClassificationRules, description: string, expectedCategories: string[], expectedLotCount: number = null) {
+    let classification = classifyDescription(description, rules);
+    check(classification.categories.join(", ") === expectedCategories.join(", "), `Expected "${description}" to be classified as [${expectedCategories.join(", ")}] but it was classified as [${classification.categories.join(", ")}].`);
+    check(classification.lotCount === expectedLotCount, `Expected "${description}" to have ${expectedLotCount} lot(s) but it had ${classification.lotCount}.`);
+}
+
+// The tests (each is given the rules read from classification.json).
+
+const ClassifyTests: Tests<ClassificationRules> = {
+    "classifies descriptions into one or more categories": rules => {
+        checkClassification(rules, "Dwelling and garage", [ "dwelling", "shed/outbuilding" ]);
+        checkClassification(rules, "Verandah", [ "verandah/carport" ]);
+        checkClassification(rules, "Swimming pool", [ "swimming pool" ]);
+        checkClassification(rules, "Machinery shed", [ "shed/outbuilding", "winery/agricultural" ]);
+        checkClassification(rules, "Extension to existing winery and cellar door", [ "alterations/additions", "winery/agricultural" ]);
+        checkClassification(rules, "Change of use to shop and office", [ "commercial" ]);
+    },
+
+    "ignores text matching an exclude pattern": rules => {
+        checkClassification(rules, "Demolition of existing dwelling", [ "demolition" ]);
+        checkClassification(rules, "Alterations and additions to existing dwelling", [ "alterations/additions" ]);
+        checkClassification(rules, "Demolition of existing dwelling and construction of a new dwelling", [ "dwelling", "demolition" ]);
+    },
+
+    "finds the number of lots created by a land division": rules => {
+        checkClassification(rules, "Land division (1 into 3)", [ "land division" ], 3);
+        checkClassification(rules, "Land Division - one into two", [ "land division" ], 2);
+        checkClassification(rules, "Land division creating 12 allotments", [ "land division" ], 12);
+        checkClassification(rules, "Boundary realignment", [ "land division" ]);
+        checkClassification(rules, "Dwelling (1 of 2)", [ "dwelling" ]);
+    },
+
+    "does not classify a missing description": rules => {
+        checkClassification(rules, "No Description Provided", []);
+        checkClassification(rules, "", []);
+    },
+
+    "rejects invalid rules": () => {
+        let error: Error = undefined;
+        try {
+            loadClassificationRules(JSON.stringify({ categories: [ { name: "dwelling", patterns: [ "(dwelling" ] } ] }));
+        } catch (caughtError) {
+            error = caughtError;
+        }
+        check(error !== undefined && error.message.includes("invalid pattern"), "Expected an error reporting the invalid pattern.");
+    }
+};
+
+// Runs the tests.
+
+const Rules = loadClassificationRules(fs.readFileSync(path.join(__dirname, "..", "classification.json")).toString());
+runTests(ClassifyTests, () => Rules);
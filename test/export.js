@@ -0,0 +1,57 @@
+// Tests of exporting development applications (the filters and each output format), using an
+// in-memory database.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const sqlite3 = require("sqlite3");
+const database_1 = require("../database");
+const export_1 = require("../export");
+const harness_1 = require("./harness");
+// Creates an in-memory database containing a few development applications.
+async function createDatabase() {
+    let database = new sqlite3.Database(":memory:");
+    await database_1.createDataTable(database);
+    let rows = [
+        { council_reference: "311/100/2019", address: "12 Main Street, KAPUNDA SA 5373", description: "Dwelling, \"two storey\"", date_received: "2019-01-10", referrals: "[\"CFS\"]", warnings: "[]", latitude: -34.1, longitude: 138.1, geocode_precision: "street", address_suburb: "KAPUNDA" },
+        { council_reference: "311/101/2019", address: "5 Elm Street, FREELING SA 5372", description: "Shed", date_received: "2019-02-20", referrals: "[]", warnings: "[]", latitude: -34.4, longitude: 138.8, geocode_precision: "suburb", address_suburb: "FREELING" },
+        { council_reference: "312/5/2019", address: "Lot 7 Hundred of Nuriootpa", description: "Land division (1 into 3)", categories: "[\"land division\"]", lot_count: 3, date_received: "2019-03-01", referrals: "[]", warnings: "[\"The suburb was not recognised.\"]", latitude: null, longitude: null, geocode_precision: "none", address_suburb: "" }
+    ];
+    for (let row of rows) {
+        let record = { info_url: "https://example.com/register.pdf", comment_url: "mailto:light@light.sa.gov.au", date_scraped: "2019-03-02", ...row };
+        await database_1.runSql(database, `insert into [data] (${Object.keys(record).map(column => `[${column}]`).join(", ")}) values (${Object.keys(record).map(() => "?").join(", ")})`, Object.keys(record).map(column => record[column]));
+    }
+    return database;
+}
+const NoFilter = { receivedFrom: undefined, receivedTo: undefined, suburb: undefined, referencePrefix: undefined };
+// The tests (each is given a newly created in-memory database).
+const ExportTests = {
+    "filters by received date, suburb and reference prefix": async (database) => {
+        let numbers = async (filter) => (await export_1.readApplications(database, filter)).map(application => application.applicationNumber).join(" ");
+        harness_1.check(await numbers(NoFilter) === "311/100/2019 311/101/2019 312/5/2019", "Expected every development application.");
+        harness_1.check(await numbers({ ...NoFilter, receivedFrom: "2019-02-01", receivedTo: "2019-02-28" }) === "311/101/2019", "Expected the received date range to be applied.");
+        harness_1.check(await numbers({ ...NoFilter, suburb: "kapunda" }) === "311/100/2019", "Expected the suburb to be matched ignoring case.");
+        harness_1.check(await numbers({ ...NoFilter, referencePrefix: "312/" }) === "312/5/2019", "Expected the reference prefix to be applied.");
+    },
+    "exports JSON in the shape produced by the parser": async (database) => {
+        let applications = JSON.parse(export_1.formatApplications(await export_1.readApplications(database, NoFilter), "json"));
+        harness_1.check(applications[0].addressComponents.suburb === "KAPUNDA" && applications[0].referrals[0] === "CFS", "Expected the address components and referrals to be converted.");
+        harness_1.check(applications[2].warnings.length === 1, "Expected the warnings to be converted.");
+        harness_1.check(applications[2].categories[0] === "land division" && applications[2].lotCount === 3 && applications[0].categories.length === 0, "Expected the categories and number of lots to be converted.");
+    },
+    "exports CSV": async (database) => {
+        let lines = export_1.formatApplications(await export_1.readApplications(database, NoFilter), "csv").trim().split("\r\n");
+        harness_1.check(lines.length === 4 && lines[0].startsWith("applicationNumber,applicant,address,"), "Expected a heading line and a line for each development application.");
+        harness_1.check(lines[1].includes("\"Dwelling, \"\"two storey\"\"\""), "Expected a field containing a comma and quotes to be quoted.");
+    },
+    "exports GeoJSON for development applications with co-ordinates": async (database) => {
+        let featureCollection = JSON.parse(export_1.formatApplications(await export_1.readApplications(database, NoFilter), "geojson"));
+        harness_1.check(featureCollection.features.length === 2, "Expected a feature for each development application with co-ordinates.");
+        harness_1.check(featureCollection.features[0].geometry.coordinates.join(",") === "138.1,-34.1", "Expected the co-ordinates in longitude, latitude order.");
+    },
+    "exports the PlanningAlerts records": async (database) => {
+        let records = JSON.parse(export_1.formatApplications(await export_1.readApplications(database, NoFilter), "planningalerts"));
+        harness_1.check(Object.keys(records[0]).join(",") === "council_reference,address,description,info_url,comment_url,date_scraped,date_received,lat,lng", `Unexpected fields: ${Object.keys(records[0]).join(",")}`);
+        harness_1.check(records[1].lat === undefined, "Expected the co-ordinates of a suburb centre to be omitted.");
+    }
+};
+harness_1.runTests(ExportTests, createDatabase, database => database.close());
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZXhwb3J0LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiZXhwb3J0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLDZGQUE2RjtBQUM3RixzQkFBc0I7QUFFdEIsWUFBWSxDQUFDOztBQUViLG1DQUFtQztBQUNuQywwQ0FBc0Q7QUFDdEQsc0NBQStFO0FBQy9FLHVDQUFtRDtBQUVuRCwyRUFBMkU7QUFFM0UsS0FBSyxVQUFVLGNBQWM7SUFDekIsSUFBSSxRQUFRLEdBQUcsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLFVBQVUsQ0FBQyxDQUFDO0lBQ2hELE1BQU0sMEJBQWUsQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUNoQyxJQUFJLElBQUksR0FBRztRQUNQLEVBQUUsaUJBQWlCLEVBQUUsY0FBYyxFQUFFLE9BQU8sRUFBRSxpQ0FBaUMsRUFBRSxXQUFXLEVBQUUsMEJBQTBCLEVBQUUsYUFBYSxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsV0FBVyxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLENBQUMsSUFBSSxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLGNBQWMsRUFBRSxTQUFTLEVBQUU7UUFDMVIsRUFBRSxpQkFBaUIsRUFBRSxjQUFjLEVBQUUsT0FBTyxFQUFFLGdDQUFnQyxFQUFFLFdBQVcsRUFBRSxNQUFNLEVBQUUsYUFBYSxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLENBQUMsSUFBSSxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLGNBQWMsRUFBRSxVQUFVLEVBQUU7UUFDL1AsRUFBRSxpQkFBaUIsRUFBRSxZQUFZLEVBQUUsT0FBTyxFQUFFLDRCQUE0QixFQUFFLFdBQVcsRUFBRSwwQkFBMEIsRUFBRSxVQUFVLEVBQUUscUJBQXFCLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxhQUFhLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLHNDQUFzQyxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxpQkFBaUIsRUFBRSxNQUFNLEVBQUUsY0FBYyxFQUFFLEVBQUUsRUFBRTtLQUN2VixDQUFDO0lBQ0YsS0FBSyxJQUFJLEdBQUcsSUFBSSxJQUFJLEVBQUU7UUFDbEIsSUFBSSxNQUFNLEdBQUcsRUFBRSxRQUFRLEVBQUUsa0NBQWtDLEVBQUUsV0FBVyxFQUFFLDhCQUE4QixFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsR0FBRyxHQUFHLEVBQUUsQ0FBQztRQUMvSSxNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLHVCQUF1QixNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLElBQUksTUFBTSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLGFBQWEsTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO0tBQzlOO0lBQ0QsT0FBTyxRQUFRLENBQUM7QUFDcEIsQ0FBQztBQUVELE1BQU0sUUFBUSxHQUFpQixFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsVUFBVSxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsU0FBUyxFQUFFLGVBQWUsRUFBRSxTQUFTLEVBQUUsQ0FBQztBQUVqSSxnRUFBZ0U7QUFFaEUsTUFBTSxXQUFXLEdBQWU7SUFDNUIsdURBQXVELEVBQUUsS0FBSyxFQUFDLFFBQVEsRUFBQyxFQUFFO1FBQ3RFLElBQUksT0FBTyxHQUFHLEtBQUssRUFBRSxNQUFvQixFQUFFLEVBQUUsQ0FBQyxDQUFDLE1BQU0seUJBQWdCLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLGlCQUFpQixDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3JKLGVBQUssQ0FBQyxNQUFNLE9BQU8sQ0FBQyxRQUFRLENBQUMsS0FBSyxzQ0FBc0MsRUFBRSx5Q0FBeUMsQ0FBQyxDQUFDO1FBQ3JILGVBQUssQ0FBQyxNQUFNLE9BQU8sQ0FBQyxFQUFFLEdBQUcsUUFBUSxFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsVUFBVSxFQUFFLFlBQVksRUFBRSxDQUFDLEtBQUssY0FBYyxFQUFFLGlEQUFpRCxDQUFDLENBQUM7UUFDbEssZUFBSyxDQUFDLE1BQU0sT0FBTyxDQUFDLEVBQUUsR0FBRyxRQUFRLEVBQUUsTUFBTSxFQUFFLFNBQVMsRUFBRSxDQUFDLEtBQUssY0FBYyxFQUFFLGtEQUFrRCxDQUFDLENBQUM7UUFDaEksZUFBSyxDQUFDLE1BQU0sT0FBTyxDQUFDLEVBQUUsR0FBRyxRQUFRLEVBQUUsZUFBZSxFQUFFLE1BQU0sRUFBRSxDQUFDLEtBQUssWUFBWSxFQUFFLDhDQUE4QyxDQUFDLENBQUM7SUFDcEksQ0FBQztJQUVELGtEQUFrRCxFQUFFLEtBQUssRUFBQyxRQUFRLEVBQUMsRUFBRTtRQUNqRSxJQUFJLFlBQVksR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLDJCQUFrQixDQUFDLE1BQU0seUJBQWdCLENBQUMsUUFBUSxFQUFFLFFBQVEsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUM7UUFDdEcsZUFBSyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxpQkFBaUIsQ0FBQyxNQUFNLEtBQUssU0FBUyxJQUFJLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLEtBQUssS0FBSyxFQUFFLGdFQUFnRSxDQUFDLENBQUM7UUFDMUssZUFBSyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSx3Q0FBd0MsQ0FBQyxDQUFDO1FBQ3ZGLGVBQUssQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxLQUFLLGVBQWUsSUFBSSxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxLQUFLLENBQUMsSUFBSSxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUUsNkRBQTZELENBQUMsQ0FBQztJQUN6TSxDQUFDO0lBRUQsYUFBYSxFQUFFLEtBQUssRUFBQyxRQUFRLEVBQUMsRUFBRTtRQUM1QixJQUFJLEtBQUssR0FBRywyQkFBa0IsQ0FBQyxNQUFNLHlCQUFnQixDQUFDLFFBQVEsRUFBRSxRQUFRLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDdkcsZUFBSyxDQUFDLEtBQUssQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsc0NBQXNDLENBQUMsRUFBRSxzRUFBc0UsQ0FBQyxDQUFDO1FBQ2pLLGVBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLGtDQUFrQyxDQUFDLEVBQUUsOERBQThELENBQUMsQ0FBQztJQUNqSSxDQUFDO0lBRUQsZ0VBQWdFLEVBQUUsS0FBSyxFQUFDLFFBQVEsRUFBQyxFQUFFO1FBQy9FLElBQUksaUJBQWlCLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQywyQkFBa0IsQ0FBQyxNQUFNLHlCQUFnQixDQUFDLFFBQVEsRUFBRSxRQUFRLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDO1FBQzlHLGVBQUssQ0FBQyxpQkFBaUIsQ0FBQyxRQUFRLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSx3RUFBd0UsQ0FBQyxDQUFDO1FBQ3pILGVBQUssQ0FBQyxpQkFBaUIsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssYUFBYSxFQUFFLHlEQUF5RCxDQUFDLENBQUM7SUFDckosQ0FBQztJQUVELG9DQUFvQyxFQUFFLEtBQUssRUFBQyxRQUFRLEVBQUMsRUFBRTtRQUNuRCxJQUFJLE9BQU8sR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLDJCQUFrQixDQUFDLE1BQU0seUJBQWdCLENBQUMsUUFBUSxFQUFFLFFBQVEsQ0FBQyxFQUFFLGdCQUFnQixDQUFDLENBQUMsQ0FBQztRQUMzRyxlQUFLLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssK0ZBQStGLEVBQUUsc0JBQXNCLE1BQU0sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUN4TSxlQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsS0FBSyxTQUFTLEVBQUUsNkRBQTZELENBQUMsQ0FBQztJQUN2RyxDQUFDO0NBQ0osQ0FBQztBQUVGLGtCQUFRLENBQUMsV0FBVyxFQUFFLGNBQWMsRUFBRSxRQUFRLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDIn0=
\ No newline at end of file
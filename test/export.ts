@@ -0,0 +1,67 @@
+// Tests of exporting development applications (the filters and each output format), using an
+// in-memory database.
+
+"use strict";
+
+import * as sqlite3 from "sqlite3";
+import { runSql, createDataTable } from "../database";
+import { ExportFilter, readApplications, formatApplications } from "../export";
+import { Tests, check, runTests } from "./harness";
+
+// Creates an in-memory database containing a few development applications.
+
+async function createDatabase() {
+    let database = new sqlite3.Database(":memory:");
+    await createDataTable(database);
+    let rows = [
+        { council_reference: "311/100/2019", address: "12 Main Street, KAPUNDA SA 5373", description: "Dwelling, \"two storey\"", date_received: "2019-01-10", referrals: "[\"CFS\"]", warnings: "[]", latitude: -34.1, longitude: 138.1, geocode_precision: "street", address_suburb: "KAPUNDA" },
+        { council_reference: "311/101/2019", address: "5 Elm Street, FREELING SA 5372", description: "Shed", date_received: "2019-02-20", referrals: "[]", warnings: "[]", latitude: -34.4, longitude: 138.8, geocode_precision: "suburb", address_suburb: "FREELING" },
+        { council_reference: "312/5/2019", address: "Lot 7 Hundred of Nuriootpa", description: "Land division (1 into 3)", categories: "[\"land division\"]", lot_count: 3, date_received: "2019-03-01", referrals: "[]", warnings: "[\"The suburb was not recognised.\"]", latitude: null, longitude: null, geocode_precision: "none", address_suburb: "" }
+    ];
+    for (let row of rows) {
+        let record = { info_url: "https://example.com/register.pdf", comment_url: "mailto:light@light.sa.gov.au", date_scraped: "2019-03-02", ...row };
+        await runSql(database, `insert into [data] (${Object.keys(record).map(column => `[${column}]`).join(", ")}) values (${Object.keys(record).map(() => "?").join(", ")})`, Object.keys(record).map(column => record[column]));
+    }
+    return database;
+}
+
+const NoFilter: ExportFilter = { receivedFrom: undefined, receivedTo: undefined, suburb: undefined, referencePrefix: undefined };
+
+// The tests (each is given a newly created in-memory database).
+
+const ExportTests: Tests<any> = {
+    "filters by received date, suburb and reference prefix": async database => {
+        let numbers = async (filter: ExportFilter) => (await readApplications(database, filter)).map(application => application.applicationNumber).join(" ");
+        check(await numbers(NoFilter) === "311/100/2019 311/101/2019 312/5/2019", "Expected every development application.");
+        check(await numbers({ ...NoFilter, receivedFrom: "2019-02-01", receivedTo: "2019-02-28" }) === "311/101/2019", "Expected the received date range to be applied.");
+        check(await numbers({ ...NoFilter, suburb: "kapunda" }) === "311/100/2019", "Expected the suburb to be matched ignoring case.");
+        check(await numbers({ ...NoFilter, referencePrefix: "312/" }) === "312/5/2019", "Expected the reference prefix to be applied.");
+    },
+
+    "exports JSON in the shape produced by the parser": async database => {
+        let applications = JSON.parse(formatApplications(await readApplications(database, NoFilter), "json"));
+        check(applications[0].addressComponents.suburb === "KAPUNDA" && applications[0].referrals[0] === "CFS", "Expected the address components and referrals to be converted.");
+        check(applications[2].warnings.length === 1, "Expected the warnings to be converted.");
+        check(applications[2].categories[0] === "land division" && applications[2].lotCount === 3 && applications[0].categories.length === 0, "Expected the categories and number of lots to be converted.");
+    },
+
+    "exports CSV": async database => {
+        let lines = formatApplications(await readApplications(database, NoFilter), "csv").trim().split("\r\n");
+        check(lines.length === 4 && lines[0].startsWith("applicationNumber,applicant,address,"), "Expected a heading line and a line for each development application.");
+        check(lines[1].includes("\"Dwelling, \"\"two storey\"\"\""), "Expected a field containing a comma and quotes to be quoted.");
+    },
+
+    "exports GeoJSON for development applications with co-ordinates": async database => {
+        let featureCollection = JSON.parse(formatApplications(await readApplications(database, NoFilter), "geojson"));
+        check(featureCollection.features.length === 2, "Expected a feature for each development application with co-ordinates.");
+        check(featureCollection.features[0].geometry.coordinates.join(",") === "138.1,-34.1", "Expected the co-ordinates in longitude, latitude order.");
+    },
+
+    "exports the PlanningAlerts records": async database => {
+        let records = JSON.parse(formatApplications(await readApplications(database, NoFilter), "planningalerts"));
+        check(Object.keys(records[0]).join(",") === "council_reference,address,description,info_url,comment_url,date_scraped,date_received,lat,lng", `Unexpected fields: ${Object.keys(records[0]).join(",")}`);
+        check(records[1].lat === undefined, "Expected the co-ordinates of a suburb centre to be omitted.");
+    }
+};
+
+runTests(ExportTests, createDatabase, database => database.close());
@@ -0,0 +1,63 @@
+// Tests of retrieving documents (retries, conditional requests and rate limiting), using a local
+// stand-in for the council web site.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const urlparser = require("url");
+const fetch_1 = require("../fetch");
+const standin_1 = require("./standin");
+const harness_1 = require("./harness");
+const FixturesDirectory = path.join(__dirname, "fixtures");
+const PdfFileName = "synthetic-register.pdf";
+// The tests (each is given a newly started stand-in).
+const FetchTests = {
+    "retrieves the register page": async (standIn) => {
+        let result = await fetch_1.fetchDocument(standIn.url);
+        harness_1.check(result.body.toString().includes(`/files/${PdfFileName}`), "The register page does not link to the PDF.");
+    },
+    "retries transient failures": async (standIn) => {
+        let pdfUrl = new urlparser.URL(`/files/${PdfFileName}`, standIn.url).href;
+        standIn.failures[`/files/${PdfFileName}`] = 2;
+        let result = await fetch_1.fetchDocument(pdfUrl);
+        harness_1.check(result.body.equals(fs.readFileSync(path.join(FixturesDirectory, PdfFileName))), "The retrieved PDF differs from the original.");
+        harness_1.check(standIn.requests.length === 3, `Expected 3 requests but there were ${standIn.requests.length}.`);
+    },
+    "gives up after the maximum number of retries": async (standIn) => {
+        standIn.failures[`/files/${PdfFileName}`] = 100;
+        let error = undefined;
+        await fetch_1.fetchDocument(new urlparser.URL(`/files/${PdfFileName}`, standIn.url).href).catch(caughtError => error = caughtError);
+        harness_1.check(error !== undefined && error.message.includes("HTTP status 503"), "Expected an error reporting the HTTP status.");
+        harness_1.check(standIn.requests.length === 3, `Expected 3 requests (2 retries) but there were ${standIn.requests.length}.`);
+    },
+    "does not retry a missing document": async (standIn) => {
+        let error = undefined;
+        await fetch_1.fetchDocument(new urlparser.URL("/files/missing.pdf", standIn.url).href).catch(caughtError => error = caughtError);
+        harness_1.check(error !== undefined && error.message.includes("HTTP status 404"), "Expected an error reporting the HTTP status.");
+        harness_1.check(standIn.requests.length === 1, `Expected 1 request but there were ${standIn.requests.length}.`);
+    },
+    "makes conditional requests": async (standIn) => {
+        let pdfUrl = new urlparser.URL(`/files/${PdfFileName}`, standIn.url).href;
+        let result = await fetch_1.fetchDocument(pdfUrl);
+        harness_1.check(!result.notModified && result.etag !== null && result.lastModified !== null, "Expected an ETag and a Last-Modified header.");
+        let etagResult = await fetch_1.fetchDocument(pdfUrl, result.etag, undefined);
+        harness_1.check(etagResult.notModified && etagResult.body === null, "Expected the ETag request to report that the PDF is not modified.");
+        let lastModifiedResult = await fetch_1.fetchDocument(pdfUrl, undefined, result.lastModified);
+        harness_1.check(lastModifiedResult.notModified, "Expected the Last-Modified request to report that the PDF is not modified.");
+        let changedResult = await fetch_1.fetchDocument(pdfUrl, "\"an-older-version\"", undefined);
+        harness_1.check(!changedResult.notModified && changedResult.body !== null, "Expected a changed PDF to be retrieved.");
+        harness_1.check(standIn.requests[1].headers["if-none-match"] === result.etag, "The ETag was not sent.");
+    },
+    "limits the rate of requests to a host": async (standIn) => {
+        fetch_1.configureFetch({ hostRequestIntervals: { [new urlparser.URL(standIn.url).host]: 300 } });
+        for (let index = 0; index < 3; index++)
+            await fetch_1.fetchDocument(standIn.url);
+        fetch_1.configureFetch({ hostRequestIntervals: {} });
+        let intervals = standIn.requests.slice(1).map((request, index) => request.time - standIn.requests[index].time);
+        harness_1.check(intervals.every(interval => interval >= 290), `Expected at least 300 milliseconds between requests but the intervals were: ${intervals.join(", ")}`);
+    }
+};
+// Runs the tests (the retry messages are only shown if a test fails).
+fetch_1.configureFetch({ retryCount: 2, retryDelay: 10, timeout: 5000, requestInterval: 0, requestJitter: 0, proxy: undefined });
+harness_1.runTests(FetchTests, () => standin_1.startStandIn(FixturesDirectory), standIn => standIn.close());
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZmV0Y2guanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJmZXRjaC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxpR0FBaUc7QUFDakcscUNBQXFDO0FBRXJDLFlBQVksQ0FBQzs7QUFFYix5QkFBeUI7QUFDekIsNkJBQTZCO0FBQzdCLGlDQUFpQztBQUNqQyxvQ0FBeUQ7QUFDekQsdUNBQWtEO0FBQ2xELHVDQUFtRDtBQUVuRCxNQUFNLGlCQUFpQixHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLFVBQVUsQ0FBQyxDQUFDO0FBQzNELE1BQU0sV0FBVyxHQUFHLHdCQUF3QixDQUFDO0FBRTdDLHNEQUFzRDtBQUV0RCxNQUFNLFVBQVUsR0FBbUI7SUFDL0IsNkJBQTZCLEVBQUUsS0FBSyxFQUFDLE9BQU8sRUFBQyxFQUFFO1FBQzNDLElBQUksTUFBTSxHQUFHLE1BQU0scUJBQWEsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDOUMsZUFBSyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLENBQUMsUUFBUSxDQUFDLFVBQVUsV0FBVyxFQUFFLENBQUMsRUFBRSw2Q0FBNkMsQ0FBQyxDQUFDO0lBQ25ILENBQUM7SUFFRCw0QkFBNEIsRUFBRSxLQUFLLEVBQUMsT0FBTyxFQUFDLEVBQUU7UUFDMUMsSUFBSSxNQUFNLEdBQUcsSUFBSSxTQUFTLENBQUMsR0FBRyxDQUFDLFVBQVUsV0FBVyxFQUFFLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQztRQUMxRSxPQUFPLENBQUMsUUFBUSxDQUFDLFVBQVUsV0FBVyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDOUMsSUFBSSxNQUFNLEdBQUcsTUFBTSxxQkFBYSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ3pDLGVBQUssQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsaUJBQWlCLEVBQUUsV0FBVyxDQUFDLENBQUMsQ0FBQyxFQUFFLDhDQUE4QyxDQUFDLENBQUM7UUFDdEksZUFBSyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxzQ0FBc0MsT0FBTyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO0lBQzNHLENBQUM7SUFFRCw4Q0FBOEMsRUFBRSxLQUFLLEVBQUMsT0FBTyxFQUFDLEVBQUU7UUFDNUQsT0FBTyxDQUFDLFFBQVEsQ0FBQyxVQUFVLFdBQVcsRUFBRSxDQUFDLEdBQUcsR0FBRyxDQUFDO1FBQ2hELElBQUksS0FBSyxHQUFVLFNBQVMsQ0FBQztRQUM3QixNQUFNLHFCQUFhLENBQUMsSUFBSSxTQUFTLENBQUMsR0FBRyxDQUFDLFVBQVUsV0FBVyxFQUFFLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLEtBQUssQ0FBQyxXQUFXLENBQUMsRUFBRSxDQUFDLEtBQUssR0FBRyxXQUFXLENBQUMsQ0FBQztRQUM1SCxlQUFLLENBQUMsS0FBSyxLQUFLLFNBQVMsSUFBSSxLQUFLLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxpQkFBaUIsQ0FBQyxFQUFFLDhDQUE4QyxDQUFDLENBQUM7UUFDeEgsZUFBSyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxrREFBa0QsT0FBTyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO0lBQ3ZILENBQUM7SUFFRCxtQ0FBbUMsRUFBRSxLQUFLLEVBQUMsT0FBTyxFQUFDLEVBQUU7UUFDakQsSUFBSSxLQUFLLEdBQVUsU0FBUyxDQUFDO1FBQzdCLE1BQU0scUJBQWEsQ0FBQyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsb0JBQW9CLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLEtBQUssQ0FBQyxXQUFXLENBQUMsRUFBRSxDQUFDLEtBQUssR0FBRyxXQUFXLENBQUMsQ0FBQztRQUN6SCxlQUFLLENBQUMsS0FBSyxLQUFLLFNBQVMsSUFBSSxLQUFLLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxpQkFBaUIsQ0FBQyxFQUFFLDhDQUE4QyxDQUFDLENBQUM7UUFDeEgsZUFBSyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxxQ0FBcUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO0lBQzFHLENBQUM7SUFFRCw0QkFBNEIsRUFBRSxLQUFLLEVBQUMsT0FBTyxFQUFDLEVBQUU7UUFDMUMsSUFBSSxNQUFNLEdBQUcsSUFBSSxTQUFTLENBQUMsR0FBRyxDQUFDLFVBQVUsV0FBVyxFQUFFLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQztRQUMxRSxJQUFJLE1BQU0sR0FBRyxNQUFNLHFCQUFhLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDekMsZUFBSyxDQUFDLENBQUMsTUFBTSxDQUFDLFdBQVcsSUFBSSxNQUFNLENBQUMsSUFBSSxLQUFLLElBQUksSUFBSSxNQUFNLENBQUMsWUFBWSxLQUFLLElBQUksRUFBRSw4Q0FBOEMsQ0FBQyxDQUFDO1FBQ25JLElBQUksVUFBVSxHQUFHLE1BQU0scUJBQWEsQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLElBQUksRUFBRSxTQUFTLENBQUMsQ0FBQztRQUNyRSxlQUFLLENBQUMsVUFBVSxDQUFDLFdBQVcsSUFBSSxVQUFVLENBQUMsSUFBSSxLQUFLLElBQUksRUFBRSxtRUFBbUUsQ0FBQyxDQUFDO1FBQy9ILElBQUksa0JBQWtCLEdBQUcsTUFBTSxxQkFBYSxDQUFDLE1BQU0sRUFBRSxTQUFTLEVBQUUsTUFBTSxDQUFDLFlBQVksQ0FBQyxDQUFDO1FBQ3JGLGVBQUssQ0FBQyxrQkFBa0IsQ0FBQyxXQUFXLEVBQUUsNEVBQTRFLENBQUMsQ0FBQztRQUNwSCxJQUFJLGFBQWEsR0FBRyxNQUFNLHFCQUFhLENBQUMsTUFBTSxFQUFFLHNCQUFzQixFQUFFLFNBQVMsQ0FBQyxDQUFDO1FBQ25GLGVBQUssQ0FBQyxDQUFDLGFBQWEsQ0FBQyxXQUFXLElBQUksYUFBYSxDQUFDLElBQUksS0FBSyxJQUFJLEVBQUUseUNBQXlDLENBQUMsQ0FBQztRQUM1RyxlQUFLLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsZUFBZSxDQUFDLEtBQUssTUFBTSxDQUFDLElBQUksRUFBRSx3QkFBd0IsQ0FBQyxDQUFDO0lBQ2xHLENBQUM7SUFFRCx1Q0FBdUMsRUFBRSxLQUFLLEVBQUMsT0FBTyxFQUFDLEVBQUU7UUFDckQsc0JBQWMsQ0FBQyxFQUFFLG9CQUFvQixFQUFFLEVBQUUsQ0FBQyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLEdBQUcsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUN6RixLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssRUFBRTtZQUNsQyxNQUFNLHFCQUFhLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3JDLHNCQUFjLENBQUMsRUFBRSxvQkFBb0IsRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQzdDLElBQUksU0FBUyxHQUFHLE9BQU8sQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE9BQU8sRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLEdBQUcsT0FBTyxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUMvRyxlQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLFFBQVEsSUFBSSxHQUFHLENBQUMsRUFBRSwrRUFBK0UsU0FBUyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7SUFDL0osQ0FBQztDQUNKLENBQUM7QUFFRixzRUFBc0U7QUFFdEUsc0JBQWMsQ0FBQyxFQUFFLFVBQVUsRUFBRSxDQUFDLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLGVBQWUsRUFBRSxDQUFDLEVBQUUsYUFBYSxFQUFFLENBQUMsRUFBRSxLQUFLLEVBQUUsU0FBUyxFQUFFLENBQUMsQ0FBQztBQUN6SCxrQkFBUSxDQUFDLFVBQVUsRUFBRSxHQUFHLEVBQUUsQ0FBQyxzQkFBWSxDQUFDLGlCQUFpQixDQUFDLEVBQUUsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQyJ9
\ No newline at end of file
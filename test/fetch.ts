@@ -0,0 +1,73 @@
+// Tests of retrieving documents (retries, conditional requests and rate limiting), using a local
+// stand-in for the council web site.
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import * as urlparser from "url";
+import { configureFetch, fetchDocument } from "../fetch";
+import { startStandIn, StandIn } from "./standin";
+import { Tests, check, runTests } from "./harness";
+
+const FixturesDirectory = path.join(__dirname, "fixtures");
+const PdfFileName = "synthetic-register.pdf";
+
+// The tests (each is given a newly started stand-in).
+
+const FetchTests: Tests<StandIn> = {
+    "retrieves the register page": async standIn => {
+        let result = await fetchDocument(standIn.url);
+        check(result.body.toString().includes(`/files/${PdfFileName}`), "The register page does not link to the PDF.");
+    },
+
+    "retries transient failures": async standIn => {
+        let pdfUrl = new urlparser.URL(`/files/${PdfFileName}`, standIn.url).href;
+        standIn.failures[`/files/${PdfFileName}`] = 2;
+        let result = await fetchDocument(pdfUrl);
+        check(result.body.equals(fs.readFileSync(path.join(FixturesDirectory, PdfFileName))), "The retrieved PDF differs from the original.");
+        check(standIn.requests.length === 3, `Expected 3 requests but there were ${standIn.requests.length}.`);
+    },
+
+    "gives up after the maximum number of retries": async standIn => {
+        standIn.failures[`/files/${PdfFileName}`] = 100;
+        let error: Error = undefined;
+        await fetchDocument(new urlparser.URL(`/files/${PdfFileName}`, standIn.url).href).catch(caughtError => error = caughtError);
+        check(error !== undefined && error.message.includes("HTTP status 503"), "Expected an error reporting the HTTP status.");
+        check(standIn.requests.length === 3, `Expected 3 requests (2 retries) but there were ${standIn.requests.length}.`);
+    },
+
+    "does not retry a missing document": async standIn => {
+        let error: Error = undefined;
+        await fetchDocument(new urlparser.URL("/files/missing.pdf", standIn.url).href).catch(caughtError => error = caughtError);
+        check(error !== undefined && error.message.includes("HTTP status 404"), "Expected an error reporting the HTTP status.");
+        check(standIn.requests.length === 1, `Expected 1 request but there were ${standIn.requests.length}.`);
+    },
+
+    "makes conditional requests": async standIn => {
+        let pdfUrl = new urlparser.URL(`/files/${PdfFileName}`, standIn.url).href;
+        let result = await fetchDocument(pdfUrl);
+        check(!result.notModified && result.etag !== null && result.lastModified !== null, "Expected an ETag and a Last-Modified header.");
+        let etagResult = await fetchDocument(pdfUrl, result.etag, undefined);
+        check(etagResult.notModified && etagResult.body === null, "Expected the ETag request to report that the PDF is not modified.");
+        let lastModifiedResult = await fetchDocument(pdfUrl, undefined, result.lastModified);
+        check(lastModifiedResult.notModified, "Expected the Last-Modified request to report that the PDF is not modified.");
+        let changedResult = await fetchDocument(pdfUrl, "\"an-older-version\"", undefined);
+        check(!changedResult.notModified && changedResult.body !== null, "Expected a changed PDF to be retrieved.");
+        check(standIn.requests[1].headers["if-none-match"] === result.etag, "The ETag was not sent.");
+    },
+
+    "limits the rate of requests to a host": async standIn => {
+        configureFetch({ hostRequestIntervals: { [new urlparser.URL(standIn.url).host]: 300 } });
+        for (let index = 0; index < 3; index++)
+            await fetchDocument(standIn.url);
+        configureFetch({ hostRequestIntervals: {} });
+        let intervals = standIn.requests.slice(1).map((request, index) => request.time - standIn.requests[index].time);
+        check(intervals.every(interval => interval >= 290), `Expected at least 300 milliseconds between requests but the intervals were: ${intervals.join(", ")}`);
+    }
+};
+
+// Runs the tests (the retry messages are only shown if a test fails).
+
+configureFetch({ retryCount: 2, retryDelay: 10, timeout: 5000, requestInterval: 0, requestJitter: 0, proxy: undefined });
+runTests(FetchTests, () => startStandIn(FixturesDirectory), standIn => standIn.close());
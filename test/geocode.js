@@ -0,0 +1,69 @@
+// Tests of geocoding addresses: reading a CSV file of street (and address) co-ordinates and
+// falling back from the address to the street and then to the suburb centre in suburbnames.txt.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const address_1 = require("../address");
+const geocode_1 = require("../geocode");
+const harness_1 = require("./harness");
+// Street and address co-ordinates (Main Street has a street centre; Hill Street only has
+// individual addresses, one of which is quoted).
+const StreetsCsv = [
+    "number,street,suburb,latitude,longitude",
+    ",Main St,KAPUNDA,-34.3400,138.9100",
+    "12,Main Street,KAPUNDA,-34.3410,138.9120",
+    "2,\"Hill Street\",\"FREELING\",-34.4500,138.8000",
+    "4,Hill Street,FREELING,-34.4520,138.8040",
+    "\"6\",\"Hill \"\"Top\"\" Street\",\"FREELING\",\"-34.4600\",\"138.8100\"",
+    "8,Hill Street,FREELING,,",
+    ""
+].join("\r\n");
+// Geocodes an address, returning the precision and co-ordinates as text (such as "street
+// -34.34,138.91").
+function geocode(gazetteer, address, streetsCsv = StreetsCsv) {
+    let result = geocode_1.geocodeAddress(address_1.parseAddress(address, gazetteer), gazetteer, (streetsCsv === null) ? null : geocode_1.loadStreetCoordinates(streetsCsv));
+    return `${result.precision} ${result.latitude},${result.longitude}`;
+}
+// The tests (each is given the gazetteer read from the suburb names and aliases files).
+const GeocodeTests = {
+    "reads quoted fields and averages addresses into a street centre": () => {
+        let streetCoordinates = geocode_1.loadStreetCoordinates(StreetsCsv);
+        harness_1.check(JSON.stringify(streetCoordinates["KAPUNDA|MAIN STREET"]) === JSON.stringify({ latitude: -34.34, longitude: 138.91 }), "Expected the street centre (with the street type expanded).");
+        harness_1.check(JSON.stringify(streetCoordinates["FREELING|HILL STREET|4"]) === JSON.stringify({ latitude: -34.452, longitude: 138.804 }), "Expected the co-ordinates of an individual address.");
+        harness_1.check(streetCoordinates["FREELING|HILL \"TOP\" STREET|6"] !== undefined, "Expected quoted fields (with doubled quotes) to be read.");
+        let hillStreet = streetCoordinates["FREELING|HILL STREET"];
+        harness_1.check(hillStreet !== undefined && Math.abs(hillStreet.latitude + 34.451) < 1e-9 && Math.abs(hillStreet.longitude - 138.802) < 1e-9, `Expected the average of the addresses (ignoring one without co-ordinates) but found ${JSON.stringify(hillStreet)}.`);
+        harness_1.check(streetCoordinates["FREELING|HILL STREET|8"] === undefined, "Expected an address without co-ordinates to be ignored.");
+    },
+    "requires the street, suburb, latitude and longitude columns": () => {
+        let error = undefined;
+        try {
+            geocode_1.loadStreetCoordinates("street,latitude,longitude\nMain Street,-34.34,138.91\n");
+        }
+        catch (caughtError) {
+            error = caughtError;
+        }
+        harness_1.check(error !== undefined && error.message.includes("\"suburb\""), "Expected an error reporting the missing column.");
+    },
+    "falls back from the address to the street and then to the suburb": gazetteer => {
+        harness_1.check(geocode(gazetteer, "12 Main St Kapunda") === "address -34.341,138.912", "Expected the address to be matched.");
+        harness_1.check(geocode(gazetteer, "14 Main Street Kapunda") === "street -34.34,138.91", "Expected the street to be matched when the address is not.");
+        harness_1.check(geocode(gazetteer, "4 Hill Street Freeling") === "address -34.452,138.804", "Expected the address to be matched.");
+        harness_1.check(geocode(gazetteer, "5 Elm St FREELING") === "suburb -34.45,138.81", "Expected the suburb centre when the street is not matched.");
+        harness_1.check(geocode(gazetteer, "5 Elm St FREELING", null) === "suburb -34.45,138.81", "Expected the suburb centre when there is no geocoding file.");
+        harness_1.check(geocode(gazetteer, "Section 345 Hundred of Kapunda") === "none null,null", "Expected no co-ordinates when there is no suburb.");
+        harness_1.check(geocode(gazetteer, "12 Main Street Nowhereville") === "none null,null", "Expected no co-ordinates for an unrecognised suburb.");
+    },
+    "knows the centre of every suburb": gazetteer => {
+        let missing = Object.keys(gazetteer).filter(name => typeof gazetteer[name].latitude !== "number" || typeof gazetteer[name].longitude !== "number" || isNaN(gazetteer[name].latitude) || isNaN(gazetteer[name].longitude));
+        harness_1.check(missing.length === 0, `Expected co-ordinates for every suburb in suburbnames.txt but these have none: ${missing.join(", ")}`);
+        let outside = Object.keys(gazetteer).filter(name => gazetteer[name].latitude < -35 || gazetteer[name].latitude > -34 || gazetteer[name].longitude < 138.4 || gazetteer[name].longitude > 139.4);
+        harness_1.check(outside.length === 0, `Expected every suburb centre to be in the council area but these are not: ${outside.join(", ")}`);
+    }
+};
+// Runs the tests.
+const Directory = path.join(__dirname, "..");
+const SuburbGazetteer = address_1.loadGazetteer(fs.readFileSync(path.join(Directory, "suburbnames.txt")).toString(), fs.readFileSync(path.join(Directory, "suburbaliases.txt")).toString());
+harness_1.runTests(GeocodeTests, () => SuburbGazetteer);
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZ2VvY29kZS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImdlb2NvZGUudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsNEZBQTRGO0FBQzVGLGdHQUFnRztBQUVoRyxZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLDZCQUE2QjtBQUM3Qix3Q0FBb0U7QUFDcEUsd0NBQW1FO0FBQ25FLHVDQUFtRDtBQUVuRCx5RkFBeUY7QUFDekYsaURBQWlEO0FBRWpELE1BQU0sVUFBVSxHQUFHO0lBQ2YseUNBQXlDO0lBQ3pDLG9DQUFvQztJQUNwQywwQ0FBMEM7SUFDMUMsa0RBQWtEO0lBQ2xELDBDQUEwQztJQUMxQywwRUFBMEU7SUFDMUUsMEJBQTBCO0lBQzFCLEVBQUU7Q0FDTCxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztBQUVmLHlGQUF5RjtBQUN6RixtQkFBbUI7QUFFbkIsU0FBUyxPQUFPLENBQUMsU0FBb0IsRUFBRSxPQUFlLEVBQUUsYUFBcUIsVUFBVTtJQUNuRixJQUFJLE1BQU0sR0FBRyx3QkFBYyxDQUFDLHNCQUFZLENBQUMsT0FBTyxFQUFFLFNBQVMsQ0FBQyxFQUFFLFNBQVMsRUFBRSxDQUFDLFVBQVUsS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQywrQkFBcUIsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDO0lBQzNJLE9BQU8sR0FBRyxNQUFNLENBQUMsU0FBUyxJQUFJLE1BQU0sQ0FBQyxRQUFRLElBQUksTUFBTSxDQUFDLFNBQVMsRUFBRSxDQUFDO0FBQ3hFLENBQUM7QUFFRCx3RkFBd0Y7QUFFeEYsTUFBTSxZQUFZLEdBQXFCO0lBQ25DLGlFQUFpRSxFQUFFLEdBQUcsRUFBRTtRQUNwRSxJQUFJLGlCQUFpQixHQUFHLCtCQUFxQixDQUFDLFVBQVUsQ0FBQyxDQUFDO1FBQzFELGVBQUssQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLGlCQUFpQixDQUFDLHFCQUFxQixDQUFDLENBQUMsS0FBSyxJQUFJLENBQUMsU0FBUyxDQUFDLEVBQUUsUUFBUSxFQUFFLENBQUMsS0FBSyxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsQ0FBQyxFQUFFLDZEQUE2RCxDQUFDLENBQUM7UUFDM0wsZUFBSyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsaUJBQWlCLENBQUMsd0JBQXdCLENBQUMsQ0FBQyxLQUFLLElBQUksQ0FBQyxTQUFTLENBQUMsRUFBRSxRQUFRLEVBQUUsQ0FBQyxNQUFNLEVBQUUsU0FBUyxFQUFFLE9BQU8sRUFBRSxDQUFDLEVBQUUscURBQXFELENBQUMsQ0FBQztRQUN4TCxlQUFLLENBQUMsaUJBQWlCLENBQUMsZ0NBQWdDLENBQUMsS0FBSyxTQUFTLEVBQUUsMERBQTBELENBQUMsQ0FBQztRQUNySSxJQUFJLFVBQVUsR0FBRyxpQkFBaUIsQ0FBQyxzQkFBc0IsQ0FBQyxDQUFDO1FBQzNELGVBQUssQ0FBQyxVQUFVLEtBQUssU0FBUyxJQUFJLElBQUksQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLFFBQVEsR0FBRyxNQUFNLENBQUMsR0FBRyxJQUFJLElBQUksSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsU0FBUyxHQUFHLE9BQU8sQ0FBQyxHQUFHLElBQUksRUFBRSx1RkFBdUYsSUFBSSxDQUFDLFNBQVMsQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDMVAsZUFBSyxDQUFDLGlCQUFpQixDQUFDLHdCQUF3QixDQUFDLEtBQUssU0FBUyxFQUFFLHlEQUF5RCxDQUFDLENBQUM7SUFDaEksQ0FBQztJQUVELDZEQUE2RCxFQUFFLEdBQUcsRUFBRTtRQUNoRSxJQUFJLEtBQUssR0FBVSxTQUFTLENBQUM7UUFDN0IsSUFBSTtZQUNBLCtCQUFxQixDQUFDLHdEQUF3RCxDQUFDLENBQUM7U0FDbkY7UUFBQyxPQUFPLFdBQVcsRUFBRTtZQUNsQixLQUFLLEdBQUcsV0FBVyxDQUFDO1NBQ3ZCO1FBQ0QsZUFBSyxDQUFDLEtBQUssS0FBSyxTQUFTLElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsWUFBWSxDQUFDLEVBQUUsaURBQWlELENBQUMsQ0FBQztJQUMxSCxDQUFDO0lBRUQsa0VBQWtFLEVBQUUsU0FBUyxDQUFDLEVBQUU7UUFDNUUsZUFBSyxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsb0JBQW9CLENBQUMsS0FBSyx5QkFBeUIsRUFBRSxxQ0FBcUMsQ0FBQyxDQUFDO1FBQ3JILGVBQUssQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLHdCQUF3QixDQUFDLEtBQUssc0JBQXNCLEVBQUUsNERBQTRELENBQUMsQ0FBQztRQUM3SSxlQUFLLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSx3QkFBd0IsQ0FBQyxLQUFLLHlCQUF5QixFQUFFLHFDQUFxQyxDQUFDLENBQUM7UUFDekgsZUFBSyxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsbUJBQW1CLENBQUMsS0FBSyxzQkFBc0IsRUFBRSw0REFBNEQsQ0FBQyxDQUFDO1FBQ3hJLGVBQUssQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLG1CQUFtQixFQUFFLElBQUksQ0FBQyxLQUFLLHNCQUFzQixFQUFFLDZEQUE2RCxDQUFDLENBQUM7UUFDL0ksZUFBSyxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsZ0NBQWdDLENBQUMsS0FBSyxnQkFBZ0IsRUFBRSxtREFBbUQsQ0FBQyxDQUFDO1FBQ3RJLGVBQUssQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLDZCQUE2QixDQUFDLEtBQUssZ0JBQWdCLEVBQUUsc0RBQXNELENBQUMsQ0FBQztJQUMxSSxDQUFDO0lBRUQsa0NBQWtDLEVBQUUsU0FBUyxDQUFDLEVBQUU7UUFDNUMsSUFBSSxPQUFPLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxPQUFPLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxRQUFRLEtBQUssUUFBUSxJQUFJLE9BQU8sU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLFNBQVMsS0FBSyxRQUFRLElBQUksS0FBSyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxRQUFRLENBQUMsSUFBSSxLQUFLLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7UUFDMU4sZUFBSyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFLGtGQUFrRixPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUNwSSxJQUFJLE9BQU8sR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxRQUFRLEdBQUcsQ0FBQyxFQUFFLElBQUksU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLFFBQVEsR0FBRyxDQUFDLEVBQUUsSUFBSSxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsU0FBUyxHQUFHLEtBQUssSUFBSSxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsU0FBUyxHQUFHLEtBQUssQ0FBQyxDQUFDO1FBQ2hNLGVBQUssQ0FBQyxPQUFPLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSw2RUFBNkUsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7SUFDbkksQ0FBQztDQUNKLENBQUM7QUFFRixrQkFBa0I7QUFFbEIsTUFBTSxTQUFTLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsSUFBSSxDQUFDLENBQUM7QUFDN0MsTUFBTSxlQUFlLEdBQUcsdUJBQWEsQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUUsRUFBRSxFQUFFLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLG1CQUFtQixDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO0FBQ2xMLGtCQUFRLENBQUMsWUFBWSxFQUFFLEdBQUcsRUFBRSxDQUFDLGVBQWUsQ0FBQyxDQUFDIn0=
\ No newline at end of file
@@ -0,0 +1,79 @@
+// Tests of geocoding addresses: reading a CSV file of street (and address) co-ordinates and
+// falling back from the address to the street and then to the suburb centre in suburbnames.txt.
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import { Gazetteer, loadGazetteer, parseAddress } from "../address";
+import { loadStreetCoordinates, geocodeAddress } from "../geocode";
+import { Tests, check, runTests } from "./harness";
+
+// Street and address co-ordinates (Main Street has a street centre; Hill Street only has
+// individual addresses, one of which is quoted).
+
+const StreetsCsv = [
+    "number,street,suburb,latitude,longitude",
+    ",Main St,KAPUNDA,-34.3400,138.9100",
+    "12,Main Street,KAPUNDA,-34.3410,138.9120",
+    "2,\"Hill Street\",\"FREELING\",-34.4500,138.8000",
+    "4,Hill Street,FREELING,-34.4520,138.8040",
+    "\"6\",\"Hill \"\"Top\"\" Street\",\"FREELING\",\"-34.4600\",\"138.8100\"",
+    "8,Hill Street,FREELING,,",
+    ""
+].join("\r\n");
+
+// Geocodes an address, returning the precision and co-ordinates as text (such as "street
+// -34.34,138.91").
+
+function geocode(gazetteer: Gazetteer, address: string, streetsCsv: string = StreetsCsv) {
+    let result = geocodeAddress(parseAddress(address, gazetteer), gazetteer, (streetsCsv === null) ? null : loadStreetCoordinates(streetsCsv));
+    return `${result.precision} ${result.latitude},${result.longitude}`;
+}
+
+// The tests (each is given the gazetteer read from the suburb names and aliases files).
+
+const GeocodeTests: Tests<Gazetteer> = {
+    "reads quoted fields and averages addresses into a street centre": () => {
+        let streetCoordinates = loadStreetCoordinates(StreetsCsv);
+        check(JSON.stringify(streetCoordinates["KAPUNDA|MAIN STREET"]) === JSON.stringify({ latitude: -34.34, longitude: 138.91 }), "Expected the street centre (with the street type expanded).");
+        check(JSON.stringify(streetCoordinates["FREELING|HILL STREET|4"]) === JSON.stringify({ latitude: -34.452, longitude: 138.804 }), "Expected the co-ordinates of an individual address.");
+        check(streetCoordinates["FREELING|HILL \"TOP\" STREET|6"] !== undefined, "Expected quoted fields (with doubled quotes) to be read.");
+        let hillStreet = streetCoordinates["FREELING|HILL STREET"];
+        check(hillStreet !== undefined && Math.abs(hillStreet.latitude + 34.451) < 1e-9 && Math.abs(hillStreet.longitude - 138.802) < 1e-9, `Expected the average of the addresses (ignoring one without co-ordinates) but found ${JSON.stringify(hillStreet)}.`);
+        check(streetCoordinates["FREELING|HILL STREET|8"] === undefined, "Expected an address without co-ordinates to be ignored.");
+    },
+
+    "requires the street, suburb, latitude and longitude columns": () => {
+        let error: Error = undefined;
+        try {
+            loadStreetCoordinates("street,latitude,longitude\nMain Street,-34.34,138.91\n");
+        } catch (caughtError) {
+            error = caughtError;
+        }
+        check(error !== undefined && error.message.includes("\"suburb\""), "Expected an error reporting the missing column.");
+    },
+
+    "falls back from the address to the street and then to the suburb": gazetteer => {
+        check(geocode(gazetteer, "12 Main St Kapunda") === "address -34.341,138.912", "Expected the address to be matched.");
+        check(geocode(gazetteer, "14 Main Street Kapunda") === "street -34.34,138.91", "Expected the street to be matched when the address is not.");
+        check(geocode(gazetteer, "4 Hill Street Freeling") === "address -34.452,138.804", "Expected the address to be matched.");
+        check(geocode(gazetteer, "5 Elm St FREELING") === "suburb -34.45,138.81", "Expected the suburb centre when the street is not matched.");
+        check(geocode(gazetteer, "5 Elm St FREELING", null) === "suburb -34.45,138.81", "Expected the suburb centre when there is no geocoding file.");
+        check(geocode(gazetteer, "Section 345 Hundred of Kapunda") === "none null,null", "Expected no co-ordinates when there is no suburb.");
+        check(geocode(gazetteer, "12 Main Street Nowhereville") === "none null,null", "Expected no co-ordinates for an unrecognised suburb.");
+    },
+
+    "knows the centre of every suburb": gazetteer => {
+        let missing = Object.keys(gazetteer).filter(name => typeof gazetteer[name].latitude !== "number" || typeof gazetteer[name].longitude !== "number" || isNaN(gazetteer[name].latitude) || isNaN(gazetteer[name].longitude));
+        check(missing.length === 0, `Expected co-ordinates for every suburb in suburbnames.txt but these have none: ${missing.join(", ")}`);
+        let outside = Object.keys(gazetteer).filter(name => gazetteer[name].latitude < -35 || gazetteer[name].latitude > -34 || gazetteer[name].longitude < 138.4 || gazetteer[name].longitude > 139.4);
+        check(outside.length === 0, `Expected every suburb centre to be in the council area but these are not: ${outside.join(", ")}`);
+    }
+};
+
+// Runs the tests.
+
+const Directory = path.join(__dirname, "..");
+const SuburbGazetteer = loadGazetteer(fs.readFileSync(path.join(Directory, "suburbnames.txt")).toString(), fs.readFileSync(path.join(Directory, "suburbaliases.txt")).toString());
+runTests(GeocodeTests, () => SuburbGazetteer);
@@ -0,0 +1,54 @@
+// Helpers shared by the test suites (other than the golden-file regression tests in regression.ts):
+// checking a condition and running a table of named tests.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.runTests = exports.check = void 0;
+// Checks a condition, throwing an error with the specified message if the condition is false.
+function check(condition, message) {
+    if (!condition)
+        throw new Error(message);
+}
+exports.check = check;
+// Runs the tests in order, creating a new context for each test (and disposing of it afterwards).
+// The console output of a test (including that of creating its context) is hidden unless the test
+// fails.  The exit code is set to 1 if any test fails.
+async function runTests(tests, createContext = () => undefined, disposeContext = () => undefined) {
+    let log = console.log;
+    let failureCount = 0;
+    try {
+        for (let name of Object.keys(tests)) {
+            let output = [];
+            console.log = (...parameters) => output.push(parameters.join(" "));
+            let context = undefined;
+            try {
+                context = await createContext();
+                await tests[name](context);
+                console.log = log;
+                console.log(`Passed ${name}.`);
+            }
+            catch (error) {
+                console.log = log;
+                failureCount++;
+                console.log(`FAILED ${name}: ${(error instanceof Error) ? error.message : error}`);
+                if (output.length > 0)
+                    console.log(`Output:\n${output.join("\n")}`);
+            }
+            finally {
+                console.log = log;
+                if (context !== undefined)
+                    await disposeContext(context);
+            }
+        }
+    }
+    catch (error) {
+        console.error(error);
+        process.exitCode = 1;
+        return;
+    }
+    if (failureCount > 0) {
+        console.log(`${failureCount} of ${Object.keys(tests).length} test(s) failed.`);
+        process.exitCode = 1;
+    }
+}
+exports.runTests = runTests;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaGFybmVzcy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImhhcm5lc3MudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsb0dBQW9HO0FBQ3BHLDJEQUEyRDtBQUUzRCxZQUFZLENBQUM7OztBQVFiLDhGQUE4RjtBQUU5RixTQUFnQixLQUFLLENBQUMsU0FBa0IsRUFBRSxPQUFlO0lBQ3JELElBQUksQ0FBQyxTQUFTO1FBQ1YsTUFBTSxJQUFJLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQztBQUNqQyxDQUFDO0FBSEQsc0JBR0M7QUFFRCxrR0FBa0c7QUFDbEcsa0dBQWtHO0FBQ2xHLHVEQUF1RDtBQUVoRCxLQUFLLFVBQVUsUUFBUSxDQUFVLEtBQXFCLEVBQUUsZ0JBQWtELEdBQUcsRUFBRSxDQUFDLFNBQVMsRUFBRSxpQkFBNkQsR0FBRyxFQUFFLENBQUMsU0FBUztJQUMxTSxJQUFJLEdBQUcsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDO0lBQ3RCLElBQUksWUFBWSxHQUFHLENBQUMsQ0FBQztJQUNyQixJQUFJO1FBQ0EsS0FBSyxJQUFJLElBQUksSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFO1lBQ2pDLElBQUksTUFBTSxHQUFhLEVBQUUsQ0FBQztZQUMxQixPQUFPLENBQUMsR0FBRyxHQUFHLENBQUMsR0FBRyxVQUFVLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1lBQ25FLElBQUksT0FBTyxHQUFZLFNBQVMsQ0FBQztZQUNqQyxJQUFJO2dCQUNBLE9BQU8sR0FBRyxNQUFNLGFBQWEsRUFBRSxDQUFDO2dCQUNoQyxNQUFNLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQztnQkFDM0IsT0FBTyxDQUFDLEdBQUcsR0FBRyxHQUFHLENBQUM7Z0JBQ2xCLE9BQU8sQ0FBQyxHQUFHLENBQUMsVUFBVSxJQUFJLEdBQUcsQ0FBQyxDQUFDO2FBQ2xDO1lBQUMsT0FBTyxLQUFLLEVBQUU7Z0JBQ1osT0FBTyxDQUFDLEdBQUcsR0FBRyxHQUFHLENBQUM7Z0JBQ2xCLFlBQVksRUFBRSxDQUFDO2dCQUNmLE9BQU8sQ0FBQyxHQUFHLENBQUMsVUFBVSxJQUFJLEtBQUssQ0FBQyxLQUFLLFlBQVksS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUM7Z0JBQ25GLElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDO29CQUNqQixPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7YUFDcEQ7b0JBQVM7Z0JBQ04sT0FBTyxDQUFDLEdBQUcsR0FBRyxHQUFHLENBQUM7Z0JBQ2xCLElBQUksT0FBTyxLQUFLLFNBQVM7b0JBQ3JCLE1BQU0sY0FBYyxDQUFDLE9BQU8sQ0FBQyxDQUFDO2FBQ3JDO1NBQ0o7S0FDSjtJQUFDLE9BQU8sS0FBSyxFQUFFO1FBQ1osT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNyQixPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQztRQUNyQixPQUFPO0tBQ1Y7SUFFRCxJQUFJLFlBQVksR0FBRyxDQUFDLEVBQUU7UUFDbEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLFlBQVksT0FBTyxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLE1BQU0sa0JBQWtCLENBQUMsQ0FBQztRQUMvRSxPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQztLQUN4QjtBQUNMLENBQUM7QUFuQ0QsNEJBbUNDIn0=
\ No newline at end of file
@@ -0,0 +1,58 @@
+// Helpers shared by the test suites (other than the golden-file regression tests in regression.ts):
+// checking a condition and running a table of named tests.
+
+"use strict";
+
+declare const process: any;
+
+// A table of named tests, each given a context (such as a database or a stand-in web site).
+
+export type Tests<Context> = { [name: string]: (context: Context) => void | Promise<void> };
+
+// Checks a condition, throwing an error with the specified message if the condition is false.
+
+export function check(condition: boolean, message: string) {
+    if (!condition)
+        throw new Error(message);
+}
+
+// Runs the tests in order, creating a new context for each test (and disposing of it afterwards).
+// The console output of a test (including that of creating its context) is hidden unless the test
+// fails.  The exit code is set to 1 if any test fails.
+
+export async function runTests<Context>(tests: Tests<Context>, createContext: () => Context | Promise<Context> = () => undefined, disposeContext: (context: Context) => void | Promise<void> = () => undefined) {
+    let log = console.log;
+    let failureCount = 0;
+    try {
+        for (let name of Object.keys(tests)) {
+            let output: string[] = [];
+            console.log = (...parameters) => output.push(parameters.join(" "));
+            let context: Context = undefined;
+            try {
+                context = await createContext();
+                await tests[name](context);
+                console.log = log;
+                console.log(`Passed ${name}.`);
+            } catch (error) {
+                console.log = log;
+                failureCount++;
+                console.log(`FAILED ${name}: ${(error instanceof Error) ? error.message : error}`);
+                if (output.length > 0)
+                    console.log(`Output:\n${output.join("\n")}`);
+            } finally {
+                console.log = log;
+                if (context !== undefined)
+                    await disposeContext(context);
+            }
+        }
+    } catch (error) {
+        console.error(error);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (failureCount > 0) {
+        console.log(`${failureCount} of ${Object.keys(tests).length} test(s) failed.`);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,96 @@
+// Tests of rendering the layout of a parsed PDF page as an SVG image, using the pages of the
+// synthetic-register-pages.elements.json fixture (the first page is missing the "Proposal" column
+// heading, so it cannot be parsed) and a blank PDF page (with no text, like a scanned page).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const scraper = require("../scraper");
+const layoutdebug_1 = require("../layoutdebug");
+const harness_1 = require("./harness");
+const ElementsFileName = path.join(__dirname, "fixtures", "synthetic-register-pages.elements.json");
+// Parses a page of the fixture (after applying the specified change to its elements), returning
+// the layout determined by the parser.
+function parseLayout(pageIndex, change = () => undefined) {
+    let elements = JSON.parse(fs.readFileSync(ElementsFileName).toString())[pageIndex];
+    change(elements);
+    let layout = { width: 800, height: 600, elements: elements, headingElements: [], startElements: [], rows: [], fields: [], messages: [], profile: undefined };
+    scraper.parsePageElements(elements, "synthetic-register-pages.pdf", layout);
+    return layout;
+}
+// Creates a PDF document with a single blank page (with no text, like a scanned page).
+function createBlankPdf() {
+    let objects = ["<< /Type /Catalog /Pages 2 0 R >>", "<< /Type /Pages /Kids [3 0 R] /Count 1 >>", "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 800 600] >>"];
+    let pdf = "%PDF-1.4\n";
+    let offsets = [];
+    objects.forEach((object, index) => {
+        offsets.push(pdf.length);
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    });
+    let xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${offset.toString().padStart(10, "0")} 00000 n \n`).join("")}`;
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf, "latin1");
+}
+// Gets the titles of the SVG rectangles drawn with the specified colour.
+function getRectangleTitles(svg, colour) {
+    let titles = [];
+    let pattern = /<rect [^>]*style="([^"]*)"><title>([^<]*)<\/title><\/rect>/g;
+    for (let match = pattern.exec(svg); match !== null; match = pattern.exec(svg))
+        if (match[1].includes(colour))
+            titles.push(match[2]);
+    return titles;
+}
+// The tests.
+const LayoutDebugTests = {
+    "draws the heading, start element, row band and field rectangles": () => {
+        let svg = layoutdebug_1.renderPageLayout(parseLayout(1));
+        harness_1.check(svg.startsWith("<svg ") && svg.trim().endsWith("</svg>"), "Expected an SVG element.");
+        let headings = getRectangleTitles(svg, "fill:#1f77b4;fill-opacity:0.3");
+        harness_1.check(["Applicant", "Application", "Proposal", "Referrals/"].every(heading => headings.includes(heading)), `Expected the heading rectangles but found: ${headings.join(", ")}`);
+        let startElements = getRectangleTitles(svg, "fill:#d62728;fill-opacity:0.3");
+        harness_1.check(startElements.join(", ") === "Lodgement", `Expected a start element rectangle but found: ${startElements.join(", ")}`);
+        let rows = getRectangleTitles(svg, "fill:#fff7cc");
+        harness_1.check(rows.length === 1 && rows[0].includes("311/201/2019"), `Expected a row band for the development application but found: ${rows.join(", ")}`);
+        for (let field of ["applicationNumber", "applicant", "receivedDate", "address", "description", "referrals"])
+            harness_1.check(svg.includes(`<title>${field}</title>`), `Expected a rectangle for the ${field} field.`);
+        harness_1.check(svg.includes("Layout profile: light-register"), "Expected the chosen layout profile in the legend.");
+    },
+    "escapes text": () => {
+        let svg = layoutdebug_1.renderPageLayout(parseLayout(1, elements => elements.find(element => element.text === "E Brown").text = "E Brown & Sons <\"Pty\">"));
+        harness_1.check(svg.includes("E Brown &amp; Sons &lt;&quot;Pty&quot;&gt;"), "Expected the text of the element to be escaped.");
+        harness_1.check(!svg.includes("Sons <"), "Expected no unescaped text.");
+    },
+    "lists the reasons that a page could not be parsed": () => {
+        let layout = parseLayout(0);
+        let svg = layoutdebug_1.renderPageLayout(layout);
+        harness_1.check(layout.messages.length > 0, "Expected a message because the proposal heading is missing.");
+        harness_1.check(layout.messages.every(message => svg.includes(`fill="#d62728">${message.replace(/&/g, "&amp;").replace(/"/g, "&quot;")}</text>`)), "Expected each message in the legend.");
+        harness_1.check(getRectangleTitles(svg, "fill:#fff7cc").length === 0, "Expected no row bands.");
+    },
+    "writes the layout of a page that is skipped because it has no text": async () => {
+        let debugDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "layoutdebug-"));
+        try {
+            let developmentApplications = await scraper.parsePdf(createBlankPdf(), "https://example.com/scanned register.pdf", debugDirectory, false);
+            harness_1.check(developmentApplications.length === 0, "Expected no development applications.");
+            let layoutFileName = path.join(debugDirectory, "scanned_register.pdf-page-1.svg");
+            harness_1.check(fs.existsSync(layoutFileName), `Expected the layout to be written but found: ${fs.readdirSync(debugDirectory).join(", ")}`);
+            let svg = fs.readFileSync(layoutFileName).toString();
+            harness_1.check(svg.includes("The page has no text (it may be a scanned image) so it was ignored; use --ocr to recognise the text on the page."), "Expected the reason the page was skipped in the legend.");
+        }
+        finally {
+            for (let fileName of fs.readdirSync(debugDirectory))
+                fs.unlinkSync(path.join(debugDirectory, fileName));
+            fs.rmdirSync(debugDirectory);
+        }
+    }
+};
+// Runs the tests (the suburb names, profiles and classification rules are read from the current
+// directory).
+process.chdir(path.join(__dirname, ".."));
+scraper.loadSuburbNames();
+scraper.loadProfiles();
+scraper.loadClassification();
+harness_1.runTests(LayoutDebugTests);
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibGF5b3V0ZGVidWcuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJsYXlvdXRkZWJ1Zy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSw2RkFBNkY7QUFDN0Ysa0dBQWtHO0FBQ2xHLDZGQUE2RjtBQUU3RixZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLHlCQUF5QjtBQUN6Qiw2QkFBNkI7QUFDN0Isc0NBQXNDO0FBQ3RDLGdEQUE4RDtBQUM5RCx1Q0FBbUQ7QUFJbkQsTUFBTSxnQkFBZ0IsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxVQUFVLEVBQUUsd0NBQXdDLENBQUMsQ0FBQztBQUVwRyxnR0FBZ0c7QUFDaEcsdUNBQXVDO0FBRXZDLFNBQVMsV0FBVyxDQUFDLFNBQWlCLEVBQUUsU0FBZ0QsR0FBRyxFQUFFLENBQUMsU0FBUztJQUNuRyxJQUFJLFFBQVEsR0FBc0IsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLGdCQUFnQixDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUN0RyxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDakIsSUFBSSxNQUFNLEdBQWUsRUFBRSxLQUFLLEVBQUUsR0FBRyxFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxlQUFlLEVBQUUsRUFBRSxFQUFFLGFBQWEsRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsRUFBRSxFQUFFLFFBQVEsRUFBRSxFQUFFLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxDQUFDO0lBQ3pLLE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsOEJBQThCLEVBQUUsTUFBTSxDQUFDLENBQUM7SUFDNUUsT0FBTyxNQUFNLENBQUM7QUFDbEIsQ0FBQztBQUVELHVGQUF1RjtBQUV2RixTQUFTLGNBQWM7SUFDbkIsSUFBSSxPQUFPLEdBQUcsQ0FBRSxtQ0FBbUMsRUFBRSwyQ0FBMkMsRUFBRSx5REFBeUQsQ0FBRSxDQUFDO0lBQzlKLElBQUksR0FBRyxHQUFHLFlBQVksQ0FBQztJQUN2QixJQUFJLE9BQU8sR0FBYSxFQUFFLENBQUM7SUFDM0IsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUM5QixPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUN6QixHQUFHLElBQUksR0FBRyxLQUFLLEdBQUcsQ0FBQyxXQUFXLE1BQU0sWUFBWSxDQUFDO0lBQ3JELENBQUMsQ0FBQyxDQUFDO0lBQ0gsSUFBSSxVQUFVLEdBQUcsR0FBRyxDQUFDLE1BQU0sQ0FBQztJQUM1QixHQUFHLElBQUksV0FBVyxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsMEJBQTBCLE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxRQUFRLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxFQUFFLEdBQUcsQ0FBQyxhQUFhLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQztJQUNwSixHQUFHLElBQUkscUJBQXFCLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQywrQkFBK0IsVUFBVSxXQUFXLENBQUM7SUFDbkcsT0FBTyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxRQUFRLENBQUMsQ0FBQztBQUN0QyxDQUFDO0FBRUQseUVBQXlFO0FBRXpFLFNBQVMsa0JBQWtCLENBQUMsR0FBVyxFQUFFLE1BQWM7SUFDbkQsSUFBSSxNQUFNLEdBQWEsRUFBRSxDQUFDO0lBQzFCLElBQUksT0FBTyxHQUFHLDZEQUE2RCxDQUFDO0lBQzVFLEtBQUssSUFBSSxLQUFLLEdBQUcsT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxLQUFLLEtBQUssSUFBSSxFQUFFLEtBQUssR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQztRQUN6RSxJQUFJLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDO1lBQ3pCLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDOUIsT0FBTyxNQUFNLENBQUM7QUFDbEIsQ0FBQztBQUVELGFBQWE7QUFFYixNQUFNLGdCQUFnQixHQUFnQjtJQUNsQyxpRUFBaUUsRUFBRSxHQUFHLEVBQUU7UUFDcEUsSUFBSSxHQUFHLEdBQUcsOEJBQWdCLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDM0MsZUFBSyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLElBQUksR0FBRyxDQUFDLElBQUksRUFBRSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsRUFBRSwwQkFBMEIsQ0FBQyxDQUFDO1FBQzVGLElBQUksUUFBUSxHQUFHLGtCQUFrQixDQUFDLEdBQUcsRUFBRSwrQkFBK0IsQ0FBQyxDQUFDO1FBQ3hFLGVBQUssQ0FBQyxDQUFFLFdBQVcsRUFBRSxhQUFhLEVBQUUsVUFBVSxFQUFFLFlBQVksQ0FBRSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUMsRUFBRSw4Q0FBOEMsUUFBUSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDbEwsSUFBSSxhQUFhLEdBQUcsa0JBQWtCLENBQUMsR0FBRyxFQUFFLCtCQUErQixDQUFDLENBQUM7UUFDN0UsZUFBSyxDQUFDLGFBQWEsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEtBQUssV0FBVyxFQUFFLGlEQUFpRCxhQUFhLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUM3SCxJQUFJLElBQUksR0FBRyxrQkFBa0IsQ0FBQyxHQUFHLEVBQUUsY0FBYyxDQUFDLENBQUM7UUFDbkQsZUFBSyxDQUFDLElBQUksQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsY0FBYyxDQUFDLEVBQUUsa0VBQWtFLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQ2xKLEtBQUssSUFBSSxLQUFLLElBQUksQ0FBRSxtQkFBbUIsRUFBRSxXQUFXLEVBQUUsY0FBYyxFQUFFLFNBQVMsRUFBRSxhQUFhLEVBQUUsV0FBVyxDQUFFO1lBQ3pHLGVBQUssQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLFVBQVUsS0FBSyxVQUFVLENBQUMsRUFBRSxnQ0FBZ0MsS0FBSyxTQUFTLENBQUMsQ0FBQztRQUNuRyxlQUFLLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxnQ0FBZ0MsQ0FBQyxFQUFFLG1EQUFtRCxDQUFDLENBQUM7SUFDL0csQ0FBQztJQUVELGNBQWMsRUFBRSxHQUFHLEVBQUU7UUFDakIsSUFBSSxHQUFHLEdBQUcsOEJBQWdCLENBQUMsV0FBVyxDQUFDLENBQUMsRUFBRSxRQUFRLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxLQUFLLFNBQVMsQ0FBQyxDQUFDLElBQUksR0FBRywwQkFBMEIsQ0FBQyxDQUFDLENBQUM7UUFDL0ksZUFBSyxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsNENBQTRDLENBQUMsRUFBRSxpREFBaUQsQ0FBQyxDQUFDO1FBQ3JILGVBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDLEVBQUUsNkJBQTZCLENBQUMsQ0FBQztJQUNsRSxDQUFDO0lBRUQsbURBQW1ELEVBQUUsR0FBRyxFQUFFO1FBQ3RELElBQUksTUFBTSxHQUFHLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUM1QixJQUFJLEdBQUcsR0FBRyw4QkFBZ0IsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUNuQyxlQUFLLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLDZEQUE2RCxDQUFDLENBQUM7UUFDakcsZUFBSyxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxrQkFBa0IsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxRQUFRLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxzQ0FBc0MsQ0FBQyxDQUFDO1FBQ2pMLGVBQUssQ0FBQyxrQkFBa0IsQ0FBQyxHQUFHLEVBQUUsY0FBYyxDQUFDLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSx3QkFBd0IsQ0FBQyxDQUFDO0lBQzFGLENBQUM7SUFFRCxvRUFBb0UsRUFBRSxLQUFLLElBQUksRUFBRTtRQUM3RSxJQUFJLGNBQWMsR0FBRyxFQUFFLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLE1BQU0sRUFBRSxFQUFFLGNBQWMsQ0FBQyxDQUFDLENBQUM7UUFDNUUsSUFBSTtZQUNBLElBQUksdUJBQXVCLEdBQUcsTUFBTSxPQUFPLENBQUMsUUFBUSxDQUFDLGNBQWMsRUFBRSxFQUFFLDBDQUEwQyxFQUFFLGNBQWMsRUFBRSxLQUFLLENBQUMsQ0FBQztZQUMxSSxlQUFLLENBQUMsdUJBQXVCLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSx1Q0FBdUMsQ0FBQyxDQUFDO1lBQ3JGLElBQUksY0FBYyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsY0FBYyxFQUFFLGlDQUFpQyxDQUFDLENBQUM7WUFDbEYsZUFBSyxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsY0FBYyxDQUFDLEVBQUUsZ0RBQWdELEVBQUUsQ0FBQyxXQUFXLENBQUMsY0FBYyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUNsSSxJQUFJLEdBQUcsR0FBRyxFQUFFLENBQUMsWUFBWSxDQUFDLGNBQWMsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDO1lBQ3JELGVBQUssQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLGtIQUFrSCxDQUFDLEVBQUUseURBQXlELENBQUMsQ0FBQztTQUN0TTtnQkFBUztZQUNOLEtBQUssSUFBSSxRQUFRLElBQUksRUFBRSxDQUFDLFdBQVcsQ0FBQyxjQUFjLENBQUM7Z0JBQy9DLEVBQUUsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxjQUFjLEVBQUUsUUFBUSxDQUFDLENBQUMsQ0FBQztZQUN2RCxFQUFFLENBQUMsU0FBUyxDQUFDLGNBQWMsQ0FBQyxDQUFDO1NBQ2hDO0lBQ0wsQ0FBQztDQUNKLENBQUM7QUFFRixnR0FBZ0c7QUFDaEcsY0FBYztBQUVkLE9BQU8sQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQztBQUMxQyxPQUFPLENBQUMsZUFBZSxFQUFFLENBQUM7QUFDMUIsT0FBTyxDQUFDLFlBQVksRUFBRSxDQUFDO0FBQ3ZCLE9BQU8sQ0FBQyxrQkFBa0IsRUFBRSxDQUFDO0FBQzdCLGtCQUFRLENBQUMsZ0JBQWdCLENBQUMsQ0FBQyJ9
\ No newline at end of file
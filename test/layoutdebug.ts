@@ -0,0 +1,111 @@
+// Tests of rendering the layout of a parsed PDF page as an SVG image, using the pages of the
+// synthetic-register-pages.elements.json fixture (the first page is missing the "Proposal" column
+// heading, so it cannot be parsed) and a blank PDF page (with no text, like a scanned page).
+
+"use strict";
+
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import * as scraper from "../scraper";
+import { PageLayout, renderPageLayout } from "../layoutdebug";
+import { Tests, check, runTests } from "./harness";
+
+declare const process: any;
+
+const ElementsFileName = path.join(__dirname, "fixtures", "synthetic-register-pages.elements.json");
+
+// Parses a page of the fixture (after applying the specified change to its elements), returning
+// the layout determined by the parser.
+
+function parseLayout(pageIndex: number, change: (elements: scraper.Element[]) => void = () => undefined) {
+    let elements: scraper.Element[] = JSON.parse(fs.readFileSync(ElementsFileName).toString())[pageIndex];
+    change(elements);
+    let layout: PageLayout = { width: 800, height: 600, elements: elements, headingElements: [], startElements: [], rows: [], fields: [], messages: [], profile: undefined };
+    scraper.parsePageElements(elements, "synthetic-register-pages.pdf", layout);
+    return layout;
+}
+
+// Creates a PDF document with a single blank page (with no text, like a scanned page).
+
+function createBlankPdf() {
+    let objects = [ "<< /Type /Catalog /Pages 2 0 R >>", "<< /Type /Pages /Kids [3 0 R] /Count 1 >>", "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 800 600] >>" ];
+    let pdf = "%PDF-1.4\n";
+    let offsets: number[] = [];
+    objects.forEach((object, index) => {
+        offsets.push(pdf.length);
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    });
+    let xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${offset.toString().padStart(10, "0")} 00000 n \n`).join("")}`;
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf, "latin1");
+}
+
+// Gets the titles of the SVG rectangles drawn with the specified colour.
+
+function getRectangleTitles(svg: string, colour: string) {
+    let titles: string[] = [];
+    let pattern = /<rect [^>]*style="([^"]*)"><title>([^<]*)<\/title><\/rect>/g;
+    for (let match = pattern.exec(svg); match !== null; match = pattern.exec(svg))
+        if (match[1].includes(colour))
+            titles.push(match[2]);
+    return titles;
+}
+
+// The tests.
+
+const LayoutDebugTests: Tests<void> = {
+    "draws the heading, start element, row band and field rectangles": () => {
+        let svg = renderPageLayout(parseLayout(1));
+        check(svg.startsWith("<svg ") && svg.trim().endsWith("</svg>"), "Expected an SVG element.");
+        let headings = getRectangleTitles(svg, "fill:#1f77b4;fill-opacity:0.3");
+        check([ "Applicant", "Application", "Proposal", "Referrals/" ].every(heading => headings.includes(heading)), `Expected the heading rectangles but found: ${headings.join(", ")}`);
+        let startElements = getRectangleTitles(svg, "fill:#d62728;fill-opacity:0.3");
+        check(startElements.join(", ") === "Lodgement", `Expected a start element rectangle but found: ${startElements.join(", ")}`);
+        let rows = getRectangleTitles(svg, "fill:#fff7cc");
+        check(rows.length === 1 && rows[0].includes("311/201/2019"), `Expected a row band for the development application but found: ${rows.join(", ")}`);
+        for (let field of [ "applicationNumber", "applicant", "receivedDate", "address", "description", "referrals" ])
+            check(svg.includes(`<title>${field}</title>`), `Expected a rectangle for the ${field} field.`);
+        check(svg.includes("Layout profile: light-register"), "Expected the chosen layout profile in the legend.");
+    },
+
+    "escapes text": () => {
+        let svg = renderPageLayout(parseLayout(1, elements => elements.find(element => element.text === "E Brown").text = "E Brown & Sons <\"Pty\">"));
+        check(svg.includes("E Brown &amp; Sons &lt;&quot;Pty&quot;&gt;"), "Expected the text of the element to be escaped.");
+        check(!svg.includes("Sons <"), "Expected no unescaped text.");
+    },
+
+    "lists the reasons that a page could not be parsed": () => {
+        let layout = parseLayout(0);
+        let svg = renderPageLayout(layout);
+        check(layout.messages.length > 0, "Expected a message because the proposal heading is missing.");
+        check(layout.messages.every(message => svg.includes(`fill="#d62728">${message.replace(/&/g, "&amp;").replace(/"/g, "&quot;")}</text>`)), "Expected each message in the legend.");
+        check(getRectangleTitles(svg, "fill:#fff7cc").length === 0, "Expected no row bands.");
+    },
+
+    "writes the layout of a page that is skipped because it has no text": async () => {
+        let debugDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "layoutdebug-"));
+        try {
+            let developmentApplications = await scraper.parsePdf(createBlankPdf(), "https://example.com/scanned register.pdf", debugDirectory, false);
+            check(developmentApplications.length === 0, "Expected no development applications.");
+            let layoutFileName = path.join(debugDirectory, "scanned_register.pdf-page-1.svg");
+            check(fs.existsSync(layoutFileName), `Expected the layout to be written but found: ${fs.readdirSync(debugDirectory).join(", ")}`);
+            let svg = fs.readFileSync(layoutFileName).toString();
+            check(svg.includes("The page has no text (it may be a scanned image) so it was ignored; use --ocr to recognise the text on the page."), "Expected the reason the page was skipped in the legend.");
+        } finally {
+            for (let fileName of fs.readdirSync(debugDirectory))
+                fs.unlinkSync(path.join(debugDirectory, fileName));
+            fs.rmdirSync(debugDirectory);
+        }
+    }
+};
+
+// Runs the tests (the suburb names, profiles and classification rules are read from the current
+// directory).
+
+process.chdir(path.join(__dirname, ".."));
+scraper.loadSuburbNames();
+scraper.loadProfiles();
+scraper.loadClassification();
+runTests(LayoutDebugTests);
@@ -0,0 +1,71 @@
+// Tests of grouping the words recognised by OCR into text elements, using a canned tesseract.js
+// result (so that neither the "canvas" nor the "tesseract.js" package is needed).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const ocr_1 = require("../ocr");
+const harness_1 = require("./harness");
+// Creates a recognised word with a bounding box in the pixels of the rendered image.
+function createWord(text, confidence, x0, y0, x1, y1) {
+    return { text: text, confidence: confidence, bbox: { x0: x0, y0: y0, x1: x1, y1: y1 } };
+}
+// The lines of a canned tesseract.js result for a page rendered at the OCR scale.  The first line
+// has two columns ("Lodgement Date" and "12/03/2019") separated by a gap of more than twice the
+// height of the words; the words of "Lodgement Date" are separated by a small gap.
+const Lines = [
+    {
+        words: [
+            createWord("Lodgement", 95, 30, 60, 300, 90),
+            createWord(" ", 10, 305, 60, 310, 90),
+            createWord("Date", 80, 318, 55, 420, 90),
+            createWord("12/03/2019", 91, 600, 60, 840, 90)
+        ]
+    },
+    {
+        words: [
+            createWord("Dwelling", 40, 600, 150, 780, 180),
+            createWord("and", 96, 840, 150, 900, 180),
+            createWord("garage", 92, 1100, 150, 1250, 180)
+        ]
+    },
+    { words: [] }
+];
+// Formats an element so that it is easy to read in a failure message.
+function formatElement(element) {
+    return `"${element.text}" (${element.confidence}%) at ${element.x},${element.y} ${element.width}x${element.height}`;
+}
+// The tests.
+const OcrTests = {
+    "joins words separated by a small gap and splits words separated by a large gap": () => {
+        let elements = ocr_1.groupRecognisedWords(Lines);
+        let texts = elements.map(element => element.text).join(" | ");
+        harness_1.check(texts === "Lodgement Date | 12/03/2019 | Dwelling and | garage", `Unexpected elements: ${texts}`);
+    },
+    "scales the co-ordinates back to a page with a scale of 1.0": () => {
+        harness_1.check(ocr_1.OcrScale === 3, `Expected an OCR scale of 3 but it was ${ocr_1.OcrScale}.`);
+        let elements = ocr_1.groupRecognisedWords(Lines);
+        let date = elements[1];
+        harness_1.check(date.x === 200 && date.width === 80 && date.height === 10, `Unexpected position of the date: ${formatElement(date)}`);
+        let heading = elements[0];
+        harness_1.check(heading.x === 10 && heading.width === 130, `Expected the joined element to span both words: ${formatElement(heading)}`);
+        harness_1.check(Math.abs(heading.height - 35 / 3) < 1e-9, `Expected the height of the tallest word: ${formatElement(heading)}`);
+        let halfScale = ocr_1.groupRecognisedWords(Lines, 0.5)[1];
+        harness_1.check(halfScale.x === 1200 && halfScale.width === 480, `Expected the specified scale to be used: ${formatElement(halfScale)}`);
+    },
+    "uses the bottom of the words as the baseline": () => {
+        let elements = ocr_1.groupRecognisedWords(Lines);
+        harness_1.check(elements[0].y === 30 && elements[1].y === 30, `Expected a baseline of 30 on the first line: ${elements.map(formatElement).join(", ")}`);
+        harness_1.check(elements[2].y === 60 && elements[3].y === 60, `Expected a baseline of 60 on the second line: ${elements.map(formatElement).join(", ")}`);
+    },
+    "keeps the lowest confidence of the joined words": () => {
+        let elements = ocr_1.groupRecognisedWords(Lines);
+        let confidences = elements.map(element => element.confidence).join(", ");
+        harness_1.check(confidences === "80, 91, 40, 92", `Unexpected confidences (the blank word should be ignored): ${confidences}`);
+    },
+    "returns no elements when no words were recognised": () => {
+        harness_1.check(ocr_1.groupRecognisedWords([]).length === 0, "Expected no elements for no lines.");
+        harness_1.check(ocr_1.groupRecognisedWords([{ words: [createWord("  ", 50, 0, 0, 10, 10)] }]).length === 0, "Expected no elements for blank words.");
+    }
+};
+// Runs the tests.
+harness_1.runTests(OcrTests);
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoib2NyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsib2NyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLGdHQUFnRztBQUNoRyxrRkFBa0Y7QUFFbEYsWUFBWSxDQUFDOztBQUdiLGdDQUF3RDtBQUN4RCx1Q0FBbUQ7QUFFbkQscUZBQXFGO0FBRXJGLFNBQVMsVUFBVSxDQUFDLElBQVksRUFBRSxVQUFrQixFQUFFLEVBQVUsRUFBRSxFQUFVLEVBQUUsRUFBVSxFQUFFLEVBQVU7SUFDaEcsT0FBTyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsQ0FBQztBQUM1RixDQUFDO0FBRUQsa0dBQWtHO0FBQ2xHLGdHQUFnRztBQUNoRyxtRkFBbUY7QUFFbkYsTUFBTSxLQUFLLEdBQUc7SUFDVjtRQUNJLEtBQUssRUFBRTtZQUNILFVBQVUsQ0FBQyxXQUFXLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsR0FBRyxFQUFFLEVBQUUsQ0FBQztZQUM1QyxVQUFVLENBQUMsR0FBRyxFQUFFLEVBQUUsRUFBRSxHQUFHLEVBQUUsRUFBRSxFQUFFLEdBQUcsRUFBRSxFQUFFLENBQUM7WUFDckMsVUFBVSxDQUFDLE1BQU0sRUFBRSxFQUFFLEVBQUUsR0FBRyxFQUFFLEVBQUUsRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDO1lBQ3hDLFVBQVUsQ0FBQyxZQUFZLEVBQUUsRUFBRSxFQUFFLEdBQUcsRUFBRSxFQUFFLEVBQUUsR0FBRyxFQUFFLEVBQUUsQ0FBQztTQUNqRDtLQUNKO0lBQ0Q7UUFDSSxLQUFLLEVBQUU7WUFDSCxVQUFVLENBQUMsVUFBVSxFQUFFLEVBQUUsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLENBQUM7WUFDOUMsVUFBVSxDQUFDLEtBQUssRUFBRSxFQUFFLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxDQUFDO1lBQ3pDLFVBQVUsQ0FBQyxRQUFRLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxHQUFHLEVBQUUsSUFBSSxFQUFFLEdBQUcsQ0FBQztTQUNqRDtLQUNKO0lBQ0QsRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFO0NBQ2hCLENBQUM7QUFFRixzRUFBc0U7QUFFdEUsU0FBUyxhQUFhLENBQUMsT0FBZ0I7SUFDbkMsT0FBTyxJQUFJLE9BQU8sQ0FBQyxJQUFJLE1BQU0sT0FBTyxDQUFDLFVBQVUsU0FBUyxPQUFPLENBQUMsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxDQUFDLElBQUksT0FBTyxDQUFDLEtBQUssSUFBSSxPQUFPLENBQUMsTUFBTSxFQUFFLENBQUM7QUFDeEgsQ0FBQztBQUVELGFBQWE7QUFFYixNQUFNLFFBQVEsR0FBZ0I7SUFDMUIsZ0ZBQWdGLEVBQUUsR0FBRyxFQUFFO1FBQ25GLElBQUksUUFBUSxHQUFHLDBCQUFvQixDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQzNDLElBQUksS0FBSyxHQUFHLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQzlELGVBQUssQ0FBQyxLQUFLLEtBQUsscURBQXFELEVBQUUsd0JBQXdCLEtBQUssRUFBRSxDQUFDLENBQUM7SUFDNUcsQ0FBQztJQUVELDREQUE0RCxFQUFFLEdBQUcsRUFBRTtRQUMvRCxlQUFLLENBQUMsY0FBUSxLQUFLLENBQUMsRUFBRSx5Q0FBeUMsY0FBUSxHQUFHLENBQUMsQ0FBQztRQUM1RSxJQUFJLFFBQVEsR0FBRywwQkFBb0IsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUMzQyxJQUFJLElBQUksR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDdkIsZUFBSyxDQUFDLElBQUksQ0FBQyxDQUFDLEtBQUssR0FBRyxJQUFJLElBQUksQ0FBQyxLQUFLLEtBQUssRUFBRSxJQUFJLElBQUksQ0FBQyxNQUFNLEtBQUssRUFBRSxFQUFFLG9DQUFvQyxhQUFhLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQzVILElBQUksT0FBTyxHQUFHLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUMxQixlQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsS0FBSyxFQUFFLElBQUksT0FBTyxDQUFDLEtBQUssS0FBSyxHQUFHLEVBQUUsbURBQW1ELGFBQWEsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDOUgsZUFBSyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLE1BQU0sR0FBRyxFQUFFLEdBQUcsQ0FBQyxDQUFDLEdBQUcsSUFBSSxFQUFFLDRDQUE0QyxhQUFhLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQ3RILElBQUksU0FBUyxHQUFHLDBCQUFvQixDQUFDLEtBQUssRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNwRCxlQUFLLENBQUMsU0FBUyxDQUFDLENBQUMsS0FBSyxJQUFJLElBQUksU0FBUyxDQUFDLEtBQUssS0FBSyxHQUFHLEVBQUUsNENBQTRDLGFBQWEsQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLENBQUM7SUFDbkksQ0FBQztJQUVELDhDQUE4QyxFQUFFLEdBQUcsRUFBRTtRQUNqRCxJQUFJLFFBQVEsR0FBRywwQkFBb0IsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUMzQyxlQUFLLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxFQUFFLElBQUksUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxFQUFFLEVBQUUsZ0RBQWdELFFBQVEsQ0FBQyxHQUFHLENBQUMsYUFBYSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUM5SSxlQUFLLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxFQUFFLElBQUksUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxFQUFFLEVBQUUsaURBQWlELFFBQVEsQ0FBQyxHQUFHLENBQUMsYUFBYSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUNuSixDQUFDO0lBRUQsaURBQWlELEVBQUUsR0FBRyxFQUFFO1FBQ3BELElBQUksUUFBUSxHQUFHLDBCQUFvQixDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQzNDLElBQUksV0FBVyxHQUFHLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3pFLGVBQUssQ0FBQyxXQUFXLEtBQUssZ0JBQWdCLEVBQUUsOERBQThELFdBQVcsRUFBRSxDQUFDLENBQUM7SUFDekgsQ0FBQztJQUVELG1EQUFtRCxFQUFFLEdBQUcsRUFBRTtRQUN0RCxlQUFLLENBQUMsMEJBQW9CLENBQUMsRUFBRSxDQUFDLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxvQ0FBb0MsQ0FBQyxDQUFDO1FBQ25GLGVBQUssQ0FBQywwQkFBb0IsQ0FBQyxDQUFFLEVBQUUsS0FBSyxFQUFFLENBQUUsVUFBVSxDQUFDLElBQUksRUFBRSxFQUFFLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFDLENBQUUsRUFBRSxDQUFFLENBQUMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFLHVDQUF1QyxDQUFDLENBQUM7SUFDN0ksQ0FBQztDQUNKLENBQUM7QUFFRixrQkFBa0I7QUFFbEIsa0JBQVEsQ0FBQyxRQUFRLENBQUMsQ0FBQyJ9
\ No newline at end of file
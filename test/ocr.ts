@@ -0,0 +1,86 @@
+// Tests of grouping the words recognised by OCR into text elements, using a canned tesseract.js
+// result (so that neither the "canvas" nor the "tesseract.js" package is needed).
+
+"use strict";
+
+import { Element } from "../scraper";
+import { OcrScale, groupRecognisedWords } from "../ocr";
+import { Tests, check, runTests } from "./harness";
+
+// Creates a recognised word with a bounding box in the pixels of the rendered image.
+
+function createWord(text: string, confidence: number, x0: number, y0: number, x1: number, y1: number) {
+    return { text: text, confidence: confidence, bbox: { x0: x0, y0: y0, x1: x1, y1: y1 } };
+}
+
+// The lines of a canned tesseract.js result for a page rendered at the OCR scale.  The first line
+// has two columns ("Lodgement Date" and "12/03/2019") separated by a gap of more than twice the
+// height of the words; the words of "Lodgement Date" are separated by a small gap.
+
+const Lines = [
+    {
+        words: [
+            createWord("Lodgement", 95, 30, 60, 300, 90),
+            createWord(" ", 10, 305, 60, 310, 90),
+            createWord("Date", 80, 318, 55, 420, 90),
+            createWord("12/03/2019", 91, 600, 60, 840, 90)
+        ]
+    },
+    {
+        words: [
+            createWord("Dwelling", 40, 600, 150, 780, 180),
+            createWord("and", 96, 840, 150, 900, 180),  // a gap of exactly twice the height is not a column gap
+            createWord("garage", 92, 1100, 150, 1250, 180)
+        ]
+    },
+    { words: [] }
+];
+
+// Formats an element so that it is easy to read in a failure message.
+
+function formatElement(element: Element) {
+    return `"${element.text}" (${element.confidence}%) at ${element.x},${element.y} ${element.width}x${element.height}`;
+}
+
+// The tests.
+
+const OcrTests: Tests<void> = {
+    "joins words separated by a small gap and splits words separated by a large gap": () => {
+        let elements = groupRecognisedWords(Lines);
+        let texts = elements.map(element => element.text).join(" | ");
+        check(texts === "Lodgement Date | 12/03/2019 | Dwelling and | garage", `Unexpected elements: ${texts}`);
+    },
+
+    "scales the co-ordinates back to a page with a scale of 1.0": () => {
+        check(OcrScale === 3, `Expected an OCR scale of 3 but it was ${OcrScale}.`);
+        let elements = groupRecognisedWords(Lines);
+        let date = elements[1];
+        check(date.x === 200 && date.width === 80 && date.height === 10, `Unexpected position of the date: ${formatElement(date)}`);
+        let heading = elements[0];
+        check(heading.x === 10 && heading.width === 130, `Expected the joined element to span both words: ${formatElement(heading)}`);
+        check(Math.abs(heading.height - 35 / 3) < 1e-9, `Expected the height of the tallest word: ${formatElement(heading)}`);
+        let halfScale = groupRecognisedWords(Lines, 0.5)[1];
+        check(halfScale.x === 1200 && halfScale.width === 480, `Expected the specified scale to be used: ${formatElement(halfScale)}`);
+    },
+
+    "uses the bottom of the words as the baseline": () => {
+        let elements = groupRecognisedWords(Lines);
+        check(elements[0].y === 30 && elements[1].y === 30, `Expected a baseline of 30 on the first line: ${elements.map(formatElement).join(", ")}`);
+        check(elements[2].y === 60 && elements[3].y === 60, `Expected a baseline of 60 on the second line: ${elements.map(formatElement).join(", ")}`);
+    },
+
+    "keeps the lowest confidence of the joined words": () => {
+        let elements = groupRecognisedWords(Lines);
+        let confidences = elements.map(element => element.confidence).join(", ");
+        check(confidences === "80, 91, 40, 92", `Unexpected confidences (the blank word should be ignored): ${confidences}`);
+    },
+
+    "returns no elements when no words were recognised": () => {
+        check(groupRecognisedWords([]).length === 0, "Expected no elements for no lines.");
+        check(groupRecognisedWords([ { words: [ createWord("  ", 50, 0, 0, 10, 10) ] } ]).length === 0, "Expected no elements for blank words.");
+    }
+};
+
+// Runs the tests.
+
+runTests(OcrTests);
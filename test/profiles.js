@@ -0,0 +1,69 @@
+// Tests of choosing between the layout profiles in profiles.json, using the second page of the
+// synthetic-register-pages.elements.json fixture (as is and with the headings and anchor word of
+// the revised register template).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const scraper = require("../scraper");
+const profiles_1 = require("../profiles");
+const harness_1 = require("./harness");
+const ElementsFileName = path.join(__dirname, "fixtures", "synthetic-register-pages.elements.json");
+// The text of the revised register template in place of the text of the fixture.
+const RevisedText = { "Applicant": "APPLICANT NAME", "Application": "Dates", "Proposal": "DESCRIPTION", "Lodgement": "Lodged" };
+// Reads the elements of the second page of the fixture, optionally replacing the headings and
+// anchor word with those of the revised register template.
+function readElements(revised = false) {
+    let elements = JSON.parse(fs.readFileSync(ElementsFileName).toString())[1];
+    if (revised)
+        for (let element of elements)
+            if (RevisedText[element.text.trim()] !== undefined)
+                element.text = RevisedText[element.text.trim()];
+    return elements;
+}
+// The tests (each is given the layout profiles read from profiles.json).
+const ProfileTests = {
+    "matches the column headings exactly unless the profile ignores case": profiles => {
+        let elements = readElements();
+        elements.find(element => element.text === "Applicant").text = "APPLICANT";
+        let exactProfile = profiles.find(profile => profile.name === "light-register");
+        harness_1.check(profiles_1.findHeadingElement(elements, exactProfile, "applicant") === undefined, "Expected \"APPLICANT\" not to match the \"Applicant\" heading of a profile that does not ignore case.");
+        harness_1.check(profiles_1.findHeadingElement(elements, exactProfile, "proposal").text === "Proposal", "Expected the \"Proposal\" heading to be found.");
+        let ignoreCaseProfile = { ...exactProfile, ignoreCase: true };
+        harness_1.check(profiles_1.findHeadingElement(elements, ignoreCaseProfile, "applicant").text === "APPLICANT", "Expected \"APPLICANT\" to match the \"Applicant\" heading of a profile that ignores case.");
+    },
+    "rejects an ignoreCase setting that is not true or false": () => {
+        let error = undefined;
+        try {
+            profiles_1.loadLayoutProfiles(JSON.stringify([{ name: "test", headings: { applicant: ["Applicant"], application: ["Application"], proposal: ["Proposal"] }, anchorWords: ["Lodgement"], dateFormats: ["D/MM/YYYY"], ignoreCase: "yes" }]));
+        }
+        catch (caughtError) {
+            error = caughtError;
+        }
+        harness_1.check(error !== undefined && error.message.includes("ignoreCase"), "Expected an error reporting the invalid setting.");
+    },
+    "selects the profile matching the headings and anchor word of the page": profiles => {
+        let original = profiles_1.selectLayoutProfile(readElements(), profiles, scraper.findStartElements);
+        harness_1.check(original.profile.name === "light-register", `Expected the "light-register" profile for the original template but "${original.profile.name}" was selected (score ${original.score}).`);
+        let revised = profiles_1.selectLayoutProfile(readElements(true), profiles, scraper.findStartElements);
+        harness_1.check(revised.profile.name === "light-register-revised", `Expected the "light-register-revised" profile for the revised template but "${revised.profile.name}" was selected (score ${revised.score}).`);
+        harness_1.check(revised.score > profiles_1.selectLayoutProfile(readElements(true), [profiles[0]], scraper.findStartElements).score, "Expected the revised profile to score higher than the original profile on the revised template.");
+    },
+    "parses the page and records the chosen profile in the report": () => {
+        let report = scraper.startReport("2019-01-05 09:00:00");
+        let developmentApplications = scraper.parseElements([readElements(), readElements(true)], "https://example.com/register.pdf");
+        let summary = developmentApplications.map(developmentApplication => `${developmentApplication.applicationNumber} ${developmentApplication.applicant}`).join("; ");
+        harness_1.check(summary === "311/201/2019 E Brown; 311/201/2019 E Brown", `Expected the development application to be parsed from both pages but found: ${summary}`);
+        harness_1.check(developmentApplications[1].applicationDate === "2019-01-03", `Expected the application date to be parsed using the date formats of the revised profile but found "${developmentApplications[1].applicationDate}".`);
+        let profileNames = report.documents.map(reportDocument => reportDocument.profiles.join(", ")).join("; ");
+        harness_1.check(profileNames === "light-register, light-register-revised", `Expected the chosen profile of each page in the report but found: ${profileNames}`);
+    }
+};
+// Runs the tests (the suburb names, profiles and classification rules are read from the current
+// directory).
+process.chdir(path.join(__dirname, ".."));
+scraper.loadSuburbNames();
+scraper.loadProfiles();
+scraper.loadClassification();
+harness_1.runTests(ProfileTests, () => profiles_1.loadLayoutProfiles(fs.readFileSync("profiles.json").toString()));
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicHJvZmlsZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJwcm9maWxlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSwrRkFBK0Y7QUFDL0YsaUdBQWlHO0FBQ2pHLGtDQUFrQztBQUVsQyxZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLDZCQUE2QjtBQUM3QixzQ0FBc0M7QUFDdEMsMENBQXlHO0FBQ3pHLHVDQUFtRDtBQUluRCxNQUFNLGdCQUFnQixHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLFVBQVUsRUFBRSx3Q0FBd0MsQ0FBQyxDQUFDO0FBRXBHLGlGQUFpRjtBQUVqRixNQUFNLFdBQVcsR0FBRyxFQUFFLFdBQVcsRUFBRSxnQkFBZ0IsRUFBRSxhQUFhLEVBQUUsT0FBTyxFQUFFLFVBQVUsRUFBRSxhQUFhLEVBQUUsV0FBVyxFQUFFLFFBQVEsRUFBRSxDQUFDO0FBRWhJLDhGQUE4RjtBQUM5RiwyREFBMkQ7QUFFM0QsU0FBUyxZQUFZLENBQUMsVUFBbUIsS0FBSztJQUMxQyxJQUFJLFFBQVEsR0FBc0IsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLGdCQUFnQixDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUM5RixJQUFJLE9BQU87UUFDUCxLQUFLLElBQUksT0FBTyxJQUFJLFFBQVE7WUFDeEIsSUFBSSxXQUFXLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxLQUFLLFNBQVM7Z0JBQzlDLE9BQU8sQ0FBQyxJQUFJLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztJQUM1RCxPQUFPLFFBQVEsQ0FBQztBQUNwQixDQUFDO0FBRUQseUVBQXlFO0FBRXpFLE1BQU0sWUFBWSxHQUEyQjtJQUN6QyxxRUFBcUUsRUFBRSxRQUFRLENBQUMsRUFBRTtRQUM5RSxJQUFJLFFBQVEsR0FBRyxZQUFZLEVBQUUsQ0FBQztRQUM5QixRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksS0FBSyxXQUFXLENBQUMsQ0FBQyxJQUFJLEdBQUcsV0FBVyxDQUFDO1FBQzFFLElBQUksWUFBWSxHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxLQUFLLGdCQUFnQixDQUFDLENBQUM7UUFDL0UsZUFBSyxDQUFDLDZCQUFrQixDQUFDLFFBQVEsRUFBRSxZQUFZLEVBQUUsV0FBVyxDQUFDLEtBQUssU0FBUyxFQUFFLHVHQUF1RyxDQUFDLENBQUM7UUFDdEwsZUFBSyxDQUFDLDZCQUFrQixDQUFDLFFBQVEsRUFBRSxZQUFZLEVBQUUsVUFBVSxDQUFDLENBQUMsSUFBSSxLQUFLLFVBQVUsRUFBRSxnREFBZ0QsQ0FBQyxDQUFDO1FBQ3BJLElBQUksaUJBQWlCLEdBQUcsRUFBRSxHQUFHLFlBQVksRUFBRSxVQUFVLEVBQUUsSUFBSSxFQUFFLENBQUM7UUFDOUQsZUFBSyxDQUFDLDZCQUFrQixDQUFDLFFBQVEsRUFBRSxpQkFBaUIsRUFBRSxXQUFXLENBQUMsQ0FBQyxJQUFJLEtBQUssV0FBVyxFQUFFLDJGQUEyRixDQUFDLENBQUM7SUFDMUwsQ0FBQztJQUVELHlEQUF5RCxFQUFFLEdBQUcsRUFBRTtRQUM1RCxJQUFJLEtBQUssR0FBVSxTQUFTLENBQUM7UUFDN0IsSUFBSTtZQUNBLDZCQUFrQixDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBRSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLEVBQUUsU0FBUyxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsV0FBVyxFQUFFLENBQUUsYUFBYSxDQUFFLEVBQUUsUUFBUSxFQUFFLENBQUUsVUFBVSxDQUFFLEVBQUUsRUFBRSxXQUFXLEVBQUUsQ0FBRSxXQUFXLENBQUUsRUFBRSxXQUFXLEVBQUUsQ0FBRSxXQUFXLENBQUUsRUFBRSxVQUFVLEVBQUUsS0FBSyxFQUFFLENBQUUsQ0FBQyxDQUFDLENBQUM7U0FDL087UUFBQyxPQUFPLFdBQVcsRUFBRTtZQUNsQixLQUFLLEdBQUcsV0FBVyxDQUFDO1NBQ3ZCO1FBQ0QsZUFBSyxDQUFDLEtBQUssS0FBSyxTQUFTLElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsWUFBWSxDQUFDLEVBQUUsa0RBQWtELENBQUMsQ0FBQztJQUMzSCxDQUFDO0lBRUQsdUVBQXVFLEVBQUUsUUFBUSxDQUFDLEVBQUU7UUFDaEYsSUFBSSxRQUFRLEdBQUcsOEJBQW1CLENBQUMsWUFBWSxFQUFFLEVBQUUsUUFBUSxFQUFFLE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO1FBQ3hGLGVBQUssQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLElBQUksS0FBSyxnQkFBZ0IsRUFBRSx3RUFBd0UsUUFBUSxDQUFDLE9BQU8sQ0FBQyxJQUFJLHlCQUF5QixRQUFRLENBQUMsS0FBSyxJQUFJLENBQUMsQ0FBQztRQUM1TCxJQUFJLE9BQU8sR0FBRyw4QkFBbUIsQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO1FBQzNGLGVBQUssQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLElBQUksS0FBSyx3QkFBd0IsRUFBRSwrRUFBK0UsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLHlCQUF5QixPQUFPLENBQUMsS0FBSyxJQUFJLENBQUMsQ0FBQztRQUN4TSxlQUFLLENBQUMsT0FBTyxDQUFDLEtBQUssR0FBRyw4QkFBbUIsQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBRSxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUUsRUFBRSxPQUFPLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxLQUFLLEVBQUUsaUdBQWlHLENBQUMsQ0FBQztJQUN4TixDQUFDO0lBRUQsOERBQThELEVBQUUsR0FBRyxFQUFFO1FBQ2pFLElBQUksTUFBTSxHQUFHLE9BQU8sQ0FBQyxXQUFXLENBQUMscUJBQXFCLENBQUMsQ0FBQztRQUN4RCxJQUFJLHVCQUF1QixHQUFHLE9BQU8sQ0FBQyxhQUFhLENBQUMsQ0FBRSxZQUFZLEVBQUUsRUFBRSxZQUFZLENBQUMsSUFBSSxDQUFDLENBQUUsRUFBRSxrQ0FBa0MsQ0FBQyxDQUFDO1FBQ2hJLElBQUksT0FBTyxHQUFHLHVCQUF1QixDQUFDLEdBQUcsQ0FBQyxzQkFBc0IsQ0FBQyxFQUFFLENBQUMsR0FBRyxzQkFBc0IsQ0FBQyxpQkFBaUIsSUFBSSxzQkFBc0IsQ0FBQyxTQUFTLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUNsSyxlQUFLLENBQUMsT0FBTyxLQUFLLDRDQUE0QyxFQUFFLGdGQUFnRixPQUFPLEVBQUUsQ0FBQyxDQUFDO1FBQzNKLGVBQUssQ0FBQyx1QkFBdUIsQ0FBQyxDQUFDLENBQUMsQ0FBQyxlQUFlLEtBQUssWUFBWSxFQUFFLHVHQUF1Ryx1QkFBdUIsQ0FBQyxDQUFDLENBQUMsQ0FBQyxlQUFlLElBQUksQ0FBQyxDQUFDO1FBQzFOLElBQUksWUFBWSxHQUFHLE1BQU0sQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsY0FBYyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDekcsZUFBSyxDQUFDLFlBQVksS0FBSyx3Q0FBd0MsRUFBRSxxRUFBcUUsWUFBWSxFQUFFLENBQUMsQ0FBQztJQUMxSixDQUFDO0NBQ0osQ0FBQztBQUVGLGdHQUFnRztBQUNoRyxjQUFjO0FBRWQsT0FBTyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDO0FBQzFDLE9BQU8sQ0FBQyxlQUFlLEVBQUUsQ0FBQztBQUMxQixPQUFPLENBQUMsWUFBWSxFQUFFLENBQUM7QUFDdkIsT0FBTyxDQUFDLGtCQUFrQixFQUFFLENBQUM7QUFDN0Isa0JBQVEsQ0FBQyxZQUFZLEVBQUUsR0FBRyxFQUFFLENBQUMsNkJBQWtCLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxlQUFlLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDLENBQUMifQ==
\ No newline at end of file
@@ -0,0 +1,82 @@
+// Tests of choosing between the layout profiles in profiles.json, using the second page of the
+// synthetic-register-pages.elements.json fixture (as is and with the headings and anchor word of
+// the revised register template).
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import * as scraper from "../scraper";
+import { LayoutProfile, loadLayoutProfiles, findHeadingElement, selectLayoutProfile } from "../profiles";
+import { Tests, check, runTests } from "./harness";
+
+declare const process: any;
+
+const ElementsFileName = path.join(__dirname, "fixtures", "synthetic-register-pages.elements.json");
+
+// The text of the revised register template in place of the text of the fixture.
+
+const RevisedText = { "Applicant": "APPLICANT NAME", "Application": "Dates", "Proposal": "DESCRIPTION", "Lodgement": "Lodged" };
+
+// Reads the elements of the second page of the fixture, optionally replacing the headings and
+// anchor word with those of the revised register template.
+
+function readElements(revised: boolean = false) {
+    let elements: scraper.Element[] = JSON.parse(fs.readFileSync(ElementsFileName).toString())[1];
+    if (revised)
+        for (let element of elements)
+            if (RevisedText[element.text.trim()] !== undefined)
+                element.text = RevisedText[element.text.trim()];
+    return elements;
+}
+
+// The tests (each is given the layout profiles read from profiles.json).
+
+const ProfileTests: Tests<LayoutProfile[]> = {
+    "matches the column headings exactly unless the profile ignores case": profiles => {
+        let elements = readElements();
+        elements.find(element => element.text === "Applicant").text = "APPLICANT";
+        let exactProfile = profiles.find(profile => profile.name === "light-register");
+        check(findHeadingElement(elements, exactProfile, "applicant") === undefined, "Expected \"APPLICANT\" not to match the \"Applicant\" heading of a profile that does not ignore case.");
+        check(findHeadingElement(elements, exactProfile, "proposal").text === "Proposal", "Expected the \"Proposal\" heading to be found.");
+        let ignoreCaseProfile = { ...exactProfile, ignoreCase: true };
+        check(findHeadingElement(elements, ignoreCaseProfile, "applicant").text === "APPLICANT", "Expected \"APPLICANT\" to match the \"Applicant\" heading of a profile that ignores case.");
+    },
+
+    "rejects an ignoreCase setting that is not true or false": () => {
+        let error: Error = undefined;
+        try {
+            loadLayoutProfiles(JSON.stringify([ { name: "test", headings: { applicant: [ "Applicant" ], application: [ "Application" ], proposal: [ "Proposal" ] }, anchorWords: [ "Lodgement" ], dateFormats: [ "D/MM/YYYY" ], ignoreCase: "yes" } ]));
+        } catch (caughtError) {
+            error = caughtError;
+        }
+        check(error !== undefined && error.message.includes("ignoreCase"), "Expected an error reporting the invalid setting.");
+    },
+
+    "selects the profile matching the headings and anchor word of the page": profiles => {
+        let original = selectLayoutProfile(readElements(), profiles, scraper.findStartElements);
+        check(original.profile.name === "light-register", `Expected the "light-register" profile for the original template but "${original.profile.name}" was selected (score ${original.score}).`);
+        let revised = selectLayoutProfile(readElements(true), profiles, scraper.findStartElements);
+        check(revised.profile.name === "light-register-revised", `Expected the "light-register-revised" profile for the revised template but "${revised.profile.name}" was selected (score ${revised.score}).`);
+        check(revised.score > selectLayoutProfile(readElements(true), [ profiles[0] ], scraper.findStartElements).score, "Expected the revised profile to score higher than the original profile on the revised template.");
+    },
+
+    "parses the page and records the chosen profile in the report": () => {
+        let report = scraper.startReport("2019-01-05 09:00:00");
+        let developmentApplications = scraper.parseElements([ readElements(), readElements(true) ], "https://example.com/register.pdf");
+        let summary = developmentApplications.map(developmentApplication => `${developmentApplication.applicationNumber} ${developmentApplication.applicant}`).join("; ");
+        check(summary === "311/201/2019 E Brown; 311/201/2019 E Brown", `Expected the development application to be parsed from both pages but found: ${summary}`);
+        check(developmentApplications[1].applicationDate === "2019-01-03", `Expected the application date to be parsed using the date formats of the revised profile but found "${developmentApplications[1].applicationDate}".`);
+        let profileNames = report.documents.map(reportDocument => reportDocument.profiles.join(", ")).join("; ");
+        check(profileNames === "light-register, light-register-revised", `Expected the chosen profile of each page in the report but found: ${profileNames}`);
+    }
+};
+
+// Runs the tests (the suburb names, profiles and classification rules are read from the current
+// directory).
+
+process.chdir(path.join(__dirname, ".."));
+scraper.loadSuburbNames();
+scraper.loadProfiles();
+scraper.loadClassification();
+runTests(ProfileTests, () => loadLayoutProfiles(fs.readFileSync("profiles.json").toString()));
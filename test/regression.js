@@ -0,0 +1,88 @@
+// Parser regression tests.  Parses each register PDF (*.pdf) and each set of saved PDF text
+// elements (*.elements.json) in the fixtures directory and compares the development applications
+// with the expected output (*.expected.json).  Run with "--update" to regenerate the expected
+// output once any differences have been confirmed to be intended.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const scraper = require("../scraper");
+const FixturesDirectory = path.join(__dirname, "fixtures");
+// Gets the name of the file containing the expected output for a fixture.
+function getExpectedFileName(fixtureFileName) {
+    return fixtureFileName.replace(/(\.elements\.json|\.pdf)$/i, ".expected.json");
+}
+// Parses the development applications from a fixture (the console output of the parser is
+// captured so that it is only shown for a fixture that fails).  The scrape date is removed
+// because it changes every day.
+async function parseFixture(fixtureFileName, output) {
+    let log = console.log;
+    console.log = (...parameters) => output.push(parameters.join(" "));
+    try {
+        let fileName = path.join(FixturesDirectory, fixtureFileName);
+        let developmentApplications = fixtureFileName.toLowerCase().endsWith(".pdf") ?
+            await scraper.parsePdf(fs.readFileSync(fileName), fixtureFileName) :
+            scraper.parseElements(JSON.parse(fs.readFileSync(fileName).toString()), fixtureFileName);
+        for (let developmentApplication of developmentApplications)
+            delete developmentApplication.scrapeDate;
+        return developmentApplications;
+    }
+    finally {
+        console.log = log;
+    }
+}
+// Describes the first difference between the expected and actual development applications.
+function describeDifference(expected, actual) {
+    for (let index = 0; index < Math.max(expected.length, actual.length); index++) {
+        let expectedText = JSON.stringify(expected[index]);
+        let actualText = JSON.stringify(actual[index]);
+        if (expectedText !== actualText)
+            return `development application ${index + 1} of ${actual.length} (expected ${expected.length}) differs:\n    Expected: ${expectedText}\n    Actual:   ${actualText}`;
+    }
+    return "the development applications are the same (but the formatting of the expected output differs)";
+}
+// Runs the regression tests.
+async function main() {
+    let update = process.argv.includes("--update");
+    process.chdir(path.join(__dirname, "..")); // the suburb names and profiles files are read from the current directory
+    scraper.loadSuburbNames();
+    scraper.loadProfiles();
+    scraper.loadClassification();
+    let fixtureFileNames = fs.readdirSync(FixturesDirectory).filter(fileName => /(\.elements\.json|\.pdf)$/i.test(fileName)).sort();
+    if (fixtureFileNames.length === 0)
+        throw new Error(`No fixtures were found in the directory: ${FixturesDirectory}`);
+    let failureCount = 0;
+    for (let fixtureFileName of fixtureFileNames) {
+        let output = [];
+        let developmentApplications = await parseFixture(fixtureFileName, output);
+        let actualText = JSON.stringify(developmentApplications, null, 4) + "\n";
+        let expectedFileName = path.join(FixturesDirectory, getExpectedFileName(fixtureFileName));
+        if (update) {
+            fs.writeFileSync(expectedFileName, actualText);
+            console.log(`Updated ${expectedFileName} (${developmentApplications.length} development application(s)).`);
+        }
+        else if (!fs.existsSync(expectedFileName)) {
+            failureCount++;
+            console.log(`FAILED ${fixtureFileName}: there is no expected output (run with "--update" to create ${expectedFileName}).`);
+        }
+        else {
+            let expectedText = fs.readFileSync(expectedFileName).toString().replace(/\r/g, "");
+            if (expectedText === actualText)
+                console.log(`Passed ${fixtureFileName} (${developmentApplications.length} development application(s)).`);
+            else {
+                failureCount++;
+                console.log(`FAILED ${fixtureFileName}: ${describeDifference(JSON.parse(expectedText), developmentApplications)}`);
+                console.log(`Parser output:\n${output.join("\n")}`);
+            }
+        }
+    }
+    if (failureCount > 0) {
+        console.log(`${failureCount} of ${fixtureFileNames.length} fixture(s) failed.`);
+        process.exitCode = 1;
+    }
+}
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVncmVzc2lvbi5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInJlZ3Jlc3Npb24udHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsNEZBQTRGO0FBQzVGLGlHQUFpRztBQUNqRyw4RkFBOEY7QUFDOUYsa0VBQWtFO0FBRWxFLFlBQVksQ0FBQzs7QUFFYix5QkFBeUI7QUFDekIsNkJBQTZCO0FBQzdCLHNDQUFzQztBQUl0QyxNQUFNLGlCQUFpQixHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLFVBQVUsQ0FBQyxDQUFDO0FBRTNELDBFQUEwRTtBQUUxRSxTQUFTLG1CQUFtQixDQUFDLGVBQXVCO0lBQ2hELE9BQU8sZUFBZSxDQUFDLE9BQU8sQ0FBQyw0QkFBNEIsRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDO0FBQ25GLENBQUM7QUFFRCwwRkFBMEY7QUFDMUYsMkZBQTJGO0FBQzNGLGdDQUFnQztBQUVoQyxLQUFLLFVBQVUsWUFBWSxDQUFDLGVBQXVCLEVBQUUsTUFBZ0I7SUFDakUsSUFBSSxHQUFHLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQztJQUN0QixPQUFPLENBQUMsR0FBRyxHQUFHLENBQUMsR0FBRyxVQUFVLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ25FLElBQUk7UUFDQSxJQUFJLFFBQVEsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLGlCQUFpQixFQUFFLGVBQWUsQ0FBQyxDQUFDO1FBQzdELElBQUksdUJBQXVCLEdBQUcsZUFBZSxDQUFDLFdBQVcsRUFBRSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO1lBQzFFLE1BQU0sT0FBTyxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLFFBQVEsQ0FBQyxFQUFFLGVBQWUsQ0FBQyxDQUFDLENBQUM7WUFDcEUsT0FBTyxDQUFDLGFBQWEsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsUUFBUSxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsRUFBRSxlQUFlLENBQUMsQ0FBQztRQUM3RixLQUFLLElBQUksc0JBQXNCLElBQUksdUJBQXVCO1lBQ3RELE9BQU8sc0JBQXNCLENBQUMsVUFBVSxDQUFDO1FBQzdDLE9BQU8sdUJBQXVCLENBQUM7S0FDbEM7WUFBUztRQUNOLE9BQU8sQ0FBQyxHQUFHLEdBQUcsR0FBRyxDQUFDO0tBQ3JCO0FBQ0wsQ0FBQztBQUVELDJGQUEyRjtBQUUzRixTQUFTLGtCQUFrQixDQUFDLFFBQWUsRUFBRSxNQUFhO0lBQ3RELEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQzNFLElBQUksWUFBWSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7UUFDbkQsSUFBSSxVQUFVLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUMvQyxJQUFJLFlBQVksS0FBSyxVQUFVO1lBQzNCLE9BQU8sMkJBQTJCLEtBQUssR0FBRyxDQUFDLE9BQU8sTUFBTSxDQUFDLE1BQU0sY0FBYyxRQUFRLENBQUMsTUFBTSw2QkFBNkIsWUFBWSxtQkFBbUIsVUFBVSxFQUFFLENBQUM7S0FDNUs7SUFDRCxPQUFPLCtGQUErRixDQUFDO0FBQzNHLENBQUM7QUFFRCw2QkFBNkI7QUFFN0IsS0FBSyxVQUFVLElBQUk7SUFDZixJQUFJLE1BQU0sR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUUvQyxPQUFPLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBRSwwRUFBMEU7SUFDdEgsT0FBTyxDQUFDLGVBQWUsRUFBRSxDQUFDO0lBQzFCLE9BQU8sQ0FBQyxZQUFZLEVBQUUsQ0FBQztJQUN2QixPQUFPLENBQUMsa0JBQWtCLEVBQUUsQ0FBQztJQUU3QixJQUFJLGdCQUFnQixHQUFHLEVBQUUsQ0FBQyxXQUFXLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyw0QkFBNEIsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztJQUNoSSxJQUFJLGdCQUFnQixDQUFDLE1BQU0sS0FBSyxDQUFDO1FBQzdCLE1BQU0sSUFBSSxLQUFLLENBQUMsNENBQTRDLGlCQUFpQixFQUFFLENBQUMsQ0FBQztJQUVyRixJQUFJLFlBQVksR0FBRyxDQUFDLENBQUM7SUFDckIsS0FBSyxJQUFJLGVBQWUsSUFBSSxnQkFBZ0IsRUFBRTtRQUMxQyxJQUFJLE1BQU0sR0FBYSxFQUFFLENBQUM7UUFDMUIsSUFBSSx1QkFBdUIsR0FBRyxNQUFNLFlBQVksQ0FBQyxlQUFlLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFDMUUsSUFBSSxVQUFVLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyx1QkFBdUIsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDO1FBQ3pFLElBQUksZ0JBQWdCLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxpQkFBaUIsRUFBRSxtQkFBbUIsQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDO1FBRTFGLElBQUksTUFBTSxFQUFFO1lBQ1IsRUFBRSxDQUFDLGFBQWEsQ0FBQyxnQkFBZ0IsRUFBRSxVQUFVLENBQUMsQ0FBQztZQUMvQyxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsZ0JBQWdCLEtBQUssdUJBQXVCLENBQUMsTUFBTSwrQkFBK0IsQ0FBQyxDQUFDO1NBQzlHO2FBQU0sSUFBSSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsZ0JBQWdCLENBQUMsRUFBRTtZQUN6QyxZQUFZLEVBQUUsQ0FBQztZQUNmLE9BQU8sQ0FBQyxHQUFHLENBQUMsVUFBVSxlQUFlLGdFQUFnRSxnQkFBZ0IsSUFBSSxDQUFDLENBQUM7U0FDOUg7YUFBTTtZQUNILElBQUksWUFBWSxHQUFHLEVBQUUsQ0FBQyxZQUFZLENBQUMsZ0JBQWdCLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1lBQ25GLElBQUksWUFBWSxLQUFLLFVBQVU7Z0JBQzNCLE9BQU8sQ0FBQyxHQUFHLENBQUMsVUFBVSxlQUFlLEtBQUssdUJBQXVCLENBQUMsTUFBTSwrQkFBK0IsQ0FBQyxDQUFDO2lCQUN4RztnQkFDRCxZQUFZLEVBQUUsQ0FBQztnQkFDZixPQUFPLENBQUMsR0FBRyxDQUFDLFVBQVUsZUFBZSxLQUFLLGtCQUFrQixDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsWUFBWSxDQUFDLEVBQUUsdUJBQXVCLENBQUMsRUFBRSxDQUFDLENBQUM7Z0JBQ25ILE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO2FBQ3ZEO1NBQ0o7S0FDSjtJQUVELElBQUksWUFBWSxHQUFHLENBQUMsRUFBRTtRQUNsQixPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsWUFBWSxPQUFPLGdCQUFnQixDQUFDLE1BQU0scUJBQXFCLENBQUMsQ0FBQztRQUNoRixPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQztLQUN4QjtBQUNMLENBQUM7QUFFRCxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUU7SUFDakIsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNyQixPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQztBQUN6QixDQUFDLENBQUMsQ0FBQyJ9
\ No newline at end of file
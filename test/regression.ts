@@ -0,0 +1,102 @@
+// Parser regression tests.  Parses each register PDF (*.pdf) and each set of saved PDF text
+// elements (*.elements.json) in the fixtures directory and compares the development applications
+// with the expected output (*.expected.json).  Run with "--update" to regenerate the expected
+// output once any differences have been confirmed to be intended.
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import * as scraper from "../scraper";
+
+declare const process: any;
+
+const FixturesDirectory = path.join(__dirname, "fixtures");
+
+// Gets the name of the file containing the expected output for a fixture.
+
+function getExpectedFileName(fixtureFileName: string) {
+    return fixtureFileName.replace(/(\.elements\.json|\.pdf)$/i, ".expected.json");
+}
+
+// Parses the development applications from a fixture (the console output of the parser is
+// captured so that it is only shown for a fixture that fails).  The scrape date is removed
+// because it changes every day.
+
+async function parseFixture(fixtureFileName: string, output: string[]) {
+    let log = console.log;
+    console.log = (...parameters) => output.push(parameters.join(" "));
+    try {
+        let fileName = path.join(FixturesDirectory, fixtureFileName);
+        let developmentApplications = fixtureFileName.toLowerCase().endsWith(".pdf") ?
+            await scraper.parsePdf(fs.readFileSync(fileName), fixtureFileName) :
+            scraper.parseElements(JSON.parse(fs.readFileSync(fileName).toString()), fixtureFileName);
+        for (let developmentApplication of developmentApplications)
+            delete developmentApplication.scrapeDate;
+        return developmentApplications;
+    } finally {
+        console.log = log;
+    }
+}
+
+// Describes the first difference between the expected and actual development applications.
+
+function describeDifference(expected: any[], actual: any[]) {
+    for (let index = 0; index < Math.max(expected.length, actual.length); index++) {
+        let expectedText = JSON.stringify(expected[index]);
+        let actualText = JSON.stringify(actual[index]);
+        if (expectedText !== actualText)
+            return `development application ${index + 1} of ${actual.length} (expected ${expected.length}) differs:\n    Expected: ${expectedText}\n    Actual:   ${actualText}`;
+    }
+    return "the development applications are the same (but the formatting of the expected output differs)";
+}
+
+// Runs the regression tests.
+
+async function main() {
+    let update = process.argv.includes("--update");
+
+    process.chdir(path.join(__dirname, ".."));  // the suburb names and profiles files are read from the current directory
+    scraper.loadSuburbNames();
+    scraper.loadProfiles();
+    scraper.loadClassification();
+
+    let fixtureFileNames = fs.readdirSync(FixturesDirectory).filter(fileName => /(\.elements\.json|\.pdf)$/i.test(fileName)).sort();
+    if (fixtureFileNames.length === 0)
+        throw new Error(`No fixtures were found in the directory: ${FixturesDirectory}`);
+
+    let failureCount = 0;
+    for (let fixtureFileName of fixtureFileNames) {
+        let output: string[] = [];
+        let developmentApplications = await parseFixture(fixtureFileName, output);
+        let actualText = JSON.stringify(developmentApplications, null, 4) + "\n";
+        let expectedFileName = path.join(FixturesDirectory, getExpectedFileName(fixtureFileName));
+
+        if (update) {
+            fs.writeFileSync(expectedFileName, actualText);
+            console.log(`Updated ${expectedFileName} (${developmentApplications.length} development application(s)).`);
+        } else if (!fs.existsSync(expectedFileName)) {
+            failureCount++;
+            console.log(`FAILED ${fixtureFileName}: there is no expected output (run with "--update" to create ${expectedFileName}).`);
+        } else {
+            let expectedText = fs.readFileSync(expectedFileName).toString().replace(/\r/g, "");
+            if (expectedText === actualText)
+                console.log(`Passed ${fixtureFileName} (${developmentApplications.length} development application(s)).`);
+            else {
+                failureCount++;
+                console.log(`FAILED ${fixtureFileName}: ${describeDifference(JSON.parse(expectedText), developmentApplications)}`);
+                console.log(`Parser output:\n${output.join("\n")}`);
+            }
+        }
+    }
+
+    if (failureCount > 0) {
+        console.log(`${failureCount} of ${fixtureFileNames.length} fixture(s) failed.`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
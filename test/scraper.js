@@ -0,0 +1,291 @@
+// Tests of the parts of the scraper that do not depend on the layout of the register PDFs (those are
+// covered by the regression tests): the creation of the database, the selection of PDFs using the
+// processed-document ledger, resuming an interrupted parse, the recording of each version of a
+// development application and the parse-quality report, using an in-memory database.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const scraper = require("../scraper");
+const scraper_1 = require("../scraper");
+const database_1 = require("../database");
+const harness_1 = require("./harness");
+// The URLs of the linked PDFs (most recent first, as returned by getPdfUrls).
+const PdfUrls = ["https://example.com/2019.pdf", "https://example.com/2018.pdf", "https://example.com/2017.pdf", "https://example.com/2016.pdf", "https://example.com/2015.pdf", "https://example.com/2014.pdf"];
+// Creates a ledger record of a PDF that was parsed (or failed to parse) and last checked on the
+// specified date.
+function createDocumentRecord(url, dateChecked, failed = false) {
+    return { url: url, hash: "hash", dateParsed: dateChecked, dateChecked: dateChecked, applicationCount: failed ? 0 : 10, failed: failed, error: failed ? "Could not parse." : null, lastPage: null, checkpointHash: null, checkpointRun: null, peakMemory: null, etag: null, lastModified: null };
+}
+// Gets the years of the PDFs selected (so that the order is easy to read in a failure message).
+function selectYears(documentRecords, batchSize) {
+    return scraper_1.selectPdfUrls(PdfUrls, documentRecords, batchSize).map(url => url.replace(/^.*\/([0-9]+)\.pdf$/, "$1")).join(" ");
+}
+// The synthetic register PDF (two pages; the second page has a second development application
+// numbered "311/123/2018", which is saved as "311/123/2018 (1)") and the URL it is parsed as.
+const PdfFileName = path.join(__dirname, "fixtures", "synthetic-register.pdf");
+const PdfUrl = "https://example.com/synthetic-register.pdf";
+const SecondPageApplicationNumbers = ["311/123/2018 (1)", "311/126/2018"];
+// Parses the synthetic register PDF (read from the fixtures directory in place of the URL) in a
+// run that started at the specified time, returning the console output.
+async function parseSyntheticPdf(database, runTime) {
+    scraper_1.startReport(runTime);
+    let documentRecords = await scraper_1.readDocumentRecords(database);
+    return captureOutput(() => scraper_1.processPdf(database, documentRecords, PdfUrl, PdfFileName, false));
+}
+// Leaves the ledger and the database in the state of a parse of the synthetic register PDF that
+// was interrupted after saving the first page (in a run that started at the specified time and
+// retrieved the PDF at the specified time).  The checkpoint records the hash of the PDF unless a
+// different hash is specified.
+async function interruptParse(database, runTime, dateChecked, checkpointHash) {
+    await parseSyntheticPdf(database, runTime);
+    await database_1.runSql(database, "delete from [data] where [council_reference] in (?, ?)", SecondPageApplicationNumbers);
+    await database_1.runSql(database, "delete from [history] where [council_reference] in (?, ?)", SecondPageApplicationNumbers);
+    let hash = (await database_1.readRows(database, "select [hash] from [documents] where [url] = ?", [PdfUrl]))[0].hash;
+    await database_1.runSql(database, "update [documents] set [hash] = null, [date_parsed] = null, [date_checked] = ?, [application_count] = 3, [failed] = 1, [error] = ?, [last_page] = 1, [checkpoint_hash] = ?, [checkpoint_run] = ? where [url] = ?", [dateChecked, "The parse did not complete.", (checkpointHash === undefined) ? hash : checkpointHash, runTime, PdfUrl]);
+}
+// Gets the first and last seen times of the versions of each development application parsed from
+// the synthetic register PDF (such as "311/126/2018 2019-01-06 09:00:00 to 2019-01-06 09:00:00").
+async function getSeenTimes(database) {
+    let rows = await database_1.readRows(database, "select * from [history] where [info_url] = ? order by [council_reference], [rowid]", [PdfUrl]);
+    return rows.map(row => `${row.council_reference} ${row.first_seen} to ${row.last_seen}`).join("; ");
+}
+// Saves the parse-quality report to the database and to a JSON file (in a temporary directory),
+// returning the content of the JSON file.
+async function saveReportFile(database, report) {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "report-"));
+    let fileName = path.join(directory, "report.json");
+    try {
+        await captureOutput(() => scraper_1.saveReport(database, report, fileName));
+        return JSON.parse(fs.readFileSync(fileName).toString());
+    }
+    finally {
+        if (fs.existsSync(fileName))
+            fs.unlinkSync(fileName);
+        fs.rmdirSync(directory);
+    }
+}
+// Formats the saved parse-quality report issues so that they are easy to compare.
+async function getReportIssues(database) {
+    let rows = await database_1.readRows(database, "select * from [report_issues] order by [rowid]");
+    return rows.map(row => `${row.run_date} ${row.url} page ${row.page} ${row.kind} ${row.application_number}: ${row.detail} ${row.elements}`);
+}
+// Creates a development application in the shape produced by the parser.
+function createDevelopmentApplication(scrapeDate, description) {
+    return {
+        applicationNumber: "311/100/2019",
+        applicant: "J Smith",
+        address: "12 Main Street, KAPUNDA SA 5373",
+        addressComponents: { unit: "", streetNumber: "12", lot: "", section: "", plan: "", hundred: "", streetName: "MAIN", streetType: "STREET", streetSuffix: "", suburb: "KAPUNDA", state: "SA", postCode: "5373" },
+        latitude: null,
+        longitude: null,
+        geocodePrecision: "none",
+        description: description,
+        categories: [],
+        lotCount: null,
+        informationUrl: "https://example.com/2019.pdf",
+        commentUrl: "mailto:light@light.sa.gov.au",
+        scrapeDate: scrapeDate,
+        receivedDate: "2019-01-02",
+        applicationDate: "2019-01-01",
+        referrals: [],
+        decisionDate: "",
+        decision: "",
+        warnings: []
+    };
+}
+// Performs an action, returning its console output.
+async function captureOutput(action) {
+    let output = [];
+    let log = console.log;
+    console.log = (...parameters) => output.push(parameters.join(" "));
+    try {
+        await action();
+    }
+    finally {
+        console.log = log;
+    }
+    return output;
+}
+// Gets the names of the columns of a table.
+async function getColumnNames(database, table) {
+    return (await database_1.readRows(database, `pragma table_info([${table}])`)).map(column => column.name);
+}
+// Lists the changes between two dates or times, returning the application numbers and times that
+// were listed.
+async function getListedChanges(database, from, to) {
+    let output = await captureOutput(() => scraper_1.listChanges(database, from, to));
+    return output.filter(line => /^    [0-9]/.test(line)).map(line => line.trim().replace(/ in .*$/, "")).join("; ");
+}
+// The tests (each is given a newly created in-memory database).
+const ScraperTests = {
+    "creates a new database with all of its columns": async () => {
+        let database = undefined;
+        let output = await captureOutput(async () => database = await scraper_1.initializeDatabase(":memory:"));
+        try {
+            harness_1.check(output.length === 0, `Expected no columns to be added to a new database but the output was: ${output.join(" ")}`);
+            let columnNames = await getColumnNames(database, "documents");
+            harness_1.check(["last_page", "checkpoint_hash", "peak_memory", "etag", "last_modified"].every(name => columnNames.includes(name)), `Unexpected [documents] columns: ${columnNames.join(", ")}`);
+            columnNames = await getColumnNames(database, "report_documents");
+            harness_1.check(["warning_count", "profiles", "peak_memory", "status"].every(name => columnNames.includes(name)), `Unexpected [report_documents] columns: ${columnNames.join(", ")}`);
+        }
+        finally {
+            database.close();
+        }
+    },
+    "adds the missing columns to an existing database": async () => {
+        let fileName = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "scraper-")), "data.sqlite");
+        let database = new sqlite3.Database(fileName);
+        try {
+            await database_1.runSql(database, "create table [documents] ([url] text primary key, [hash] text, [date_parsed] text, [date_checked] text, [application_count] integer, [failed] integer, [error] text)");
+            await database_1.runSql(database, "insert into [documents] ([url], [hash]) values (?, ?)", [PdfUrls[0], "hash"]);
+            await new Promise(resolve => database.close(resolve));
+            let output = await captureOutput(async () => database = await scraper_1.initializeDatabase(fileName));
+            harness_1.check(output.join(" ").includes("Adding the [last_page] column to the [documents] table."), `Expected the [last_page] column to be added but the output was: ${output.join(" ")}`);
+            harness_1.check(!output.join(" ").includes("[report_documents]"), "Expected the newly created [report_documents] table to have all of its columns.");
+            let rows = await database_1.readRows(database, "select * from [documents]");
+            harness_1.check(rows.length === 1 && rows[0].hash === "hash" && rows[0].last_page === null, `Expected the existing record to be kept: ${JSON.stringify(rows)}`);
+        }
+        finally {
+            await new Promise(resolve => database.close(resolve));
+            fs.unlinkSync(fileName);
+            fs.rmdirSync(path.dirname(fileName));
+        }
+    },
+    "selects the most recent PDF and then unparsed, failed and least recently checked PDFs": () => {
+        let documentRecords = [
+            createDocumentRecord(PdfUrls[0], "2019-05-01"),
+            createDocumentRecord(PdfUrls[1], "2019-04-01"),
+            createDocumentRecord(PdfUrls[2], "2019-03-01", true),
+            createDocumentRecord(PdfUrls[4], "2019-02-01")
+        ];
+        let years = selectYears(documentRecords, 10);
+        harness_1.check(years === "2019 2016 2014 2017 2015 2018", `Unexpected order: ${years}`);
+    },
+    "always selects the most recent PDF even if it was recently checked": () => {
+        let documentRecords = PdfUrls.map((url, index) => createDocumentRecord(url, (index === 0) ? "2019-06-01" : "2019-01-01"));
+        let years = selectYears(documentRecords, 2);
+        harness_1.check(years === "2019 2018", `Unexpected order: ${years}`);
+    },
+    "keeps the most recent first among PDFs checked at the same time": () => {
+        let documentRecords = PdfUrls.map(url => createDocumentRecord(url, "2019-01-01"));
+        let years = selectYears(documentRecords, 10);
+        harness_1.check(years === "2019 2018 2017 2016 2015 2014", `Unexpected order: ${years}`);
+    },
+    "limits the selection to the batch size": () => {
+        harness_1.check(selectYears([], 1) === "2019", "Expected only the most recent PDF.");
+        harness_1.check(selectYears([], 3) === "2019 2018 2017", "Expected the three most recent PDFs.");
+        harness_1.check(selectYears([], 100) === "2019 2018 2017 2016 2015 2014", "Expected every PDF.");
+    },
+    "resumes an interrupted parse after the last saved page": async (database) => {
+        await interruptParse(database, "2019-01-05 23:50:00", "2019-01-06 00:05:00"); // the PDF was reached after midnight
+        let output = await parseSyntheticPdf(database, "2019-01-06 09:00:00");
+        harness_1.check(output.some(line => line.startsWith("Resuming the interrupted parse from page 2 ")), `Expected the parse to resume from page 2 but the output was: ${output.join(" ")}`);
+        let seenTimes = await getSeenTimes(database);
+        harness_1.check(seenTimes === "311/123/2018 2019-01-05 23:50:00 to 2019-01-05 23:50:00; 311/123/2018 (1) 2019-01-06 09:00:00 to 2019-01-06 09:00:00; 311/124/2018 2019-01-05 23:50:00 to 2019-01-05 23:50:00; 311/125/2018 2019-01-05 23:50:00 to 2019-01-05 23:50:00; 311/126/2018 2019-01-06 09:00:00 to 2019-01-06 09:00:00", `Expected only the second page to be parsed again: ${seenTimes}`);
+        let documentRecord = (await scraper_1.readDocumentRecords(database))[0];
+        harness_1.check(!documentRecord.failed && documentRecord.applicationCount === 5, `Expected the parse to complete with 5 development applications: ${JSON.stringify(documentRecord)}`);
+        harness_1.check(documentRecord.dateChecked === "2019-01-06 00:05:00", `Expected the time at which the interrupted parse retrieved the PDF to be kept but it was ${documentRecord.dateChecked}.`);
+        harness_1.check(documentRecord.lastPage === null && documentRecord.checkpointHash === null && documentRecord.checkpointRun === null, `Expected the checkpoint to be cleared: ${JSON.stringify(documentRecord)}`);
+    },
+    "adds a suffix to a duplicate application number found after the resume point": async (database) => {
+        await interruptParse(database, "2019-01-05 23:50:00", "2019-01-06 00:05:00");
+        await parseSyntheticPdf(database, "2019-01-06 09:00:00");
+        let rows = await database_1.readRows(database, "select [council_reference], [address] from [data] order by [council_reference]");
+        let summary = rows.map(row => `${row.council_reference}: ${row.address}`).join("; ");
+        harness_1.check(summary === "311/123/2018: 12 Main Street, KAPUNDA SA 5373; 311/123/2018 (1): 14 Main Street, KAPUNDA SA 5373; 311/124/2018: Lot 5 Hundred of Kapunda, FREELING SA 5372; 311/125/2018: Lot 7 Section 345 Hundred of Nuriootpa, STOCKWELL SA 5355; 311/126/2018: 3 Hill Road, GREENOCK SA 5360", `Unexpected development applications: ${summary}`);
+    },
+    "restarts an interrupted parse from the first page when the PDF has changed": async (database) => {
+        await interruptParse(database, "2019-01-05 23:50:00", "2019-01-06 00:05:00", "a different hash");
+        let output = await parseSyntheticPdf(database, "2019-01-06 09:00:00");
+        harness_1.check(!output.some(line => line.startsWith("Resuming")), `Expected the parse not to resume but the output was: ${output.join(" ")}`);
+        let seenTimes = await getSeenTimes(database);
+        harness_1.check(seenTimes === "311/123/2018 2019-01-05 23:50:00 to 2019-01-06 09:00:00; 311/123/2018 (1) 2019-01-06 09:00:00 to 2019-01-06 09:00:00; 311/124/2018 2019-01-05 23:50:00 to 2019-01-06 09:00:00; 311/125/2018 2019-01-05 23:50:00 to 2019-01-06 09:00:00; 311/126/2018 2019-01-06 09:00:00 to 2019-01-06 09:00:00", `Expected every page to be parsed again: ${seenTimes}`);
+        let documentRecord = (await scraper_1.readDocumentRecords(database))[0];
+        harness_1.check(!documentRecord.failed && documentRecord.applicationCount === 5, `Expected the parse to complete with 5 development applications: ${JSON.stringify(documentRecord)}`);
+        harness_1.check(documentRecord.dateChecked > "2019-01-06 00:05:00", `Expected the time at which the PDF was retrieved again but it was ${documentRecord.dateChecked}.`);
+    },
+    "saves the parse-quality report": async (database) => {
+        let report = scraper_1.startReport("2019-01-05 09:00:00");
+        await captureOutput(() => scraper_1.processPdf(database, [], PdfUrl, PdfFileName, false));
+        let pages = JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "synthetic-register-pages.elements.json")).toString());
+        pages[1].find(element => element.text === "9 Railway Tce HAMLEY BRIDGE").text = "9 Railway Tce NOWHERE";
+        await captureOutput(async () => scraper_1.parseElements(pages, "https://example.com/synthetic-register-pages.pdf"));
+        let reportFile = await saveReportFile(database, report);
+        let issues = await getReportIssues(database);
+        let expectedIssues = [
+            "2019-01-05 09:00:00 https://example.com/synthetic-register.pdf page 2 rejected_row null: The application number was not found. [311/XYZ][Lodgement][Unknown][21/03/2018][1 High St NOWHERE][Carport]",
+            "2019-01-05 09:00:00 https://example.com/synthetic-register.pdf page 2 warning 311/126/2018: The received date was not found. ",
+            "2019-01-05 09:00:00 https://example.com/synthetic-register.pdf page 2 duplicate_number 311/123/2018 (1): The application number \"311/123/2018\" was encountered more than once with different details so the suffix \"(1)\" was added. ",
+            "2019-01-05 09:00:00 https://example.com/synthetic-register-pages.pdf page 1 skipped_page null: The \"Proposal\" column heading was not found (using the layout profile \"light-register\"). [Application No][Applicant][Application][Property Address][Referrals/][311/200/2019][Lodgement][D Smith][02/01/2019][5 Elm St FREELING]",
+            "2019-01-05 09:00:00 https://example.com/synthetic-register-pages.pdf page 2 unrecognised_suburb null: 9 Railway Tce NOWHERE ",
+            "2019-01-05 09:00:00 https://example.com/synthetic-register-pages.pdf page 2 warning 311/201/2019: The application date \"03/01/2019\" is not a valid date. "
+        ];
+        for (let expectedIssue of expectedIssues)
+            harness_1.check(issues.includes(expectedIssue), `Expected the issue "${expectedIssue}" but the issues were:\n${issues.join("\n")}`);
+        harness_1.check(issues.length === expectedIssues.length, `Unexpected issues:\n${issues.join("\n")}`);
+        let documents = await database_1.readRows(database, "select * from [report_documents] order by [rowid]");
+        harness_1.check(documents.length === 2, `Expected 2 documents but there were ${documents.length}.`);
+        harness_1.check(documents[0].url === PdfUrl && documents[0].status === "parsed" && documents[0].failed === 0 && documents[0].page_count === 2 && documents[0].application_count === 5 && documents[0].peak_memory > 0, `Unexpected totals for the PDF: ${JSON.stringify(documents[0])}`);
+        harness_1.check(documents[0].rejected_row_count === 1 && documents[0].duplicate_number_count === 1 && documents[0].warning_count === 1 && documents[0].skipped_page_count === 0 && documents[0].unrecognised_suburb_count === 0, `Unexpected issue counts for the PDF: ${JSON.stringify(documents[0])}`);
+        harness_1.check(documents[0].profiles === "[\"light-register\",\"light-register\"]", `Unexpected profiles: ${documents[0].profiles}`);
+        harness_1.check(documents[1].skipped_page_count === 1 && documents[1].unrecognised_suburb_count === 1 && documents[1].warning_count === 1, `Unexpected issue counts for the saved elements: ${JSON.stringify(documents[1])}`);
+        harness_1.check(reportFile.runDate === "2019-01-05 09:00:00" && reportFile.documentCount === 2 && reportFile.applicationCount === 5 && reportFile.failedDocumentCount === 0 && reportFile.unchangedDocumentCount === 0, `Unexpected totals in the report file: ${JSON.stringify(reportFile)}`);
+        harness_1.check(JSON.stringify(reportFile.issueCounts) === JSON.stringify({ skipped_page: 1, rejected_row: 1, unrecognised_suburb: 1, duplicate_number: 1, warning: 2 }), `Unexpected issue counts in the report file: ${JSON.stringify(reportFile.issueCounts)}`);
+        harness_1.check(reportFile.issues.length === 6 && reportFile.documents.length === 2, "Expected every document and issue in the report file.");
+    },
+    "records a PDF that is skipped as unchanged in the report": async (database) => {
+        await parseSyntheticPdf(database, "2019-01-05 09:00:00");
+        let report = scraper_1.startReport("2019-01-06 09:00:00");
+        await captureOutput(async () => scraper_1.processPdf(database, await scraper_1.readDocumentRecords(database), PdfUrl, PdfFileName, true));
+        let reportFile = await saveReportFile(database, report);
+        let documents = await database_1.readRows(database, "select * from [report_documents]");
+        harness_1.check(documents.length === 1 && documents[0].url === PdfUrl && documents[0].status === "unchanged" && documents[0].failed === 0 && documents[0].application_count === 0, `Expected the PDF to be recorded as unchanged: ${JSON.stringify(documents)}`);
+        harness_1.check(reportFile.documentCount === 1 && reportFile.unchangedDocumentCount === 1 && reportFile.failedDocumentCount === 0, `Unexpected totals in the report file: ${JSON.stringify(reportFile)}`);
+    },
+    "only updates the last seen time of an unchanged version": async (database) => {
+        await scraper_1.insertRow(database, createDevelopmentApplication("2019-01-05", "Dwelling"), "2019-01-05 09:00:00");
+        await scraper_1.insertRow(database, createDevelopmentApplication("2019-01-05", "Dwelling"), "2019-01-05 15:00:00");
+        let versions = await database_1.readRows(database, "select * from [history]");
+        harness_1.check(versions.length === 1, `Expected 1 version but there were ${versions.length}.`);
+        harness_1.check(versions[0].first_seen === "2019-01-05 09:00:00" && versions[0].last_seen === "2019-01-05 15:00:00", `Unexpected first and last seen times: ${versions[0].first_seen}, ${versions[0].last_seen}`);
+    },
+    "updates the last seen time when an unchanged PDF is skipped": async (database) => {
+        await parseSyntheticPdf(database, "2019-01-05 09:00:00");
+        await scraper_1.insertRow(database, { ...createDevelopmentApplication("2019-01-05", "Dwelling"), applicationNumber: "311/124/2018", informationUrl: "https://example.com/2019.pdf" }, "2019-01-06 09:00:00"); // a later version parsed from another PDF
+        scraper_1.startReport("2019-01-07 09:00:00");
+        let output = await captureOutput(async () => scraper_1.processPdf(database, await scraper_1.readDocumentRecords(database), PdfUrl, PdfFileName, true));
+        harness_1.check(output.some(line => line.startsWith("Ignoring document because it has not changed")), `Expected the PDF to be skipped but the output was: ${output.join(" ")}`);
+        let seenTimes = await getSeenTimes(database);
+        harness_1.check(seenTimes === "311/123/2018 2019-01-05 09:00:00 to 2019-01-07 09:00:00; 311/123/2018 (1) 2019-01-05 09:00:00 to 2019-01-07 09:00:00; 311/124/2018 2019-01-05 09:00:00 to 2019-01-05 09:00:00; 311/125/2018 2019-01-05 09:00:00 to 2019-01-07 09:00:00; 311/126/2018 2019-01-05 09:00:00 to 2019-01-07 09:00:00", `Expected the latest versions parsed from the PDF to be seen again: ${seenTimes}`);
+    },
+    "records a new version when a field changes and keeps the original scrape date": async (database) => {
+        await scraper_1.insertRow(database, createDevelopmentApplication("2019-01-05", "Dwelling"), "2019-01-05 09:00:00");
+        await scraper_1.insertRow(database, createDevelopmentApplication("2019-01-06", "Dwelling and garage"), "2019-01-06 09:00:00");
+        let versions = await database_1.readRows(database, "select * from [history] order by [rowid]");
+        harness_1.check(versions.map(version => `${version.description} (${version.first_seen} to ${version.last_seen})`).join(", ") === "Dwelling (2019-01-05 09:00:00 to 2019-01-05 09:00:00), Dwelling and garage (2019-01-06 09:00:00 to 2019-01-06 09:00:00)", `Unexpected versions: ${JSON.stringify(versions)}`);
+        let rows = await database_1.readRows(database, "select * from [data]");
+        harness_1.check(rows.length === 1 && rows[0].description === "Dwelling and garage", "Expected the development application to be updated.");
+        harness_1.check(rows[0].date_scraped === "2019-01-05", `Expected the original scrape date to be kept but it was ${rows[0].date_scraped}.`);
+    },
+    "lists the changes made by each of several runs on the same day": async (database) => {
+        await scraper_1.insertRow(database, createDevelopmentApplication("2019-01-05", "Dwelling"), "2019-01-05 09:00:00");
+        await scraper_1.insertRow(database, createDevelopmentApplication("2019-01-05", "Dwelling and garage"), "2019-01-05 15:00:00");
+        let changes = await getListedChanges(database, "2019-01-04", "2019-01-05");
+        harness_1.check(changes === "311/100/2019: new application first seen on 2019-01-05 09:00:00; 311/100/2019: changed on 2019-01-05 15:00:00", `Unexpected changes for the day: ${changes}`);
+        changes = await getListedChanges(database, "2019-01-05 09:00:00", "2019-01-05 15:00:00");
+        harness_1.check(changes === "311/100/2019: changed on 2019-01-05 15:00:00", `Unexpected changes for the second run: ${changes}`);
+        changes = await getListedChanges(database, "2019-01-05", "2019-01-06");
+        harness_1.check(changes === "", `Expected no changes after the day but there were: ${changes}`);
+    }
+};
+// Runs the tests (the suburb names, profiles and classification rules are read from the current
+// directory).
+process.chdir(path.join(__dirname, ".."));
+scraper.loadSuburbNames();
+scraper.loadProfiles();
+scraper.loadClassification();
+harness_1.runTests(ScraperTests, () => scraper_1.initializeDatabase(":memory:"), (database) => database.close());
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyYXBlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNjcmFwZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEscUdBQXFHO0FBQ3JHLGtHQUFrRztBQUNsRywrRkFBK0Y7QUFDL0YscUZBQXFGO0FBRXJGLFlBQVksQ0FBQzs7QUFFYix5QkFBeUI7QUFDekIseUJBQXlCO0FBQ3pCLDZCQUE2QjtBQUM3QixtQ0FBbUM7QUFDbkMsc0NBQXNDO0FBQ3RDLHdDQUFnTDtBQUNoTCwwQ0FBK0M7QUFDL0MsdUNBQW1EO0FBSW5ELDhFQUE4RTtBQUU5RSxNQUFNLE9BQU8sR0FBRyxDQUFFLDhCQUE4QixFQUFFLDhCQUE4QixFQUFFLDhCQUE4QixFQUFFLDhCQUE4QixFQUFFLDhCQUE4QixFQUFFLDhCQUE4QixDQUFFLENBQUM7QUFFbk4sZ0dBQWdHO0FBQ2hHLGtCQUFrQjtBQUVsQixTQUFTLG9CQUFvQixDQUFDLEdBQVcsRUFBRSxXQUFtQixFQUFFLFNBQWtCLEtBQUs7SUFDbkYsT0FBTyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsV0FBVyxFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsZ0JBQWdCLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxNQUFNLENBQUMsQ0FBQyxDQUFDLGtCQUFrQixDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxjQUFjLEVBQUUsSUFBSSxFQUFFLGFBQWEsRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLFlBQVksRUFBRSxJQUFJLEVBQUUsQ0FBQztBQUNwUyxDQUFDO0FBRUQsZ0dBQWdHO0FBRWhHLFNBQVMsV0FBVyxDQUFDLGVBQWlDLEVBQUUsU0FBaUI7SUFDckUsT0FBTyx1QkFBYSxDQUFDLE9BQU8sRUFBRSxlQUFlLEVBQUUsU0FBUyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxxQkFBcUIsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztBQUM3SCxDQUFDO0FBRUQsOEZBQThGO0FBQzlGLDhGQUE4RjtBQUU5RixNQUFNLFdBQVcsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxVQUFVLEVBQUUsd0JBQXdCLENBQUMsQ0FBQztBQUMvRSxNQUFNLE1BQU0sR0FBRyw0Q0FBNEMsQ0FBQztBQUM1RCxNQUFNLDRCQUE0QixHQUFHLENBQUUsa0JBQWtCLEVBQUUsY0FBYyxDQUFFLENBQUM7QUFFNUUsZ0dBQWdHO0FBQ2hHLHdFQUF3RTtBQUV4RSxLQUFLLFVBQVUsaUJBQWlCLENBQUMsUUFBUSxFQUFFLE9BQWU7SUFDdEQscUJBQVcsQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUNyQixJQUFJLGVBQWUsR0FBRyxNQUFNLDZCQUFtQixDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQzFELE9BQU8sYUFBYSxDQUFDLEdBQUcsRUFBRSxDQUFDLG9CQUFVLENBQUMsUUFBUSxFQUFFLGVBQWUsRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7QUFDbEcsQ0FBQztBQUVELGdHQUFnRztBQUNoRywrRkFBK0Y7QUFDL0YsaUdBQWlHO0FBQ2pHLCtCQUErQjtBQUUvQixLQUFLLFVBQVUsY0FBYyxDQUFDLFFBQVEsRUFBRSxPQUFlLEVBQUUsV0FBbUIsRUFBRSxjQUF1QjtJQUNqRyxNQUFNLGlCQUFpQixDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUMsQ0FBQztJQUMzQyxNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLHdEQUF3RCxFQUFFLDRCQUE0QixDQUFDLENBQUM7SUFDL0csTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSwyREFBMkQsRUFBRSw0QkFBNEIsQ0FBQyxDQUFDO0lBQ2xILElBQUksSUFBSSxHQUFHLENBQUMsTUFBTSxtQkFBUSxDQUFDLFFBQVEsRUFBRSxnREFBZ0QsRUFBRSxDQUFFLE1BQU0sQ0FBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7SUFDNUcsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFDakIsa05BQWtOLEVBQ2xOLENBQUUsV0FBVyxFQUFFLDZCQUE2QixFQUFFLENBQUMsY0FBYyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLGNBQWMsRUFBRSxPQUFPLEVBQUUsTUFBTSxDQUFFLENBQUMsQ0FBQztBQUNqSSxDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLGtHQUFrRztBQUVsRyxLQUFLLFVBQVUsWUFBWSxDQUFDLFFBQVE7SUFDaEMsSUFBSSxJQUFJLEdBQUcsTUFBTSxtQkFBUSxDQUFDLFFBQVEsRUFBRSxvRkFBb0YsRUFBRSxDQUFFLE1BQU0sQ0FBRSxDQUFDLENBQUM7SUFDdEksT0FBTyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxHQUFHLENBQUMsaUJBQWlCLElBQUksR0FBRyxDQUFDLFVBQVUsT0FBTyxHQUFHLENBQUMsU0FBUyxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7QUFDeEcsQ0FBQztBQUVELGdHQUFnRztBQUNoRywwQ0FBMEM7QUFFMUMsS0FBSyxVQUFVLGNBQWMsQ0FBQyxRQUFRLEVBQUUsTUFBTTtJQUMxQyxJQUFJLFNBQVMsR0FBRyxFQUFFLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLE1BQU0sRUFBRSxFQUFFLFNBQVMsQ0FBQyxDQUFDLENBQUM7SUFDbEUsSUFBSSxRQUFRLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsYUFBYSxDQUFDLENBQUM7SUFDbkQsSUFBSTtRQUNBLE1BQU0sYUFBYSxDQUFDLEdBQUcsRUFBRSxDQUFDLG9CQUFVLENBQUMsUUFBUSxFQUFFLE1BQU0sRUFBRSxRQUFRLENBQUMsQ0FBQyxDQUFDO1FBQ2xFLE9BQU8sSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLFFBQVEsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7S0FDM0Q7WUFBUztRQUNOLElBQUksRUFBRSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUM7WUFDdkIsRUFBRSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUM1QixFQUFFLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDO0tBQzNCO0FBQ0wsQ0FBQztBQUVELGtGQUFrRjtBQUVsRixLQUFLLFVBQVUsZUFBZSxDQUFDLFFBQVE7SUFDbkMsSUFBSSxJQUFJLEdBQUcsTUFBTSxtQkFBUSxDQUFDLFFBQVEsRUFBRSxnREFBZ0QsQ0FBQyxDQUFDO0lBQ3RGLE9BQU8sSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsR0FBRyxDQUFDLFFBQVEsSUFBSSxHQUFHLENBQUMsR0FBRyxTQUFTLEdBQUcsQ0FBQyxJQUFJLElBQUksR0FBRyxDQUFDLElBQUksSUFBSSxHQUFHLENBQUMsa0JBQWtCLEtBQUssR0FBRyxDQUFDLE1BQU0sSUFBSSxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQztBQUMvSSxDQUFDO0FBRUQseUVBQXlFO0FBRXpFLFNBQVMsNEJBQTRCLENBQUMsVUFBa0IsRUFBRSxXQUFtQjtJQUN6RSxPQUFPO1FBQ0gsaUJBQWlCLEVBQUUsY0FBYztRQUNqQyxTQUFTLEVBQUUsU0FBUztRQUNwQixPQUFPLEVBQUUsaUNBQWlDO1FBQzFDLGlCQUFpQixFQUFFLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxZQUFZLEVBQUUsSUFBSSxFQUFFLEdBQUcsRUFBRSxFQUFFLEVBQUUsT0FBTyxFQUFFLEVBQUUsRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLE9BQU8sRUFBRSxFQUFFLEVBQUUsVUFBVSxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsUUFBUSxFQUFFLFlBQVksRUFBRSxFQUFFLEVBQUUsTUFBTSxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUU7UUFDOU0sUUFBUSxFQUFFLElBQUk7UUFDZCxTQUFTLEVBQUUsSUFBSTtRQUNmLGdCQUFnQixFQUFFLE1BQU07UUFDeEIsV0FBVyxFQUFFLFdBQVc7UUFDeEIsVUFBVSxFQUFFLEVBQUU7UUFDZCxRQUFRLEVBQUUsSUFBSTtRQUNkLGNBQWMsRUFBRSw4QkFBOEI7UUFDOUMsVUFBVSxFQUFFLDhCQUE4QjtRQUMxQyxVQUFVLEVBQUUsVUFBVTtRQUN0QixZQUFZLEVBQUUsWUFBWTtRQUMxQixlQUFlLEVBQUUsWUFBWTtRQUM3QixTQUFTLEVBQUUsRUFBRTtRQUNiLFlBQVksRUFBRSxFQUFFO1FBQ2hCLFFBQVEsRUFBRSxFQUFFO1FBQ1osUUFBUSxFQUFFLEVBQUU7S0FDZixDQUFDO0FBQ04sQ0FBQztBQUVELG9EQUFvRDtBQUVwRCxLQUFLLFVBQVUsYUFBYSxDQUFDLE1BQTBCO0lBQ25ELElBQUksTUFBTSxHQUFhLEVBQUUsQ0FBQztJQUMxQixJQUFJLEdBQUcsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDO0lBQ3RCLE9BQU8sQ0FBQyxHQUFHLEdBQUcsQ0FBQyxHQUFHLFVBQVUsRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDbkUsSUFBSTtRQUNBLE1BQU0sTUFBTSxFQUFFLENBQUM7S0FDbEI7WUFBUztRQUNOLE9BQU8sQ0FBQyxHQUFHLEdBQUcsR0FBRyxDQUFDO0tBQ3JCO0lBQ0QsT0FBTyxNQUFNLENBQUM7QUFDbEIsQ0FBQztBQUVELDRDQUE0QztBQUU1QyxLQUFLLFVBQVUsY0FBYyxDQUFDLFFBQVEsRUFBRSxLQUFhO0lBQ2pELE9BQU8sQ0FBQyxNQUFNLG1CQUFRLENBQUMsUUFBUSxFQUFFLHNCQUFzQixLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDO0FBQ2xHLENBQUM7QUFFRCxpR0FBaUc7QUFDakcsZUFBZTtBQUVmLEtBQUssVUFBVSxnQkFBZ0IsQ0FBQyxRQUFRLEVBQUUsSUFBWSxFQUFFLEVBQVU7SUFDOUQsSUFBSSxNQUFNLEdBQUcsTUFBTSxhQUFhLENBQUMsR0FBRyxFQUFFLENBQUMscUJBQVcsQ0FBQyxRQUFRLEVBQUUsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDeEUsT0FBTyxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0FBQ3JILENBQUM7QUFFRCxnRUFBZ0U7QUFFaEUsTUFBTSxZQUFZLEdBQWU7SUFDN0IsZ0RBQWdELEVBQUUsS0FBSyxJQUFJLEVBQUU7UUFDekQsSUFBSSxRQUFRLEdBQVEsU0FBUyxDQUFDO1FBQzlCLElBQUksTUFBTSxHQUFHLE1BQU0sYUFBYSxDQUFDLEtBQUssSUFBSSxFQUFFLENBQUMsUUFBUSxHQUFHLE1BQU0sNEJBQWtCLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQztRQUM5RixJQUFJO1lBQ0EsZUFBSyxDQUFDLE1BQU0sQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFLHlFQUF5RSxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUN4SCxJQUFJLFdBQVcsR0FBRyxNQUFNLGNBQWMsQ0FBQyxRQUFRLEVBQUUsV0FBVyxDQUFDLENBQUM7WUFDOUQsZUFBSyxDQUFDLENBQUUsV0FBVyxFQUFFLGlCQUFpQixFQUFFLGFBQWEsRUFBRSxNQUFNLEVBQUUsZUFBZSxDQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxFQUFFLG1DQUFtQyxXQUFXLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUN6TCxXQUFXLEdBQUcsTUFBTSxjQUFjLENBQUMsUUFBUSxFQUFFLGtCQUFrQixDQUFDLENBQUM7WUFDakUsZUFBSyxDQUFDLENBQUUsZUFBZSxFQUFFLFVBQVUsRUFBRSxhQUFhLEVBQUUsUUFBUSxDQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxFQUFFLDBDQUEwQyxXQUFXLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztTQUNqTDtnQkFBUztZQUNOLFFBQVEsQ0FBQyxLQUFLLEVBQUUsQ0FBQztTQUNwQjtJQUNMLENBQUM7SUFFRCxrREFBa0QsRUFBRSxLQUFLLElBQUksRUFBRTtRQUMzRCxJQUFJLFFBQVEsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsTUFBTSxFQUFFLEVBQUUsVUFBVSxDQUFDLENBQUMsRUFBRSxhQUFhLENBQUMsQ0FBQztRQUM1RixJQUFJLFFBQVEsR0FBUSxJQUFJLE9BQU8sQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDbkQsSUFBSTtZQUNBLE1BQU0saUJBQU0sQ0FBQyxRQUFRLEVBQUUsc0tBQXNLLENBQUMsQ0FBQztZQUMvTCxNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLHVEQUF1RCxFQUFFLENBQUUsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLE1BQU0sQ0FBRSxDQUFDLENBQUM7WUFDeEcsTUFBTSxJQUFJLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztZQUN0RCxJQUFJLE1BQU0sR0FBRyxNQUFNLGFBQWEsQ0FBQyxLQUFLLElBQUksRUFBRSxDQUFDLFFBQVEsR0FBRyxNQUFNLDRCQUFrQixDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7WUFDNUYsZUFBSyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsUUFBUSxDQUFDLHlEQUF5RCxDQUFDLEVBQUUsbUVBQW1FLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQ25MLGVBQUssQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsUUFBUSxDQUFDLG9CQUFvQixDQUFDLEVBQUUsaUZBQWlGLENBQUMsQ0FBQztZQUMzSSxJQUFJLElBQUksR0FBRyxNQUFNLG1CQUFRLENBQUMsUUFBUSxFQUFFLDJCQUEyQixDQUFDLENBQUM7WUFDakUsZUFBSyxDQUFDLElBQUksQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEtBQUssTUFBTSxJQUFJLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLEtBQUssSUFBSSxFQUFFLDRDQUE0QyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztTQUN6SjtnQkFBUztZQUNOLE1BQU0sSUFBSSxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7WUFDdEQsRUFBRSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUN4QixFQUFFLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztTQUN4QztJQUNMLENBQUM7SUFFRCx1RkFBdUYsRUFBRSxHQUFHLEVBQUU7UUFDMUYsSUFBSSxlQUFlLEdBQUc7WUFDbEIsb0JBQW9CLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLFlBQVksQ0FBQztZQUM5QyxvQkFBb0IsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsWUFBWSxDQUFDO1lBQzlDLG9CQUFvQixDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRSxZQUFZLEVBQUUsSUFBSSxDQUFDO1lBQ3BELG9CQUFvQixDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRSxZQUFZLENBQUM7U0FDakQsQ0FBQztRQUNGLElBQUksS0FBSyxHQUFHLFdBQVcsQ0FBQyxlQUFlLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDN0MsZUFBSyxDQUFDLEtBQUssS0FBSywrQkFBK0IsRUFBRSxxQkFBcUIsS0FBSyxFQUFFLENBQUMsQ0FBQztJQUNuRixDQUFDO0lBRUQsb0VBQW9FLEVBQUUsR0FBRyxFQUFFO1FBQ3ZFLElBQUksZUFBZSxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLEVBQUUsS0FBSyxFQUFFLEVBQUUsQ0FBQyxvQkFBb0IsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxLQUFLLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQztRQUMxSCxJQUFJLEtBQUssR0FBRyxXQUFXLENBQUMsZUFBZSxFQUFFLENBQUMsQ0FBQyxDQUFDO1FBQzVDLGVBQUssQ0FBQyxLQUFLLEtBQUssV0FBVyxFQUFFLHFCQUFxQixLQUFLLEVBQUUsQ0FBQyxDQUFDO0lBQy9ELENBQUM7SUFFRCxpRUFBaUUsRUFBRSxHQUFHLEVBQUU7UUFDcEUsSUFBSSxlQUFlLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLG9CQUFvQixDQUFDLEdBQUcsRUFBRSxZQUFZLENBQUMsQ0FBQyxDQUFDO1FBQ2xGLElBQUksS0FBSyxHQUFHLFdBQVcsQ0FBQyxlQUFlLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDN0MsZUFBSyxDQUFDLEtBQUssS0FBSywrQkFBK0IsRUFBRSxxQkFBcUIsS0FBSyxFQUFFLENBQUMsQ0FBQztJQUNuRixDQUFDO0lBRUQsd0NBQXdDLEVBQUUsR0FBRyxFQUFFO1FBQzNDLGVBQUssQ0FBQyxXQUFXLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxLQUFLLE1BQU0sRUFBRSxvQ0FBb0MsQ0FBQyxDQUFDO1FBQzNFLGVBQUssQ0FBQyxXQUFXLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxLQUFLLGdCQUFnQixFQUFFLHNDQUFzQyxDQUFDLENBQUM7UUFDdkYsZUFBSyxDQUFDLFdBQVcsQ0FBQyxFQUFFLEVBQUUsR0FBRyxDQUFDLEtBQUssK0JBQStCLEVBQUUscUJBQXFCLENBQUMsQ0FBQztJQUMzRixDQUFDO0lBRUQsd0RBQXdELEVBQUUsS0FBSyxFQUFDLFFBQVEsRUFBQyxFQUFFO1FBQ3ZFLE1BQU0sY0FBYyxDQUFDLFFBQVEsRUFBRSxxQkFBcUIsRUFBRSxxQkFBcUIsQ0FBQyxDQUFDLENBQUUscUNBQXFDO1FBQ3BILElBQUksTUFBTSxHQUFHLE1BQU0saUJBQWlCLENBQUMsUUFBUSxFQUFFLHFCQUFxQixDQUFDLENBQUM7UUFDdEUsZUFBSyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLDZDQUE2QyxDQUFDLENBQUMsRUFBRSxnRUFBZ0UsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDL0ssSUFBSSxTQUFTLEdBQUcsTUFBTSxZQUFZLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDN0MsZUFBSyxDQUFDLFNBQVMsS0FBSyxpU0FBaVMsRUFBRSxxREFBcUQsU0FBUyxFQUFFLENBQUMsQ0FBQztRQUN6WCxJQUFJLGNBQWMsR0FBRyxDQUFDLE1BQU0sNkJBQW1CLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUM5RCxlQUFLLENBQUMsQ0FBQyxjQUFjLENBQUMsTUFBTSxJQUFJLGNBQWMsQ0FBQyxnQkFBZ0IsS0FBSyxDQUFDLEVBQUUsbUVBQW1FLElBQUksQ0FBQyxTQUFTLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQzVLLGVBQUssQ0FBQyxjQUFjLENBQUMsV0FBVyxLQUFLLHFCQUFxQixFQUFFLDRGQUE0RixjQUFjLENBQUMsV0FBVyxHQUFHLENBQUMsQ0FBQztRQUN2TCxlQUFLLENBQUMsY0FBYyxDQUFDLFFBQVEsS0FBSyxJQUFJLElBQUksY0FBYyxDQUFDLGNBQWMsS0FBSyxJQUFJLElBQUksY0FBYyxDQUFDLGFBQWEsS0FBSyxJQUFJLEVBQUUsMENBQTBDLElBQUksQ0FBQyxTQUFTLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxDQUFDO0lBQzNNLENBQUM7SUFFRCw4RUFBOEUsRUFBRSxLQUFLLEVBQUMsUUFBUSxFQUFDLEVBQUU7UUFDN0YsTUFBTSxjQUFjLENBQUMsUUFBUSxFQUFFLHFCQUFxQixFQUFFLHFCQUFxQixDQUFDLENBQUM7UUFDN0UsTUFBTSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUscUJBQXFCLENBQUMsQ0FBQztRQUN6RCxJQUFJLElBQUksR0FBRyxNQUFNLG1CQUFRLENBQUMsUUFBUSxFQUFFLGdGQUFnRixDQUFDLENBQUM7UUFDdEgsSUFBSSxPQUFPLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsR0FBRyxDQUFDLGlCQUFpQixLQUFLLEdBQUcsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUNyRixlQUFLLENBQUMsT0FBTyxLQUFLLGtSQUFrUixFQUFFLHdDQUF3QyxPQUFPLEVBQUUsQ0FBQyxDQUFDO0lBQzdWLENBQUM7SUFFRCw0RUFBNEUsRUFBRSxLQUFLLEVBQUMsUUFBUSxFQUFDLEVBQUU7UUFDM0YsTUFBTSxjQUFjLENBQUMsUUFBUSxFQUFFLHFCQUFxQixFQUFFLHFCQUFxQixFQUFFLGtCQUFrQixDQUFDLENBQUM7UUFDakcsSUFBSSxNQUFNLEdBQUcsTUFBTSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUscUJBQXFCLENBQUMsQ0FBQztRQUN0RSxlQUFLLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxVQUFVLENBQUMsQ0FBQyxFQUFFLHdEQUF3RCxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUNySSxJQUFJLFNBQVMsR0FBRyxNQUFNLFlBQVksQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUM3QyxlQUFLLENBQUMsU0FBUyxLQUFLLGlTQUFpUyxFQUFFLDJDQUEyQyxTQUFTLEVBQUUsQ0FBQyxDQUFDO1FBQy9XLElBQUksY0FBYyxHQUFHLENBQUMsTUFBTSw2QkFBbUIsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzlELGVBQUssQ0FBQyxDQUFDLGNBQWMsQ0FBQyxNQUFNLElBQUksY0FBYyxDQUFDLGdCQUFnQixLQUFLLENBQUMsRUFBRSxtRUFBbUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDNUssZUFBSyxDQUFDLGNBQWMsQ0FBQyxXQUFXLEdBQUcscUJBQXFCLEVBQUUscUVBQXFFLGNBQWMsQ0FBQyxXQUFXLEdBQUcsQ0FBQyxDQUFDO0lBQ2xLLENBQUM7SUFFRCxnQ0FBZ0MsRUFBRSxLQUFLLEVBQUMsUUFBUSxFQUFDLEVBQUU7UUFDL0MsSUFBSSxNQUFNLEdBQUcscUJBQVcsQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDO1FBQ2hELE1BQU0sYUFBYSxDQUFDLEdBQUcsRUFBRSxDQUFDLG9CQUFVLENBQUMsUUFBUSxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7UUFDaEYsSUFBSSxLQUFLLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLFVBQVUsRUFBRSx3Q0FBd0MsQ0FBQyxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQztRQUMvSCxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksS0FBSyw2QkFBNkIsQ0FBQyxDQUFDLElBQUksR0FBRyx1QkFBdUIsQ0FBQztRQUN4RyxNQUFNLGFBQWEsQ0FBQyxLQUFLLElBQUksRUFBRSxDQUFDLHVCQUFhLENBQUMsS0FBSyxFQUFFLGtEQUFrRCxDQUFDLENBQUMsQ0FBQztRQUMxRyxJQUFJLFVBQVUsR0FBRyxNQUFNLGNBQWMsQ0FBQyxRQUFRLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFFeEQsSUFBSSxNQUFNLEdBQUcsTUFBTSxlQUFlLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDN0MsSUFBSSxjQUFjLEdBQUc7WUFDakIsc01BQXNNO1lBQ3RNLCtIQUErSDtZQUMvSCwwT0FBME87WUFDMU8scVVBQXFVO1lBQ3JVLDhIQUE4SDtZQUM5SCw2SkFBNko7U0FDaEssQ0FBQztRQUNGLEtBQUssSUFBSSxhQUFhLElBQUksY0FBYztZQUNwQyxlQUFLLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxhQUFhLENBQUMsRUFBRSx1QkFBdUIsYUFBYSwyQkFBMkIsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDOUgsZUFBSyxDQUFDLE1BQU0sQ0FBQyxNQUFNLEtBQUssY0FBYyxDQUFDLE1BQU0sRUFBRSx1QkFBdUIsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7UUFFM0YsSUFBSSxTQUFTLEdBQUcsTUFBTSxtQkFBUSxDQUFDLFFBQVEsRUFBRSxtREFBbUQsQ0FBQyxDQUFDO1FBQzlGLGVBQUssQ0FBQyxTQUFTLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSx1Q0FBdUMsU0FBUyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7UUFDMUYsZUFBSyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLEtBQUssTUFBTSxJQUFJLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEtBQUssUUFBUSxJQUFJLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxVQUFVLEtBQUssQ0FBQyxJQUFJLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxpQkFBaUIsS0FBSyxDQUFDLElBQUksU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsR0FBRyxDQUFDLEVBQUUsa0NBQWtDLElBQUksQ0FBQyxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQy9RLGVBQUssQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsa0JBQWtCLEtBQUssQ0FBQyxJQUFJLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxzQkFBc0IsS0FBSyxDQUFDLElBQUksU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLGFBQWEsS0FBSyxDQUFDLElBQUksU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLGtCQUFrQixLQUFLLENBQUMsSUFBSSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMseUJBQXlCLEtBQUssQ0FBQyxFQUFFLHdDQUF3QyxJQUFJLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUMvUixlQUFLLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsS0FBSyx5Q0FBeUMsRUFBRSx3QkFBd0IsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7UUFDNUgsZUFBSyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxrQkFBa0IsS0FBSyxDQUFDLElBQUksU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLHlCQUF5QixLQUFLLENBQUMsSUFBSSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsYUFBYSxLQUFLLENBQUMsRUFBRSxtREFBbUQsSUFBSSxDQUFDLFNBQVMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUM7UUFFcE4sZUFBSyxDQUFDLFVBQVUsQ0FBQyxPQUFPLEtBQUsscUJBQXFCLElBQUksVUFBVSxDQUFDLGFBQWEsS0FBSyxDQUFDLElBQUksVUFBVSxDQUFDLGdCQUFnQixLQUFLLENBQUMsSUFBSSxVQUFVLENBQUMsbUJBQW1CLEtBQUssQ0FBQyxJQUFJLFVBQVUsQ0FBQyxzQkFBc0IsS0FBSyxDQUFDLEVBQUUseUNBQXlDLElBQUksQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQ3JSLGVBQUssQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLFVBQVUsQ0FBQyxXQUFXLENBQUMsS0FBSyxJQUFJLENBQUMsU0FBUyxDQUFDLEVBQUUsWUFBWSxFQUFFLENBQUMsRUFBRSxZQUFZLEVBQUUsQ0FBQyxFQUFFLG1CQUFtQixFQUFFLENBQUMsRUFBRSxnQkFBZ0IsRUFBRSxDQUFDLEVBQUUsT0FBTyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsK0NBQStDLElBQUksQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDLFdBQVcsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUN6UCxlQUFLLENBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLFVBQVUsQ0FBQyxTQUFTLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSx1REFBdUQsQ0FBQyxDQUFDO0lBQ3hJLENBQUM7SUFFRCwwREFBMEQsRUFBRSxLQUFLLEVBQUMsUUFBUSxFQUFDLEVBQUU7UUFDekUsTUFBTSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUscUJBQXFCLENBQUMsQ0FBQztRQUN6RCxJQUFJLE1BQU0sR0FBRyxxQkFBVyxDQUFDLHFCQUFxQixDQUFDLENBQUM7UUFDaEQsTUFBTSxhQUFhLENBQUMsS0FBSyxJQUFJLEVBQUUsQ0FBQyxvQkFBVSxDQUFDLFFBQVEsRUFBRSxNQUFNLDZCQUFtQixDQUFDLFFBQVEsQ0FBQyxFQUFFLE1BQU0sRUFBRSxXQUFXLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUN0SCxJQUFJLFVBQVUsR0FBRyxNQUFNLGNBQWMsQ0FBQyxRQUFRLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFDeEQsSUFBSSxTQUFTLEdBQUcsTUFBTSxtQkFBUSxDQUFDLFFBQVEsRUFBRSxrQ0FBa0MsQ0FBQyxDQUFDO1FBQzdFLGVBQUssQ0FBQyxTQUFTLENBQUMsTUFBTSxLQUFLLENBQUMsSUFBSSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxLQUFLLE1BQU0sSUFBSSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxLQUFLLFdBQVcsSUFBSSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxLQUFLLENBQUMsSUFBSSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsaUJBQWlCLEtBQUssQ0FBQyxFQUFFLGlEQUFpRCxJQUFJLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUN2UCxlQUFLLENBQUMsVUFBVSxDQUFDLGFBQWEsS0FBSyxDQUFDLElBQUksVUFBVSxDQUFDLHNCQUFzQixLQUFLLENBQUMsSUFBSSxVQUFVLENBQUMsbUJBQW1CLEtBQUssQ0FBQyxFQUFFLHlDQUF5QyxJQUFJLENBQUMsU0FBUyxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUNwTSxDQUFDO0lBRUQseURBQXlELEVBQUUsS0FBSyxFQUFDLFFBQVEsRUFBQyxFQUFFO1FBQ3hFLE1BQU0sbUJBQVMsQ0FBQyxRQUFRLEVBQUUsNEJBQTRCLENBQUMsWUFBWSxFQUFFLFVBQVUsQ0FBQyxFQUFFLHFCQUFxQixDQUFDLENBQUM7UUFDekcsTUFBTSxtQkFBUyxDQUFDLFFBQVEsRUFBRSw0QkFBNEIsQ0FBQyxZQUFZLEVBQUUsVUFBVSxDQUFDLEVBQUUscUJBQXFCLENBQUMsQ0FBQztRQUN6RyxJQUFJLFFBQVEsR0FBRyxNQUFNLG1CQUFRLENBQUMsUUFBUSxFQUFFLHlCQUF5QixDQUFDLENBQUM7UUFDbkUsZUFBSyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFLHFDQUFxQyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQztRQUN0RixlQUFLLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLFVBQVUsS0FBSyxxQkFBcUIsSUFBSSxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxLQUFLLHFCQUFxQixFQUFFLHlDQUF5QyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLEVBQUUsQ0FBQyxDQUFDO0lBQzVNLENBQUM7SUFFRCw2REFBNkQsRUFBRSxLQUFLLEVBQUMsUUFBUSxFQUFDLEVBQUU7UUFDNUUsTUFBTSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUscUJBQXFCLENBQUMsQ0FBQztRQUN6RCxNQUFNLG1CQUFTLENBQUMsUUFBUSxFQUFFLEVBQUUsR0FBRyw0QkFBNEIsQ0FBQyxZQUFZLEVBQUUsVUFBVSxDQUFDLEVBQUUsaUJBQWlCLEVBQUUsY0FBYyxFQUFFLGNBQWMsRUFBRSw4QkFBOEIsRUFBRSxFQUFFLHFCQUFxQixDQUFDLENBQUMsQ0FBRSwwQ0FBMEM7UUFDL08scUJBQVcsQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDO1FBQ25DLElBQUksTUFBTSxHQUFHLE1BQU0sYUFBYSxDQUFDLEtBQUssSUFBSSxFQUFFLENBQUMsb0JBQVUsQ0FBQyxRQUFRLEVBQUUsTUFBTSw2QkFBbUIsQ0FBQyxRQUFRLENBQUMsRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUM7UUFDbkksZUFBSyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLDhDQUE4QyxDQUFDLENBQUMsRUFBRSxzREFBc0QsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDdEssSUFBSSxTQUFTLEdBQUcsTUFBTSxZQUFZLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDN0MsZUFBSyxDQUFDLFNBQVMsS0FBSyxpU0FBaVMsRUFBRSxzRUFBc0UsU0FBUyxFQUFFLENBQUMsQ0FBQztJQUM5WSxDQUFDO0lBRUQsK0VBQStFLEVBQUUsS0FBSyxFQUFDLFFBQVEsRUFBQyxFQUFFO1FBQzlGLE1BQU0sbUJBQVMsQ0FBQyxRQUFRLEVBQUUsNEJBQTRCLENBQUMsWUFBWSxFQUFFLFVBQVUsQ0FBQyxFQUFFLHFCQUFxQixDQUFDLENBQUM7UUFDekcsTUFBTSxtQkFBUyxDQUFDLFFBQVEsRUFBRSw0QkFBNEIsQ0FBQyxZQUFZLEVBQUUscUJBQXFCLENBQUMsRUFBRSxxQkFBcUIsQ0FBQyxDQUFDO1FBQ3BILElBQUksUUFBUSxHQUFHLE1BQU0sbUJBQVEsQ0FBQyxRQUFRLEVBQUUsMENBQTBDLENBQUMsQ0FBQztRQUNwRixlQUFLLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLEdBQUcsT0FBTyxDQUFDLFdBQVcsS0FBSyxPQUFPLENBQUMsVUFBVSxPQUFPLE9BQU8sQ0FBQyxTQUFTLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyx5SEFBeUgsRUFBRSx3QkFBd0IsSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDdFMsSUFBSSxJQUFJLEdBQUcsTUFBTSxtQkFBUSxDQUFDLFFBQVEsRUFBRSxzQkFBc0IsQ0FBQyxDQUFDO1FBQzVELGVBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxLQUFLLENBQUMsSUFBSSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxLQUFLLHFCQUFxQixFQUFFLHFEQUFxRCxDQUFDLENBQUM7UUFDakksZUFBSyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxZQUFZLEtBQUssWUFBWSxFQUFFLDJEQUEyRCxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsWUFBWSxHQUFHLENBQUMsQ0FBQztJQUNySSxDQUFDO0lBRUQsZ0VBQWdFLEVBQUUsS0FBSyxFQUFDLFFBQVEsRUFBQyxFQUFFO1FBQy9FLE1BQU0sbUJBQVMsQ0FBQyxRQUFRLEVBQUUsNEJBQTRCLENBQUMsWUFBWSxFQUFFLFVBQVUsQ0FBQyxFQUFFLHFCQUFxQixDQUFDLENBQUM7UUFDekcsTUFBTSxtQkFBUyxDQUFDLFFBQVEsRUFBRSw0QkFBNEIsQ0FBQyxZQUFZLEVBQUUscUJBQXFCLENBQUMsRUFBRSxxQkFBcUIsQ0FBQyxDQUFDO1FBQ3BILElBQUksT0FBTyxHQUFHLE1BQU0sZ0JBQWdCLENBQUMsUUFBUSxFQUFFLFlBQVksRUFBRSxZQUFZLENBQUMsQ0FBQztRQUMzRSxlQUFLLENBQUMsT0FBTyxLQUFLLCtHQUErRyxFQUFFLG1DQUFtQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO1FBQ2pMLE9BQU8sR0FBRyxNQUFNLGdCQUFnQixDQUFDLFFBQVEsRUFBRSxxQkFBcUIsRUFBRSxxQkFBcUIsQ0FBQyxDQUFDO1FBQ3pGLGVBQUssQ0FBQyxPQUFPLEtBQUssOENBQThDLEVBQUUsMENBQTBDLE9BQU8sRUFBRSxDQUFDLENBQUM7UUFDdkgsT0FBTyxHQUFHLE1BQU0sZ0JBQWdCLENBQUMsUUFBUSxFQUFFLFlBQVksRUFBRSxZQUFZLENBQUMsQ0FBQztRQUN2RSxlQUFLLENBQUMsT0FBTyxLQUFLLEVBQUUsRUFBRSxxREFBcUQsT0FBTyxFQUFFLENBQUMsQ0FBQztJQUMxRixDQUFDO0NBQ0osQ0FBQztBQUVGLGdHQUFnRztBQUNoRyxjQUFjO0FBRWQsT0FBTyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDO0FBQzFDLE9BQU8sQ0FBQyxlQUFlLEVBQUUsQ0FBQztBQUMxQixPQUFPLENBQUMsWUFBWSxFQUFFLENBQUM7QUFDdkIsT0FBTyxDQUFDLGtCQUFrQixFQUFFLENBQUM7QUFDN0Isa0JBQVEsQ0FBQyxZQUFZLEVBQUUsR0FBRyxFQUFFLENBQUMsNEJBQWtCLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxRQUFhLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDIn0=
\ No newline at end of file
@@ -0,0 +1,338 @@
+// Tests of the parts of the scraper that do not depend on the layout of the register PDFs (those are
+// covered by the regression tests): the creation of the database, the selection of PDFs using the
+// processed-document ledger, resuming an interrupted parse, the recording of each version of a
+// development application and the parse-quality report, using an in-memory database.
+
+"use strict";
+
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import * as sqlite3 from "sqlite3";
+import * as scraper from "../scraper";
+import { DocumentRecord, selectPdfUrls, initializeDatabase, readDocumentRecords, processPdf, startReport, saveReport, parseElements, insertRow, listChanges } from "../scraper";
+import { runSql, readRows } from "../database";
+import { Tests, check, runTests } from "./harness";
+
+declare const process: any;
+
+// The URLs of the linked PDFs (most recent first, as returned by getPdfUrls).
+
+const PdfUrls = [ "https://example.com/2019.pdf", "https://example.com/2018.pdf", "https://example.com/2017.pdf", "https://example.com/2016.pdf", "https://example.com/2015.pdf", "https://example.com/2014.pdf" ];
+
+// Creates a ledger record of a PDF that was parsed (or failed to parse) and last checked on the
+// specified date.
+
+function createDocumentRecord(url: string, dateChecked: string, failed: boolean = false): DocumentRecord {
+    return { url: url, hash: "hash", dateParsed: dateChecked, dateChecked: dateChecked, applicationCount: failed ? 0 : 10, failed: failed, error: failed ? "Could not parse." : null, lastPage: null, checkpointHash: null, checkpointRun: null, peakMemory: null, etag: null, lastModified: null };
+}
+
+// Gets the years of the PDFs selected (so that the order is easy to read in a failure message).
+
+function selectYears(documentRecords: DocumentRecord[], batchSize: number) {
+    return selectPdfUrls(PdfUrls, documentRecords, batchSize).map(url => url.replace(/^.*\/([0-9]+)\.pdf$/, "$1")).join(" ");
+}
+
+// The synthetic register PDF (two pages; the second page has a second development application
+// numbered "311/123/2018", which is saved as "311/123/2018 (1)") and the URL it is parsed as.
+
+const PdfFileName = path.join(__dirname, "fixtures", "synthetic-register.pdf");
+const PdfUrl = "https://example.com/synthetic-register.pdf";
+const SecondPageApplicationNumbers = [ "311/123/2018 (1)", "311/126/2018" ];
+
+// Parses the synthetic register PDF (read from the fixtures directory in place of the URL) in a
+// run that started at the specified time, returning the console output.
+
+async function parseSyntheticPdf(database, runTime: string) {
+    startReport(runTime);
+    let documentRecords = await readDocumentRecords(database);
+    return captureOutput(() => processPdf(database, documentRecords, PdfUrl, PdfFileName, false));
+}
+
+// Leaves the ledger and the database in the state of a parse of the synthetic register PDF that
+// was interrupted after saving the first page (in a run that started at the specified time and
+// retrieved the PDF at the specified time).  The checkpoint records the hash of the PDF unless a
+// different hash is specified.
+
+async function interruptParse(database, runTime: string, dateChecked: string, checkpointHash?: string) {
+    await parseSyntheticPdf(database, runTime);
+    await runSql(database, "delete from [data] where [council_reference] in (?, ?)", SecondPageApplicationNumbers);
+    await runSql(database, "delete from [history] where [council_reference] in (?, ?)", SecondPageApplicationNumbers);
+    let hash = (await readRows(database, "select [hash] from [documents] where [url] = ?", [ PdfUrl ]))[0].hash;
+    await runSql(database,
+        "update [documents] set [hash] = null, [date_parsed] = null, [date_checked] = ?, [application_count] = 3, [failed] = 1, [error] = ?, [last_page] = 1, [checkpoint_hash] = ?, [checkpoint_run] = ? where [url] = ?",
+        [ dateChecked, "The parse did not complete.", (checkpointHash === undefined) ? hash : checkpointHash, runTime, PdfUrl ]);
+}
+
+// Gets the first and last seen times of the versions of each development application parsed from
+// the synthetic register PDF (such as "311/126/2018 2019-01-06 09:00:00 to 2019-01-06 09:00:00").
+
+async function getSeenTimes(database) {
+    let rows = await readRows(database, "select * from [history] where [info_url] = ? order by [council_reference], [rowid]", [ PdfUrl ]);
+    return rows.map(row => `${row.council_reference} ${row.first_seen} to ${row.last_seen}`).join("; ");
+}
+
+// Saves the parse-quality report to the database and to a JSON file (in a temporary directory),
+// returning the content of the JSON file.
+
+async function saveReportFile(database, report) {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "report-"));
+    let fileName = path.join(directory, "report.json");
+    try {
+        await captureOutput(() => saveReport(database, report, fileName));
+        return JSON.parse(fs.readFileSync(fileName).toString());
+    } finally {
+        if (fs.existsSync(fileName))
+            fs.unlinkSync(fileName);
+        fs.rmdirSync(directory);
+    }
+}
+
+// Formats the saved parse-quality report issues so that they are easy to compare.
+
+async function getReportIssues(database) {
+    let rows = await readRows(database, "select * from [report_issues] order by [rowid]");
+    return rows.map(row => `${row.run_date} ${row.url} page ${row.page} ${row.kind} ${row.application_number}: ${row.detail} ${row.elements}`);
+}
+
+// Creates a development application in the shape produced by the parser.
+
+function createDevelopmentApplication(scrapeDate: string, description: string) {
+    return {
+        applicationNumber: "311/100/2019",
+        applicant: "J Smith",
+        address: "12 Main Street, KAPUNDA SA 5373",
+        addressComponents: { unit: "", streetNumber: "12", lot: "", section: "", plan: "", hundred: "", streetName: "MAIN", streetType: "STREET", streetSuffix: "", suburb: "KAPUNDA", state: "SA", postCode: "5373" },
+        latitude: null,
+        longitude: null,
+        geocodePrecision: "none",
+        description: description,
+        categories: [],
+        lotCount: null,
+        informationUrl: "https://example.com/2019.pdf",
+        commentUrl: "mailto:light@light.sa.gov.au",
+        scrapeDate: scrapeDate,
+        receivedDate: "2019-01-02",
+        applicationDate: "2019-01-01",
+        referrals: [],
+        decisionDate: "",
+        decision: "",
+        warnings: []
+    };
+}
+
+// Performs an action, returning its console output.
+
+async function captureOutput(action: () => Promise<any>) {
+    let output: string[] = [];
+    let log = console.log;
+    console.log = (...parameters) => output.push(parameters.join(" "));
+    try {
+        await action();
+    } finally {
+        console.log = log;
+    }
+    return output;
+}
+
+// Gets the names of the columns of a table.
+
+async function getColumnNames(database, table: string) {
+    return (await readRows(database, `pragma table_info([${table}])`)).map(column => column.name);
+}
+
+// Lists the changes between two dates or times, returning the application numbers and times that
+// were listed.
+
+async function getListedChanges(database, from: string, to: string) {
+    let output = await captureOutput(() => listChanges(database, from, to));
+    return output.filter(line => /^    [0-9]/.test(line)).map(line => line.trim().replace(/ in .*$/, "")).join("; ");
+}
+
+// The tests (each is given a newly created in-memory database).
+
+const ScraperTests: Tests<any> = {
+    "creates a new database with all of its columns": async () => {
+        let database: any = undefined;
+        let output = await captureOutput(async () => database = await initializeDatabase(":memory:"));
+        try {
+            check(output.length === 0, `Expected no columns to be added to a new database but the output was: ${output.join(" ")}`);
+            let columnNames = await getColumnNames(database, "documents");
+            check([ "last_page", "checkpoint_hash", "peak_memory", "etag", "last_modified" ].every(name => columnNames.includes(name)), `Unexpected [documents] columns: ${columnNames.join(", ")}`);
+            columnNames = await getColumnNames(database, "report_documents");
+            check([ "warning_count", "profiles", "peak_memory", "status" ].every(name => columnNames.includes(name)), `Unexpected [report_documents] columns: ${columnNames.join(", ")}`);
+        } finally {
+            database.close();
+        }
+    },
+
+    "adds the missing columns to an existing database": async () => {
+        let fileName = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "scraper-")), "data.sqlite");
+        let database: any = new sqlite3.Database(fileName);
+        try {
+            await runSql(database, "create table [documents] ([url] text primary key, [hash] text, [date_parsed] text, [date_checked] text, [application_count] integer, [failed] integer, [error] text)");
+            await runSql(database, "insert into [documents] ([url], [hash]) values (?, ?)", [ PdfUrls[0], "hash" ]);
+            await new Promise(resolve => database.close(resolve));
+            let output = await captureOutput(async () => database = await initializeDatabase(fileName));
+            check(output.join(" ").includes("Adding the [last_page] column to the [documents] table."), `Expected the [last_page] column to be added but the output was: ${output.join(" ")}`);
+            check(!output.join(" ").includes("[report_documents]"), "Expected the newly created [report_documents] table to have all of its columns.");
+            let rows = await readRows(database, "select * from [documents]");
+            check(rows.length === 1 && rows[0].hash === "hash" && rows[0].last_page === null, `Expected the existing record to be kept: ${JSON.stringify(rows)}`);
+        } finally {
+            await new Promise(resolve => database.close(resolve));
+            fs.unlinkSync(fileName);
+            fs.rmdirSync(path.dirname(fileName));
+        }
+    },
+
+    "selects the most recent PDF and then unparsed, failed and least recently checked PDFs": () => {
+        let documentRecords = [
+            createDocumentRecord(PdfUrls[0], "2019-05-01"),
+            createDocumentRecord(PdfUrls[1], "2019-04-01"),
+            createDocumentRecord(PdfUrls[2], "2019-03-01", true),
+            createDocumentRecord(PdfUrls[4], "2019-02-01")
+        ];
+        let years = selectYears(documentRecords, 10);
+        check(years === "2019 2016 2014 2017 2015 2018", `Unexpected order: ${years}`);
+    },
+
+    "always selects the most recent PDF even if it was recently checked": () => {
+        let documentRecords = PdfUrls.map((url, index) => createDocumentRecord(url, (index === 0) ? "2019-06-01" : "2019-01-01"));
+        let years = selectYears(documentRecords, 2);
+        check(years === "2019 2018", `Unexpected order: ${years}`);
+    },
+
+    "keeps the most recent first among PDFs checked at the same time": () => {
+        let documentRecords = PdfUrls.map(url => createDocumentRecord(url, "2019-01-01"));
+        let years = selectYears(documentRecords, 10);
+        check(years === "2019 2018 2017 2016 2015 2014", `Unexpected order: ${years}`);
+    },
+
+    "limits the selection to the batch size": () => {
+        check(selectYears([], 1) === "2019", "Expected only the most recent PDF.");
+        check(selectYears([], 3) === "2019 2018 2017", "Expected the three most recent PDFs.");
+        check(selectYears([], 100) === "2019 2018 2017 2016 2015 2014", "Expected every PDF.");
+    },
+
+    "resumes an interrupted parse after the last saved page": async database => {
+        await interruptParse(database, "2019-01-05 23:50:00", "2019-01-06 00:05:00");  // the PDF was reached after midnight
+        let output = await parseSyntheticPdf(database, "2019-01-06 09:00:00");
+        check(output.some(line => line.startsWith("Resuming the interrupted parse from page 2 ")), `Expected the parse to resume from page 2 but the output was: ${output.join(" ")}`);
+        let seenTimes = await getSeenTimes(database);
+        check(seenTimes === "311/123/2018 2019-01-05 23:50:00 to 2019-01-05 23:50:00; 311/123/2018 (1) 2019-01-06 09:00:00 to 2019-01-06 09:00:00; 311/124/2018 2019-01-05 23:50:00 to 2019-01-05 23:50:00; 311/125/2018 2019-01-05 23:50:00 to 2019-01-05 23:50:00; 311/126/2018 2019-01-06 09:00:00 to 2019-01-06 09:00:00", `Expected only the second page to be parsed again: ${seenTimes}`);
+        let documentRecord = (await readDocumentRecords(database))[0];
+        check(!documentRecord.failed && documentRecord.applicationCount === 5, `Expected the parse to complete with 5 development applications: ${JSON.stringify(documentRecord)}`);
+        check(documentRecord.dateChecked === "2019-01-06 00:05:00", `Expected the time at which the interrupted parse retrieved the PDF to be kept but it was ${documentRecord.dateChecked}.`);
+        check(documentRecord.lastPage === null && documentRecord.checkpointHash === null && documentRecord.checkpointRun === null, `Expected the checkpoint to be cleared: ${JSON.stringify(documentRecord)}`);
+    },
+
+    "adds a suffix to a duplicate application number found after the resume point": async database => {
+        await interruptParse(database, "2019-01-05 23:50:00", "2019-01-06 00:05:00");
+        await parseSyntheticPdf(database, "2019-01-06 09:00:00");
+        let rows = await readRows(database, "select [council_reference], [address] from [data] order by [council_reference]");
+        let summary = rows.map(row => `${row.council_reference}: ${row.address}`).join("; ");
+        check(summary === "311/123/2018: 12 Main Street, KAPUNDA SA 5373; 311/123/2018 (1): 14 Main Street, KAPUNDA SA 5373; 311/124/2018: Lot 5 Hundred of Kapunda, FREELING SA 5372; 311/125/2018: Lot 7 Section 345 Hundred of Nuriootpa, STOCKWELL SA 5355; 311/126/2018: 3 Hill Road, GREENOCK SA 5360", `Unexpected development applications: ${summary}`);
+    },
+
+    "restarts an interrupted parse from the first page when the PDF has changed": async database => {
+        await interruptParse(database, "2019-01-05 23:50:00", "2019-01-06 00:05:00", "a different hash");
+        let output = await parseSyntheticPdf(database, "2019-01-06 09:00:00");
+        check(!output.some(line => line.startsWith("Resuming")), `Expected the parse not to resume but the output was: ${output.join(" ")}`);
+        let seenTimes = await getSeenTimes(database);
+        check(seenTimes === "311/123/2018 2019-01-05 23:50:00 to 2019-01-06 09:00:00; 311/123/2018 (1) 2019-01-06 09:00:00 to 2019-01-06 09:00:00; 311/124/2018 2019-01-05 23:50:00 to 2019-01-06 09:00:00; 311/125/2018 2019-01-05 23:50:00 to 2019-01-06 09:00:00; 311/126/2018 2019-01-06 09:00:00 to 2019-01-06 09:00:00", `Expected every page to be parsed again: ${seenTimes}`);
+        let documentRecord = (await readDocumentRecords(database))[0];
+        check(!documentRecord.failed && documentRecord.applicationCount === 5, `Expected the parse to complete with 5 development applications: ${JSON.stringify(documentRecord)}`);
+        check(documentRecord.dateChecked > "2019-01-06 00:05:00", `Expected the time at which the PDF was retrieved again but it was ${documentRecord.dateChecked}.`);
+    },
+
+    "saves the parse-quality report": async database => {
+        let report = startReport("2019-01-05 09:00:00");
+        await captureOutput(() => processPdf(database, [], PdfUrl, PdfFileName, false));
+        let pages = JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "synthetic-register-pages.elements.json")).toString());
+        pages[1].find(element => element.text === "9 Railway Tce HAMLEY BRIDGE").text = "9 Railway Tce NOWHERE";
+        await captureOutput(async () => parseElements(pages, "https://example.com/synthetic-register-pages.pdf"));
+        let reportFile = await saveReportFile(database, report);
+
+        let issues = await getReportIssues(database);
+        let expectedIssues = [
+            "2019-01-05 09:00:00 https://example.com/synthetic-register.pdf page 2 rejected_row null: The application number was not found. [311/XYZ][Lodgement][Unknown][21/03/2018][1 High St NOWHERE][Carport]",
+            "2019-01-05 09:00:00 https://example.com/synthetic-register.pdf page 2 warning 311/126/2018: The received date was not found. ",
+            "2019-01-05 09:00:00 https://example.com/synthetic-register.pdf page 2 duplicate_number 311/123/2018 (1): The application number \"311/123/2018\" was encountered more than once with different details so the suffix \"(1)\" was added. ",
+            "2019-01-05 09:00:00 https://example.com/synthetic-register-pages.pdf page 1 skipped_page null: The \"Proposal\" column heading was not found (using the layout profile \"light-register\"). [Application No][Applicant][Application][Property Address][Referrals/][311/200/2019][Lodgement][D Smith][02/01/2019][5 Elm St FREELING]",
+            "2019-01-05 09:00:00 https://example.com/synthetic-register-pages.pdf page 2 unrecognised_suburb null: 9 Railway Tce NOWHERE ",
+            "2019-01-05 09:00:00 https://example.com/synthetic-register-pages.pdf page 2 warning 311/201/2019: The application date \"03/01/2019\" is not a valid date. "
+        ];
+        for (let expectedIssue of expectedIssues)
+            check(issues.includes(expectedIssue), `Expected the issue "${expectedIssue}" but the issues were:\n${issues.join("\n")}`);
+        check(issues.length === expectedIssues.length, `Unexpected issues:\n${issues.join("\n")}`);
+
+        let documents = await readRows(database, "select * from [report_documents] order by [rowid]");
+        check(documents.length === 2, `Expected 2 documents but there were ${documents.length}.`);
+        check(documents[0].url === PdfUrl && documents[0].status === "parsed" && documents[0].failed === 0 && documents[0].page_count === 2 && documents[0].application_count === 5 && documents[0].peak_memory > 0, `Unexpected totals for the PDF: ${JSON.stringify(documents[0])}`);
+        check(documents[0].rejected_row_count === 1 && documents[0].duplicate_number_count === 1 && documents[0].warning_count === 1 && documents[0].skipped_page_count === 0 && documents[0].unrecognised_suburb_count === 0, `Unexpected issue counts for the PDF: ${JSON.stringify(documents[0])}`);
+        check(documents[0].profiles === "[\"light-register\",\"light-register\"]", `Unexpected profiles: ${documents[0].profiles}`);
+        check(documents[1].skipped_page_count === 1 && documents[1].unrecognised_suburb_count === 1 && documents[1].warning_count === 1, `Unexpected issue counts for the saved elements: ${JSON.stringify(documents[1])}`);
+
+        check(reportFile.runDate === "2019-01-05 09:00:00" && reportFile.documentCount === 2 && reportFile.applicationCount === 5 && reportFile.failedDocumentCount === 0 && reportFile.unchangedDocumentCount === 0, `Unexpected totals in the report file: ${JSON.stringify(reportFile)}`);
+        check(JSON.stringify(reportFile.issueCounts) === JSON.stringify({ skipped_page: 1, rejected_row: 1, unrecognised_suburb: 1, duplicate_number: 1, warning: 2 }), `Unexpected issue counts in the report file: ${JSON.stringify(reportFile.issueCounts)}`);
+        check(reportFile.issues.length === 6 && reportFile.documents.length === 2, "Expected every document and issue in the report file.");
+    },
+
+    "records a PDF that is skipped as unchanged in the report": async database => {
+        await parseSyntheticPdf(database, "2019-01-05 09:00:00");
+        let report = startReport("2019-01-06 09:00:00");
+        await captureOutput(async () => processPdf(database, await readDocumentRecords(database), PdfUrl, PdfFileName, true));
+        let reportFile = await saveReportFile(database, report);
+        let documents = await readRows(database, "select * from [report_documents]");
+        check(documents.length === 1 && documents[0].url === PdfUrl && documents[0].status === "unchanged" && documents[0].failed === 0 && documents[0].application_count === 0, `Expected the PDF to be recorded as unchanged: ${JSON.stringify(documents)}`);
+        check(reportFile.documentCount === 1 && reportFile.unchangedDocumentCount === 1 && reportFile.failedDocumentCount === 0, `Unexpected totals in the report file: ${JSON.stringify(reportFile)}`);
+    },
+
+    "only updates the last seen time of an unchanged version": async database => {
+        await insertRow(database, createDevelopmentApplication("2019-01-05", "Dwelling"), "2019-01-05 09:00:00");
+        await insertRow(database, createDevelopmentApplication("2019-01-05", "Dwelling"), "2019-01-05 15:00:00");
+        let versions = await readRows(database, "select * from [history]");
+        check(versions.length === 1, `Expected 1 version but there were ${versions.length}.`);
+        check(versions[0].first_seen === "2019-01-05 09:00:00" && versions[0].last_seen === "2019-01-05 15:00:00", `Unexpected first and last seen times: ${versions[0].first_seen}, ${versions[0].last_seen}`);
+    },
+
+    "updates the last seen time when an unchanged PDF is skipped": async database => {
+        await parseSyntheticPdf(database, "2019-01-05 09:00:00");
+        await insertRow(database, { ...createDevelopmentApplication("2019-01-05", "Dwelling"), applicationNumber: "311/124/2018", informationUrl: "https://example.com/2019.pdf" }, "2019-01-06 09:00:00");  // a later version parsed from another PDF
+        startReport("2019-01-07 09:00:00");
+        let output = await captureOutput(async () => processPdf(database, await readDocumentRecords(database), PdfUrl, PdfFileName, true));
+        check(output.some(line => line.startsWith("Ignoring document because it has not changed")), `Expected the PDF to be skipped but the output was: ${output.join(" ")}`);
+        let seenTimes = await getSeenTimes(database);
+        check(seenTimes === "311/123/2018 2019-01-05 09:00:00 to 2019-01-07 09:00:00; 311/123/2018 (1) 2019-01-05 09:00:00 to 2019-01-07 09:00:00; 311/124/2018 2019-01-05 09:00:00 to 2019-01-05 09:00:00; 311/125/2018 2019-01-05 09:00:00 to 2019-01-07 09:00:00; 311/126/2018 2019-01-05 09:00:00 to 2019-01-07 09:00:00", `Expected the latest versions parsed from the PDF to be seen again: ${seenTimes}`);
+    },
+
+    "records a new version when a field changes and keeps the original scrape date": async database => {
+        await insertRow(database, createDevelopmentApplication("2019-01-05", "Dwelling"), "2019-01-05 09:00:00");
+        await insertRow(database, createDevelopmentApplication("2019-01-06", "Dwelling and garage"), "2019-01-06 09:00:00");
+        let versions = await readRows(database, "select * from [history] order by [rowid]");
+        check(versions.map(version => `${version.description} (${version.first_seen} to ${version.last_seen})`).join(", ") === "Dwelling (2019-01-05 09:00:00 to 2019-01-05 09:00:00), Dwelling and garage (2019-01-06 09:00:00 to 2019-01-06 09:00:00)", `Unexpected versions: ${JSON.stringify(versions)}`);
+        let rows = await readRows(database, "select * from [data]");
+        check(rows.length === 1 && rows[0].description === "Dwelling and garage", "Expected the development application to be updated.");
+        check(rows[0].date_scraped === "2019-01-05", `Expected the original scrape date to be kept but it was ${rows[0].date_scraped}.`);
+    },
+
+    "lists the changes made by each of several runs on the same day": async database => {
+        await insertRow(database, createDevelopmentApplication("2019-01-05", "Dwelling"), "2019-01-05 09:00:00");
+        await insertRow(database, createDevelopmentApplication("2019-01-05", "Dwelling and garage"), "2019-01-05 15:00:00");
+        let changes = await getListedChanges(database, "2019-01-04", "2019-01-05");
+        check(changes === "311/100/2019: new application first seen on 2019-01-05 09:00:00; 311/100/2019: changed on 2019-01-05 15:00:00", `Unexpected changes for the day: ${changes}`);
+        changes = await getListedChanges(database, "2019-01-05 09:00:00", "2019-01-05 15:00:00");
+        check(changes === "311/100/2019: changed on 2019-01-05 15:00:00", `Unexpected changes for the second run: ${changes}`);
+        changes = await getListedChanges(database, "2019-01-05", "2019-01-06");
+        check(changes === "", `Expected no changes after the day but there were: ${changes}`);
+    }
+};
+
+// Runs the tests (the suburb names, profiles and classification rules are read from the current
+// directory).
+
+process.chdir(path.join(__dirname, ".."));
+scraper.loadSuburbNames();
+scraper.loadProfiles();
+scraper.loadClassification();
+runTests(ScraperTests, () => initializeDatabase(":memory:"), (database: any) => database.close());
@@ -0,0 +1,68 @@
+// A local stand-in for the council web site: serves an application register page that links to
+// each PDF in a directory, and serves the PDFs with ETag and Last-Modified headers (responding to
+// conditional requests with "304 Not Modified").  Used by the tests, and can be run directly (for
+// example, "node test/standin.js test/fixtures 8080") so that the scraper can be run against it
+// with "--register-url http://localhost:8080/develop/applicationregister".
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.startStandIn = exports.RegisterPath = void 0;
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+exports.RegisterPath = "/develop/applicationregister";
+// Constructs the register page (the links are listed oldest first, as on the council web site).
+function getRegisterPage(pdfFileNames) {
+    let rows = pdfFileNames.map(fileName => `<tr><td class="u6ListTD"><a href="/files/${encodeURIComponent(fileName)}">${fileName}</a></td></tr>`);
+    return `<html><body><table>\n${rows.join("\n")}\n</table></body></html>\n`;
+}
+// Responds to a request.
+function respond(directory, standIn, incomingMessage, serverResponse) {
+    let requestPath = decodeURIComponent(incomingMessage.url.split("?")[0]);
+    let statusCode = 200;
+    let headers = {};
+    let body = "";
+    let pdfFileNames = fs.readdirSync(directory).filter(fileName => path.extname(fileName).toLowerCase() === ".pdf").sort();
+    let fileName = requestPath.startsWith("/files/") ? path.basename(requestPath) : undefined;
+    if (standIn.failures[requestPath] > 0) {
+        standIn.failures[requestPath]--;
+        statusCode = 503;
+        headers["Retry-After"] = "0";
+    }
+    else if (requestPath === exports.RegisterPath) {
+        headers["Content-Type"] = "text/html";
+        body = getRegisterPage(pdfFileNames);
+    }
+    else if (fileName !== undefined && pdfFileNames.includes(fileName)) {
+        let content = fs.readFileSync(path.join(directory, fileName));
+        headers["Content-Type"] = "application/pdf";
+        headers["ETag"] = `"${crypto.createHash("sha1").update(content).digest("hex")}"`;
+        headers["Last-Modified"] = fs.statSync(path.join(directory, fileName)).mtime.toUTCString();
+        if (incomingMessage.headers["if-none-match"] === headers["ETag"] ||
+            (incomingMessage.headers["if-none-match"] === undefined && incomingMessage.headers["if-modified-since"] === headers["Last-Modified"]))
+            statusCode = 304;
+        else
+            body = content;
+    }
+    else
+        statusCode = 404;
+    standIn.requests.push({ path: requestPath, time: Date.now(), headers: incomingMessage.headers, statusCode: statusCode });
+    serverResponse.writeHead(statusCode, headers);
+    serverResponse.end(body);
+}
+// Starts a stand-in that serves the PDFs in the specified directory (on any free port if no port
+// is specified).
+async function startStandIn(directory, port = 0) {
+    let standIn = { url: undefined, requests: [], failures: {}, close: undefined };
+    let server = http.createServer((incomingMessage, serverResponse) => respond(directory, standIn, incomingMessage, serverResponse));
+    await new Promise(resolve => server.listen(port, "127.0.0.1", resolve));
+    standIn.url = `http://127.0.0.1:${server.address()["port"]}${exports.RegisterPath}`;
+    standIn.close = () => new Promise(resolve => server.close(() => resolve()));
+    return standIn;
+}
+exports.startStandIn = startStandIn;
+if (require.main === module) {
+    let directory = process.argv[2] || path.join(__dirname, "fixtures");
+    startStandIn(directory, Number(process.argv[3] || 8080)).then(standIn => console.log(`Serving the PDFs in ${directory} with the register page at: ${standIn.url}`));
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic3RhbmRpbi5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInN0YW5kaW4udHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsK0ZBQStGO0FBQy9GLGtHQUFrRztBQUNsRyxrR0FBa0c7QUFDbEcsZ0dBQWdHO0FBQ2hHLDJFQUEyRTtBQUUzRSxZQUFZLENBQUM7OztBQUViLHlCQUF5QjtBQUN6Qiw2QkFBNkI7QUFDN0IsNkJBQTZCO0FBQzdCLGlDQUFpQztBQUlwQixRQUFBLFlBQVksR0FBRyw4QkFBOEIsQ0FBQztBQXFCM0QsZ0dBQWdHO0FBRWhHLFNBQVMsZUFBZSxDQUFDLFlBQXNCO0lBQzNDLElBQUksSUFBSSxHQUFHLFlBQVksQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyw0Q0FBNEMsa0JBQWtCLENBQUMsUUFBUSxDQUFDLEtBQUssUUFBUSxnQkFBZ0IsQ0FBQyxDQUFDO0lBQy9JLE9BQU8sd0JBQXdCLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLDRCQUE0QixDQUFDO0FBQy9FLENBQUM7QUFFRCx5QkFBeUI7QUFFekIsU0FBUyxPQUFPLENBQUMsU0FBaUIsRUFBRSxPQUFnQixFQUFFLGVBQXFDLEVBQUUsY0FBbUM7SUFDNUgsSUFBSSxXQUFXLEdBQUcsa0JBQWtCLENBQUMsZUFBZSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN4RSxJQUFJLFVBQVUsR0FBRyxHQUFHLENBQUM7SUFDckIsSUFBSSxPQUFPLEdBQStCLEVBQUUsQ0FBQztJQUM3QyxJQUFJLElBQUksR0FBb0IsRUFBRSxDQUFDO0lBRS9CLElBQUksWUFBWSxHQUFHLEVBQUUsQ0FBQyxXQUFXLENBQUMsU0FBUyxDQUFDLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQyxXQUFXLEVBQUUsS0FBSyxNQUFNLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztJQUN4SCxJQUFJLFFBQVEsR0FBRyxXQUFXLENBQUMsVUFBVSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUM7SUFFMUYsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsRUFBRTtRQUNuQyxPQUFPLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxFQUFFLENBQUM7UUFDaEMsVUFBVSxHQUFHLEdBQUcsQ0FBQztRQUNqQixPQUFPLENBQUMsYUFBYSxDQUFDLEdBQUcsR0FBRyxDQUFDO0tBQ2hDO1NBQU0sSUFBSSxXQUFXLEtBQUssb0JBQVksRUFBRTtRQUNyQyxPQUFPLENBQUMsY0FBYyxDQUFDLEdBQUcsV0FBVyxDQUFDO1FBQ3RDLElBQUksR0FBRyxlQUFlLENBQUMsWUFBWSxDQUFDLENBQUM7S0FDeEM7U0FBTSxJQUFJLFFBQVEsS0FBSyxTQUFTLElBQUksWUFBWSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsRUFBRTtRQUNsRSxJQUFJLE9BQU8sR0FBRyxFQUFFLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUM7UUFDOUQsT0FBTyxDQUFDLGNBQWMsQ0FBQyxHQUFHLGlCQUFpQixDQUFDO1FBQzVDLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxJQUFJLE1BQU0sQ0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDO1FBQ2pGLE9BQU8sQ0FBQyxlQUFlLENBQUMsR0FBRyxFQUFFLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLFdBQVcsRUFBRSxDQUFDO1FBQzNGLElBQUksZUFBZSxDQUFDLE9BQU8sQ0FBQyxlQUFlLENBQUMsS0FBSyxPQUFPLENBQUMsTUFBTSxDQUFDO1lBQzVELENBQUMsZUFBZSxDQUFDLE9BQU8sQ0FBQyxlQUFlLENBQUMsS0FBSyxTQUFTLElBQUksZUFBZSxDQUFDLE9BQU8sQ0FBQyxtQkFBbUIsQ0FBQyxLQUFLLE9BQU8sQ0FBQyxlQUFlLENBQUMsQ0FBQztZQUNySSxVQUFVLEdBQUcsR0FBRyxDQUFDOztZQUVqQixJQUFJLEdBQUcsT0FBTyxDQUFDO0tBQ3RCOztRQUNHLFVBQVUsR0FBRyxHQUFHLENBQUM7SUFFckIsT0FBTyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsV0FBVyxFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsR0FBRyxFQUFFLEVBQUUsT0FBTyxFQUFFLGVBQWUsQ0FBQyxPQUFxQyxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsQ0FBQyxDQUFDO0lBQ3ZKLGNBQWMsQ0FBQyxTQUFTLENBQUMsVUFBVSxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBQzlDLGNBQWMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUM7QUFDN0IsQ0FBQztBQUVELGlHQUFpRztBQUNqRyxpQkFBaUI7QUFFVixLQUFLLFVBQVUsWUFBWSxDQUFDLFNBQWlCLEVBQUUsT0FBZSxDQUFDO0lBQ2xFLElBQUksT0FBTyxHQUFZLEVBQUUsR0FBRyxFQUFFLFNBQVMsRUFBRSxRQUFRLEVBQUUsRUFBRSxFQUFFLFFBQVEsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLFNBQVMsRUFBRSxDQUFDO0lBQ3hGLElBQUksTUFBTSxHQUFHLElBQUksQ0FBQyxZQUFZLENBQUMsQ0FBQyxlQUFlLEVBQUUsY0FBYyxFQUFFLEVBQUUsQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLE9BQU8sRUFBRSxlQUFlLEVBQUUsY0FBYyxDQUFDLENBQUMsQ0FBQztJQUNsSSxNQUFNLElBQUksT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUUsV0FBVyxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7SUFDeEUsT0FBTyxDQUFDLEdBQUcsR0FBRyxvQkFBb0IsTUFBTSxDQUFDLE9BQU8sRUFBRSxDQUFDLE1BQU0sQ0FBQyxHQUFHLG9CQUFZLEVBQUUsQ0FBQztJQUM1RSxPQUFPLENBQUMsS0FBSyxHQUFHLEdBQUcsRUFBRSxDQUFDLElBQUksT0FBTyxDQUFPLE9BQU8sQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLEVBQUUsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDbEYsT0FBTyxPQUFPLENBQUM7QUFDbkIsQ0FBQztBQVBELG9DQU9DO0FBRUQsSUFBSSxPQUFPLENBQUMsSUFBSSxLQUFLLE1BQU0sRUFBRTtJQUN6QixJQUFJLFNBQVMsR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxJQUFJLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLFVBQVUsQ0FBQyxDQUFDO0lBQ3BFLFlBQVksQ0FBQyxTQUFTLEVBQUUsTUFBTSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLElBQUksSUFBSSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLHVCQUF1QixTQUFTLCtCQUErQixPQUFPLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQyxDQUFDO0NBQ3ZLIn0=
\ No newline at end of file
@@ -0,0 +1,95 @@
+// A local stand-in for the council web site: serves an application register page that links to
+// each PDF in a directory, and serves the PDFs with ETag and Last-Modified headers (responding to
+// conditional requests with "304 Not Modified").  Used by the tests, and can be run directly (for
+// example, "node test/standin.js test/fixtures 8080") so that the scraper can be run against it
+// with "--register-url http://localhost:8080/develop/applicationregister".
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import * as http from "http";
+import * as crypto from "crypto";
+
+declare const process: any;
+
+export const RegisterPath = "/develop/applicationregister";
+
+// A request received by the stand-in.
+
+export interface StandInRequest {
+    path: string,
+    time: number,
+    headers: { [name: string]: string },
+    statusCode: number
+}
+
+// A running stand-in.  The number of times to fail each path (with "503 Service Unavailable")
+// before responding normally can be set in order to test retries.
+
+export interface StandIn {
+    url: string,  // the URL of the register page
+    requests: StandInRequest[],
+    failures: { [path: string]: number },
+    close: () => Promise<void>
+}
+
+// Constructs the register page (the links are listed oldest first, as on the council web site).
+
+function getRegisterPage(pdfFileNames: string[]) {
+    let rows = pdfFileNames.map(fileName => `<tr><td class="u6ListTD"><a href="/files/${encodeURIComponent(fileName)}">${fileName}</a></td></tr>`);
+    return `<html><body><table>\n${rows.join("\n")}\n</table></body></html>\n`;
+}
+
+// Responds to a request.
+
+function respond(directory: string, standIn: StandIn, incomingMessage: http.IncomingMessage, serverResponse: http.ServerResponse) {
+    let requestPath = decodeURIComponent(incomingMessage.url.split("?")[0]);
+    let statusCode = 200;
+    let headers: { [name: string]: string } = {};
+    let body: Buffer | string = "";
+
+    let pdfFileNames = fs.readdirSync(directory).filter(fileName => path.extname(fileName).toLowerCase() === ".pdf").sort();
+    let fileName = requestPath.startsWith("/files/") ? path.basename(requestPath) : undefined;
+
+    if (standIn.failures[requestPath] > 0) {
+        standIn.failures[requestPath]--;
+        statusCode = 503;
+        headers["Retry-After"] = "0";
+    } else if (requestPath === RegisterPath) {
+        headers["Content-Type"] = "text/html";
+        body = getRegisterPage(pdfFileNames);
+    } else if (fileName !== undefined && pdfFileNames.includes(fileName)) {
+        let content = fs.readFileSync(path.join(directory, fileName));
+        headers["Content-Type"] = "application/pdf";
+        headers["ETag"] = `"${crypto.createHash("sha1").update(content).digest("hex")}"`;
+        headers["Last-Modified"] = fs.statSync(path.join(directory, fileName)).mtime.toUTCString();
+        if (incomingMessage.headers["if-none-match"] === headers["ETag"] ||
+            (incomingMessage.headers["if-none-match"] === undefined && incomingMessage.headers["if-modified-since"] === headers["Last-Modified"]))
+            statusCode = 304;
+        else
+            body = content;
+    } else
+        statusCode = 404;
+
+    standIn.requests.push({ path: requestPath, time: Date.now(), headers: incomingMessage.headers as { [name: string]: string }, statusCode: statusCode });
+    serverResponse.writeHead(statusCode, headers);
+    serverResponse.end(body);
+}
+
+// Starts a stand-in that serves the PDFs in the specified directory (on any free port if no port
+// is specified).
+
+export async function startStandIn(directory: string, port: number = 0): Promise<StandIn> {
+    let standIn: StandIn = { url: undefined, requests: [], failures: {}, close: undefined };
+    let server = http.createServer((incomingMessage, serverResponse) => respond(directory, standIn, incomingMessage, serverResponse));
+    await new Promise(resolve => server.listen(port, "127.0.0.1", resolve));
+    standIn.url = `http://127.0.0.1:${server.address()["port"]}${RegisterPath}`;
+    standIn.close = () => new Promise<void>(resolve => server.close(() => resolve()));
+    return standIn;
+}
+
+if (require.main === module) {
+    let directory = process.argv[2] || path.join(__dirname, "fixtures");
+    startStandIn(directory, Number(process.argv[3] || 8080)).then(standIn => console.log(`Serving the PDFs in ${directory} with the register page at: ${standIn.url}`));
+}